@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Route Test: PUT /api/comments/[id]
+ * Calls the real handler with `params` as a Promise, against a fake Prisma
+ * client, to check that only a comment's author can edit it.
+ */
+
+// The route creates its own client; the fake is exported alongside it for the tests
+jest.mock("@prisma/client", () => {
+  const mockPrisma = {
+    comment: { findUnique: jest.fn(), update: jest.fn() },
+    commentRevision: { create: jest.fn() },
+    $transaction: jest.fn((callback) => callback(mockPrisma)),
+  };
+  return { PrismaClient: jest.fn(() => mockPrisma), mockPrisma };
+});
+jest.mock("@prisma/adapter-pg", () => ({ PrismaPg: jest.fn() }));
+jest.mock("pg", () => ({ __esModule: true, default: { Pool: jest.fn() } }));
+jest.mock("@/lib/rbac-middleware", () => ({
+  requirePermission: jest.fn(() => ({
+    user: { userId: "author", email: "author@example.com", role: "editor" },
+  })),
+  checkOwnership: jest.fn(),
+}));
+jest.mock("@/lib/cache/invalidation", () => ({ invalidateCaches: jest.fn() }));
+jest.mock("@/lib/eventBus", () => ({
+  publishEvent: jest.fn(),
+  EVENT_TYPES: { NOTIFICATION_CREATED: "notification.created" },
+}));
+
+import { mockPrisma } from "@prisma/client";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { PUT } from "@/app/api/comments/[id]/route";
+
+const existingComment = {
+  id: "c1",
+  taskId: "t1",
+  userId: "author",
+  content: "First draft",
+  contentHtml: "<p>First draft</p>",
+  deletedAt: null,
+};
+
+const context = { params: Promise.resolve({ id: "c1" }) };
+
+const putRequest = (content) =>
+  new Request("http://localhost/api/comments/c1", {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ content }),
+  });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.comment.findUnique.mockResolvedValue(existingComment);
+  mockPrisma.comment.update.mockImplementation(({ data }) =>
+    Promise.resolve({ ...existingComment, ...data })
+  );
+});
+
+describe("PUT /api/comments/[id]", () => {
+  test("lets the author edit, keeping the previous version", async () => {
+    const response = await PUT(putRequest("Second draft"), context);
+
+    expect(response.status).toBe(200);
+    expect(mockPrisma.comment.findUnique).toHaveBeenCalledWith({ where: { id: "c1" } });
+    expect(mockPrisma.commentRevision.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ commentId: "c1", content: "First draft" }),
+    });
+    expect(mockPrisma.comment.update).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { id: "c1" } })
+    );
+  });
+
+  test("rejects edits by anyone else", async () => {
+    requirePermission.mockReturnValueOnce({
+      user: { userId: "someone-else", email: "other@example.com", role: "editor" },
+    });
+
+    const response = await PUT(putRequest("Rewritten"), context);
+    const body = await response.json();
+
+    expect(response.status).toBe(403);
+    expect(body.error.code).toBe("E008");
+    expect(mockPrisma.commentRevision.create).not.toHaveBeenCalled();
+    expect(mockPrisma.comment.update).not.toHaveBeenCalled();
+  });
+
+  test("returns 404 for deleted comments", async () => {
+    mockPrisma.comment.findUnique.mockResolvedValue({ ...existingComment, deletedAt: new Date() });
+
+    const response = await PUT(putRequest("Second draft"), context);
+    expect(response.status).toBe(404);
+  });
+});
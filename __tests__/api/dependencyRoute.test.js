@@ -0,0 +1,82 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Route Test: POST /api/tasks/[id]/dependencies
+ * Calls the real handler against a fake Prisma client to check that the
+ * cycle check and the insert run under the dependency lock.
+ */
+
+// The route creates its own client; the fake is exported alongside it for the tests
+jest.mock("@prisma/client", () => {
+  const mockPrisma = {
+    task: { findUnique: jest.fn() },
+    taskDependency: { findMany: jest.fn(), create: jest.fn() },
+    $executeRaw: jest.fn(),
+    $transaction: jest.fn((callback) => callback(mockPrisma)),
+  };
+  return { PrismaClient: jest.fn(() => mockPrisma), mockPrisma };
+});
+jest.mock("@prisma/adapter-pg", () => ({ PrismaPg: jest.fn() }));
+jest.mock("pg", () => ({ __esModule: true, Pool: jest.fn(), default: { Pool: jest.fn() } }));
+jest.mock("@/lib/rbac-middleware", () => ({
+  requirePermission: jest.fn(() => ({
+    user: { userId: "u1", email: "editor@example.com", role: "editor" },
+  })),
+  checkOwnership: jest.fn(),
+}));
+jest.mock("@/lib/cache/invalidation", () => ({ invalidateCaches: jest.fn() }));
+
+import { mockPrisma } from "@prisma/client";
+import { POST } from "@/app/api/tasks/[id]/dependencies/route";
+
+const context = { params: Promise.resolve({ id: "B" }) };
+
+const post = (body) =>
+  new Request("http://localhost/api/tasks/B/dependencies", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.task.findUnique.mockImplementation(({ where }) =>
+    Promise.resolve({ id: where.id, creatorId: "u1" })
+  );
+  mockPrisma.taskDependency.create.mockImplementation(({ data }) =>
+    Promise.resolve({ id: "d1", ...data })
+  );
+});
+
+describe("POST /api/tasks/[id]/dependencies", () => {
+  test("takes the lock before checking for cycles and inserting", async () => {
+    mockPrisma.taskDependency.findMany.mockResolvedValue([]);
+
+    const response = await POST(post({ blockerId: "A" }), context);
+
+    expect(response.status).toBe(201);
+    expect(mockPrisma.$transaction).toHaveBeenCalledTimes(1);
+    const lockedAt = mockPrisma.$executeRaw.mock.invocationCallOrder[0];
+    expect(lockedAt).toBeLessThan(mockPrisma.taskDependency.findMany.mock.invocationCallOrder[0]);
+    expect(lockedAt).toBeLessThan(mockPrisma.taskDependency.create.mock.invocationCallOrder[0]);
+    expect(mockPrisma.taskDependency.create).toHaveBeenCalledWith(
+      expect.objectContaining({ data: { blockerId: "A", blockedId: "B" } })
+    );
+  });
+
+  test("rejects a link that would close a cycle without inserting it", async () => {
+    // B already blocks A, so "A blocks B" would close the loop
+    mockPrisma.taskDependency.findMany.mockImplementation(({ where }) =>
+      Promise.resolve(where.blockerId.in.includes("B") ? [{ blockerId: "B", blockedId: "A" }] : [])
+    );
+
+    const response = await POST(post({ blockerId: "A" }), context);
+    const body = await response.json();
+
+    expect(response.status).toBe(409);
+    expect(body.error.details).toEqual({ path: ["B", "A"] });
+    expect(mockPrisma.taskDependency.create).not.toHaveBeenCalled();
+  });
+});
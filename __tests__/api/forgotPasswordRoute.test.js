@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Route Test: POST /api/auth/forgot-password
+ * Calls the real handler against a fake Prisma client to check that the
+ * response doesn't depend on whether an account exists for the email.
+ */
+
+jest.mock("@/lib/db", () => ({
+  prisma: {
+    user: { findUnique: jest.fn() },
+    passwordResetToken: {
+      findMany: jest.fn(),
+      deleteMany: jest.fn(),
+      updateMany: jest.fn(),
+      create: jest.fn(),
+    },
+  },
+}));
+jest.mock("@/lib/email", () => ({
+  sendEmail: jest.fn(),
+  passwordResetTemplate: jest.fn(() => "<p>Reset</p>"),
+}));
+
+import { prisma } from "@/lib/db";
+import { sendEmail } from "@/lib/email";
+import { POST } from "@/app/api/auth/forgot-password/route";
+
+const user = { id: "u1", name: "Ada", email: "ada@example.com" };
+
+const post = (email) =>
+  new Request("http://localhost/api/auth/forgot-password", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email }),
+  });
+
+// Let the work started after the response finish
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.user.findUnique.mockImplementation(({ where }) =>
+    Promise.resolve(where.email === user.email ? user : null)
+  );
+  prisma.passwordResetToken.findMany.mockResolvedValue([]);
+});
+
+describe("POST /api/auth/forgot-password", () => {
+  test("answers the same for registered and unknown emails", async () => {
+    // Pin the clock so the response timestamps match too
+    jest.useFakeTimers({ now: new Date("2026-10-19T12:00:00Z") });
+    const known = await POST(post(user.email));
+    const unknown = await POST(post("nobody@example.com"));
+    jest.useRealTimers();
+
+    expect(known.status).toBe(200);
+    expect(unknown.status).toBe(known.status);
+    expect(await unknown.json()).toEqual(await known.json());
+  });
+
+  test("responds before the account lookup finishes", async () => {
+    prisma.user.findUnique.mockReturnValue(new Promise(() => {}));
+
+    const response = await POST(post(user.email));
+
+    expect(response.status).toBe(200);
+    expect(prisma.passwordResetToken.create).not.toHaveBeenCalled();
+  });
+
+  test("only issues a token and emails registered accounts", async () => {
+    await POST(post("nobody@example.com"));
+    await flush();
+    expect(prisma.passwordResetToken.create).not.toHaveBeenCalled();
+    expect(sendEmail).not.toHaveBeenCalled();
+
+    await POST(post(user.email));
+    await flush();
+    expect(prisma.passwordResetToken.create).toHaveBeenCalledTimes(1);
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: user.email }));
+  });
+
+  test("sends nothing while the account is throttled", async () => {
+    prisma.passwordResetToken.findMany.mockResolvedValue([{ createdAt: new Date() }]);
+
+    const response = await POST(post(user.email));
+    await flush();
+
+    expect(response.status).toBe(200);
+    expect(prisma.passwordResetToken.create).not.toHaveBeenCalled();
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+});
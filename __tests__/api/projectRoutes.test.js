@@ -0,0 +1,242 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Route Test: /api/projects and project scoping of /api/tasks
+ * Calls the real handlers against a fake Prisma client, with permissions
+ * checked against the real role table for the signed-in role.
+ */
+
+// The routes create their own client; the fake is exported alongside it for the tests
+jest.mock("@prisma/client", () => {
+  const mockPrisma = {
+    project: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+    task: { findMany: jest.fn(), count: jest.fn(), groupBy: jest.fn() },
+  };
+  return { PrismaClient: jest.fn(() => mockPrisma), mockPrisma };
+});
+jest.mock("@prisma/adapter-pg", () => ({ PrismaPg: jest.fn() }));
+jest.mock("pg", () => ({ __esModule: true, Pool: jest.fn(), default: { Pool: jest.fn() } }));
+jest.mock("@/lib/redis", () => ({
+  getCache: jest.fn(() => null),
+  setCache: jest.fn(),
+  invalidateCacheTags: jest.fn(),
+}));
+jest.mock("@/lib/rbac-middleware", () => {
+  const { hasPermission } = jest.requireActual("@/lib/rbac");
+  const { sendError, ERROR_CODES } = jest.requireActual("@/lib/responseHandler");
+  const signedIn = { current: null };
+  const requirePermission = jest.fn((request, resource, action) =>
+    hasPermission(signedIn.current.role, resource, action)
+      ? { user: signedIn.current }
+      : { errorResponse: sendError("Access denied", ERROR_CODES.FORBIDDEN, 403) }
+  );
+  const checkOwnership = jest.fn((request, ownerId, resource, action) => {
+    const result = requirePermission(request, resource, action);
+    return result.errorResponse && signedIn.current.userId === ownerId
+      ? { user: signedIn.current, isOwner: true }
+      : result;
+  });
+  return { requirePermission, checkOwnership, signedIn };
+});
+
+import { mockPrisma } from "@prisma/client";
+import { signedIn } from "@/lib/rbac-middleware";
+import { GET as listProjects, POST as createProject } from "@/app/api/projects/route";
+import { PUT as updateProject, DELETE as deleteProject } from "@/app/api/projects/[id]/route";
+import { GET as listTasks } from "@/app/api/tasks/route";
+
+const users = {
+  admin: { userId: "admin-1", email: "admin@example.com", role: "admin" },
+  manager: { userId: "manager-1", email: "manager@example.com", role: "manager" },
+  viewer: { userId: "viewer-1", email: "viewer@example.com", role: "viewer" },
+};
+
+const project = {
+  id: "p1",
+  name: "Website",
+  key: "WEB",
+  description: null,
+  archived: false,
+  ownerId: "manager-1",
+};
+
+const context = { params: Promise.resolve({ id: "p1" }) };
+
+const jsonRequest = (url, method, body) =>
+  new Request(`http://localhost${url}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  signedIn.current = users.admin;
+  mockPrisma.project.findUnique.mockResolvedValue({ ...project, _count: { tasks: 2 } });
+  mockPrisma.project.create.mockImplementation(({ data }) =>
+    Promise.resolve({ id: "p2", archived: false, ...data })
+  );
+  mockPrisma.project.update.mockImplementation(({ data }) =>
+    Promise.resolve({ ...project, ...data })
+  );
+  mockPrisma.task.findMany.mockResolvedValue([]);
+  mockPrisma.task.count.mockResolvedValue(0);
+});
+
+describe("GET /api/projects", () => {
+  test("lists active projects unless archived ones are asked for", async () => {
+    mockPrisma.project.findMany.mockResolvedValue([project]);
+
+    signedIn.current = users.viewer;
+    const response = await listProjects(new Request("http://localhost/api/projects"));
+    expect(response.status).toBe(200);
+    expect(mockPrisma.project.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { archived: false } })
+    );
+
+    await listProjects(new Request("http://localhost/api/projects?includeArchived=true"));
+    expect(mockPrisma.project.findMany).toHaveBeenLastCalledWith(
+      expect.objectContaining({ where: {} })
+    );
+  });
+});
+
+describe("POST /api/projects", () => {
+  test("creates a project owned by the caller with a normalized key", async () => {
+    signedIn.current = users.manager;
+
+    const response = await createProject(
+      jsonRequest("/api/projects", "POST", { name: "Mobile app", key: "app" })
+    );
+
+    expect(response.status).toBe(201);
+    expect(mockPrisma.project.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: expect.objectContaining({ key: "APP", ownerId: "manager-1" }),
+      })
+    );
+  });
+
+  test("rejects viewers", async () => {
+    signedIn.current = users.viewer;
+
+    const response = await createProject(
+      jsonRequest("/api/projects", "POST", { name: "Mobile app", key: "APP" })
+    );
+
+    expect(response.status).toBe(403);
+    expect(mockPrisma.project.create).not.toHaveBeenCalled();
+  });
+
+  test("returns 409 when the key is already taken", async () => {
+    mockPrisma.project.create.mockRejectedValue(
+      Object.assign(new Error("Unique constraint failed"), {
+        code: "P2002",
+        meta: { target: ["key"] },
+      })
+    );
+
+    const response = await createProject(
+      jsonRequest("/api/projects", "POST", { name: "Website again", key: "WEB" })
+    );
+    const body = await response.json();
+
+    expect(response.status).toBe(409);
+    expect(body.error.code).toBe("E006");
+  });
+});
+
+describe("PUT /api/projects/[id]", () => {
+  test("archives a project", async () => {
+    const response = await updateProject(
+      jsonRequest("/api/projects/p1", "PUT", { archived: true }),
+      context
+    );
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(mockPrisma.project.update).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { id: "p1" }, data: { archived: true } })
+    );
+    expect(body.data.archived).toBe(true);
+  });
+
+  test("rejects viewers", async () => {
+    signedIn.current = users.viewer;
+
+    const response = await updateProject(
+      jsonRequest("/api/projects/p1", "PUT", { archived: true }),
+      context
+    );
+
+    expect(response.status).toBe(403);
+    expect(mockPrisma.project.update).not.toHaveBeenCalled();
+  });
+
+  test("returns 404 for an unknown project", async () => {
+    mockPrisma.project.findUnique.mockResolvedValue(null);
+
+    const response = await updateProject(
+      jsonRequest("/api/projects/p1", "PUT", { name: "Renamed" }),
+      context
+    );
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe("DELETE /api/projects/[id]", () => {
+  test("deletes a project and reports its cascaded tasks", async () => {
+    const response = await deleteProject(
+      new Request("http://localhost/api/projects/p1", { method: "DELETE" }),
+      context
+    );
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(mockPrisma.project.delete).toHaveBeenCalledWith({ where: { id: "p1" } });
+    expect(body.data.cascaded.tasks).toBe(2);
+  });
+
+  test("rejects viewers", async () => {
+    signedIn.current = users.viewer;
+
+    const response = await deleteProject(
+      new Request("http://localhost/api/projects/p1", { method: "DELETE" }),
+      context
+    );
+
+    expect(response.status).toBe(403);
+    expect(mockPrisma.project.delete).not.toHaveBeenCalled();
+  });
+});
+
+describe("GET /api/tasks?projectId=", () => {
+  test("only returns tasks from the requested project", async () => {
+    signedIn.current = users.viewer;
+
+    const response = await listTasks(new Request("http://localhost/api/tasks?projectId=p1"));
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(mockPrisma.task.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { projectId: "p1" } })
+    );
+    expect(mockPrisma.task.count).toHaveBeenCalledWith({ where: { projectId: "p1" } });
+    expect(body.data.filters.projectId).toBe("p1");
+  });
+
+  test("returns tasks from every project without a projectId", async () => {
+    await listTasks(new Request("http://localhost/api/tasks"));
+
+    expect(mockPrisma.task.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: {} }));
+  });
+});
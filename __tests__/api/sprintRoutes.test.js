@@ -0,0 +1,216 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Route Test: POST /api/sprints/[id]/start and /api/sprints/[id]/close
+ * Calls the real handlers against an in-memory fake Prisma client whose
+ * transactions work on a copy of the data and only keep it if the callback
+ * succeeds, like a database rolling back.
+ */
+
+// The routes create their own client; the fake is exported alongside it for the tests
+jest.mock("@prisma/client", () => {
+  const matches = (row, where = {}) =>
+    Object.entries(where).every(([field, value]) =>
+      value && typeof value === "object" && "not" in value
+        ? row[field] !== value.not
+        : row[field] === value
+    );
+
+  const table = (rows) => ({
+    findUnique: jest.fn(async ({ where }) => rows().find((row) => matches(row, where)) || null),
+    findFirst: jest.fn(async ({ where }) => rows().find((row) => matches(row, where)) || null),
+    findMany: jest.fn(async ({ where }) => rows().filter((row) => matches(row, where))),
+    count: jest.fn(async ({ where }) => rows().filter((row) => matches(row, where)).length),
+    update: jest.fn(async ({ where, data }) => {
+      const row = rows().find((candidate) => matches(candidate, where));
+      if (!row) throw Object.assign(new Error("Record not found"), { code: "P2025" });
+      return Object.assign(row, data);
+    }),
+    updateMany: jest.fn(async ({ where, data }) => {
+      const found = rows().filter((row) => matches(row, where));
+      found.forEach((row) => Object.assign(row, data));
+      return { count: found.length };
+    }),
+  });
+
+  const mockDb = { sprints: [], tasks: [], taskEvents: [] };
+  const client = (state) => ({
+    sprint: table(() => state.sprints),
+    task: table(() => state.tasks),
+    taskEvent: {
+      createMany: jest.fn(async ({ data }) => {
+        state.taskEvents.push(...data);
+        return { count: data.length };
+      }),
+    },
+    sprintSnapshot: { upsert: jest.fn(async ({ create }) => create) },
+  });
+
+  const mockPrisma = {
+    ...client(mockDb),
+    $transaction: jest.fn(async (callback) => {
+      const draft = structuredClone(mockDb);
+      const result = await callback(mockPrisma.txClient(draft));
+      Object.assign(mockDb, draft);
+      return result;
+    }),
+    // Overridable per test to make a step inside the transaction fail
+    txClient: jest.fn(client),
+  };
+  return { PrismaClient: jest.fn(() => mockPrisma), mockPrisma, mockDb, mockClient: client };
+});
+jest.mock("@prisma/adapter-pg", () => ({ PrismaPg: jest.fn() }));
+jest.mock("pg", () => ({ __esModule: true, Pool: jest.fn(), default: { Pool: jest.fn() } }));
+jest.mock("@/lib/rbac-middleware", () => ({
+  requirePermission: jest.fn(() => ({
+    user: { userId: "m1", email: "manager@example.com", role: "manager" },
+  })),
+}));
+jest.mock("@/lib/cache/invalidation", () => ({ invalidateCaches: jest.fn() }));
+jest.mock("@/lib/eventBus", () => ({ publishTasksUpdated: jest.fn() }));
+
+import { mockPrisma, mockDb, mockClient } from "@prisma/client";
+import { invalidateCaches } from "@/lib/cache/invalidation";
+import { publishTasksUpdated } from "@/lib/eventBus";
+import { POST as startSprint } from "@/app/api/sprints/[id]/start/route";
+import { POST as closeSprint } from "@/app/api/sprints/[id]/close/route";
+
+const sprint = (id, state, startDate) => ({
+  id,
+  name: `Sprint ${id}`,
+  state,
+  projectId: "p1",
+  startDate: new Date(startDate),
+  closedAt: null,
+  createdAt: new Date(startDate),
+});
+
+const task = (id, sprintId, status, statusCategory) => ({
+  id,
+  projectId: "p1",
+  sprintId,
+  status,
+  statusCategory,
+});
+
+const context = (id) => ({ params: Promise.resolve({ id }) });
+
+const post = (url, body) =>
+  new Request(`http://localhost${url}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+const sprintOf = (id) => mockDb.tasks.find((row) => row.id === id).sprintId;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.txClient.mockImplementation(mockClient);
+  mockDb.sprints = [
+    sprint("s1", "active", "2026-10-01"),
+    sprint("s2", "planned", "2026-10-15"),
+    sprint("s3", "planned", "2026-10-29"),
+  ];
+  mockDb.tasks = [
+    task("t1", "s1", "Done", "done"),
+    task("t2", "s1", "InProgress", "doing"),
+    task("t3", "s1", "Todo", "todo"),
+  ];
+  mockDb.taskEvents = [];
+});
+
+describe("POST /api/sprints/[id]/close", () => {
+  test("moves unfinished tasks to the backlog and closes the sprint", async () => {
+    const response = await closeSprint(post("/api/sprints/s1/close", {}), context("s1"));
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.data).toMatchObject({ movedTo: "backlog", movedCount: 2, completedCount: 1 });
+    expect([sprintOf("t1"), sprintOf("t2"), sprintOf("t3")]).toEqual(["s1", null, null]);
+    expect(mockDb.sprints[0].state).toBe("closed");
+    expect(mockDb.taskEvents).toEqual([
+      expect.objectContaining({ taskId: "t2", actorId: "m1", field: "sprintId", newValue: null }),
+      expect.objectContaining({ taskId: "t3", actorId: "m1", field: "sprintId", newValue: null }),
+    ]);
+    expect(invalidateCaches).toHaveBeenCalledWith({ projectIds: ["p1"] });
+    expect(publishTasksUpdated).toHaveBeenCalledWith(mockPrisma, ["t2", "t3"]);
+  });
+
+  test("moves unfinished tasks to the next planned sprint", async () => {
+    const response = await closeSprint(
+      post("/api/sprints/s1/close", { moveTo: "next" }),
+      context("s1")
+    );
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.data.movedTo).toEqual({ id: "s2", name: "Sprint s2" });
+    expect([sprintOf("t1"), sprintOf("t2"), sprintOf("t3")]).toEqual(["s1", "s2", "s2"]);
+  });
+
+  test("rejects a sprint that isn't active", async () => {
+    const response = await closeSprint(post("/api/sprints/s2/close", {}), context("s2"));
+    const body = await response.json();
+
+    expect(response.status).toBe(409);
+    expect(body.error.code).toBe("E702");
+    expect(mockDb.sprints[1].state).toBe("planned");
+  });
+
+  test("rolls back the moved tasks when closing the sprint fails", async () => {
+    mockPrisma.txClient.mockImplementation((state) => {
+      const tx = mockClient(state);
+      tx.sprint.update.mockRejectedValue(new Error("connection lost"));
+      return tx;
+    });
+
+    const response = await closeSprint(post("/api/sprints/s1/close", {}), context("s1"));
+
+    expect(response.status).toBe(500);
+    expect([sprintOf("t1"), sprintOf("t2"), sprintOf("t3")]).toEqual(["s1", "s1", "s1"]);
+    expect(mockDb.sprints[0].state).toBe("active");
+    expect(mockDb.taskEvents).toEqual([]);
+    expect(invalidateCaches).not.toHaveBeenCalled();
+    expect(publishTasksUpdated).not.toHaveBeenCalled();
+  });
+});
+
+describe("POST /api/sprints/[id]/start", () => {
+  test("starts a planned sprint once the active one is closed", async () => {
+    mockDb.sprints[0].state = "closed";
+
+    const response = await startSprint(post("/api/sprints/s2/start", {}), context("s2"));
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.data).toMatchObject({ id: "s2", state: "active" });
+  });
+
+  test("refuses while another sprint of the project is active", async () => {
+    const response = await startSprint(post("/api/sprints/s2/start", {}), context("s2"));
+    const body = await response.json();
+
+    expect(response.status).toBe(409);
+    expect(body.error.details).toEqual({ activeSprintId: "s1" });
+    expect(mockDb.sprints[1].state).toBe("planned");
+  });
+
+  test("refuses when a concurrent start wins the race", async () => {
+    mockDb.sprints[0].state = "closed";
+    mockPrisma.txClient.mockImplementation((state) => {
+      const tx = mockClient(state);
+      tx.sprint.updateMany.mockRejectedValue(
+        Object.assign(new Error("Unique constraint failed"), { code: "P2002" })
+      );
+      return tx;
+    });
+
+    const response = await startSprint(post("/api/sprints/s2/start", {}), context("s2"));
+
+    expect(response.status).toBe(409);
+    expect(mockDb.sprints[1].state).toBe("planned");
+  });
+});
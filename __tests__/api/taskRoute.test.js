@@ -0,0 +1,156 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Route Test: /api/tasks/[id]
+ * Calls the real GET and PUT handlers the way Next 16 does, with `params`
+ * as a Promise, against a fake Prisma client.
+ */
+
+// The route creates its own client; the fake is exported alongside it for the tests
+jest.mock("@prisma/client", () => {
+  const mockPrisma = {
+    task: {
+      findUnique: jest.fn(),
+      findFirst: jest.fn(),
+      update: jest.fn(),
+    },
+    taskDependency: { findMany: jest.fn() },
+    taskEvent: { createMany: jest.fn() },
+    $transaction: jest.fn((callback) => callback(mockPrisma)),
+  };
+  return { PrismaClient: jest.fn(() => mockPrisma), mockPrisma };
+});
+jest.mock("@prisma/adapter-pg", () => ({ PrismaPg: jest.fn() }));
+jest.mock("pg", () => ({ __esModule: true, default: { Pool: jest.fn() } }));
+jest.mock("@/lib/rbac-middleware", () => ({
+  requirePermission: jest.fn(() => ({
+    user: { userId: "u1", email: "editor@example.com", role: "editor" },
+  })),
+  checkOwnership: jest.fn(),
+}));
+jest.mock("@/lib/cache/invalidation", () => ({ invalidateCaches: jest.fn() }));
+jest.mock("@/lib/eventBus", () => ({
+  publishEvent: jest.fn(),
+  EVENT_TYPES: { TASK_UPDATED: "task.updated", NOTIFICATION_CREATED: "notification.created" },
+}));
+
+import { mockPrisma } from "@prisma/client";
+import { GET, PUT } from "@/app/api/tasks/[id]/route";
+
+const existingTask = {
+  id: "t1",
+  title: "Write docs",
+  description: null,
+  descriptionHtml: null,
+  creatorId: "u1",
+  assigneeId: null,
+  parentId: null,
+  projectId: null,
+  sprintId: null,
+  status: "Todo",
+  statusCategory: "todo",
+  priority: "Medium",
+  dueDate: null,
+  storyPoints: null,
+};
+
+const context = (id) => ({ params: Promise.resolve({ id }) });
+
+const putRequest = (body) =>
+  new Request("http://localhost/api/tasks/t1", {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.taskDependency.findMany.mockResolvedValue([]);
+  mockPrisma.taskEvent.createMany.mockResolvedValue({ count: 1 });
+  mockPrisma.task.update.mockImplementation(({ data }) =>
+    Promise.resolve({ ...existingTask, ...data, labels: [] })
+  );
+});
+
+describe("GET /api/tasks/[id]", () => {
+  test("loads the task named by the awaited params", async () => {
+    mockPrisma.task.findUnique.mockResolvedValue({
+      ...existingTask,
+      subtasks: [],
+      checklistItems: [],
+      blockedBy: [],
+      comments: [],
+    });
+
+    const response = await GET(new Request("http://localhost/api/tasks/t1"), context("t1"));
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.data).toMatchObject({ id: "t1", title: "Write docs", isBlocked: false });
+    expect(mockPrisma.task.findUnique).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { id: "t1" } })
+    );
+  });
+
+  test("returns 404 for an unknown task", async () => {
+    mockPrisma.task.findUnique.mockResolvedValue(null);
+
+    const response = await GET(new Request("http://localhost/api/tasks/nope"), context("nope"));
+    expect(response.status).toBe(404);
+  });
+});
+
+describe("PUT /api/tasks/[id]", () => {
+  beforeEach(() => {
+    mockPrisma.task.findUnique.mockResolvedValue(existingTask);
+  });
+
+  test("saves edits made on the task detail page", async () => {
+    const response = await PUT(putRequest({ title: "Write better docs" }), context("t1"));
+
+    expect(response.status).toBe(200);
+    expect(mockPrisma.task.findUnique).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { id: "t1" } })
+    );
+    expect(mockPrisma.task.update).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { id: "t1" }, data: { title: "Write better docs" } })
+    );
+  });
+
+  test("saves a board move with its new status and rank", async () => {
+    const response = await PUT(putRequest({ status: "InProgress", rank: "m" }), context("t1"));
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(mockPrisma.task.update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { id: "t1" },
+        data: { status: "InProgress", statusCategory: "doing", rank: "m" },
+      })
+    );
+    expect(body.data).toMatchObject({ status: "InProgress", rank: "m" });
+  });
+
+  test("ranks a status move without a rank at the bottom of the new column", async () => {
+    mockPrisma.task.findFirst.mockResolvedValue({ rank: "m" });
+
+    const response = await PUT(putRequest({ status: "InProgress" }), context("t1"));
+
+    expect(response.status).toBe(200);
+    expect(mockPrisma.task.findFirst).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { projectId: null, status: "InProgress" } })
+    );
+    const { data } = mockPrisma.task.update.mock.calls[0][0];
+    expect(data.rank > "m").toBe(true);
+  });
+
+  test("returns 404 for an unknown task", async () => {
+    mockPrisma.task.findUnique.mockResolvedValue(null);
+
+    const response = await PUT(putRequest({ title: "x" }), context("nope"));
+    expect(response.status).toBe(404);
+    expect(mockPrisma.task.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Unit tests for batched audit log writes, retention pruning and query helpers
+ */
+import {
+  buildAuditLogWhere,
+  createAuditLogWriter,
+  queryAuditLogs,
+  toAuditLogRecord,
+} from "@/lib/audit-log";
+
+const entry = (overrides = {}) => ({
+  userId: "u1",
+  email: "a@example.com",
+  role: "admin",
+  resource: "tasks",
+  action: "read",
+  allowed: true,
+  endpoint: "/api/tasks",
+  ip: "127.0.0.1",
+  reason: "Permission granted",
+  ...overrides,
+});
+
+// In-memory stand-in for prisma.auditLog
+const fakeDb = ({ failWrites = 0 } = {}) => {
+  const db = {
+    rows: [],
+    writes: 0,
+    deleted: [],
+    auditLog: {
+      createMany: jest.fn(async ({ data }) => {
+        db.writes += 1;
+        if (failWrites > 0) {
+          failWrites -= 1;
+          throw new Error("database unavailable");
+        }
+        db.rows.push(...data);
+        return { count: data.length };
+      }),
+      deleteMany: jest.fn(async ({ where }) => {
+        db.deleted.push(where.createdAt.lt);
+        return { count: 0 };
+      }),
+    },
+  };
+  return db;
+};
+
+describe("toAuditLogRecord", () => {
+  test("stores unknown users from failed authentication as null", () => {
+    const record = toAuditLogRecord(entry({ userId: "unknown", email: "unknown", ip: "unknown" }));
+    expect(record).toMatchObject({ userId: null, email: null, ip: null, allowed: true });
+  });
+});
+
+describe("createAuditLogWriter", () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test("buffers entries until the flush interval", async () => {
+    const db = fakeDb();
+    const writer = createAuditLogWriter(db, { batchSize: 10, flushIntervalMs: 1000 });
+
+    writer.enqueue(entry());
+    writer.enqueue(entry());
+    expect(db.auditLog.createMany).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(db.auditLog.createMany).toHaveBeenCalledTimes(1);
+    expect(db.rows).toHaveLength(2);
+    expect(writer.pendingCount()).toBe(0);
+  });
+
+  test("flushes immediately once a batch is full", async () => {
+    const db = fakeDb();
+    const writer = createAuditLogWriter(db, { batchSize: 2, flushIntervalMs: 1000 });
+
+    writer.enqueue(entry());
+    writer.enqueue(entry());
+    await writer.flush();
+
+    expect(db.rows).toHaveLength(2);
+  });
+
+  test("keeps entries after a failed write and retries", async () => {
+    const db = fakeDb({ failWrites: 1 });
+    const writer = createAuditLogWriter(db, { batchSize: 10, flushIntervalMs: 1000 });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    writer.enqueue(entry());
+    await writer.flush();
+    expect(writer.pendingCount()).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(db.rows).toHaveLength(1);
+    expect(writer.pendingCount()).toBe(0);
+    console.error.mockRestore();
+  });
+
+  test("drops the oldest entries beyond the buffer limit", () => {
+    const db = fakeDb();
+    const writer = createAuditLogWriter(db, { batchSize: 100, maxBuffer: 3 });
+
+    for (let i = 0; i < 5; i++) writer.enqueue(entry({ reason: `r${i}` }));
+    expect(writer.pendingCount()).toBe(3);
+  });
+
+  test("prunes entries older than the retention period after a flush", async () => {
+    const db = fakeDb();
+    const now = new Date("2026-10-19T00:00:00Z");
+    const writer = createAuditLogWriter(db, { retentionDays: () => 30, now: () => now });
+
+    writer.enqueue(entry());
+    await writer.flush();
+
+    expect(db.deleted).toEqual([new Date("2026-09-19T00:00:00Z")]);
+
+    // Not again until the prune interval has passed
+    writer.enqueue(entry());
+    await writer.flush();
+    expect(db.auditLog.deleteMany).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("buildAuditLogWhere", () => {
+  test("maps filters to a Prisma where clause", () => {
+    const from = new Date("2026-10-01");
+    const to = new Date("2026-10-19");
+
+    expect(
+      buildAuditLogWhere({
+        userId: "u1",
+        resource: "tasks",
+        action: "delete",
+        allowed: false,
+        from,
+        to,
+      })
+    ).toEqual({
+      userId: "u1",
+      resource: "tasks",
+      action: "delete",
+      allowed: false,
+      createdAt: { gte: from, lte: to },
+    });
+  });
+
+  test("returns an empty clause without filters", () => {
+    expect(buildAuditLogWhere({})).toEqual({});
+  });
+});
+
+describe("queryAuditLogs", () => {
+  const dbWithRows = (count) => ({
+    auditLog: {
+      findMany: jest.fn(async ({ take }) =>
+        Array.from({ length: Math.min(take, count) }, (_, i) => ({ id: `log${i}` }))
+      ),
+    },
+  });
+
+  test("returns a cursor when there are more rows", async () => {
+    const db = dbWithRows(5);
+    const { logs, nextCursor } = await queryAuditLogs(db, { limit: 2 });
+
+    expect(logs).toHaveLength(2);
+    expect(nextCursor).toBe("log1");
+    expect(db.auditLog.findMany).toHaveBeenCalledWith(expect.objectContaining({ take: 3 }));
+  });
+
+  test("continues after the cursor", async () => {
+    const db = dbWithRows(1);
+    const { nextCursor } = await queryAuditLogs(db, { cursor: "log1", limit: 2 });
+
+    expect(nextCursor).toBeNull();
+    expect(db.auditLog.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({ cursor: { id: "log1" }, skip: 1 })
+    );
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for burndown/velocity report helpers
+ */
+import { buildBurndown, buildVelocity, summarizeTasks, toDateKey } from "@/lib/reports/burndown";
+
+const snapshot = (date, remainingTasks, totalTasks = 4, points = {}) => ({
+  date: new Date(`${date}T00:00:00Z`),
+  totalTasks,
+  remainingTasks,
+  totalPoints: points.total ?? 0,
+  remainingPoints: points.remaining ?? 0,
+});
+
+describe("summarizeTasks", () => {
+  test("counts remaining work as everything not done", () => {
+    const summary = summarizeTasks([
+      { statusCategory: "done", storyPoints: 3 },
+      { statusCategory: "doing", storyPoints: 5 },
+      { statusCategory: "todo", storyPoints: null },
+    ]);
+
+    expect(summary).toEqual({
+      totalTasks: 3,
+      remainingTasks: 2,
+      totalPoints: 8,
+      remainingPoints: 5,
+    });
+  });
+});
+
+describe("buildBurndown", () => {
+  const sprint = { startDate: "2026-01-05T09:00:00Z", endDate: "2026-01-09T17:00:00Z" };
+
+  test("has one day per sprint day with an ideal line down to zero", () => {
+    const { days } = buildBurndown(sprint, [snapshot("2026-01-05", 4)], new Date("2026-01-05"));
+
+    expect(days.map((d) => d.date)).toEqual([
+      "2026-01-05",
+      "2026-01-06",
+      "2026-01-07",
+      "2026-01-08",
+      "2026-01-09",
+    ]);
+    expect(days[0].ideal).toBe(4);
+    expect(days[4].ideal).toBe(0);
+  });
+
+  test("carries values over missing days and leaves future days empty", () => {
+    const { days, metric } = buildBurndown(
+      sprint,
+      [snapshot("2026-01-05", 4), snapshot("2026-01-07", 2)],
+      new Date("2026-01-08T12:00:00Z")
+    );
+
+    expect(metric).toBe("tasks");
+    expect(days.map((d) => d.remaining)).toEqual([4, 4, 2, 2, null]);
+  });
+
+  test("uses story points when the sprint has any", () => {
+    const { metric, days } = buildBurndown(
+      sprint,
+      [snapshot("2026-01-05", 4, 4, { total: 13, remaining: 13 })],
+      new Date("2026-01-05")
+    );
+
+    expect(metric).toBe("points");
+    expect(days[0].remaining).toBe(13);
+  });
+});
+
+describe("buildVelocity", () => {
+  test("compares first-day scope with work done at close", () => {
+    const velocity = buildVelocity([
+      {
+        id: "s2",
+        name: "Sprint 2",
+        endDate: "2026-01-30",
+        snapshots: [
+          snapshot("2026-01-19", 5, 5, { total: 20, remaining: 20 }),
+          snapshot("2026-01-30", 1, 6, { total: 22, remaining: 4 }),
+        ],
+      },
+      {
+        id: "s1",
+        name: "Sprint 1",
+        endDate: "2026-01-16",
+        snapshots: [snapshot("2026-01-16", 2, 4, { total: 10, remaining: 4 })],
+      },
+      { id: "s0", name: "No data", endDate: "2026-01-02", snapshots: [] },
+    ]);
+
+    expect(velocity.sprints.map((s) => s.sprintId)).toEqual(["s1", "s2"]);
+    expect(velocity.sprints[1]).toMatchObject({
+      committedPoints: 20,
+      completedPoints: 18,
+      committedTasks: 5,
+      completedTasks: 5,
+    });
+    expect(velocity.averagePoints).toBe(12);
+  });
+});
+
+describe("toDateKey", () => {
+  test("formats dates as UTC days", () => {
+    expect(toDateKey("2026-03-01T23:30:00Z")).toBe("2026-03-01");
+  });
+});
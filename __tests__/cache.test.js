@@ -0,0 +1,167 @@
+/**
+ * Unit tests for the cache drivers and the cache-aside helpers in lib/redis.js
+ * (REDIS_URL is unset in tests, so lib/redis.js uses the in-memory driver)
+ */
+import { createMemoryDriver, globToRegExp } from "@/lib/cache/memoryDriver";
+import { createRedisDriver } from "@/lib/cache/redisDriver";
+import {
+  deleteCache,
+  deleteCachePattern,
+  getCache,
+  getCacheStats,
+  isRedisConnected,
+  resetCacheStats,
+  setCache,
+} from "@/lib/redis";
+
+describe("globToRegExp", () => {
+  test("matches Redis-style wildcards", () => {
+    expect(globToRegExp("tasks:list:*").test("tasks:list:page=1")).toBe(true);
+    expect(globToRegExp("tasks:list:*").test("users:list:page=1")).toBe(false);
+    expect(globToRegExp("files:user:?").test("files:user:1")).toBe(true);
+  });
+
+  test("treats regex characters literally", () => {
+    expect(globToRegExp("a.b(c)").test("a.b(c)")).toBe(true);
+    expect(globToRegExp("a.b").test("axb")).toBe(false);
+  });
+});
+
+describe("createMemoryDriver", () => {
+  test("expires entries after their TTL", async () => {
+    let now = 0;
+    const driver = createMemoryDriver({ now: () => now });
+
+    await driver.set("k", "v", 60);
+    expect(await driver.get("k")).toBe("v");
+
+    now = 60_000;
+    expect(await driver.get("k")).toBeNull();
+  });
+
+  test("evicts the least recently used entry", async () => {
+    const driver = createMemoryDriver({ maxEntries: 2 });
+
+    await driver.set("a", "1", 60);
+    await driver.set("b", "2", 60);
+    await driver.get("a"); // a is now more recent than b
+    await driver.set("c", "3", 60);
+
+    expect(await driver.get("a")).toBe("1");
+    expect(await driver.get("b")).toBeNull();
+    expect(await driver.get("c")).toBe("3");
+  });
+
+  test("deletes keys by pattern", async () => {
+    const driver = createMemoryDriver();
+    await driver.set("tasks:list:1", "x", 60);
+    await driver.set("tasks:list:2", "x", 60);
+    await driver.set("users:list:1", "x", 60);
+
+    expect(await driver.deletePattern("tasks:list:*")).toBe(2);
+    expect(await driver.size()).toBe(1);
+  });
+
+  test("deletes entries by tag", async () => {
+    const driver = createMemoryDriver();
+    await driver.set("a", "1", 60);
+    await driver.set("b", "2", 60);
+    await driver.tagKey("a", ["project:p1"]);
+    await driver.tagKey("b", ["project:p2"]);
+
+    expect(await driver.deleteTagged(["project:p1"])).toBe(1);
+    expect(await driver.get("a")).toBeNull();
+    expect(await driver.get("b")).toBe("2");
+  });
+
+  test("forgets tags of evicted entries", async () => {
+    const driver = createMemoryDriver({ maxEntries: 1 });
+    await driver.set("a", "1", 60);
+    await driver.tagKey("a", ["t"]);
+    await driver.set("b", "2", 60); // evicts a
+    await driver.set("a", "3", 60); // re-added without the tag
+
+    expect(await driver.deleteTagged(["t"])).toBe(0);
+    expect(await driver.get("a")).toBe("3");
+  });
+});
+
+describe("createRedisDriver", () => {
+  test("deletes by pattern with SCAN until the cursor returns to 0", async () => {
+    const pages = { 0: ["7", ["tasks:list:1", "tasks:list:2"]], 7: ["0", ["tasks:list:3"]] };
+    const client = {
+      scan: jest.fn(async (cursor) => pages[cursor]),
+      unlink: jest.fn(async (...keys) => keys.length),
+    };
+
+    const driver = createRedisDriver(client);
+
+    await expect(driver.deletePattern("tasks:list:*")).resolves.toBe(3);
+    expect(client.scan).toHaveBeenCalledWith("0", "MATCH", "tasks:list:*", "COUNT", 100);
+    expect(client.unlink).toHaveBeenCalledTimes(2);
+  });
+
+  test("reads and drops a tag set atomically, then unlinks its keys", async () => {
+    const multi = {
+      smembers: jest.fn(() => multi),
+      unlink: jest.fn(() => multi),
+      exec: jest.fn(async () => [
+        [null, ["tasks:list:1", "tasks:list:2"]],
+        [null, 1],
+      ]),
+    };
+    const client = {
+      multi: () => multi,
+      unlink: jest.fn(async (...keys) => keys.length),
+    };
+
+    await expect(createRedisDriver(client).deleteTagged(["project:p1"])).resolves.toBe(2);
+    expect(multi.smembers).toHaveBeenCalledWith("cache:tag:project:p1");
+    expect(client.unlink).toHaveBeenCalledWith("tasks:list:1", "tasks:list:2");
+  });
+
+  test("sets a TTL with EX", async () => {
+    const client = { set: jest.fn(async () => "OK") };
+    await createRedisDriver(client).set("k", "v", 60);
+    expect(client.set).toHaveBeenCalledWith("k", "v", "EX", 60);
+  });
+});
+
+describe("cache helpers (in-memory fallback)", () => {
+  beforeEach(async () => {
+    await deleteCachePattern("*");
+    resetCacheStats();
+  });
+
+  test("round-trips JSON and counts hits and misses", async () => {
+    expect(await getCache("tasks:list:a")).toBeNull();
+
+    await setCache("tasks:list:a", { tasks: [{ id: "t1" }] }, 60);
+    expect(await getCache("tasks:list:a")).toEqual({ tasks: [{ id: "t1" }] });
+
+    const stats = await getCacheStats();
+    expect(stats).toMatchObject({ backend: "memory", hits: 1, misses: 1, sets: 1, hitRate: 0.5 });
+  });
+
+  test("returns copies, not shared references", async () => {
+    const data = { count: 1 };
+    await setCache("k", data, 60);
+    data.count = 2;
+
+    expect(await getCache("k")).toEqual({ count: 1 });
+  });
+
+  test("deletes single keys and patterns", async () => {
+    await setCache("files:user:1", [], 60);
+    await setCache("tasks:list:a", [], 60);
+    await setCache("tasks:list:b", [], 60);
+
+    expect(await deleteCache("files:user:1")).toBe(1);
+    expect(await deleteCachePattern("tasks:list:*")).toBe(2);
+    expect((await getCacheStats()).deletes).toBe(3);
+  });
+
+  test("reports Redis as not connected", () => {
+    expect(isRedisConnected()).toBe(false);
+  });
+});
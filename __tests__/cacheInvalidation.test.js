@@ -0,0 +1,93 @@
+/**
+ * Unit tests for cache tagging and tag-based invalidation
+ * (uses the in-memory cache driver, REDIS_URL is unset in tests)
+ */
+import {
+  CACHE_TAGS,
+  invalidateCaches,
+  invalidationTags,
+  taskListTags,
+} from "@/lib/cache/invalidation";
+import { deleteCachePattern, getCache, setCache } from "@/lib/redis";
+
+const task = (id, projectId, assigneeId = null, creatorId = "creator") => ({
+  id,
+  projectId,
+  assigneeId,
+  creatorId,
+});
+
+describe("taskListTags", () => {
+  test("scopes project lists by project", () => {
+    const tags = taskListTags({ projectId: "p1", assigneeId: "u1" }, [task("t1", "p1", "u1")]);
+
+    expect(tags).toContain("project:p1");
+    expect(tags).not.toContain("assignee:u1");
+    expect(tags).not.toContain(CACHE_TAGS.ALL_TASKS);
+    expect(tags).toEqual(expect.arrayContaining(["task:t1", "user:creator", "user:u1"]));
+  });
+
+  test("scopes assignee lists by assignee, and everything else as unscoped", () => {
+    expect(taskListTags({ assigneeId: "u1" })).toEqual(["assignee:u1"]);
+    expect(taskListTags({})).toEqual([CACHE_TAGS.ALL_TASKS]);
+  });
+});
+
+describe("invalidationTags", () => {
+  test("covers the old and new project and assignee of a moved task", () => {
+    const tags = invalidationTags({ tasks: [task("t1", "p1", "u1"), task("t1", "p2", "u2")] });
+
+    expect(tags).toEqual(
+      expect.arrayContaining([
+        "task:t1",
+        "project:p1",
+        "project:p2",
+        "assignee:u1",
+        "assignee:u2",
+        CACHE_TAGS.ALL_TASKS,
+      ])
+    );
+  });
+
+  test("only touches lists containing the task for embedded changes", () => {
+    expect(invalidationTags({ taskIds: ["t1"] })).toEqual(["task:t1"]);
+  });
+
+  test("drops user lists and lists showing the user", () => {
+    expect(invalidationTags({ userIds: ["u1"] })).toEqual(["user:u1", CACHE_TAGS.USERS]);
+  });
+});
+
+describe("invalidateCaches", () => {
+  const cacheList = (key, filters, tasks) =>
+    setCache(key, { tasks }, 60, taskListTags(filters, tasks));
+
+  beforeEach(async () => {
+    await deleteCachePattern("*");
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => console.log.mockRestore());
+
+  test("a task change only drops the lists it affects", async () => {
+    await cacheList("list:p1", { projectId: "p1" }, [task("t1", "p1")]);
+    await cacheList("list:p2", { projectId: "p2" }, [task("t2", "p2")]);
+    await cacheList("list:all", {}, [task("t1", "p1"), task("t2", "p2")]);
+
+    await invalidateCaches({ tasks: [task("t1", "p1")] });
+
+    expect(await getCache("list:p1")).toBeNull();
+    expect(await getCache("list:all")).toBeNull();
+    expect(await getCache("list:p2")).not.toBeNull();
+  });
+
+  test("a comment only drops lists that contain its task", async () => {
+    await cacheList("list:u1", { assigneeId: "u1" }, [task("t1", "p1", "u1")]);
+    await cacheList("list:u2", { assigneeId: "u2" }, [task("t2", "p1", "u2")]);
+
+    await invalidateCaches({ taskIds: ["t1"] });
+
+    expect(await getCache("list:u1")).toBeNull();
+    expect(await getCache("list:u2")).not.toBeNull();
+  });
+});
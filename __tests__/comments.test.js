@@ -0,0 +1,254 @@
+/**
+ * Unit tests for comment validation (lib/schemas/commentSchema.js),
+ * threads (lib/comments/threads.js) and reactions (lib/comments/reactions.js)
+ */
+import { createCommentSchema, toggleReactionSchema } from "@/lib/schemas/commentSchema";
+import {
+  checkReplyParent,
+  restoreComment,
+  reviseComment,
+  serializeComment,
+  softDeleteComment,
+} from "@/lib/comments/threads";
+import { summarizeReactions, toggleReaction } from "@/lib/comments/reactions";
+import { ERROR_CODES } from "@/lib/errorCodes";
+
+describe("createCommentSchema", () => {
+  test("accepts content and a task id (cuid)", () => {
+    expect(
+      createCommentSchema.parse({ taskId: "cm1abc2def3ghi4jkl5mno6pq", content: "Looks good" })
+    ).toEqual({ taskId: "cm1abc2def3ghi4jkl5mno6pq", content: "Looks good" });
+  });
+
+  test("drops a client-supplied author", () => {
+    const parsed = createCommentSchema.parse({ taskId: "t1", content: "Hi", userId: "someone" });
+    expect(parsed).not.toHaveProperty("userId");
+  });
+
+  test("rejects empty, whitespace-only and overlong content", () => {
+    expect(createCommentSchema.safeParse({ taskId: "t1", content: "" }).success).toBe(false);
+    expect(createCommentSchema.safeParse({ taskId: "t1", content: "   " }).success).toBe(false);
+    expect(createCommentSchema.safeParse({ taskId: "t1", content: "a".repeat(1001) }).success).toBe(
+      false
+    );
+  });
+
+  test("requires a task", () => {
+    expect(createCommentSchema.safeParse({ content: "Hi" }).success).toBe(false);
+  });
+
+  test("accepts an optional parent comment", () => {
+    expect(
+      createCommentSchema.parse({ taskId: "t1", content: "Hi", parentId: "c1" }).parentId
+    ).toBe("c1");
+    expect(
+      createCommentSchema.parse({ taskId: "t1", content: "Hi", parentId: null }).parentId
+    ).toBe(null);
+    expect(
+      createCommentSchema.safeParse({ taskId: "t1", content: "Hi", parentId: "" }).success
+    ).toBe(false);
+  });
+});
+
+describe("toggleReactionSchema", () => {
+  test("only accepts palette emoji", () => {
+    expect(toggleReactionSchema.safeParse({ emoji: "👍" }).success).toBe(true);
+    expect(toggleReactionSchema.safeParse({ emoji: "🦄" }).success).toBe(false);
+    expect(toggleReactionSchema.safeParse({}).success).toBe(false);
+  });
+});
+
+describe("summarizeReactions", () => {
+  test("counts each emoji in palette order and flags the user's own", () => {
+    const reactions = [
+      { emoji: "🎉", userId: "u2" },
+      { emoji: "👍", userId: "u1" },
+      { emoji: "👍", userId: "u2" },
+    ];
+    expect(summarizeReactions(reactions, "u1")).toEqual([
+      { emoji: "👍", count: 2, reacted: true },
+      { emoji: "🎉", count: 1, reacted: false },
+    ]);
+    expect(summarizeReactions([], "u1")).toEqual([]);
+  });
+});
+
+describe("toggleReaction", () => {
+  const where = { commentId_userId_emoji: { commentId: "c1", userId: "u1", emoji: "👍" } };
+
+  test("adds a missing reaction", async () => {
+    const db = {
+      commentReaction: {
+        findUnique: jest.fn().mockResolvedValue(null),
+        create: jest.fn().mockResolvedValue({}),
+      },
+    };
+    expect(await toggleReaction(db, { commentId: "c1", userId: "u1", emoji: "👍" })).toEqual({
+      reacted: true,
+    });
+    expect(db.commentReaction.findUnique).toHaveBeenCalledWith({ where, select: { id: true } });
+    expect(db.commentReaction.create).toHaveBeenCalledWith({
+      data: { commentId: "c1", userId: "u1", emoji: "👍" },
+    });
+  });
+
+  test("removes an existing reaction", async () => {
+    const db = {
+      commentReaction: {
+        findUnique: jest.fn().mockResolvedValue({ id: "r1" }),
+        deleteMany: jest.fn().mockResolvedValue({ count: 1 }),
+      },
+    };
+    expect(await toggleReaction(db, { commentId: "c1", userId: "u1", emoji: "👍" })).toEqual({
+      reacted: false,
+    });
+    expect(db.commentReaction.deleteMany).toHaveBeenCalledWith({ where: { id: "r1" } });
+  });
+});
+
+describe("checkReplyParent", () => {
+  const dbWith = (parent) => ({ comment: { findUnique: jest.fn().mockResolvedValue(parent) } });
+  const parent = { id: "c1", taskId: "t1", parentId: null, deletedAt: null };
+
+  test("accepts a top-level comment on the same task", async () => {
+    expect(await checkReplyParent(dbWith(parent), "c1", "t1")).toEqual({ parent });
+  });
+
+  test("rejects missing, foreign, nested and deleted parents", async () => {
+    expect((await checkReplyParent(dbWith(null), "c1", "t1")).error.statusCode).toBe(404);
+
+    for (const invalid of [
+      { ...parent, taskId: "t2" },
+      { ...parent, parentId: "c0" },
+      { ...parent, deletedAt: new Date() },
+    ]) {
+      const result = await checkReplyParent(dbWith(invalid), "c1", "t1");
+      expect(result.error).toMatchObject({
+        code: ERROR_CODES.COMMENT_INVALID_PARENT,
+        statusCode: 400,
+      });
+    }
+  });
+});
+
+describe("serializeComment", () => {
+  test("aggregates reactions on the comment and its replies", () => {
+    const serialized = serializeComment(
+      {
+        id: "c1",
+        content: "Hi",
+        deletedAt: null,
+        reactions: [{ emoji: "👍", userId: "u1" }],
+        replies: [{ id: "c2", content: "Yo", deletedAt: null, reactions: [] }],
+      },
+      "u1"
+    );
+    expect(serialized).toMatchObject({
+      deleted: false,
+      reactions: [{ emoji: "👍", count: 1, reacted: true }],
+      replies: [{ id: "c2", deleted: false, reactions: [] }],
+    });
+  });
+
+  test("flags the current user's own comments", () => {
+    const comment = { id: "c1", content: "Hi", userId: "u1", deletedAt: null, reactions: [] };
+    expect(serializeComment(comment, "u1").own).toBe(true);
+    expect(serializeComment(comment, "u2").own).toBe(false);
+    expect(serializeComment(comment).own).toBe(false);
+  });
+
+  test("hides the author, content and reactions of deleted comments", () => {
+    const serialized = serializeComment(
+      {
+        id: "c1",
+        content: "Secret",
+        contentHtml: "<p>Secret</p>",
+        userId: "u1",
+        user: { id: "u1", name: "Ada" },
+        deletedAt: new Date(),
+        deletedBy: { id: "u2", name: "Grace" },
+        reactions: [{ emoji: "👍", userId: "u1" }],
+        replies: [],
+      },
+      "u1"
+    );
+    expect(serialized).toMatchObject({
+      deleted: true,
+      content: "",
+      contentHtml: "",
+      userId: null,
+      user: null,
+      own: false,
+      reactions: [],
+      deletedBy: { id: "u2", name: "Grace" },
+    });
+  });
+});
+
+describe("softDeleteComment", () => {
+  test("marks the comment deleted by the user, keeping its content", async () => {
+    const db = { comment: { update: jest.fn().mockResolvedValue({ id: "c1" }) } };
+    await softDeleteComment(db, "c1", "u2");
+    expect(db.comment.update).toHaveBeenCalledWith({
+      where: { id: "c1" },
+      data: { deletedAt: expect.any(Date), deletedById: "u2" },
+    });
+  });
+});
+
+describe("restoreComment", () => {
+  test("clears the deletion", async () => {
+    const db = { comment: { update: jest.fn().mockResolvedValue({ id: "c1" }) } };
+    await restoreComment(db, "c1");
+    expect(db.comment.update).toHaveBeenCalledWith({
+      where: { id: "c1" },
+      data: { deletedAt: null, deletedById: null },
+      include: undefined,
+    });
+  });
+});
+
+describe("reviseComment", () => {
+  const current = { id: "c1", content: "Frist", contentHtml: "<p>Frist</p>\n" };
+  const fakeDb = () => ({
+    comment: {
+      update: jest.fn(async ({ data }) => ({ ...current, ...data })),
+      findUnique: jest.fn().mockResolvedValue(current),
+    },
+    commentRevision: { create: jest.fn().mockResolvedValue({}) },
+  });
+
+  test("keeps the replaced version and marks the comment edited", async () => {
+    const db = fakeDb();
+    const { comment, revised } = await reviseComment(db, current, {
+      content: "First",
+      contentHtml: "<p>First</p>\n",
+      editorId: "u1",
+    });
+
+    expect(revised).toBe(true);
+    expect(db.commentRevision.create).toHaveBeenCalledWith({
+      data: {
+        commentId: "c1",
+        content: "Frist",
+        contentHtml: "<p>Frist</p>\n",
+        editorId: "u1",
+      },
+    });
+    expect(comment).toMatchObject({ content: "First", editedAt: expect.any(Date) });
+  });
+
+  test("records nothing when the content is unchanged", async () => {
+    const db = fakeDb();
+    const { comment, revised } = await reviseComment(db, current, {
+      content: "Frist",
+      contentHtml: current.contentHtml,
+      editorId: "u1",
+    });
+
+    expect(revised).toBe(false);
+    expect(comment).toBe(current);
+    expect(db.commentRevision.create).not.toHaveBeenCalled();
+    expect(db.comment.update).not.toHaveBeenCalled();
+  });
+});
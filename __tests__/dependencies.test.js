@@ -0,0 +1,60 @@
+/**
+ * Unit tests for task dependency cycle detection and blocking state
+ */
+import { blockingState, findDependencyCycle } from "@/lib/tasks/dependencies";
+
+// In-memory stand-in for the TaskDependency table
+const loaderFor = (links) => async (taskIds) =>
+  links.filter((link) => taskIds.includes(link.blockerId));
+
+const link = (blockerId, blockedId) => ({ blockerId, blockedId });
+
+describe("findDependencyCycle", () => {
+  test("allows links that keep the graph acyclic", async () => {
+    const getOutgoing = loaderFor([link("A", "B"), link("B", "C")]);
+
+    await expect(findDependencyCycle("A", "C", getOutgoing)).resolves.toBeNull();
+    await expect(findDependencyCycle("D", "A", getOutgoing)).resolves.toBeNull();
+  });
+
+  test("rejects a direct back-link", async () => {
+    const getOutgoing = loaderFor([link("A", "B")]);
+
+    await expect(findDependencyCycle("B", "A", getOutgoing)).resolves.toEqual(["A", "B"]);
+  });
+
+  test("rejects a link that closes a longer cycle and returns the path", async () => {
+    const getOutgoing = loaderFor([link("A", "B"), link("B", "C"), link("C", "D")]);
+
+    await expect(findDependencyCycle("D", "A", getOutgoing)).resolves.toEqual(["A", "B", "C", "D"]);
+  });
+
+  test("rejects a task blocking itself", async () => {
+    await expect(findDependencyCycle("A", "A", loaderFor([]))).resolves.toEqual(["A"]);
+  });
+
+  test("terminates on graphs with shared descendants", async () => {
+    const getOutgoing = loaderFor([link("A", "B"), link("A", "C"), link("B", "D"), link("C", "D")]);
+
+    await expect(findDependencyCycle("E", "A", getOutgoing)).resolves.toBeNull();
+  });
+});
+
+describe("blockingState", () => {
+  test("counts blockers that are not done", () => {
+    expect(
+      blockingState([
+        { blocker: { statusCategory: "done" } },
+        { blocker: { statusCategory: "doing" } },
+        { blocker: { statusCategory: "todo" } },
+      ])
+    ).toEqual({ isBlocked: true, openBlockerCount: 2 });
+  });
+
+  test("is not blocked when every blocker is done", () => {
+    expect(blockingState([{ blocker: { statusCategory: "done" } }])).toEqual({
+      isBlocked: false,
+      openBlockerCount: 0,
+    });
+  });
+});
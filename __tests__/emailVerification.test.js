@@ -0,0 +1,113 @@
+/**
+ * Unit tests for email verification tokens and resend throttling
+ * (lib/emailVerification.js)
+ */
+import {
+  EMAIL_VERIFICATION_TTL_HOURS,
+  MAX_VERIFICATION_EMAILS_PER_HOUR,
+  RESEND_COOLDOWN_SECONDS,
+  buildVerifyUrl,
+  createEmailVerificationToken,
+  getResendRetryAfter,
+  resendRetryAfter,
+  verifyEmailWithToken,
+} from "@/lib/emailVerification";
+import { hashToken } from "@/lib/tokens";
+import { verifyEmailSchema } from "@/lib/schemas/authSchema";
+
+const now = new Date("2026-10-20T12:00:00.000Z");
+const secondsAgo = (seconds) => new Date(now.getTime() - seconds * 1000);
+
+const fakeDb = ({ record = { userId: "u1" }, recent = [] } = {}) => ({
+  emailVerificationToken: {
+    create: jest.fn().mockResolvedValue({}),
+    findFirst: jest.fn().mockResolvedValue(record),
+    findMany: jest.fn().mockResolvedValue(recent.map((createdAt) => ({ createdAt }))),
+    deleteMany: jest.fn().mockResolvedValue({ count: 1 }),
+  },
+  user: { updateMany: jest.fn().mockResolvedValue({ count: 1 }) },
+});
+
+describe("verification tokens", () => {
+  test("createEmailVerificationToken stores only the hash, with an expiry", async () => {
+    const db = fakeDb();
+    const { token, expiresAt } = await createEmailVerificationToken(db, "u1", now);
+
+    expect(expiresAt).toEqual(
+      new Date(now.getTime() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+    );
+    expect(db.emailVerificationToken.create).toHaveBeenCalledWith({
+      data: { tokenHash: hashToken(token), userId: "u1", expiresAt, createdAt: now },
+    });
+  });
+
+  test("buildVerifyUrl points at the verification page", () => {
+    expect(buildVerifyUrl("abc", "https://sprintlite.test")).toBe(
+      "https://sprintlite.test/auth/verify-email?token=abc"
+    );
+  });
+
+  test("verifyEmailWithToken looks up unexpired tokens by hash", async () => {
+    const db = fakeDb();
+    await verifyEmailWithToken(db, "tok", now);
+    expect(db.emailVerificationToken.findFirst).toHaveBeenCalledWith({
+      where: { tokenHash: hashToken("tok"), expiresAt: { gt: now } },
+      select: { userId: true },
+    });
+  });
+
+  test("verifyEmailWithToken keeps the first verification time and clears tokens", async () => {
+    const db = fakeDb();
+    expect(await verifyEmailWithToken(db, "tok", now)).toBe("u1");
+    expect(db.user.updateMany).toHaveBeenCalledWith({
+      where: { id: "u1", emailVerified: null },
+      data: { emailVerified: now },
+    });
+    expect(db.emailVerificationToken.deleteMany).toHaveBeenCalledWith({ where: { userId: "u1" } });
+  });
+
+  test("verifyEmailWithToken returns null for unknown or expired tokens", async () => {
+    const db = fakeDb({ record: null });
+    expect(await verifyEmailWithToken(db, "tok", now)).toBeNull();
+    expect(db.user.updateMany).not.toHaveBeenCalled();
+  });
+
+  test("verifyEmailSchema requires a token", () => {
+    expect(verifyEmailSchema.safeParse({ token: "abc" }).success).toBe(true);
+    expect(verifyEmailSchema.safeParse({ token: "" }).success).toBe(false);
+    expect(verifyEmailSchema.safeParse({}).success).toBe(false);
+  });
+});
+
+describe("resend throttling", () => {
+  test("allows the first email", () => {
+    expect(resendRetryAfter([], now)).toBe(0);
+  });
+
+  test("waits out the cooldown after the last email", () => {
+    expect(resendRetryAfter([secondsAgo(10)], now)).toBe(RESEND_COOLDOWN_SECONDS - 10);
+    expect(resendRetryAfter([secondsAgo(RESEND_COOLDOWN_SECONDS)], now)).toBe(0);
+  });
+
+  test("caps the emails per hour", () => {
+    const sent = Array.from({ length: MAX_VERIFICATION_EMAILS_PER_HOUR }, (_, i) =>
+      secondsAgo(3000 - i * 300)
+    );
+    // The oldest of the window was sent 3000s ago, so it leaves the hour in 600s
+    expect(resendRetryAfter(sent, now)).toBe(600);
+  });
+
+  test("ignores emails older than an hour", () => {
+    const sent = Array.from({ length: MAX_VERIFICATION_EMAILS_PER_HOUR }, () => secondsAgo(3700));
+    expect(resendRetryAfter(sent, now)).toBe(0);
+  });
+
+  test("getResendRetryAfter reads the user's emails of the last hour", async () => {
+    const db = fakeDb({ recent: [secondsAgo(30)] });
+    expect(await getResendRetryAfter(db, "u1", now)).toBe(RESEND_COOLDOWN_SECONDS - 30);
+    expect(db.emailVerificationToken.findMany).toHaveBeenCalledWith({
+      where: { userId: "u1", createdAt: { gt: secondsAgo(3600) } },
+      select: { createdAt: true },
+    });
+  });
+});
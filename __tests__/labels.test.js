@@ -0,0 +1,73 @@
+/**
+ * Unit tests for the task label filter helpers
+ */
+import {
+  LABEL_MATCH,
+  MAX_LABEL_FILTER,
+  buildLabelWhere,
+  normalizeLabelIds,
+  parseLabelFilter,
+} from "@/lib/tasks/labels";
+
+describe("parseLabelFilter", () => {
+  test("defaults to no labels and any-match", () => {
+    expect(parseLabelFilter(new URLSearchParams(""))).toEqual({
+      labelIds: [],
+      labelMatch: LABEL_MATCH.ANY,
+    });
+  });
+
+  test("trims, de-duplicates and sorts ids so cache keys are stable", () => {
+    const { labelIds } = parseLabelFilter(new URLSearchParams("labels=b, a,,b"));
+    expect(labelIds).toEqual(["a", "b"]);
+  });
+
+  test("only accepts 'all' as the alternative match mode", () => {
+    expect(parseLabelFilter(new URLSearchParams("labels=a&labelMatch=all")).labelMatch).toBe(
+      LABEL_MATCH.ALL
+    );
+    expect(parseLabelFilter(new URLSearchParams("labels=a&labelMatch=bogus")).labelMatch).toBe(
+      LABEL_MATCH.ANY
+    );
+  });
+
+  test("caps the number of labels", () => {
+    const ids = Array.from({ length: MAX_LABEL_FILTER + 5 }, (_, i) => `l${i}`);
+    const { labelIds } = parseLabelFilter(new URLSearchParams(`labels=${ids.join(",")}`));
+    expect(labelIds).toHaveLength(MAX_LABEL_FILTER);
+  });
+});
+
+describe("buildLabelWhere", () => {
+  test("returns null without labels", () => {
+    expect(buildLabelWhere([], LABEL_MATCH.ALL)).toBeNull();
+  });
+
+  test("matches any of the labels", () => {
+    expect(buildLabelWhere(["a", "b"])).toEqual({
+      labels: { some: { id: { in: ["a", "b"] } } },
+    });
+  });
+
+  test("requires every label with all-match", () => {
+    expect(buildLabelWhere(["a", "b"], LABEL_MATCH.ALL)).toEqual({
+      AND: [{ labels: { some: { id: "a" } } }, { labels: { some: { id: "b" } } }],
+    });
+  });
+});
+
+describe("normalizeLabelIds", () => {
+  test("de-duplicates a list of ids", () => {
+    expect(normalizeLabelIds(["a", "b", "a"])).toEqual(["a", "b"]);
+  });
+
+  test("accepts an empty list (clears labels)", () => {
+    expect(normalizeLabelIds([])).toEqual([]);
+  });
+
+  test("rejects non-arrays and non-string ids", () => {
+    expect(normalizeLabelIds("a,b")).toBeNull();
+    expect(normalizeLabelIds(["a", 1])).toBeNull();
+    expect(normalizeLabelIds([""])).toBeNull();
+  });
+});
@@ -0,0 +1,287 @@
+/**
+ * Unit tests for live updates: event buses, SSE helpers and the appliers that
+ * patch cached /api/tasks responses (lib/events/*)
+ */
+import { EventEmitter } from "node:events";
+import { createMemoryBus } from "@/lib/events/memoryBus";
+import { createRedisBus, EVENTS_CHANNEL } from "@/lib/events/redisBus";
+import { createEvent, EVENT_TYPES } from "@/lib/events/types";
+import { canReceiveEvent, formatSseMessage } from "@/lib/events/stream";
+import {
+  applyEventToTaskList,
+  eventAffectsTaskDetail,
+  parseTaskCacheKey,
+  taskMatchesListFilters,
+} from "@/lib/events/liveUpdates";
+
+const task = (id, fields = {}) => ({
+  id,
+  projectId: "p1",
+  status: "todo",
+  statusCategory: "todo",
+  priority: "medium",
+  parentId: null,
+  sprintId: null,
+  labels: [],
+  _count: { comments: 0 },
+  ...fields,
+});
+
+const listResponse = (tasks) => ({
+  success: true,
+  data: { tasks, pagination: { page: 1, limit: 100, total: tasks.length } },
+});
+
+const params = (query = "") => new URLSearchParams(query);
+
+const event = (type, data) => ({ type, data });
+
+describe("createMemoryBus", () => {
+  test("delivers events to subscribers until they unsubscribe", async () => {
+    const bus = createMemoryBus();
+    const received = [];
+    const unsubscribe = bus.subscribe((e) => received.push(e.id));
+
+    await bus.publish({ id: "1" });
+    unsubscribe();
+    await bus.publish({ id: "2" });
+
+    expect(received).toEqual(["1"]);
+    expect(bus.listenerCount()).toBe(0);
+  });
+});
+
+describe("createRedisBus", () => {
+  const fakeClients = () => {
+    const subscriber = new EventEmitter();
+    subscriber.subscribe = jest.fn().mockResolvedValue(1);
+    subscriber.quit = jest.fn().mockResolvedValue("OK");
+    const publisher = {
+      // Redis echoes the message to every subscriber, including our own
+      publish: jest.fn(async (channel, message) => subscriber.emit("message", channel, message)),
+    };
+    return { publisher, subscriber };
+  };
+
+  test("publishes JSON and delivers each message once through the subscription", async () => {
+    const { publisher, subscriber } = fakeClients();
+    const bus = createRedisBus({ publisher, subscriber });
+    const received = [];
+    bus.subscribe((e) => received.push(e));
+
+    await bus.publish({ id: "1", type: EVENT_TYPES.TASK_UPDATED });
+
+    expect(publisher.publish).toHaveBeenCalledWith(EVENTS_CHANNEL, expect.any(String));
+    expect(received).toEqual([{ id: "1", type: EVENT_TYPES.TASK_UPDATED }]);
+  });
+
+  test("subscribes lazily and only once", () => {
+    const { publisher, subscriber } = fakeClients();
+    const bus = createRedisBus({ publisher, subscriber });
+    expect(subscriber.subscribe).not.toHaveBeenCalled();
+
+    bus.subscribe(() => {});
+    bus.subscribe(() => {});
+
+    expect(subscriber.subscribe).toHaveBeenCalledTimes(1);
+  });
+
+  test("ignores other channels and malformed messages", () => {
+    const { publisher, subscriber } = fakeClients();
+    const bus = createRedisBus({ publisher, subscriber });
+    const listener = jest.fn();
+    bus.subscribe(listener);
+    const consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+
+    subscriber.emit("message", "other", JSON.stringify({ id: "1" }));
+    subscriber.emit("message", EVENTS_CHANNEL, "{not json");
+
+    expect(listener).not.toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+});
+
+describe("createEvent", () => {
+  test("wraps the payload with an id, resource and timestamp", () => {
+    const created = createEvent(EVENT_TYPES.TASK_CREATED, { id: "t1" });
+    expect(created).toMatchObject({
+      type: EVENT_TYPES.TASK_CREATED,
+      resource: "tasks",
+      data: { id: "t1" },
+    });
+    expect(typeof created.id).toBe("string");
+    expect(Date.parse(created.createdAt)).not.toBeNaN();
+  });
+
+  test("rejects unknown types", () => {
+    expect(() => createEvent("task.archived", {})).toThrow("Unknown event type");
+  });
+});
+
+describe("SSE helpers", () => {
+  test("canReceiveEvent follows the role's read permission", () => {
+    const taskEvent = createEvent(EVENT_TYPES.TASK_UPDATED, { id: "t1" });
+    expect(canReceiveEvent({ role: "viewer" }, taskEvent)).toBe(true);
+    expect(canReceiveEvent({ role: "viewer" }, { ...taskEvent, resource: "audit_logs" })).toBe(
+      false
+    );
+    expect(canReceiveEvent({ role: "unknown" }, taskEvent)).toBe(false);
+    expect(canReceiveEvent(null, taskEvent)).toBe(false);
+  });
+
+  test("canReceiveEvent delivers addressed events to their recipient only", () => {
+    const notification = createEvent(EVENT_TYPES.NOTIFICATION_CREATED, {
+      recipientId: "u1",
+      type: "mention",
+      taskId: "t1",
+    });
+    expect(canReceiveEvent({ userId: "u1", role: "viewer" }, notification)).toBe(true);
+    expect(canReceiveEvent({ userId: "u2", role: "admin" }, notification)).toBe(false);
+  });
+
+  test("formatSseMessage writes id, event and data fields", () => {
+    const message = formatSseMessage({ id: "e1", type: EVENT_TYPES.TASK_DELETED, data: {} });
+    expect(message).toBe(
+      'id: e1\nevent: task.deleted\ndata: {"id":"e1","type":"task.deleted","data":{}}\n\n'
+    );
+  });
+});
+
+describe("parseTaskCacheKey", () => {
+  test("recognizes task lists and task details", () => {
+    expect(parseTaskCacheKey("/api/tasks?limit=100&projectId=p1").kind).toBe("list");
+    expect(parseTaskCacheKey("/api/tasks?limit=100&projectId=p1").params.get("projectId")).toBe(
+      "p1"
+    );
+    expect(parseTaskCacheKey("/api/tasks/t1")).toEqual({ kind: "detail", taskId: "t1" });
+  });
+
+  test("ignores other keys", () => {
+    expect(parseTaskCacheKey("/api/tasks/t1/activity")).toBeNull();
+    expect(parseTaskCacheKey("/api/users")).toBeNull();
+    expect(parseTaskCacheKey(["/api/tasks", 1])).toBeNull();
+  });
+});
+
+describe("taskMatchesListFilters", () => {
+  test("checks equality filters, sprint and labels", () => {
+    const labelled = task("t1", { labels: [{ id: "l1" }] });
+    expect(taskMatchesListFilters(labelled, params("projectId=p1&status=todo"))).toBe(true);
+    expect(taskMatchesListFilters(labelled, params("projectId=p2"))).toBe(false);
+    expect(taskMatchesListFilters(labelled, params("sprintId=backlog"))).toBe(true);
+    expect(taskMatchesListFilters(labelled, params("sprintId=s1"))).toBe(false);
+    expect(taskMatchesListFilters(labelled, params("labels=l1,l2"))).toBe(true);
+    expect(taskMatchesListFilters(labelled, params("labels=l1,l2&labelMatch=all"))).toBe(false);
+  });
+});
+
+describe("applyEventToTaskList", () => {
+  test("prepends created tasks to newest-first lists they match", () => {
+    const response = listResponse([task("t1")]);
+    const { data, revalidate } = applyEventToTaskList(
+      response,
+      params("limit=100&projectId=p1"),
+      event(EVENT_TYPES.TASK_CREATED, task("t2"))
+    );
+
+    expect(data.data.tasks.map((t) => t.id)).toEqual(["t2", "t1"]);
+    expect(data.data.pagination.total).toBe(2);
+    expect(revalidate).toBe(false);
+  });
+
+  test("ignores created tasks outside the list's filters", () => {
+    const response = listResponse([task("t1")]);
+    const result = applyEventToTaskList(
+      response,
+      params("projectId=p2"),
+      event(EVENT_TYPES.TASK_CREATED, task("t2"))
+    );
+    expect(result).toEqual({ data: response, revalidate: false });
+  });
+
+  test("revalidates when a created task's position is unknown", () => {
+    const response = listResponse([task("t1")]);
+    const result = applyEventToTaskList(
+      response,
+      params("sortBy=priority"),
+      event(EVENT_TYPES.TASK_CREATED, task("t2"))
+    );
+    expect(result).toEqual({ data: response, revalidate: true });
+  });
+
+  test("merges updates and keeps list-only fields", () => {
+    const response = listResponse([task("t1", { progress: { overall: null } })]);
+    const { data } = applyEventToTaskList(
+      response,
+      params(),
+      event(EVENT_TYPES.TASK_UPDATED, { ...task("t1"), status: "done", statusCategory: "done" })
+    );
+
+    expect(data.data.tasks[0]).toMatchObject({ status: "done", progress: { overall: null } });
+  });
+
+  test("removes tasks that no longer match and revalidates lists they may join", () => {
+    const moved = task("t1", { projectId: "p2" });
+
+    const left = applyEventToTaskList(
+      listResponse([task("t1")]),
+      params("projectId=p1"),
+      event(EVENT_TYPES.TASK_UPDATED, moved)
+    );
+    expect(left.data.data.tasks).toEqual([]);
+    expect(left.data.data.pagination.total).toBe(0);
+
+    const joined = applyEventToTaskList(
+      listResponse([]),
+      params("projectId=p2"),
+      event(EVENT_TYPES.TASK_UPDATED, moved)
+    );
+    expect(joined.revalidate).toBe(true);
+  });
+
+  test("removes deleted tasks with their subtasks", () => {
+    const response = listResponse([task("t1"), task("t2", { parentId: "t1" }), task("t3")]);
+    const { data, revalidate } = applyEventToTaskList(
+      response,
+      params(),
+      event(EVENT_TYPES.TASK_DELETED, { id: "t1", parentId: null, subtaskIds: ["t2"] })
+    );
+
+    expect(data.data.tasks.map((t) => t.id)).toEqual(["t3"]);
+    expect(data.data.pagination.total).toBe(1);
+    expect(revalidate).toBe(false);
+  });
+
+  test("revalidates when a listed parent's progress changes", () => {
+    const response = listResponse([task("t1")]);
+    const { revalidate } = applyEventToTaskList(
+      response,
+      params(),
+      event(EVENT_TYPES.TASK_DELETED, { id: "t9", parentId: "t1", subtaskIds: [] })
+    );
+    expect(revalidate).toBe(true);
+  });
+
+  test("counts added comments", () => {
+    const response = listResponse([task("t1")]);
+    const { data } = applyEventToTaskList(
+      response,
+      params(),
+      event(EVENT_TYPES.COMMENT_ADDED, { taskId: "t1", comment: { id: "c1" } })
+    );
+    expect(data.data.tasks[0]._count.comments).toBe(1);
+  });
+});
+
+describe("eventAffectsTaskDetail", () => {
+  test("matches the task itself, its subtasks and its comments", () => {
+    expect(eventAffectsTaskDetail("t1", event(EVENT_TYPES.TASK_UPDATED, { id: "t1" }))).toBe(true);
+    expect(
+      eventAffectsTaskDetail("t1", event(EVENT_TYPES.TASK_CREATED, { id: "t2", parentId: "t1" }))
+    ).toBe(true);
+    expect(eventAffectsTaskDetail("t1", event(EVENT_TYPES.COMMENT_ADDED, { taskId: "t1" }))).toBe(
+      true
+    );
+    expect(eventAffectsTaskDetail("t1", event(EVENT_TYPES.TASK_UPDATED, { id: "t2" }))).toBe(false);
+  });
+});
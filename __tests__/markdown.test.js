@@ -0,0 +1,56 @@
+/**
+ * Unit tests for Markdown rendering (lib/markdown.js)
+ */
+import { renderMarkdown } from "@/lib/markdown";
+import { mentionMarkup } from "@/lib/mentions";
+
+describe("renderMarkdown", () => {
+  test("returns null for empty source", () => {
+    expect(renderMarkdown(null)).toBeNull();
+    expect(renderMarkdown("")).toBeNull();
+    expect(renderMarkdown("  \n")).toBeNull();
+  });
+
+  test("renders inline formatting and keeps single line breaks", () => {
+    expect(renderMarkdown("**bold** _em_ ~~gone~~\nnext")).toBe(
+      "<p><strong>bold</strong> <em>em</em> <del>gone</del><br />next</p>\n"
+    );
+  });
+
+  test("renders fenced code blocks with their language, escaped", () => {
+    expect(renderMarkdown("```js\nif (a < b) run();\n```")).toBe(
+      '<pre><code class="language-js">if (a &lt; b) run();\n</code></pre>\n'
+    );
+  });
+
+  test("renders task lists as disabled checkboxes", () => {
+    const html = renderMarkdown("- [x] ship\n- [ ] announce");
+    expect(html).toContain('<li><input type="checkbox" disabled checked /> ship</li>');
+    expect(html).toContain('<li><input type="checkbox" disabled /> announce</li>');
+  });
+
+  test("renders tables with column alignment", () => {
+    const html = renderMarkdown("| Name | Points |\n|------|:------:|\n| API | 3 |");
+    expect(html).toContain("<table>");
+    expect(html).toContain('<th align="center">Points</th>');
+    expect(html).toContain('<td align="center">3</td>');
+  });
+
+  test("keeps @mention markup", () => {
+    const mention = mentionMarkup({ id: "user_ada", name: "Ada" });
+    expect(renderMarkdown(`thanks ${mention}`)).toBe(`<p>thanks ${mention}</p>\n`);
+  });
+
+  test("strips unsafe HTML and links", () => {
+    const html = renderMarkdown(
+      '<script>alert(1)</script>\n\n[x](javascript:alert(1)) <img src=x onerror=alert(1)> <input type="text" onfocus="alert(1)">'
+    );
+    expect(html).not.toMatch(/script|javascript|onerror|onfocus|<img/);
+    expect(html).toContain('<input type="checkbox" disabled />');
+  });
+
+  test("does not treat mention markup in code as a mention", () => {
+    const html = renderMarkdown('`<span data-mention="user_ada">@Ada</span>`');
+    expect(html).not.toContain("<span");
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for @mentions (lib/mentions.js), their sanitization and
+ * mention notifications (lib/notifications.js)
+ */
+import {
+  decodeMentions,
+  encodeMentions,
+  extractMentionIds,
+  findMentionQuery,
+  mentionMarkup,
+  parseMentions,
+} from "@/lib/mentions";
+import { newMentionIds, notifyMentions, NOTIFICATION_TYPES } from "@/lib/notifications";
+import { sanitizeRichText } from "@/lib/sanitization";
+
+const ada = { id: "user_ada", name: "Ada" };
+const lovelace = { id: "user_lovelace", name: "Ada Lovelace" };
+
+describe("mention markup", () => {
+  test("mentionMarkup escapes the name", () => {
+    expect(mentionMarkup({ id: "u1", name: "<Bob>" })).toBe(
+      '<span data-mention="u1">@&lt;Bob&gt;</span>'
+    );
+  });
+
+  test("encodeMentions replaces picked names, longest first", () => {
+    const text = "Thanks @Ada Lovelace and @Ada!";
+    expect(encodeMentions(text, [ada, lovelace])).toBe(
+      `Thanks ${mentionMarkup(lovelace)} and ${mentionMarkup(ada)}!`
+    );
+  });
+
+  test("encodeMentions leaves text alone without picked mentions", () => {
+    expect(encodeMentions("email me @Ada", [])).toBe("email me @Ada");
+    expect(encodeMentions("@Adam", [ada])).toBe("@Adam");
+  });
+
+  test("decodeMentions turns markup back into editable text", () => {
+    const content = `**Thanks** ${mentionMarkup(lovelace)} & ${mentionMarkup({ id: "u1", name: "<Bob>" })}`;
+    const { text, mentions } = decodeMentions(content);
+
+    expect(text).toBe("**Thanks** @Ada Lovelace & @<Bob>");
+    expect(mentions).toEqual([lovelace, { id: "u1", name: "<Bob>" }]);
+    expect(encodeMentions(text, mentions)).toBe(content);
+    expect(decodeMentions(null)).toEqual({ text: "", mentions: [] });
+  });
+
+  test("extractMentionIds returns each user once", () => {
+    const content = `${mentionMarkup(ada)} ${mentionMarkup(lovelace)} ${mentionMarkup(ada)}`;
+    expect(extractMentionIds(content)).toEqual(["user_ada", "user_lovelace"]);
+    expect(extractMentionIds(null)).toEqual([]);
+  });
+
+  test("parseMentions splits text and mentions and decodes entities", () => {
+    expect(parseMentions(`Hi ${mentionMarkup(ada)} &amp; co`)).toEqual([
+      { type: "text", text: "Hi " },
+      { type: "mention", userId: "user_ada", fallback: "Ada" },
+      { type: "text", text: " & co" },
+    ]);
+    expect(parseMentions("")).toEqual([]);
+  });
+
+  test("findMentionQuery finds the @query before the caret", () => {
+    expect(findMentionQuery("Hello @Ad", 9)).toEqual({ start: 6, query: "Ad" });
+    expect(findMentionQuery("@", 1)).toEqual({ start: 0, query: "" });
+    expect(findMentionQuery("mail@example", 12)).toBeNull();
+    expect(findMentionQuery("@Ada done", 9)).toBeNull();
+  });
+});
+
+describe("sanitizeRichText", () => {
+  test("keeps mention markup", () => {
+    const content = `Ping ${mentionMarkup(ada)}`;
+    expect(sanitizeRichText(content)).toBe(content);
+  });
+
+  test("strips other attributes and unsafe markup around mentions", () => {
+    const dirty =
+      '<span data-mention="user_ada" onclick="alert(1)" style="color:red">@Ada</span><script>alert(1)</script>';
+    expect(sanitizeRichText(dirty)).toBe(mentionMarkup(ada));
+  });
+
+  test("drops mention attributes with invalid IDs", () => {
+    expect(sanitizeRichText('<span data-mention="x&quot; y">@X</span>')).toBe("<span>@X</span>");
+  });
+});
+
+describe("mention notifications", () => {
+  const fakeDb = (existingIds) => ({
+    user: {
+      findMany: jest.fn(async ({ where }) =>
+        where.id.in.filter((id) => existingIds.includes(id)).map((id) => ({ id }))
+      ),
+    },
+    notification: { createMany: jest.fn(async ({ data }) => ({ count: data.length })) },
+  });
+
+  test("newMentionIds skips earlier mentions and the author", () => {
+    const before = mentionMarkup(ada);
+    const after = `${mentionMarkup(ada)} ${mentionMarkup(lovelace)} ${mentionMarkup({ id: "me", name: "Me" })}`;
+    expect(newMentionIds(after, before, "me")).toEqual(["user_lovelace"]);
+    expect(newMentionIds(before, after, "me")).toEqual([]);
+  });
+
+  test("notifyMentions notifies existing users only", async () => {
+    const db = fakeDb(["user_ada"]);
+    const recipients = await notifyMentions(db, {
+      content: `${mentionMarkup(ada)} ${mentionMarkup({ id: "ghost", name: "Ghost" })}`,
+      actorId: "me",
+      taskId: "t1",
+      commentId: "c1",
+    });
+
+    expect(recipients).toEqual(["user_ada"]);
+    expect(db.notification.createMany).toHaveBeenCalledWith({
+      data: [
+        {
+          type: NOTIFICATION_TYPES.MENTION,
+          userId: "user_ada",
+          actorId: "me",
+          taskId: "t1",
+          commentId: "c1",
+        },
+      ],
+    });
+  });
+
+  test("notifyMentions skips the database without new mentions", async () => {
+    const db = fakeDb([]);
+    expect(await notifyMentions(db, { content: "plain", actorId: "me", taskId: "t1" })).toEqual([]);
+    expect(db.user.findMany).not.toHaveBeenCalled();
+    expect(db.notification.createMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Unit tests for password reset tokens (lib/passwordReset.js) and the
+ * forgot/reset password schemas (lib/schemas/authSchema.js)
+ */
+import {
+  MAX_PASSWORD_RESET_EMAILS_PER_HOUR,
+  PASSWORD_RESET_COOLDOWN_SECONDS,
+  PASSWORD_RESET_TTL_MINUTES,
+  buildResetUrl,
+  createPasswordResetToken,
+  getResetRetryAfter,
+  issuedBeforePasswordChange,
+  resetPasswordWithToken,
+} from "@/lib/passwordReset";
+import { hashToken } from "@/lib/tokens";
+import { forgotPasswordSchema, resetPasswordSchema } from "@/lib/schemas/authSchema";
+
+const now = new Date("2026-10-20T12:00:00.000Z");
+
+const fakeDb = ({ claimed = 1, userId = "u1", recent = [] } = {}) => ({
+  passwordResetToken: {
+    create: jest.fn().mockResolvedValue({}),
+    findMany: jest.fn().mockResolvedValue(recent.map((createdAt) => ({ createdAt }))),
+    deleteMany: jest.fn().mockResolvedValue({ count: 0 }),
+    updateMany: jest.fn().mockResolvedValue({ count: claimed }),
+    findUnique: jest.fn().mockResolvedValue({ userId }),
+  },
+  user: { update: jest.fn().mockResolvedValue({}) },
+  session: { deleteMany: jest.fn().mockResolvedValue({ count: 2 }) },
+});
+
+const secondsAgo = (seconds) => new Date(now.getTime() - seconds * 1000);
+
+describe("reset email throttle", () => {
+  test("allows the first email", async () => {
+    expect(await getResetRetryAfter(fakeDb(), "u1", now)).toBe(0);
+  });
+
+  test("waits out the cooldown after an email", async () => {
+    const db = fakeDb({ recent: [secondsAgo(10)] });
+    expect(await getResetRetryAfter(db, "u1", now)).toBe(PASSWORD_RESET_COOLDOWN_SECONDS - 10);
+    expect(db.passwordResetToken.findMany).toHaveBeenCalledWith({
+      where: { userId: "u1", createdAt: { gt: secondsAgo(3600) } },
+      select: { createdAt: true },
+    });
+  });
+
+  test("caps the emails per hour", async () => {
+    const recent = Array.from({ length: MAX_PASSWORD_RESET_EMAILS_PER_HOUR }, (_, i) =>
+      secondsAgo(3000 - i * 300)
+    );
+    expect(await getResetRetryAfter(fakeDb({ recent }), "u1", now)).toBe(600);
+  });
+});
+
+describe("reset tokens", () => {
+  test("hashToken is a stable SHA-256 hex digest", () => {
+    expect(hashToken("abc")).toBe(
+      "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"
+    );
+  });
+
+  test("createPasswordResetToken stores only the hash, with an expiry", async () => {
+    const db = fakeDb();
+    const { token, expiresAt } = await createPasswordResetToken(db, "u1", now);
+
+    expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(expiresAt).toEqual(new Date(now.getTime() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000));
+    expect(db.passwordResetToken.create).toHaveBeenCalledWith({
+      data: { tokenHash: hashToken(token), userId: "u1", expiresAt, createdAt: now },
+    });
+    expect(JSON.stringify(db.passwordResetToken.create.mock.calls)).not.toContain(token);
+  });
+
+  test("createPasswordResetToken invalidates the user's unused tokens", async () => {
+    const db = fakeDb();
+    await createPasswordResetToken(db, "u1", now);
+    expect(db.passwordResetToken.updateMany).toHaveBeenCalledWith({
+      where: { userId: "u1", usedAt: null, expiresAt: { gt: now } },
+      data: { expiresAt: now },
+    });
+  });
+
+  test("createPasswordResetToken removes tokens older than an hour", async () => {
+    const db = fakeDb();
+    await createPasswordResetToken(db, "u1", now);
+    expect(db.passwordResetToken.deleteMany).toHaveBeenCalledWith({
+      where: { userId: "u1", createdAt: { lte: new Date(now.getTime() - 60 * 60 * 1000) } },
+    });
+  });
+
+  test("tokens are random", async () => {
+    const db = fakeDb();
+    const first = await createPasswordResetToken(db, "u1", now);
+    const second = await createPasswordResetToken(db, "u1", now);
+    expect(first.token).not.toBe(second.token);
+  });
+
+  test("buildResetUrl points at the reset page", () => {
+    expect(buildResetUrl("a+b", "https://sprintlite.test/")).toBe(
+      "https://sprintlite.test/auth/reset-password?token=a%2Bb"
+    );
+  });
+});
+
+describe("resetPasswordWithToken", () => {
+  test("claims an unused, unexpired token and updates the password", async () => {
+    const db = fakeDb();
+    const userId = await resetPasswordWithToken(db, { token: "tok", passwordHash: "hash" }, now);
+
+    expect(userId).toBe("u1");
+    expect(db.passwordResetToken.updateMany).toHaveBeenCalledWith({
+      where: { tokenHash: hashToken("tok"), usedAt: null, expiresAt: { gt: now } },
+      data: { usedAt: now },
+    });
+    expect(db.user.update).toHaveBeenCalledWith({
+      where: { id: "u1" },
+      data: { password: "hash", passwordChangedAt: now },
+    });
+  });
+
+  test("revokes sessions and the user's other reset tokens", async () => {
+    const db = fakeDb();
+    await resetPasswordWithToken(db, { token: "tok", passwordHash: "hash" }, now);
+
+    expect(db.session.deleteMany).toHaveBeenCalledWith({ where: { userId: "u1" } });
+    expect(db.passwordResetToken.deleteMany).toHaveBeenCalledWith({
+      where: { userId: "u1", usedAt: null },
+    });
+  });
+
+  test("returns null and changes nothing for unknown, used or expired tokens", async () => {
+    const db = fakeDb({ claimed: 0 });
+    const userId = await resetPasswordWithToken(db, { token: "tok", passwordHash: "hash" }, now);
+
+    expect(userId).toBeNull();
+    expect(db.user.update).not.toHaveBeenCalled();
+    expect(db.session.deleteMany).not.toHaveBeenCalled();
+  });
+});
+
+describe("issuedBeforePasswordChange", () => {
+  const changedAt = new Date("2026-10-20T12:00:00.500Z");
+  const seconds = Math.floor(changedAt.getTime() / 1000);
+
+  test("rejects tokens issued before the change", () => {
+    expect(issuedBeforePasswordChange({ iat: seconds - 1 }, changedAt)).toBe(true);
+  });
+
+  test("accepts tokens issued in the same second or later", () => {
+    expect(issuedBeforePasswordChange({ iat: seconds }, changedAt)).toBe(false);
+    expect(issuedBeforePasswordChange({ iat: seconds + 60 }, changedAt)).toBe(false);
+  });
+
+  test("accepts everything when the password was never reset", () => {
+    expect(issuedBeforePasswordChange({ iat: 1 }, null)).toBe(false);
+  });
+});
+
+describe("forgot/reset password schemas", () => {
+  test("forgotPasswordSchema requires a valid email", () => {
+    expect(forgotPasswordSchema.safeParse({ email: "ada@example.com" }).success).toBe(true);
+    expect(forgotPasswordSchema.safeParse({ email: "nope" }).success).toBe(false);
+  });
+
+  test("resetPasswordSchema requires a token and a valid password", () => {
+    expect(resetPasswordSchema.safeParse({ token: "t", password: "password123" }).success).toBe(
+      true
+    );
+    expect(resetPasswordSchema.safeParse({ token: "", password: "password123" }).success).toBe(
+      false
+    );
+    expect(resetPasswordSchema.safeParse({ token: "t", password: "short" }).success).toBe(false);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Unit tests for task progress roll-up (subtasks + checklist)
+ */
+import { checklistProgress, subtaskProgress, taskProgress } from "@/lib/tasks/progress";
+
+describe("subtaskProgress", () => {
+  test("counts subtasks in a done status", () => {
+    const progress = subtaskProgress([
+      { statusCategory: "done" },
+      { statusCategory: "doing" },
+      { statusCategory: "done" },
+      { statusCategory: "todo" },
+      { statusCategory: "done" },
+    ]);
+
+    expect(progress).toEqual({ done: 3, total: 5, percent: 60 });
+  });
+
+  test("is zero for a task without subtasks", () => {
+    expect(subtaskProgress()).toEqual({ done: 0, total: 0, percent: 0 });
+  });
+});
+
+describe("checklistProgress", () => {
+  test("counts checked items", () => {
+    expect(checklistProgress([{ done: true }, { done: false }, { done: false }])).toEqual({
+      done: 1,
+      total: 3,
+      percent: 33,
+    });
+  });
+});
+
+describe("taskProgress", () => {
+  test("rolls subtasks and checklist items into one overall figure", () => {
+    const progress = taskProgress({
+      subtasks: [{ statusCategory: "done" }, { statusCategory: "todo" }],
+      checklistItems: [{ done: true }, { done: true }],
+    });
+
+    expect(progress.subtasks).toEqual({ done: 1, total: 2, percent: 50 });
+    expect(progress.checklist).toEqual({ done: 2, total: 2, percent: 100 });
+    expect(progress.overall).toEqual({ done: 3, total: 4, percent: 75 });
+  });
+
+  test("has no overall progress when there is nothing to track", () => {
+    expect(taskProgress({ subtasks: [], checklistItems: [] }).overall).toBeNull();
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for lexicographic task ranks (lib/tasks/rank.js)
+ */
+import {
+  compareByRank,
+  isValidRank,
+  nextRank,
+  rankBetween,
+  rankForPosition,
+} from "@/lib/tasks/rank";
+
+describe("rankBetween", () => {
+  test("starts in the middle of the range", () => {
+    expect(rankBetween("", "")).toBe("i");
+    expect(rankBetween(null, undefined)).toBe("i");
+  });
+
+  test("sorts strictly between its bounds", () => {
+    const cases = [
+      ["i", ""],
+      ["", "i"],
+      ["i", "j"],
+      ["a", "b"],
+      ["z", ""],
+      ["", "01"],
+      ["000001i", "000002i"],
+      ["000009i", "000010i"],
+      ["ii", "ij"],
+    ];
+
+    for (const [before, after] of cases) {
+      const rank = rankBetween(before, after);
+      expect(rank > before).toBe(true);
+      if (after) expect(rank < after).toBe(true);
+      expect(isValidRank(rank)).toBe(true);
+    }
+  });
+
+  test("keeps finding room when inserting repeatedly at the same spot", () => {
+    let low = "a";
+    const high = "b";
+    for (let i = 0; i < 50; i++) {
+      const rank = rankBetween(low, high);
+      expect(rank > low && rank < high).toBe(true);
+      low = rank;
+    }
+
+    let top = "i";
+    for (let i = 0; i < 50; i++) {
+      const rank = rankBetween("", top);
+      expect(rank < top).toBe(true);
+      top = rank;
+    }
+  });
+
+  test("ignores an upper bound that is not above the lower one", () => {
+    expect(rankBetween("m", "m") > "m").toBe(true);
+    expect(rankBetween("m", "c") > "m").toBe(true);
+  });
+});
+
+describe("isValidRank", () => {
+  test("accepts lowercase base-36 strings that don't end in 0", () => {
+    expect(isValidRank("i")).toBe(true);
+    expect(isValidRank("000001i")).toBe(true);
+  });
+
+  test("rejects other values", () => {
+    expect(isValidRank("")).toBe(false);
+    expect(isValidRank("a0")).toBe(false);
+    expect(isValidRank("A")).toBe(false);
+    expect(isValidRank("a-b")).toBe(false);
+    expect(isValidRank("a".repeat(65))).toBe(false);
+    expect(isValidRank(5)).toBe(false);
+  });
+});
+
+describe("compareByRank", () => {
+  test("orders by rank, then by creation date", () => {
+    const tasks = [
+      { id: "c", rank: "r", createdAt: "2026-01-01" },
+      { id: "b", rank: "i", createdAt: "2026-01-02" },
+      { id: "a", rank: "i", createdAt: "2026-01-01" },
+      { id: "d", rank: "", createdAt: "2026-01-03" },
+    ];
+    expect(tasks.sort(compareByRank).map((t) => t.id)).toEqual(["d", "a", "b", "c"]);
+  });
+});
+
+describe("rankForPosition", () => {
+  const column = [{ rank: "c" }, { rank: "i" }, { rank: "r" }];
+
+  test("places a task between its new neighbors", () => {
+    expect(rankForPosition(column, 0) < "c").toBe(true);
+    const middle = rankForPosition(column, 1);
+    expect(middle > "c" && middle < "i").toBe(true);
+    expect(rankForPosition(column, 3) > "r").toBe(true);
+  });
+
+  test("works for an empty column", () => {
+    expect(rankForPosition([], 0)).toBe("i");
+  });
+});
+
+describe("nextRank", () => {
+  test("ranks after the last task of the column", async () => {
+    const db = { task: { findFirst: jest.fn().mockResolvedValue({ rank: "r" }) } };
+
+    const rank = await nextRank(db, "p1", "Todo");
+
+    expect(rank > "r").toBe(true);
+    expect(db.task.findFirst).toHaveBeenCalledWith({
+      where: { projectId: "p1", status: "Todo" },
+      orderBy: { rank: "desc" },
+      select: { rank: true },
+    });
+  });
+
+  test("starts an empty column in the middle", async () => {
+    const db = { task: { findFirst: jest.fn().mockResolvedValue(null) } };
+    expect(await nextRank(db, null, "Todo")).toBe("i");
+  });
+});
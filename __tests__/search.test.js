@@ -0,0 +1,90 @@
+/**
+ * Unit tests for search snippet highlighting and result ranking
+ */
+import {
+  HIGHLIGHT_START as S,
+  HIGHLIGHT_STOP as E,
+  decodeEntities,
+  mergeSearchResults,
+  splitHighlights,
+} from "@/lib/search";
+
+describe("splitHighlights", () => {
+  test("splits marked matches into highlighted segments", () => {
+    expect(splitHighlights(`fix ${S}login${E} bug`)).toEqual([
+      { text: "fix ", highlight: false },
+      { text: "login", highlight: true },
+      { text: " bug", highlight: false },
+    ]);
+  });
+
+  test("handles matches at the edges and adjacent matches", () => {
+    expect(splitHighlights(`${S}redis${E}${S}cache${E}`)).toEqual([
+      { text: "redis", highlight: true },
+      { text: "cache", highlight: true },
+    ]);
+  });
+
+  test("keeps markup in stored text as plain text", () => {
+    expect(splitHighlights(`<b>${S}x${E}</b>`)).toEqual([
+      { text: "<b>", highlight: false },
+      { text: "x", highlight: true },
+      { text: "</b>", highlight: false },
+    ]);
+  });
+
+  test("returns no segments for empty headlines", () => {
+    expect(splitHighlights("")).toEqual([]);
+    expect(splitHighlights(null)).toEqual([]);
+  });
+});
+
+describe("decodeEntities", () => {
+  test("decodes named and numeric entities", () => {
+    expect(decodeEntities("Tom &amp; Jerry&#39;s &lt;b&gt; &#x263A;")).toBe("Tom & Jerry's <b> ☺");
+  });
+
+  test("leaves unknown entities and empty text alone", () => {
+    expect(decodeEntities("&bogus; &#0;")).toBe("&bogus; &#0;");
+    expect(decodeEntities(null)).toBeNull();
+  });
+});
+
+describe("mergeSearchResults", () => {
+  const taskHit = (id, rank) => ({ id, title: id, titleHighlight: id, snippet: "", rank });
+  const commentHit = (id, rank) => ({ id, taskId: "t1", taskTitle: "Task", snippet: "", rank });
+
+  test("orders tasks and comments together by rank", () => {
+    const results = mergeSearchResults(
+      [taskHit("t1", 0.2), taskHit("t2", 0.05)],
+      [commentHit("c1", 0.1)],
+      10
+    );
+
+    expect(results.map((r) => `${r.type}:${r.id}`)).toEqual(["task:t1", "comment:c1", "task:t2"]);
+  });
+
+  test("links comment results to their task", () => {
+    const [result] = mergeSearchResults([], [commentHit("c1", 0.1)], 10);
+    expect(result).toMatchObject({ type: "comment", taskId: "t1", title: "Task" });
+  });
+
+  test("decodes entities left in snippets by stripped HTML", () => {
+    const [result] = mergeSearchResults(
+      [{ ...taskHit("t1", 0.1), snippet: `R&amp;D ${S}budget${E}` }],
+      [],
+      10
+    );
+
+    expect(result.snippet).toEqual([
+      { text: "R&D ", highlight: false },
+      { text: "budget", highlight: true },
+    ]);
+  });
+
+  test("applies the limit after ranking", () => {
+    const results = mergeSearchResults([taskHit("t1", 0.01)], [commentHit("c1", 0.5)], 1);
+    expect(results).toHaveLength(1);
+    expect(results[0].id).toBe("c1");
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Unit tests for server-side sessions (lib/sessions.js)
+ */
+import {
+  createSession,
+  deleteSessionByToken,
+  describeUserAgent,
+  getClientInfo,
+  handleRefreshTokenReuse,
+  listSessions,
+  revokeSession,
+  revokeUserSessions,
+  rotateSession,
+  serializeSession,
+  TOKEN_REUSE_GRACE_SECONDS,
+} from "@/lib/sessions";
+import { hashToken } from "@/lib/tokens";
+
+const now = new Date("2026-10-20T12:00:00.000Z");
+const later = new Date("2026-10-27T12:00:00.000Z");
+
+const liveSession = {
+  id: "s1",
+  userId: "u1",
+  familyId: "f1",
+  tokenHash: hashToken("old"),
+  expiresAt: later,
+};
+
+const fakeDb = ({ session = liveSession, updated = 1, deleted = 1 } = {}) => ({
+  session: {
+    create: jest.fn().mockImplementation(({ data }) => Promise.resolve({ id: "s1", ...data })),
+    findUnique: jest.fn().mockResolvedValue(session),
+    findMany: jest.fn().mockResolvedValue([session]),
+    updateMany: jest.fn().mockResolvedValue({ count: updated }),
+    deleteMany: jest.fn().mockResolvedValue({ count: deleted }),
+  },
+});
+
+const requestWith = (headers) => ({ headers: new Headers(headers) });
+
+describe("getClientInfo", () => {
+  test("uses the first forwarded address and the user agent", () => {
+    expect(
+      getClientInfo(
+        requestWith({ "x-forwarded-for": "203.0.113.7, 10.0.0.1", "user-agent": "Firefox" })
+      )
+    ).toEqual({ ipAddress: "203.0.113.7", userAgent: "Firefox" });
+  });
+
+  test("falls back to x-real-ip, and to null", () => {
+    expect(getClientInfo(requestWith({ "x-real-ip": "198.51.100.2" })).ipAddress).toBe(
+      "198.51.100.2"
+    );
+    expect(getClientInfo(requestWith({}))).toEqual({ ipAddress: null, userAgent: null });
+  });
+
+  test("truncates very long user agents", () => {
+    const { userAgent } = getClientInfo(requestWith({ "user-agent": "x".repeat(2000) }));
+    expect(userAgent).toHaveLength(512);
+  });
+});
+
+describe("createSession", () => {
+  test("stores the refresh token's hash and the client details", async () => {
+    const db = fakeDb();
+    await createSession(
+      db,
+      {
+        userId: "u1",
+        refreshToken: "tok",
+        familyId: "f1",
+        expiresAt: later,
+        userAgent: "UA",
+        ipAddress: "ip",
+      },
+      now
+    );
+
+    expect(db.session.create).toHaveBeenCalledWith({
+      data: {
+        userId: "u1",
+        tokenHash: hashToken("tok"),
+        familyId: "f1",
+        expiresAt: later,
+        userAgent: "UA",
+        ipAddress: "ip",
+        lastSeenAt: now,
+      },
+    });
+  });
+
+  test("prunes the user's expired sessions", async () => {
+    const db = fakeDb();
+    await createSession(db, { userId: "u1", refreshToken: "tok", expiresAt: later }, now);
+    expect(db.session.deleteMany).toHaveBeenCalledWith({
+      where: { userId: "u1", expiresAt: { lte: now } },
+    });
+  });
+});
+
+describe("rotateSession", () => {
+  const rotation = { refreshToken: "old", newRefreshToken: "new", expiresAt: later };
+
+  test("swaps in the new token's hash, keeping the old one, and updates last seen", async () => {
+    const db = fakeDb();
+    expect(await rotateSession(db, { ...rotation, ipAddress: "ip" }, now)).toBe(liveSession);
+
+    expect(db.session.findUnique).toHaveBeenCalledWith({ where: { tokenHash: hashToken("old") } });
+    expect(db.session.updateMany).toHaveBeenCalledWith({
+      where: { id: "s1", tokenHash: hashToken("old") },
+      data: {
+        tokenHash: hashToken("new"),
+        previousTokenHash: hashToken("old"),
+        rotatedAt: now,
+        expiresAt: later,
+        lastSeenAt: now,
+        ipAddress: "ip",
+      },
+    });
+  });
+
+  test("rejects tokens without a session (revoked or already rotated)", async () => {
+    const db = fakeDb({ session: null });
+    expect(await rotateSession(db, rotation, now)).toBeNull();
+    expect(db.session.updateMany).not.toHaveBeenCalled();
+  });
+
+  test("rejects expired sessions", async () => {
+    const db = fakeDb({ session: { ...liveSession, expiresAt: now } });
+    expect(await rotateSession(db, rotation, now)).toBeNull();
+  });
+
+  test("lets only one of two concurrent refreshes win", async () => {
+    const db = fakeDb({ updated: 0 });
+    expect(await rotateSession(db, rotation, now)).toBeNull();
+  });
+});
+
+describe("handleRefreshTokenReuse", () => {
+  // Rotated from "old" to "current" at `now`
+  const rotated = {
+    ...liveSession,
+    tokenHash: hashToken("current"),
+    previousTokenHash: hashToken("old"),
+    rotatedAt: now,
+  };
+  const afterGrace = new Date(now.getTime() + TOKEN_REUSE_GRACE_SECONDS * 1000);
+
+  test("revokes the family when a rotated-out token is presented", async () => {
+    const db = fakeDb({ session: rotated });
+    expect(
+      await handleRefreshTokenReuse(db, { refreshToken: "old", familyId: "f1" }, afterGrace)
+    ).toEqual({ session: rotated, revoked: true });
+
+    expect(db.session.findUnique).toHaveBeenCalledWith({ where: { familyId: "f1" } });
+    expect(db.session.deleteMany).toHaveBeenCalledWith({ where: { familyId: "f1" } });
+  });
+
+  test("revokes for tokens older than the previous one, even right after a rotation", async () => {
+    const db = fakeDb({ session: rotated });
+    const reuse = await handleRefreshTokenReuse(db, { refreshToken: "older", familyId: "f1" }, now);
+    expect(reuse.revoked).toBe(true);
+  });
+
+  test("tolerates the previous token briefly (concurrent refreshes)", async () => {
+    const db = fakeDb({ session: rotated });
+    expect(await handleRefreshTokenReuse(db, { refreshToken: "old", familyId: "f1" }, now)).toEqual(
+      { session: rotated, revoked: false }
+    );
+    expect(db.session.deleteMany).not.toHaveBeenCalled();
+  });
+
+  test("ignores unknown and expired families", async () => {
+    const unknown = fakeDb({ session: null });
+    expect(
+      await handleRefreshTokenReuse(unknown, { refreshToken: "old", familyId: "f1" }, now)
+    ).toBeNull();
+
+    const expired = fakeDb({ session: { ...rotated, expiresAt: now } });
+    expect(
+      await handleRefreshTokenReuse(expired, { refreshToken: "old", familyId: "f1" }, afterGrace)
+    ).toBeNull();
+    expect(expired.session.deleteMany).not.toHaveBeenCalled();
+  });
+
+  test("ignores the family's current token", async () => {
+    const db = fakeDb({ session: rotated });
+    expect(
+      await handleRefreshTokenReuse(db, { refreshToken: "current", familyId: "f1" }, afterGrace)
+    ).toBeNull();
+  });
+});
+
+describe("deleteSessionByToken", () => {
+  test("deletes the session by token hash", async () => {
+    const db = fakeDb();
+    expect(await deleteSessionByToken(db, "tok")).toBe(true);
+    expect(db.session.deleteMany).toHaveBeenCalledWith({ where: { tokenHash: hashToken("tok") } });
+  });
+
+  test("reports when there was no session", async () => {
+    expect(await deleteSessionByToken(fakeDb({ deleted: 0 }), "tok")).toBe(false);
+  });
+});
+
+describe("describeUserAgent", () => {
+  test.each([
+    [
+      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36",
+      "Chrome on macOS",
+    ],
+    [
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36 Edg/129.0.0.0",
+      "Edge on Windows",
+    ],
+    [
+      "Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:131.0) Gecko/20100101 Firefox/131.0",
+      "Firefox on Linux",
+    ],
+    [
+      "Mozilla/5.0 (iPhone; CPU iPhone OS 17_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.6 Mobile/15E148 Safari/604.1",
+      "Safari on iOS",
+    ],
+    [
+      "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Mobile Safari/537.36",
+      "Chrome on Android",
+    ],
+  ])("%s", (userAgent, expected) => {
+    expect(describeUserAgent(userAgent)).toBe(expected);
+  });
+
+  test("falls back for unknown or missing user agents", () => {
+    expect(describeUserAgent("curl/8.5.0")).toBe("Unknown device");
+    expect(describeUserAgent(null)).toBe("Unknown device");
+  });
+});
+
+describe("listSessions", () => {
+  test("returns the user's live sessions, most recently active first", async () => {
+    const db = fakeDb();
+    expect(await listSessions(db, "u1", now)).toEqual([liveSession]);
+    expect(db.session.findMany).toHaveBeenCalledWith({
+      where: { userId: "u1", expiresAt: { gt: now } },
+      orderBy: { lastSeenAt: "desc" },
+    });
+  });
+});
+
+describe("serializeSession", () => {
+  const session = {
+    ...liveSession,
+    userAgent: null,
+    ipAddress: "ip",
+    createdAt: now,
+    lastSeenAt: now,
+  };
+
+  test("omits the token hash and describes the device", () => {
+    const serialized = serializeSession(session);
+    expect(serialized).not.toHaveProperty("tokenHash");
+    expect(serialized).toMatchObject({ id: "s1", device: "Unknown device", ipAddress: "ip" });
+  });
+
+  test("flags the requester's own session", () => {
+    expect(serializeSession(session, hashToken("old")).current).toBe(true);
+    expect(serializeSession(session, hashToken("other")).current).toBe(false);
+    expect(serializeSession(session).current).toBe(false);
+  });
+});
+
+describe("revokeSession", () => {
+  test("only deletes the session when it belongs to the user", async () => {
+    const db = fakeDb();
+    expect(await revokeSession(db, "u1", "s1")).toBe(true);
+    expect(db.session.deleteMany).toHaveBeenCalledWith({ where: { id: "s1", userId: "u1" } });
+
+    expect(await revokeSession(fakeDb({ deleted: 0 }), "u2", "s1")).toBe(false);
+  });
+});
+
+describe("revokeUserSessions", () => {
+  test("deletes all of the user's sessions", async () => {
+    const db = fakeDb({ deleted: 3 });
+    expect(await revokeUserSessions(db, "u1")).toBe(3);
+    expect(db.session.deleteMany).toHaveBeenCalledWith({ where: { userId: "u1" } });
+  });
+
+  test("keeps the session of the given token", async () => {
+    const db = fakeDb();
+    await revokeUserSessions(db, "u1", { exceptTokenHash: hashToken("mine") });
+    expect(db.session.deleteMany).toHaveBeenCalledWith({
+      where: { userId: "u1", tokenHash: { not: hashToken("mine") } },
+    });
+  });
+});
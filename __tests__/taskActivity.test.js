@@ -0,0 +1,158 @@
+/**
+ * Unit tests for the task change log (lib/tasks/activity.js)
+ */
+import {
+  describeTaskEvent,
+  diffTaskFields,
+  mergeActivity,
+  recordBulkTaskEvents,
+  recordTaskEvents,
+  resolveEventNames,
+  serializeEventValue,
+  TASK_CREATED_FIELD,
+} from "@/lib/tasks/activity";
+
+const fakeDb = () => ({
+  taskEvent: { createMany: jest.fn(async ({ data }) => ({ count: data.length })) },
+});
+
+describe("serializeEventValue", () => {
+  test("stores values as strings and unset values as null", () => {
+    expect(serializeEventValue("High")).toBe("High");
+    expect(serializeEventValue(5)).toBe("5");
+    expect(serializeEventValue(new Date("2026-10-19T00:00:00.000Z"))).toBe(
+      "2026-10-19T00:00:00.000Z"
+    );
+    expect(serializeEventValue(null)).toBeNull();
+    expect(serializeEventValue(undefined)).toBeNull();
+    expect(serializeEventValue("")).toBeNull();
+  });
+});
+
+describe("diffTaskFields", () => {
+  const before = {
+    title: "Ship it",
+    status: "Todo",
+    priority: "Medium",
+    assigneeId: null,
+    dueDate: new Date("2026-10-20T00:00:00.000Z"),
+    rank: "a",
+  };
+
+  test("lists changed recorded fields only", () => {
+    const after = {
+      ...before,
+      status: "InProgress",
+      assigneeId: "u1",
+      dueDate: new Date("2026-10-20T00:00:00.000Z"),
+      rank: "b",
+    };
+    expect(diffTaskFields(before, after)).toEqual([
+      { field: "status", oldValue: "Todo", newValue: "InProgress" },
+      { field: "assigneeId", oldValue: null, newValue: "u1" },
+    ]);
+  });
+
+  test("ignores fields missing from the new version", () => {
+    expect(diffTaskFields(before, { status: "Todo" })).toEqual([]);
+  });
+});
+
+describe("recordTaskEvents", () => {
+  test("writes one row per change with the task and actor", async () => {
+    const db = fakeDb();
+    const count = await recordTaskEvents(db, {
+      taskId: "t1",
+      actorId: "u1",
+      changes: [{ field: "priority", oldValue: "Low", newValue: "High" }],
+    });
+    expect(count).toBe(1);
+    expect(db.taskEvent.createMany).toHaveBeenCalledWith({
+      data: [{ field: "priority", oldValue: "Low", newValue: "High", taskId: "t1", actorId: "u1" }],
+    });
+  });
+
+  test("skips the write when nothing changed", async () => {
+    const db = fakeDb();
+    expect(await recordTaskEvents(db, { taskId: "t1", actorId: "u1", changes: [] })).toBe(0);
+    expect(db.taskEvent.createMany).not.toHaveBeenCalled();
+  });
+});
+
+describe("recordBulkTaskEvents", () => {
+  test("writes the same change for every task", async () => {
+    const db = fakeDb();
+    await recordBulkTaskEvents(db, {
+      taskIds: ["t1", "t2"],
+      actorId: "u1",
+      field: "sprintId",
+      oldValue: "s1",
+      newValue: null,
+    });
+    expect(db.taskEvent.createMany.mock.calls[0][0].data).toEqual([
+      { taskId: "t1", actorId: "u1", field: "sprintId", oldValue: "s1", newValue: null },
+      { taskId: "t2", actorId: "u1", field: "sprintId", oldValue: "s1", newValue: null },
+    ]);
+  });
+});
+
+describe("resolveEventNames", () => {
+  test("names referenced users and marks missing ones", async () => {
+    const db = {
+      user: { findMany: jest.fn().mockResolvedValue([{ id: "u1", name: "Ada" }]) },
+      project: { findMany: jest.fn() },
+      sprint: { findMany: jest.fn() },
+      task: { findMany: jest.fn() },
+    };
+    const events = [
+      { id: "e1", field: "assigneeId", oldValue: "u1", newValue: "gone" },
+      { id: "e2", field: "status", oldValue: "Todo", newValue: "Done" },
+    ];
+
+    expect(await resolveEventNames(db, events)).toEqual([
+      { ...events[0], oldName: "Ada", newName: null },
+      events[1],
+    ]);
+    expect(db.project.findMany).not.toHaveBeenCalled();
+  });
+});
+
+describe("describeTaskEvent", () => {
+  test("describes creation, changes, new values and cleared values", () => {
+    expect(describeTaskEvent({ field: TASK_CREATED_FIELD, newValue: "Ship it" })).toBe(
+      "created the task"
+    );
+    expect(
+      describeTaskEvent(
+        { field: "status", oldValue: "Todo", newValue: "InProgress" },
+        { statusName: (key) => (key === "InProgress" ? "In Progress" : key) }
+      )
+    ).toBe("changed the status from Todo to In Progress");
+    expect(
+      describeTaskEvent({ field: "assigneeId", oldValue: null, newValue: "u1", newName: "Ada" })
+    ).toBe("set the assignee to Ada");
+    expect(describeTaskEvent({ field: "storyPoints", oldValue: "3", newValue: null })).toBe(
+      "cleared the story points (was 3)"
+    );
+    expect(describeTaskEvent({ field: "description", oldValue: "a", newValue: "b" })).toBe(
+      "updated the description"
+    );
+  });
+});
+
+describe("mergeActivity", () => {
+  test("interleaves events and comments newest first", () => {
+    const feed = mergeActivity(
+      [
+        { id: "e1", createdAt: "2026-10-19T10:00:00.000Z" },
+        { id: "e2", createdAt: "2026-10-19T12:00:00.000Z" },
+      ],
+      [{ id: "c1", createdAt: "2026-10-19T11:00:00.000Z" }]
+    );
+    expect(feed.map((entry) => `${entry.type}:${entry.id}`)).toEqual([
+      "event:e2",
+      "comment:c1",
+      "event:e1",
+    ]);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Unit tests for work-in-progress limits (lib/tasks/wipLimits.js)
+ * and the WIP limits update schema
+ */
+import { checkWipLimit, wipLimitState, WIP_LIMIT_MODE } from "@/lib/tasks/wipLimits";
+import { updateWipLimitsSchema } from "@/lib/schemas/workflowSchema";
+import { ERROR_CODES } from "@/lib/errorCodes";
+
+const workflow = [
+  { key: "Todo", name: "Todo", category: "todo", wipLimit: null },
+  { key: "InProgress", name: "In Progress", category: "doing", wipLimit: 2 },
+];
+
+const fakeDb = ({ count, mode = WIP_LIMIT_MODE.SOFT }) => ({
+  task: { count: jest.fn().mockResolvedValue(count) },
+  project: { findUnique: jest.fn().mockResolvedValue({ wipLimitMode: mode }) },
+});
+
+const move = { taskId: "t1", projectId: "p1", status: "InProgress", workflow };
+
+describe("wipLimitState", () => {
+  test("compares a column's load with its limit", () => {
+    expect(wipLimitState(5, null)).toBe("none");
+    expect(wipLimitState(1, 2)).toBe("under");
+    expect(wipLimitState(2, 2)).toBe("at");
+    expect(wipLimitState(3, 2)).toBe("over");
+  });
+});
+
+describe("checkWipLimit", () => {
+  test("allows moves into columns below their limit", async () => {
+    const db = fakeDb({ count: 1 });
+    expect(await checkWipLimit(db, move)).toEqual({});
+    expect(db.task.count).toHaveBeenCalledWith({
+      where: { projectId: "p1", status: "InProgress", id: { not: "t1" } },
+    });
+  });
+
+  test("skips columns without a limit and tasks without a project", async () => {
+    const db = fakeDb({ count: 10 });
+    expect(await checkWipLimit(db, { ...move, status: "Todo" })).toEqual({});
+    expect(await checkWipLimit(db, { ...move, projectId: null })).toEqual({});
+    expect(db.task.count).not.toHaveBeenCalled();
+  });
+
+  test("warns in soft mode", async () => {
+    const result = await checkWipLimit(fakeDb({ count: 2 }), move);
+    expect(result.warning).toMatchObject({
+      code: ERROR_CODES.WIP_LIMIT_EXCEEDED,
+      status: "InProgress",
+      limit: 2,
+      count: 2,
+    });
+  });
+
+  test("rejects in strict mode", async () => {
+    const result = await checkWipLimit(fakeDb({ count: 2, mode: WIP_LIMIT_MODE.STRICT }), move);
+    expect(result.error).toMatchObject({
+      code: ERROR_CODES.WIP_LIMIT_EXCEEDED,
+      statusCode: 409,
+      details: { status: "InProgress", limit: 2, count: 2 },
+    });
+  });
+});
+
+describe("updateWipLimitsSchema", () => {
+  test("accepts a mode and limits, with null clearing a limit", () => {
+    expect(
+      updateWipLimitsSchema.parse({ mode: "strict", limits: { InProgress: 3, Done: null } })
+    ).toEqual({ mode: "strict", limits: { InProgress: 3, Done: null } });
+  });
+
+  test("rejects invalid limits and modes", () => {
+    expect(updateWipLimitsSchema.safeParse({ limits: { InProgress: 0 } }).success).toBe(false);
+    expect(updateWipLimitsSchema.safeParse({ limits: { InProgress: 1.5 } }).success).toBe(false);
+    expect(updateWipLimitsSchema.safeParse({ mode: "hard" }).success).toBe(false);
+    expect(updateWipLimitsSchema.safeParse({}).success).toBe(false);
+  });
+});
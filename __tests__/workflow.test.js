@@ -0,0 +1,90 @@
+/**
+ * Unit tests for configurable workflow helpers
+ */
+import {
+  DEFAULT_WORKFLOW,
+  canTransition,
+  categoryOf,
+  initialStatus,
+  mapStatus,
+  validateWorkflow,
+} from "@/lib/workflow";
+import { updateWorkflowSchema } from "@/lib/schemas/workflowSchema";
+import { taskStatusSchema } from "@/lib/schemas/taskSchema";
+
+const reviewWorkflow = [
+  { key: "Backlog", name: "Backlog", category: "todo", transitionsTo: ["Doing"] },
+  { key: "Doing", name: "Doing", category: "doing", transitionsTo: ["InReview"] },
+  { key: "InReview", name: "In Review", category: "doing", transitionsTo: ["Doing", "Shipped"] },
+  { key: "Shipped", name: "Shipped", category: "done", transitionsTo: [] },
+];
+
+describe("workflow helpers", () => {
+  test("initial status is the first todo status", () => {
+    expect(initialStatus(DEFAULT_WORKFLOW)).toBe("Todo");
+    expect(initialStatus(reviewWorkflow)).toBe("Backlog");
+  });
+
+  test("looks up a status category", () => {
+    expect(categoryOf(reviewWorkflow, "InReview")).toBe("doing");
+    expect(categoryOf(reviewWorkflow, "Missing")).toBeNull();
+  });
+
+  test("enforces allowed transitions when a status lists them", () => {
+    expect(canTransition(reviewWorkflow, "Doing", "InReview")).toBe(true);
+    expect(canTransition(reviewWorkflow, "Doing", "Shipped")).toBe(false);
+    expect(canTransition(reviewWorkflow, "Doing", "Doing")).toBe(true);
+  });
+
+  test("allows any transition when none are configured or the source is unknown", () => {
+    expect(canTransition(DEFAULT_WORKFLOW, "Todo", "Done")).toBe(true);
+    expect(canTransition(reviewWorkflow, "Shipped", "Backlog")).toBe(true);
+    expect(canTransition(reviewWorkflow, "Todo", "Shipped")).toBe(true);
+  });
+
+  test("maps statuses into another workflow by category", () => {
+    expect(mapStatus(reviewWorkflow, "Doing", "doing")).toBe("Doing");
+    expect(mapStatus(reviewWorkflow, "Done", "done")).toBe("Shipped");
+    expect(mapStatus(reviewWorkflow, "InProgress", "doing")).toBe("Doing");
+    expect(mapStatus(DEFAULT_WORKFLOW, "InReview", "doing")).toBe("InProgress");
+  });
+
+  test("validates workflow structure", () => {
+    expect(validateWorkflow(reviewWorkflow)).toBeNull();
+    expect(validateWorkflow([])).toMatch(/at least one status/);
+    expect(validateWorkflow([...reviewWorkflow, reviewWorkflow[0]])).toMatch(/Duplicate/);
+    expect(validateWorkflow(reviewWorkflow.filter((s) => s.category !== "done"))).toMatch(
+      /"done" status/
+    );
+    expect(
+      validateWorkflow([{ key: "A", category: "todo", transitionsTo: ["Z"] }, reviewWorkflow[3]])
+    ).toMatch(/unknown "Z"/);
+  });
+});
+
+describe("workflow schemas", () => {
+  test("accepts a valid workflow with a remap for removed statuses", () => {
+    const result = updateWorkflowSchema.safeParse({
+      statuses: reviewWorkflow,
+      remap: { QA: "InReview" },
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.statuses[0].color).toBe("gray");
+  });
+
+  test("rejects a remap to an unknown status", () => {
+    const result = updateWorkflowSchema.safeParse({
+      statuses: reviewWorkflow,
+      remap: { QA: "Nowhere" },
+    });
+
+    expect(result.success).toBe(false);
+  });
+
+  test("builds the task status field from a workflow", () => {
+    expect(taskStatusSchema(reviewWorkflow).safeParse("InReview").success).toBe(true);
+    expect(taskStatusSchema(reviewWorkflow).safeParse("Todo").success).toBe(false);
+    expect(taskStatusSchema().safeParse("Todo").success).toBe(true);
+  });
+});
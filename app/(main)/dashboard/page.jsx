@@ -4,50 +4,41 @@ import useSWR from "swr";
 import { fetcher } from "@/lib/fetcher";
 import Link from "next/link";
 import { useAuth } from "@/hooks/useAuth";
+import { useProject } from "@/hooks/useProject";
 import { useState } from "react";
 import Modal from "@/components/Modal";
 import Loader from "@/components/Loader";
+import KanbanBoard, { columnsFromWorkflow } from "@/components/KanbanBoard";
+import { useWorkflow } from "@/hooks/useWorkflow";
+import { useLiveUpdates } from "@/hooks/useLiveUpdates";
+import SprintReports from "@/components/SprintReports";
 import toast from "react-hot-toast";
 
 /**
  * Dashboard Page - Kanban Board View
  *
- * Displays tasks grouped by status (Todo, InProgress, Done)
- * Uses SWR for real-time data fetching with caching
+ * Displays tasks grouped by the selected project's workflow statuses
+ * (Todo, In Progress, Done unless the project configures its own)
+ * Scoped to the project selected in the (main) layout switcher
+ * Cards can be dragged (or moved with the keyboard) between and within columns;
+ * the order is saved as each task's rank
+ * Shows burndown/velocity charts when a project is selected
+ * Uses SWR for data fetching with caching, kept current by /api/events
  * Connected to /api/tasks endpoint
  */
 
-// Column component for Kanban board
-const Column = ({ title, tasks, dotColor, TaskComponent }) => (
-  <div className="bg-gray-900 rounded-lg p-4">
-    <div className="flex items-center justify-between mb-4">
-      <h2 className="text-white font-semibold flex items-center gap-2">
-        <span className={`w-2 h-2 ${dotColor} rounded-full`}></span>
-        {title}
-        <span className="text-gray-500 text-sm">({tasks.length})</span>
-      </h2>
-    </div>
-
-    <div className="space-y-3">
-      {tasks.length === 0 ? (
-        <div className="text-center py-8 text-gray-500">
-          <p>No tasks</p>
-        </div>
-      ) : (
-        tasks.map((task) => <TaskComponent key={task.id} task={task} />)
-      )}
-    </div>
-  </div>
-);
-
 export default function DashboardPage() {
   const { isAuthenticated, userName } = useAuth();
+  const { projectId, withProject, projectName } = useProject();
+  const { workflow } = useWorkflow(projectId);
   const [deleteModal, setDeleteModal] = useState({ isOpen: false, task: null });
   const [isDeleting, setIsDeleting] = useState(false);
 
+  // Live task events patch the SWR cache, so the board doesn't need to poll
+  useLiveUpdates();
+
   // Fetch all tasks with SWR
-  const { data, error, isLoading, mutate } = useSWR("/api/tasks?limit=100", fetcher, {
-    refreshInterval: 30000, // Refresh every 30 seconds
+  const { data, error, isLoading, mutate } = useSWR(withProject("/api/tasks?limit=100"), fetcher, {
     revalidateOnFocus: true,
   });
 
@@ -83,12 +74,58 @@ export default function DashboardPage() {
     }
   };
 
+  // Drag-and-drop move: update the board at once, roll back if the API rejects it
+  // (e.g. a transition the workflow doesn't allow, or a blocked task)
+  const handleMoveTask = async (task, { status, rank }) => {
+    const replaceTask = (current, updated) =>
+      current && {
+        ...current,
+        data: {
+          ...current.data,
+          tasks: current.data.tasks.map((t) => (t.id === updated.id ? { ...t, ...updated } : t)),
+        },
+      };
+
+    const statusCategory = workflow.find((s) => s.key === status)?.category ?? task.statusCategory;
+
+    try {
+      await mutate(
+        async (current) => {
+          const response = await fetch(`/api/tasks/${task.id}`, {
+            method: "PUT",
+            credentials: "include",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(status === task.status ? { rank } : { status, rank }),
+          });
+          const result = await response.json();
+
+          if (!response.ok) {
+            throw new Error(result.message || "Failed to move task");
+          }
+
+          const { warnings = [], ...updated } = result.data;
+          warnings.forEach((warning) => toast(warning.message, { icon: "⚠️" }));
+          return replaceTask(current, updated);
+        },
+        {
+          optimisticData: (current) =>
+            replaceTask(current, { ...task, status, statusCategory, rank }),
+          rollbackOnError: true,
+          populateCache: true,
+          revalidate: false,
+        }
+      );
+    } catch (err) {
+      toast.error(err.message || "Failed to move task");
+    }
+  };
+
   // Debug logging
   console.log("🔍 Dashboard SWR state:", {
     isLoading,
     hasError: !!error,
     hasData: !!data,
-    taskCount: data?.tasks?.length,
+    taskCount: data?.data?.tasks?.length,
     rawData: data,
   });
 
@@ -110,110 +147,7 @@ export default function DashboardPage() {
     );
   }
 
-  const tasks = data?.tasks || [];
-
-  // Group tasks by status
-  const todoTasks = tasks.filter((t) => t.status === "Todo");
-  const inProgressTasks = tasks.filter((t) => t.status === "InProgress");
-  const doneTasks = tasks.filter((t) => t.status === "Done");
-
-  // Redefine helper function inside component to access getAvatarColor
-  const TaskCardInner = ({ task }) => {
-    const priorityColors = {
-      High: "bg-red-900 text-red-300",
-      Medium: "bg-orange-900 text-orange-300",
-      Low: "bg-gray-700 text-gray-300",
-    };
-
-    const getInitials = (name) => {
-      if (!name) return "?";
-      return name
-        .split(" ")
-        .map((n) => n[0])
-        .join("")
-        .toUpperCase()
-        .slice(0, 2);
-    };
-
-    // Generate consistent avatar color based on user name
-    const getAvatarColor = (name) => {
-      if (!name) return "bg-gray-600";
-      const colors = [
-        "bg-green-500", // Green
-        "bg-blue-500", // Blue
-        "bg-purple-500", // Purple
-        "bg-orange-500", // Orange
-        "bg-pink-500", // Pink
-        "bg-teal-500", // Teal
-      ];
-      const hash = name.split("").reduce((acc, char) => acc + char.charCodeAt(0), 0);
-      return colors[hash % colors.length];
-    };
-
-    const userName = task.assignee?.name || task.creator?.name;
-    const avatarColor = getAvatarColor(userName);
-
-    return (
-      <div className="bg-gray-800 rounded-lg p-4 border border-gray-700 hover:border-gray-600 transition-colors group">
-        <div className="flex items-start justify-between mb-2">
-          <Link href={`/tasks/${task.id}`} className="flex-1">
-            <h3 className="text-white font-medium line-clamp-2 group-hover:text-blue-400 transition-colors">
-              {task.title}
-            </h3>
-          </Link>
-          <button
-            onClick={(e) => {
-              e.stopPropagation();
-              setDeleteModal({ isOpen: true, task });
-            }}
-            className="opacity-0 group-hover:opacity-100 transition-opacity ml-2 p-1 hover:bg-red-900/50 rounded text-red-400 hover:text-red-300"
-            aria-label="Delete task"
-          >
-            <svg
-              xmlns="http://www.w3.org/2000/svg"
-              className="h-4 w-4"
-              fill="none"
-              viewBox="0 0 24 24"
-              stroke="currentColor"
-            >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth={2}
-                d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
-              />
-            </svg>
-          </button>
-        </div>
-
-        {task.description && (
-          <p className="text-gray-400 text-sm mb-3 line-clamp-2">{task.description}</p>
-        )}
-
-        <div className="flex items-center justify-between mt-3">
-          <div className="flex items-center gap-2">
-            <div
-              className={`w-6 h-6 ${avatarColor} rounded-full flex items-center justify-center text-white text-xs font-semibold`}
-            >
-              {getInitials(userName)}
-            </div>
-            <span className="text-gray-400 text-sm">{userName || "Unassigned"}</span>
-          </div>
-          <span
-            className={`px-2 py-1 text-xs rounded ${priorityColors[task.priority] || priorityColors.Low}`}
-          >
-            {task.priority}
-          </span>
-        </div>
-
-        {task.dueDate && (
-          <div className="mt-2 text-xs text-gray-500">
-            Due: {new Date(task.dueDate).toLocaleDateString()}
-          </div>
-        )}
-      </div>
-    );
-  };
+  const tasks = data?.data?.tasks || [];
 
   return (
     <div className="p-8">
@@ -226,31 +160,20 @@ export default function DashboardPage() {
           )}
         </h1>
         <p className="text-gray-400">
-          Track and manage your tasks across the sprint • {tasks.length} total tasks
+          {projectName} • Track and manage your tasks across the sprint • {tasks.length} total tasks
         </p>
       </div>
 
+      {/* Sprint Reports - burndown and velocity need a single project */}
+      {projectId && <SprintReports projectId={projectId} />}
+
       {/* Kanban Board */}
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-        <Column
-          title="Todo"
-          tasks={todoTasks}
-          dotColor="bg-gray-500"
-          TaskComponent={TaskCardInner}
-        />
-        <Column
-          title="In Progress"
-          tasks={inProgressTasks}
-          dotColor="bg-blue-500"
-          TaskComponent={TaskCardInner}
-        />
-        <Column
-          title="Done"
-          tasks={doneTasks}
-          dotColor="bg-green-500"
-          TaskComponent={TaskCardInner}
-        />
-      </div>
+      <KanbanBoard
+        tasks={tasks}
+        columns={columnsFromWorkflow(workflow)}
+        onDeleteTask={(task) => setDeleteModal({ isOpen: true, task })}
+        onMoveTask={handleMoveTask}
+      />
 
       {/* Create Task Button */}
       <div className="mt-8 flex justify-center">
@@ -1,3 +1,8 @@
+import WorkflowEditor from "@/components/WorkflowEditor";
+import LabelManager from "@/components/LabelManager";
+import WipLimitsEditor from "@/components/WipLimitsEditor";
+import SessionList from "@/components/SessionList";
+
 export default function SettingsPage() {
   return (
     <div className="p-8 max-w-6xl mx-auto">
@@ -108,6 +113,44 @@ export default function SettingsPage() {
         </div>
       </div>
 
+      {/* Security */}
+      <div className="bg-gray-900 rounded-lg border border-gray-800 p-6 mb-6">
+        <h2 className="text-white text-xl font-semibold mb-2">Security</h2>
+        <p className="text-gray-400 text-sm mb-6">
+          Devices signed in to your account. Sign out any you don&apos;t recognize.
+        </p>
+        <SessionList />
+      </div>
+
+      {/* Project Workflow */}
+      <div className="bg-gray-900 rounded-lg border border-gray-800 p-6 mb-6">
+        <h2 className="text-white text-xl font-semibold mb-2">Project Workflow</h2>
+        <p className="text-gray-400 text-sm mb-6">
+          Board columns for the selected project. Each status counts as todo, doing or done for
+          progress and reports.
+        </p>
+        <WorkflowEditor />
+      </div>
+
+      {/* WIP Limits */}
+      <div className="bg-gray-900 rounded-lg border border-gray-800 p-6 mb-6">
+        <h2 className="text-white text-xl font-semibold mb-2">WIP Limits</h2>
+        <p className="text-gray-400 text-sm mb-6">
+          Maximum number of tasks per board column. Columns over their limit are flagged on the
+          board.
+        </p>
+        <WipLimitsEditor />
+      </div>
+
+      {/* Project Labels */}
+      <div className="bg-gray-900 rounded-lg border border-gray-800 p-6 mb-6">
+        <h2 className="text-white text-xl font-semibold mb-2">Project Labels</h2>
+        <p className="text-gray-400 text-sm mb-6">
+          Labels for tagging and filtering the selected project&apos;s tasks.
+        </p>
+        <LabelManager />
+      </div>
+
       {/* Save Button */}
       <div className="flex justify-end">
         <button className="px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors">
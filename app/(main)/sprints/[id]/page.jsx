@@ -0,0 +1,75 @@
+"use client";
+
+import useSWR from "swr";
+import { fetcher } from "@/lib/fetcher";
+import Link from "next/link";
+import { use } from "react";
+import Loader from "@/components/Loader";
+import KanbanBoard, { columnsFromWorkflow } from "@/components/KanbanBoard";
+import { useWorkflow } from "@/hooks/useWorkflow";
+import { useLiveUpdates } from "@/hooks/useLiveUpdates";
+
+/**
+ * Sprint Board Page
+ *
+ * Kanban board of the tasks in one sprint, with columns from the project's workflow
+ * Connected to /api/sprints/[id] and /api/tasks?sprintId=, kept current by /api/events
+ */
+export default function SprintBoardPage({ params }) {
+  const { id } = use(params);
+
+  // Live task events patch the SWR cache, so the board doesn't need to poll
+  useLiveUpdates();
+
+  const { data: sprintData, error: sprintError } = useSWR(`/api/sprints/${id}`, fetcher);
+  const { data, error, isLoading } = useSWR(
+    `/api/tasks?limit=100&sprintId=${encodeURIComponent(id)}`,
+    fetcher,
+    { revalidateOnFocus: true }
+  );
+  const { workflow } = useWorkflow(sprintData?.data?.projectId);
+
+  if (isLoading) {
+    return (
+      <div className="p-8 flex items-center justify-center min-h-[400px]">
+        <Loader size="lg" text="Loading sprint board..." />
+      </div>
+    );
+  }
+
+  if (error || sprintError) {
+    return (
+      <div className="p-8">
+        <div className="bg-red-900 border border-red-700 rounded-lg p-4">
+          <p className="text-red-300">Failed to load sprint: {(error || sprintError).message}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const sprint = sprintData?.data;
+  const tasks = data?.data?.tasks || [];
+  const doneCount = tasks.filter((t) => t.statusCategory === "done").length;
+
+  return (
+    <div className="p-8">
+      {/* Header */}
+      <div className="mb-8">
+        <Link href="/sprints" className="text-gray-400 hover:text-white text-sm">
+          ← All sprints
+        </Link>
+        <h1 className="text-3xl font-bold text-white mt-2 mb-2">{sprint?.name || "Sprint"}</h1>
+        {sprint && (
+          <p className="text-gray-400">
+            {sprint.project?.name} • {sprint.state} •{" "}
+            {new Date(sprint.startDate).toLocaleDateString()} –{" "}
+            {new Date(sprint.endDate).toLocaleDateString()} • {doneCount}/{tasks.length} done
+          </p>
+        )}
+        {sprint?.goal && <p className="text-gray-500 mt-1">{sprint.goal}</p>}
+      </div>
+
+      <KanbanBoard tasks={tasks} columns={columnsFromWorkflow(workflow)} />
+    </div>
+  );
+}
@@ -0,0 +1,358 @@
+"use client";
+
+import useSWR from "swr";
+import { fetcher } from "@/lib/fetcher";
+import Link from "next/link";
+import { useState } from "react";
+import Modal from "@/components/Modal";
+import Loader from "@/components/Loader";
+import { useProject } from "@/hooks/useProject";
+import toast from "react-hot-toast";
+
+/**
+ * Sprints Page
+ *
+ * Lists the sprints of the project selected in the (main) layout switcher
+ * Plan new sprints, start a planned sprint, and close the active one
+ * Connected to /api/sprints endpoints
+ */
+
+const stateBadges = {
+  planned: "bg-gray-700 text-gray-300",
+  active: "bg-blue-900 text-blue-300",
+  closed: "bg-green-900 text-green-300",
+};
+
+const emptySprint = { name: "", goal: "", startDate: "", endDate: "" };
+
+// POST helper that surfaces API error messages
+async function postJSON(url, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.message || "Request failed");
+  }
+  return data;
+}
+
+export default function SprintsPage() {
+  const { projectId, currentProject } = useProject();
+  const [createOpen, setCreateOpen] = useState(false);
+  const [newSprint, setNewSprint] = useState(emptySprint);
+  const [closeModal, setCloseModal] = useState({ isOpen: false, sprint: null });
+  const [moveTo, setMoveTo] = useState("backlog");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { data, error, isLoading, mutate } = useSWR(
+    projectId ? `/api/sprints?projectId=${encodeURIComponent(projectId)}` : null,
+    fetcher
+  );
+
+  if (!projectId) {
+    return (
+      <div className="p-8">
+        <h1 className="text-3xl font-bold text-white mb-2">Sprints</h1>
+        <p className="text-gray-400">Select a project in the sidebar to plan its sprints.</p>
+      </div>
+    );
+  }
+
+  if (isLoading) {
+    return (
+      <div className="p-8 flex items-center justify-center min-h-[400px]">
+        <Loader size="lg" text="Loading sprints..." />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-8">
+        <div className="bg-red-900 border border-red-700 rounded-lg p-4">
+          <p className="text-red-300">Failed to load sprints: {error.message}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const sprints = data?.data?.sprints || [];
+  const hasActiveSprint = sprints.some((s) => s.state === "active");
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    const loadingToast = toast.loading("Creating sprint...");
+
+    try {
+      await postJSON("/api/sprints", { ...newSprint, projectId, goal: newSprint.goal || null });
+      toast.success("Sprint created!", { id: loadingToast });
+      setCreateOpen(false);
+      setNewSprint(emptySprint);
+      mutate();
+    } catch (err) {
+      toast.error(err.message || "Failed to create sprint", { id: loadingToast });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleStart = async (sprint) => {
+    const loadingToast = toast.loading(`Starting ${sprint.name}...`);
+    try {
+      await postJSON(`/api/sprints/${sprint.id}/start`, {});
+      toast.success("Sprint started!", { id: loadingToast });
+      mutate();
+    } catch (err) {
+      toast.error(err.message || "Failed to start sprint", { id: loadingToast });
+    }
+  };
+
+  const handleClose = async () => {
+    if (!closeModal.sprint) return;
+
+    setIsSubmitting(true);
+    const loadingToast = toast.loading("Closing sprint...");
+
+    try {
+      const result = await postJSON(`/api/sprints/${closeModal.sprint.id}/close`, { moveTo });
+      toast.success(`Sprint closed - ${result.data.movedCount} unfinished task(s) moved`, {
+        id: loadingToast,
+      });
+      setCloseModal({ isOpen: false, sprint: null });
+      mutate();
+    } catch (err) {
+      toast.error(err.message || "Failed to close sprint", { id: loadingToast });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const openCloseModal = (sprint) => {
+    setMoveTo("backlog");
+    setCloseModal({ isOpen: true, sprint });
+  };
+
+  // Sprints that can receive unfinished work from the one being closed
+  const moveTargets = sprints.filter((s) => s.state !== "closed" && s.id !== closeModal.sprint?.id);
+
+  const inputClass =
+    "w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+  return (
+    <div className="p-8">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-white mb-2">Sprints</h1>
+          <p className="text-gray-400">
+            {currentProject?.name} • {sprints.length} sprints
+          </p>
+        </div>
+        <button
+          onClick={() => setCreateOpen(true)}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          + Plan Sprint
+        </button>
+      </div>
+
+      {/* Sprint List */}
+      <div className="space-y-4">
+        {sprints.length === 0 ? (
+          <div className="bg-gray-900 rounded-lg p-12 text-center text-gray-500">
+            No sprints yet
+          </div>
+        ) : (
+          sprints.map((sprint) => (
+            <div
+              key={sprint.id}
+              className="bg-gray-900 rounded-lg border border-gray-800 p-6 flex items-center justify-between"
+            >
+              <div>
+                <div className="flex items-center gap-3 mb-1">
+                  <Link
+                    href={`/sprints/${sprint.id}`}
+                    className="text-white font-semibold hover:text-blue-400 transition-colors"
+                  >
+                    {sprint.name}
+                  </Link>
+                  <span className={`px-2 py-1 text-xs rounded ${stateBadges[sprint.state]}`}>
+                    {sprint.state}
+                  </span>
+                </div>
+                <p className="text-gray-400 text-sm">
+                  {new Date(sprint.startDate).toLocaleDateString()} –{" "}
+                  {new Date(sprint.endDate).toLocaleDateString()} • {sprint._count.tasks} tasks
+                </p>
+                {sprint.goal && <p className="text-gray-500 text-sm mt-1">{sprint.goal}</p>}
+              </div>
+
+              <div className="flex gap-2">
+                {sprint.state === "planned" && (
+                  <button
+                    onClick={() => handleStart(sprint)}
+                    disabled={hasActiveSprint}
+                    title={hasActiveSprint ? "Close the active sprint first" : undefined}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Start
+                  </button>
+                )}
+                {sprint.state === "active" && (
+                  <button
+                    onClick={() => openCloseModal(sprint)}
+                    className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-700 transition-colors border border-gray-700"
+                  >
+                    Close
+                  </button>
+                )}
+                <Link
+                  href={`/sprints/${sprint.id}`}
+                  className="px-4 py-2 text-gray-300 rounded-lg hover:bg-gray-800 transition-colors"
+                >
+                  Board
+                </Link>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {/* Create Sprint Modal */}
+      <Modal
+        isOpen={createOpen}
+        onClose={() => !isSubmitting && setCreateOpen(false)}
+        title="Plan Sprint"
+      >
+        <form onSubmit={handleCreate} className="space-y-4">
+          <div>
+            <label htmlFor="sprint-name" className="block text-sm font-medium text-gray-300 mb-2">
+              Name <span className="text-red-500">*</span>
+            </label>
+            <input
+              id="sprint-name"
+              required
+              value={newSprint.name}
+              onChange={(e) => setNewSprint((prev) => ({ ...prev, name: e.target.value }))}
+              className={inputClass}
+              placeholder="Sprint 1"
+            />
+          </div>
+          <div>
+            <label htmlFor="sprint-goal" className="block text-sm font-medium text-gray-300 mb-2">
+              Goal
+            </label>
+            <textarea
+              id="sprint-goal"
+              rows={2}
+              value={newSprint.goal}
+              onChange={(e) => setNewSprint((prev) => ({ ...prev, goal: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label
+                htmlFor="sprint-start"
+                className="block text-sm font-medium text-gray-300 mb-2"
+              >
+                Start <span className="text-red-500">*</span>
+              </label>
+              <input
+                id="sprint-start"
+                type="date"
+                required
+                value={newSprint.startDate}
+                onChange={(e) => setNewSprint((prev) => ({ ...prev, startDate: e.target.value }))}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label htmlFor="sprint-end" className="block text-sm font-medium text-gray-300 mb-2">
+                End <span className="text-red-500">*</span>
+              </label>
+              <input
+                id="sprint-end"
+                type="date"
+                required
+                value={newSprint.endDate}
+                onChange={(e) => setNewSprint((prev) => ({ ...prev, endDate: e.target.value }))}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div className="flex gap-3 pt-4">
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+            >
+              {isSubmitting ? "Creating..." : "Create Sprint"}
+            </button>
+            <button
+              type="button"
+              onClick={() => setCreateOpen(false)}
+              disabled={isSubmitting}
+              className="flex-1 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-700 transition-colors border border-gray-700 disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Close Sprint Modal */}
+      <Modal
+        isOpen={closeModal.isOpen}
+        onClose={() => !isSubmitting && setCloseModal({ isOpen: false, sprint: null })}
+        title="Close Sprint"
+        size="sm"
+      >
+        <div className="space-y-4">
+          <p className="text-gray-300">
+            Close <span className="font-semibold text-white">{closeModal.sprint?.name}</span>?
+            Unfinished tasks will be moved to:
+          </p>
+          <label htmlFor="sprint-move-to" className="sr-only">
+            Move unfinished tasks to
+          </label>
+          <select
+            id="sprint-move-to"
+            value={moveTo}
+            onChange={(e) => setMoveTo(e.target.value)}
+            className={inputClass}
+          >
+            <option value="backlog">Backlog</option>
+            {moveTargets.map((sprint) => (
+              <option key={sprint.id} value={sprint.id}>
+                {sprint.name} ({sprint.state})
+              </option>
+            ))}
+          </select>
+
+          <div className="flex gap-3 pt-4">
+            <button
+              onClick={handleClose}
+              disabled={isSubmitting}
+              className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+            >
+              {isSubmitting ? "Closing..." : "Close Sprint"}
+            </button>
+            <button
+              onClick={() => setCloseModal({ isOpen: false, sprint: null })}
+              disabled={isSubmitting}
+              className="flex-1 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-700 transition-colors border border-gray-700 disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+}
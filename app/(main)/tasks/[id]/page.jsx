@@ -1,8 +1,75 @@
-export default function TaskDetailPage() {
+"use client";
+
+import useSWR from "swr";
+import Link from "next/link";
+import { use } from "react";
+import { useRouter } from "next/navigation";
+import { fetcher } from "@/lib/fetcher";
+import Loader from "@/components/Loader";
+import TaskSubtasks from "@/components/TaskSubtasks";
+import TaskChecklist from "@/components/TaskChecklist";
+import TaskDependencies from "@/components/TaskDependencies";
+import TaskLabels from "@/components/TaskLabels";
+import TaskFields from "@/components/TaskFields";
+import TaskComments from "@/components/TaskComments";
+import RichText from "@/components/RichText";
+import { useWorkflow } from "@/hooks/useWorkflow";
+import { useLiveUpdates } from "@/hooks/useLiveUpdates";
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * Task Detail Page
+ *
+ * Shows a single task with its subtasks, dependencies, checklist, comments and change log
+ * Status, priority, assignee and due date are edited in place (PUT /api/tasks/[id])
+ * and comments are added with POST /api/comments, for users who may update tasks
+ * Kept current by /api/events
+ * Connected to /api/tasks/[id] and /api/tasks/[id]/activity
+ */
+export default function TaskDetailPage({ params }) {
+  const { id } = use(params);
+  const router = useRouter();
+
+  // Other users' edits and comments revalidate this task
+  useLiveUpdates();
+
+  const { data, error, isLoading, mutate } = useSWR(`/api/tasks/${id}`, fetcher);
+  const { workflow } = useWorkflow(data?.data?.projectId);
+
+  if (isLoading) {
+    return (
+      <div className="p-8 flex items-center justify-center min-h-[400px]">
+        <Loader size="lg" text="Loading task..." />
+      </div>
+    );
+  }
+
+  if (error || !data?.data) {
+    return (
+      <div className="p-8">
+        <div className="bg-red-900 border border-red-700 rounded-lg p-4">
+          <p className="text-red-300">Failed to load task: {error?.message || "Task not found"}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const task = data.data;
+
   return (
     <div className="p-8 max-w-7xl mx-auto">
       {/* Back Button */}
-      <button className="flex items-center gap-2 text-gray-400 hover:text-white mb-6 transition-colors">
+      <button
+        onClick={() => router.back()}
+        className="flex items-center gap-2 text-gray-400 hover:text-white mb-6 transition-colors"
+      >
         <span>←</span>
         <span>Back</span>
       </button>
@@ -12,133 +79,89 @@ export default function TaskDetailPage() {
         <div className="col-span-2 space-y-6">
           {/* Title */}
           <div>
+            {task.parent && (
+              <Link
+                href={`/tasks/${task.parent.id}`}
+                className="text-gray-400 hover:text-white text-sm"
+              >
+                ↑ Subtask of {task.parent.title}
+              </Link>
+            )}
             <div className="flex items-center justify-between mb-2">
-              <h1 className="text-3xl font-bold text-white">Design authentication flow</h1>
-              <button className="text-gray-400 hover:text-white">⋯</button>
+              <h1 className="text-3xl font-bold text-white">{task.title}</h1>
             </div>
-            <p className="text-gray-500 text-sm">Task #1</p>
+            <p className="text-gray-500 text-sm">
+              {task.project ? `${task.project.key} · ${task.project.name}` : "No project"}
+              {task.sprint && ` · ${task.sprint.name}`}
+            </p>
           </div>
 
+          {/* Blocked banner */}
+          {task.isBlocked && (
+            <div className="bg-red-900/40 border border-red-700 rounded-lg p-4 text-red-300">
+              ⛔ Blocked by {task.openBlockerCount} unfinished task
+              {task.openBlockerCount === 1 ? "" : "s"}. It can&apos;t be started or finished until
+              they are done.
+            </div>
+          )}
+
           {/* Description */}
           <div className="bg-gray-900 rounded-lg p-6 border border-gray-800">
             <h2 className="text-white font-semibold mb-3">Description</h2>
-            <p className="text-gray-300 leading-relaxed">
-              Create a comprehensive authentication system that supports email, password, and OAuth
-              providers. Should include forgot password, 2FA, and rate limiting.
-            </p>
+            <div className="text-gray-300 leading-relaxed">
+              {task.descriptionHtml ? (
+                <RichText html={task.descriptionHtml} />
+              ) : (
+                <span className="text-gray-500">No description</span>
+              )}
+            </div>
           </div>
 
-          {/* Activity Feed */}
-          <div className="bg-gray-900 rounded-lg p-6 border border-gray-800">
-            <h2 className="text-white font-semibold mb-4">Activity</h2>
-            <div className="space-y-4">
-              {/* Activity Item 1 */}
-              <div className="flex gap-3">
-                <div className="w-8 h-8 bg-blue-600 rounded-full flex items-center justify-center text-white text-sm font-semibold shrink-0">
-                  AC
-                </div>
-                <div className="flex-1">
-                  <p className="text-white font-medium">Alex Chen</p>
-                  <p className="text-gray-400 text-sm">Jan 17, 02:45 PM</p>
-                  <p className="text-gray-300 mt-1">Started working on the OAuth integration</p>
-                </div>
-              </div>
-
-              {/* Activity Item 2 */}
-              <div className="flex gap-3">
-                <div className="w-8 h-8 bg-purple-600 rounded-full flex items-center justify-center text-white text-sm font-semibold shrink-0">
-                  JS
-                </div>
-                <div className="flex-1">
-                  <p className="text-white font-medium">Jordan Smith</p>
-                  <p className="text-gray-400 text-sm">Jan 17, 08:00 PM</p>
-                  <p className="text-gray-300 mt-1">Can we also add support for WebAuthn?</p>
-                </div>
-              </div>
-            </div>
+          {/* Labels */}
+          <TaskLabels task={task} onChange={mutate} />
 
-            {/* Add Comment */}
-            <div className="mt-6">
-              <input
-                type="text"
-                placeholder="Share your thoughts..."
-                className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 mb-3"
-              />
-              <button className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors">
-                Post Comment
-              </button>
-            </div>
-          </div>
+          {/* Subtasks */}
+          <TaskSubtasks task={task} onChange={mutate} />
+
+          {/* Dependencies */}
+          <TaskDependencies task={task} onChange={mutate} />
+
+          {/* Checklist */}
+          <TaskChecklist
+            taskId={task.id}
+            items={task.checklistItems}
+            progress={task.progress?.checklist}
+            onChange={mutate}
+          />
+
+          {/* Comments */}
+          <TaskComments task={task} workflow={workflow} onChange={mutate} />
         </div>
 
         {/* Sidebar */}
         <div className="space-y-6">
-          {/* Status */}
-          <div className="bg-gray-900 rounded-lg p-4 border border-gray-800">
-            <p className="text-gray-400 text-sm mb-2">STATUS</p>
-            <button className="w-full px-3 py-2 bg-gray-800 text-blue-400 rounded-lg border border-gray-700 flex items-center justify-between">
-              <span className="flex items-center gap-2">
-                <span className="w-2 h-2 bg-blue-500 rounded-full"></span>
-                In Progress
-              </span>
-              <span>▼</span>
-            </button>
-          </div>
-
-          {/* Priority */}
-          <div className="bg-gray-900 rounded-lg p-4 border border-gray-800">
-            <p className="text-gray-400 text-sm mb-2">PRIORITY</p>
-            <button className="w-full px-3 py-2 bg-gray-800 rounded-lg border border-gray-700 flex items-center justify-between">
-              <span className="flex items-center gap-2">
-                <span className="text-red-400">🚨</span>
-                High
-              </span>
-              <span className="text-gray-400">▼</span>
-            </button>
-          </div>
+          {/* Status, priority, assignee and due date (editable in place) */}
+          <TaskFields task={task} workflow={workflow} onChange={mutate} />
 
-          {/* Assigned To */}
-          <div className="bg-gray-900 rounded-lg p-4 border border-gray-800">
-            <p className="text-gray-400 text-sm mb-2">ASSIGNED TO</p>
-            <div className="flex items-center gap-2">
-              <div className="w-8 h-8 bg-blue-600 rounded-full flex items-center justify-center text-white text-sm font-semibold">
-                AC
-              </div>
-              <div>
-                <p className="text-white font-medium">Alex Chen</p>
-              </div>
+          {/* Story Points */}
+          {task.storyPoints != null && (
+            <div className="bg-gray-900 rounded-lg p-4 border border-gray-800">
+              <p className="text-gray-400 text-sm mb-2">STORY POINTS</p>
+              <p className="text-white">{task.storyPoints}</p>
             </div>
-          </div>
-
-          {/* Due Date */}
-          <div className="bg-gray-900 rounded-lg p-4 border border-gray-800">
-            <p className="text-gray-400 text-sm mb-2">DUE DATE</p>
-            <p className="text-white">Jan 25, 2024</p>
-          </div>
+          )}
 
           {/* Created */}
           <div className="bg-gray-900 rounded-lg p-4 border border-gray-800">
             <p className="text-gray-400 text-sm mb-2">CREATED</p>
-            <p className="text-white">Jan 15, 04:00 PM</p>
-            <p className="text-gray-400 text-sm">by Admin User</p>
+            <p className="text-white">{formatDateTime(task.createdAt)}</p>
+            <p className="text-gray-400 text-sm">by {task.creator?.name}</p>
           </div>
 
           {/* Last Updated */}
           <div className="bg-gray-900 rounded-lg p-4 border border-gray-800">
             <p className="text-gray-400 text-sm mb-2">LAST UPDATED</p>
-            <p className="text-white">Jan 18, 07:52 PM</p>
-          </div>
-
-          {/* Actions */}
-          <div className="space-y-2">
-            <button className="w-full px-4 py-2 bg-gray-800 hover:bg-gray-750 text-white rounded-lg border border-gray-700 transition-colors flex items-center justify-center gap-2">
-              <span>✏️</span>
-              Edit Task
-            </button>
-            <button className="w-full px-4 py-2 bg-red-900 hover:bg-red-800 text-red-300 rounded-lg border border-red-800 transition-colors flex items-center justify-center gap-2">
-              <span>🗑️</span>
-              Delete Task
-            </button>
+            <p className="text-white">{formatDateTime(task.updatedAt)}</p>
           </div>
         </div>
       </div>
@@ -5,10 +5,16 @@ import { useRouter } from "next/navigation";
 import useSWR from "swr";
 import { fetcher } from "@/lib/fetcher";
 import toast from "react-hot-toast";
+import { useProject } from "@/hooks/useProject";
+import { useWorkflow } from "@/hooks/useWorkflow";
+import { initialStatus } from "@/lib/workflow";
+import { encodeMentions } from "@/lib/mentions";
+import MentionTextarea from "@/components/MentionTextarea";
 
 export default function CreateTaskPage() {
   const router = useRouter();
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const { projectId, currentProject } = useProject();
 
   // Fetch users for assignee dropdown (handle errors gracefully)
   const { data: usersData } = useSWR("/api/users?limit=100", fetcher, {
@@ -17,15 +23,31 @@ export default function CreateTaskPage() {
   });
   const users = usersData?.users || [];
 
+  // Open sprints of the selected project (tasks can only join a sprint in their project)
+  const { data: sprintsData } = useSWR(
+    projectId ? `/api/sprints?projectId=${encodeURIComponent(projectId)}` : null,
+    fetcher,
+    { revalidateOnFocus: false }
+  );
+  const openSprints = (sprintsData?.data?.sprints || []).filter((s) => s.state !== "closed");
+
+  // Status options come from the selected project's workflow
+  const { workflow } = useWorkflow(projectId);
+
   const [formData, setFormData] = useState({
     title: "",
     description: "",
-    status: "Todo",
+    status: "", // empty = the workflow's initial status
     priority: "Medium",
     assigneeId: "",
     dueDate: "",
+    sprintId: "",
+    storyPoints: "",
   });
 
+  // Users picked in the description's @mention autocomplete
+  const [mentions, setMentions] = useState([]);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: value }));
@@ -48,11 +70,14 @@ export default function CreateTaskPage() {
         credentials: "include",
         body: JSON.stringify({
           title: formData.title,
-          description: formData.description || null,
-          status: formData.status,
+          description: formData.description ? encodeMentions(formData.description, mentions) : null,
+          status: formData.status || undefined,
           priority: formData.priority,
           assigneeId: formData.assigneeId || null,
           dueDate: formData.dueDate || null,
+          projectId: projectId || null,
+          sprintId: formData.sprintId || null,
+          storyPoints: formData.storyPoints === "" ? null : Number(formData.storyPoints),
           // creatorId will be extracted from the JWT token on the server
         }),
       });
@@ -81,7 +106,11 @@ export default function CreateTaskPage() {
         {/* Header */}
         <div className="mb-8">
           <h1 className="text-3xl font-bold text-white mb-2">Create New Task</h1>
-          <p className="text-gray-400">Add a new task to your sprint</p>
+          <p className="text-gray-400">
+            {currentProject
+              ? `Add a new task to ${currentProject.name}`
+              : "Add a new task to your sprint"}
+          </p>
         </div>
 
         {/* Form */}
@@ -108,14 +137,16 @@ export default function CreateTaskPage() {
             <label htmlFor="description" className="block text-sm font-medium text-gray-300 mb-2">
               Description
             </label>
-            <textarea
+            <MentionTextarea
               id="description"
               name="description"
               rows={4}
               value={formData.description}
-              onChange={handleChange}
+              onChange={(description) => setFormData((prev) => ({ ...prev, description }))}
+              mentions={mentions}
+              onMentionsChange={setMentions}
               className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
-              placeholder="Enter task description"
+              placeholder="Describe the task in Markdown (type @ to mention someone)"
             />
           </div>
 
@@ -129,13 +160,15 @@ export default function CreateTaskPage() {
               <select
                 id="status"
                 name="status"
-                value={formData.status}
+                value={formData.status || initialStatus(workflow)}
                 onChange={handleChange}
                 className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
               >
-                <option value="Todo">Todo</option>
-                <option value="InProgress">In Progress</option>
-                <option value="Done">Done</option>
+                {workflow.map((status) => (
+                  <option key={status.key} value={status.key}>
+                    {status.name}
+                  </option>
+                ))}
               </select>
             </div>
 
@@ -197,6 +230,51 @@ export default function CreateTaskPage() {
             </div>
           </div>
 
+          {/* Story Points and Sprint Row */}
+          <div className="grid grid-cols-2 gap-4">
+            {/* Story Points */}
+            <div>
+              <label htmlFor="storyPoints" className="block text-sm font-medium text-gray-300 mb-2">
+                Story Points
+              </label>
+              <input
+                type="number"
+                id="storyPoints"
+                name="storyPoints"
+                min={0}
+                max={100}
+                step={1}
+                value={formData.storyPoints}
+                onChange={handleChange}
+                className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="e.g. 3"
+              />
+            </div>
+
+            {/* Sprint */}
+            {projectId && (
+              <div>
+                <label htmlFor="sprintId" className="block text-sm font-medium text-gray-300 mb-2">
+                  Sprint
+                </label>
+                <select
+                  id="sprintId"
+                  name="sprintId"
+                  value={formData.sprintId}
+                  onChange={handleChange}
+                  className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Backlog</option>
+                  {openSprints.map((sprint) => (
+                    <option key={sprint.id} value={sprint.id}>
+                      {sprint.name} ({sprint.state})
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
           {/* Actions */}
           <div className="flex gap-4 pt-4">
             <button
@@ -5,24 +5,55 @@ import { fetcher } from "@/lib/fetcher";
 import Link from "next/link";
 import { useState } from "react";
 import Loader from "@/components/Loader";
+import { useProject } from "@/hooks/useProject";
+import { useWorkflow } from "@/hooks/useWorkflow";
+import { useLabels } from "@/hooks/useLabels";
+import { useLiveUpdates } from "@/hooks/useLiveUpdates";
+import { StatusBadge } from "@/components/StatusBadge";
+import { LABEL_CHIP_CLASSES, LabelChips } from "@/components/LabelChip";
 
 /**
  * All Tasks Page - Table View
  *
  * Displays all tasks in a filterable table
- * Uses SWR for real-time data fetching
+ * Status filter and colors follow the selected project's workflow
+ * Label filter (any/all of the selected labels) is applied server-side
+ * Scoped to the project selected in the (main) layout switcher
+ * Uses SWR for data fetching, kept current by /api/events
  * Connected to /api/tasks endpoint
  */
 
 export default function AllTasksPage() {
   const [statusFilter, setStatusFilter] = useState("all");
   const [priorityFilter, setPriorityFilter] = useState("all");
+  const [labelFilter, setLabelFilter] = useState([]);
+  const [labelMatch, setLabelMatch] = useState("any");
+  const { projectId, withProject, projectName } = useProject();
+  const { workflow } = useWorkflow(projectId);
+  const { labels } = useLabels(projectId);
+
+  // Ignore selected labels that don't belong to the current project
+  const selectedLabelIds = labelFilter.filter((id) => labels.some((label) => label.id === id));
+  const labelQuery = selectedLabelIds.length
+    ? `&labels=${selectedLabelIds.join(",")}&labelMatch=${labelMatch}`
+    : "";
+
+  // Live task events patch the SWR cache, so the table doesn't need to poll
+  useLiveUpdates();
 
   // Fetch all tasks with SWR
-  const { data, error, isLoading } = useSWR("/api/tasks?limit=100", fetcher, {
-    refreshInterval: 30000,
-    revalidateOnFocus: true,
-  });
+  const { data, error, isLoading } = useSWR(
+    withProject(`/api/tasks?limit=100${labelQuery}`),
+    fetcher,
+    {
+      revalidateOnFocus: true,
+    }
+  );
+
+  const toggleLabel = (labelId) =>
+    setLabelFilter((prev) =>
+      prev.includes(labelId) ? prev.filter((id) => id !== labelId) : [...prev, labelId]
+    );
 
   if (isLoading) {
     return (
@@ -42,7 +73,7 @@ export default function AllTasksPage() {
     );
   }
 
-  let tasks = data?.tasks || [];
+  let tasks = data?.data?.tasks || [];
 
   // Apply filters
   if (statusFilter !== "all") {
@@ -62,12 +93,6 @@ export default function AllTasksPage() {
       .slice(0, 2);
   };
 
-  const statusColors = {
-    Todo: "text-gray-400",
-    InProgress: "text-blue-400",
-    Done: "text-green-400",
-  };
-
   const priorityBadges = {
     High: "bg-red-900 text-red-300",
     Medium: "bg-orange-900 text-orange-300",
@@ -80,7 +105,9 @@ export default function AllTasksPage() {
       <div className="flex items-center justify-between mb-8">
         <div>
           <h1 className="text-3xl font-bold text-white mb-2">All Tasks</h1>
-          <p className="text-gray-400">{tasks.length} tasks</p>
+          <p className="text-gray-400">
+            {projectName} • {tasks.length} tasks
+          </p>
         </div>
         <Link
           href="/tasks/new"
@@ -98,9 +125,11 @@ export default function AllTasksPage() {
           className="px-4 py-2 bg-gray-800 text-white rounded-lg border border-gray-700 hover:bg-gray-750 transition-colors"
         >
           <option value="all">All Status</option>
-          <option value="Todo">Todo</option>
-          <option value="InProgress">In Progress</option>
-          <option value="Done">Done</option>
+          {workflow.map((status) => (
+            <option key={status.key} value={status.key}>
+              {status.name}
+            </option>
+          ))}
         </select>
 
         <select
@@ -113,6 +142,37 @@ export default function AllTasksPage() {
           <option value="Medium">Medium</option>
           <option value="Low">Low</option>
         </select>
+
+        {labels.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2">
+            {labels.map((label) => {
+              const selected = selectedLabelIds.includes(label.id);
+              return (
+                <button
+                  key={label.id}
+                  onClick={() => toggleLabel(label.id)}
+                  aria-pressed={selected}
+                  className={`px-2 py-0.5 text-xs rounded-full transition-opacity ${
+                    LABEL_CHIP_CLASSES[label.color] || LABEL_CHIP_CLASSES.gray
+                  } ${selected ? "ring-2 ring-blue-500" : "opacity-60 hover:opacity-100"}`}
+                >
+                  {label.name}
+                </button>
+              );
+            })}
+            {selectedLabelIds.length > 1 && (
+              <select
+                aria-label="Label match"
+                value={labelMatch}
+                onChange={(e) => setLabelMatch(e.target.value)}
+                className="px-2 py-1 bg-gray-800 text-white text-sm rounded-lg border border-gray-700"
+              >
+                <option value="any">Any label</option>
+                <option value="all">All labels</option>
+              </select>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Table */}
@@ -144,6 +204,15 @@ export default function AllTasksPage() {
                     >
                       {task.title}
                     </Link>
+                    {task.isBlocked && (
+                      <span
+                        className="ml-2 px-2 py-0.5 text-xs rounded bg-red-900 text-red-300"
+                        title={`Blocked by ${task.openBlockerCount} unfinished task(s)`}
+                      >
+                        ⛔ Blocked
+                      </span>
+                    )}
+                    <LabelChips labels={task.labels} className="mt-1" />
                   </td>
                   <td className="px-6 py-4">
                     <div className="flex items-center gap-2">
@@ -156,18 +225,11 @@ export default function AllTasksPage() {
                     </div>
                   </td>
                   <td className="px-6 py-4">
-                    <span className={`inline-flex items-center gap-1 ${statusColors[task.status]}`}>
-                      <span
-                        className={`w-2 h-2 rounded-full ${
-                          task.status === "Todo"
-                            ? "bg-gray-400"
-                            : task.status === "InProgress"
-                              ? "bg-blue-500"
-                              : "bg-green-500"
-                        }`}
-                      ></span>
-                      {task.status === "InProgress" ? "In Progress" : task.status}
-                    </span>
+                    <StatusBadge
+                      status={task.status}
+                      workflow={workflow}
+                      category={task.statusCategory}
+                    />
                   </td>
                   <td className="px-6 py-4">
                     <span className={`px-2 py-1 text-xs rounded ${priorityBadges[task.priority]}`}>
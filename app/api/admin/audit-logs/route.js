@@ -0,0 +1,65 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import { sendSuccess, handlePrismaError, handleZodError } from "@/lib/responseHandler";
+import { flushAuditLogs, requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { buildAuditLogWhere, queryAuditLogs } from "@/lib/audit-log";
+import { auditLogQuerySchema } from "@/lib/schemas/auditLogSchema";
+
+const QUERY_FIELDS = ["userId", "resource", "action", "allowed", "from", "to", "cursor", "limit"];
+
+/**
+ * GET /api/admin/audit-logs
+ * RBAC access decisions, newest first (admin only)
+ *
+ * Query Parameters:
+ * - userId: Only decisions for this user
+ * - resource: e.g. tasks, projects, audit_logs
+ * - action: e.g. read, update, delete
+ * - allowed: true (granted) or false (denied)
+ * - from / to: Time range (ISO dates, inclusive)
+ * - cursor: `nextCursor` from the previous page
+ * - limit: Page size (default: 50, max: 200)
+ */
+export async function GET(request) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.AUDIT_LOGS, ACTIONS.READ);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { searchParams } = new URL(request.url);
+    const query = auditLogQuerySchema.parse(
+      Object.fromEntries(
+        QUERY_FIELDS.filter((field) => searchParams.has(field)).map((field) => [
+          field,
+          searchParams.get(field),
+        ])
+      )
+    );
+    const { cursor, limit, ...filters } = query;
+
+    // Include decisions still waiting in this instance's write buffer
+    await flushAuditLogs();
+
+    const { logs, nextCursor } = await queryAuditLogs(prisma, {
+      where: buildAuditLogWhere(filters),
+      cursor,
+      limit,
+    });
+
+    return sendSuccess(
+      { logs, pagination: { limit, nextCursor, hasMore: nextCursor !== null } },
+      "Audit logs fetched successfully"
+    );
+  } catch (error) {
+    console.error("GET /api/admin/audit-logs error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
+
+export const dynamic = "force-dynamic";
@@ -3,10 +3,14 @@ import { requireRole } from "@/lib/auth";
 import { sendSuccess, sendError, ERROR_CODES } from "@/lib/responseHandler";
 import { handleError } from "@/lib/errorHandler";
 import { logRequest, logResponse } from "@/lib/logger";
+import { getCacheStats } from "@/lib/redis";
+import { getEventBusStats } from "@/lib/eventBus";
+import { invalidateCaches } from "@/lib/cache/invalidation";
 
 /**
  * GET /api/admin
- * Admin-only endpoint - Get system statistics
+ * Admin-only endpoint - Get system statistics (including cache hit/miss stats
+ * and open live update streams)
  *
  * Requires: Admin or Owner role
  */
@@ -46,6 +50,8 @@ export async function GET(request) {
       totalTasks: taskCount,
       totalComments: commentCount,
       adminUsers: adminUsers,
+      cache: await getCacheStats(),
+      events: getEventBusStats(),
       timestamp: new Date().toISOString(),
     };
 
@@ -94,6 +100,8 @@ export async function POST(request) {
         },
       });
 
+      await invalidateCaches({ userIds: [userId] });
+
       const response = sendSuccess(updatedUser, `User role updated to ${newRole}`, 200);
       logResponse(request, response, 200);
       return response;
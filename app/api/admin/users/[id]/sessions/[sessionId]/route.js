@@ -0,0 +1,34 @@
+import { prisma } from "@/lib/db";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { sendSuccess, sendError, handlePrismaError, ERROR_CODES } from "@/lib/responseHandler";
+import { revokeSession } from "@/lib/sessions";
+import { logInfo } from "@/lib/logger";
+
+/**
+ * DELETE /api/admin/users/[id]/sessions/[sessionId]
+ * Sign out one of a user's sessions (admin only)
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.USERS, ACTIONS.MANAGE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id, sessionId } = await params;
+    if (!(await revokeSession(prisma, id, sessionId))) {
+      return sendError("Session not found", ERROR_CODES.SESSION_NOT_FOUND, 404);
+    }
+    logInfo("Session signed out by admin", {
+      userId: id,
+      sessionId,
+      adminId: authResult.user.userId,
+    });
+
+    return sendSuccess({ id: sessionId }, "Session signed out");
+  } catch (error) {
+    console.error("DELETE /api/admin/users/[id]/sessions/[sessionId] error:", error);
+    return handlePrismaError(error);
+  }
+}
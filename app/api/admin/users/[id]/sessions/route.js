@@ -0,0 +1,72 @@
+import { prisma } from "@/lib/db";
+import { getSessionTokenHash } from "@/lib/auth";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { sendSuccess, sendError, handlePrismaError, ERROR_CODES } from "@/lib/responseHandler";
+import { listSessions, revokeUserSessions, serializeSession } from "@/lib/sessions";
+import { logInfo } from "@/lib/logger";
+
+/**
+ * GET /api/admin/users/[id]/sessions
+ * A user's active sessions (admin only)
+ */
+export async function GET(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.USERS, ACTIONS.MANAGE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+    const user = await prisma.user.findUnique({ where: { id }, select: { id: true } });
+    if (!user) {
+      return sendError("User not found", ERROR_CODES.USER_NOT_FOUND, 404);
+    }
+
+    const currentTokenHash = getSessionTokenHash(request);
+    const sessions = await listSessions(prisma, id);
+
+    return sendSuccess(
+      { sessions: sessions.map((session) => serializeSession(session, currentTokenHash)) },
+      "Sessions fetched successfully"
+    );
+  } catch (error) {
+    console.error("GET /api/admin/users/[id]/sessions error:", error);
+    return handlePrismaError(error);
+  }
+}
+
+/**
+ * DELETE /api/admin/users/[id]/sessions
+ * Sign a user out of all their sessions (admin only)
+ *
+ * When admins target themselves, the session making the request is kept.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.USERS, ACTIONS.MANAGE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+    const user = await prisma.user.findUnique({ where: { id }, select: { id: true } });
+    if (!user) {
+      return sendError("User not found", ERROR_CODES.USER_NOT_FOUND, 404);
+    }
+
+    const revoked = await revokeUserSessions(prisma, id, {
+      exceptTokenHash: authResult.user.userId === id ? getSessionTokenHash(request) : null,
+    });
+    logInfo("User signed out of all sessions by admin", {
+      userId: id,
+      adminId: authResult.user.userId,
+      revoked,
+    });
+
+    return sendSuccess({ userId: id, revoked }, "User signed out of all sessions");
+  } catch (error) {
+    console.error("DELETE /api/admin/users/[id]/sessions error:", error);
+    return handlePrismaError(error);
+  }
+}
@@ -1,6 +1,7 @@
 import { prisma } from "@/lib/db";
 import { requireRole } from "@/lib/auth";
 import { sendSuccess, sendError, handlePrismaError, ERROR_CODES } from "@/lib/responseHandler";
+import { invalidateCaches } from "@/lib/cache/invalidation";
 
 /**
  * GET /api/admin/users
@@ -127,6 +128,8 @@ export async function DELETE(request) {
       where: { id: userId },
     });
 
+    await invalidateCaches({ userIds: [userId] });
+
     return sendSuccess(
       {
         userId,
@@ -0,0 +1,103 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import { forgotPasswordSchema } from "@/lib/schemas/authSchema";
+import { sendSuccess, handlePrismaError, handleZodError } from "@/lib/responseHandler";
+import { sendEmail, passwordResetTemplate } from "@/lib/email";
+import { sanitizeInput } from "@/lib/sanitization";
+import { logError, logInfo } from "@/lib/logger";
+import {
+  PASSWORD_RESET_TTL_MINUTES,
+  buildResetUrl,
+  createPasswordResetToken,
+  getResetRetryAfter,
+} from "@/lib/passwordReset";
+
+const RESET_REQUESTED_MESSAGE =
+  "If an account exists for that email, we've sent a link to reset the password.";
+
+/**
+ * Email a password reset link (see lib/passwordReset.js)
+ */
+async function sendResetEmail(user, resetUrl) {
+  await sendEmail({
+    to: user.email,
+    subject: "Reset your SprintLite password",
+    html: passwordResetTemplate(
+      sanitizeInput(user.name) || "there",
+      resetUrl,
+      PASSWORD_RESET_TTL_MINUTES
+    ),
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "We received a request to reset your SprintLite password. Open this link to choose a new one:",
+      resetUrl,
+      "",
+      `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once.`,
+      "If you didn't request this, you can ignore this email.",
+    ].join("\n"),
+  });
+}
+
+/**
+ * Look up the account, then issue a token and email it unless throttled
+ *
+ * Every step here depends on whether the account exists, so it runs after
+ * the response is sent: awaiting it would make registered emails measurably
+ * slower to answer than unknown ones.
+ */
+async function processResetRequest(email) {
+  const user = await prisma.user.findUnique({
+    where: { email },
+    select: { id: true, name: true, email: true },
+  });
+  if (!user) return;
+
+  const retryAfter = await getResetRetryAfter(prisma, user.id);
+  if (retryAfter > 0) {
+    logInfo("Password reset email throttled", { userId: user.id, retryAfter });
+    return;
+  }
+
+  const { token } = await createPasswordResetToken(prisma, user.id);
+  const resetUrl = buildResetUrl(token);
+
+  if (process.env.NODE_ENV === "development") {
+    console.log("[FORGOT-PASSWORD] Reset link:", resetUrl);
+  }
+
+  await sendResetEmail(user, resetUrl);
+  logInfo("Password reset email sent", { userId: user.id });
+}
+
+/**
+ * POST /api/auth/forgot-password
+ * Send a password reset link to an account's email
+ *
+ * Body:
+ * - email: string
+ *
+ * Always responds with the same message, whether or not an account exists,
+ * so the endpoint can't be used to discover registered emails. For the same
+ * reason the lookup, the throttle check (see lib/passwordReset.js), the token
+ * and the email all happen after responding; throttled requests send nothing.
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { email } = forgotPasswordSchema.parse(body);
+
+    processResetRequest(email).catch((error) =>
+      logError("Failed to process password reset request", { error: error.message })
+    );
+
+    return sendSuccess(null, RESET_REQUESTED_MESSAGE);
+  } catch (error) {
+    console.error("POST /api/auth/forgot-password error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
@@ -1,9 +1,16 @@
 import { ZodError } from "zod";
 import bcrypt from "bcryptjs";
 import { prisma } from "@/lib/db";
-import { generateTokenPair, createAccessTokenCookie, createRefreshTokenCookie } from "@/lib/auth";
+import {
+  generateTokenPair,
+  createAccessTokenCookie,
+  createRefreshTokenCookie,
+  getTokenExpiry,
+} from "@/lib/auth";
 import { loginSchema } from "@/lib/schemas/authSchema";
 import { sendError, handlePrismaError, handleZodError, ERROR_CODES } from "@/lib/responseHandler";
+import { createSession, getClientInfo } from "@/lib/sessions";
+import { generateToken } from "@/lib/tokens";
 
 /**
  * POST /api/auth/login
@@ -15,6 +22,8 @@ import { sendError, handlePrismaError, handleZodError, ERROR_CODES } from "@/lib
  * - Refresh Token: Long-lived (7 days), stored in HTTP-only cookie with SameSite=Strict
  * - Both tokens use different secrets for defense in depth
  * - Passwords compared using bcrypt (timing-attack resistant)
+ * - Records a server-side session for the refresh token (lib/sessions.js),
+ *   starting a new refresh token family
  *
  * @returns {Object} { success, data: { accessToken, user }, message }
  */
@@ -47,9 +56,21 @@ export async function POST(request) {
       userId: user.id,
       email: user.email,
       role: user.role,
+      emailVerified: Boolean(user.emailVerified), // Unverified accounts are read-only
     };
 
-    const { accessToken, refreshToken } = generateTokenPair(payload);
+    // Every refresh token of this sign-in carries the same family ID
+    const familyId = generateToken(16);
+    const { accessToken, refreshToken } = generateTokenPair(payload, { familyId });
+
+    // Server-side session, so the refresh token can be revoked
+    await createSession(prisma, {
+      userId: user.id,
+      refreshToken,
+      familyId,
+      expiresAt: getTokenExpiry(refreshToken),
+      ...getClientInfo(request),
+    });
 
     console.log("[LOGIN] Tokens generated");
     console.log("[LOGIN] Access token (preview):", accessToken.substring(0, 30) + "...");
@@ -75,6 +96,7 @@ export async function POST(request) {
             name: user.name,
             role: user.role,
             avatar: user.avatar,
+            emailVerified: Boolean(user.emailVerified),
           },
         },
         message: "Login successful",
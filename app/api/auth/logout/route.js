@@ -1,26 +1,31 @@
-import { clearAuthCookies } from "@/lib/auth";
+import { prisma } from "@/lib/db";
+import { clearAuthCookies, extractTokenFromCookie } from "@/lib/auth";
+import { deleteSessionByToken } from "@/lib/sessions";
 
 /**
  * POST /api/auth/logout
  *
- * Logs out user by clearing authentication cookies
+ * Logs out user by ending their session and clearing authentication cookies
  *
  * Security:
+ * - Deletes the server-side session, so the refresh token can't be reused
  * - Clears both access and refresh tokens
  * - Sets Max-Age=0 to expire cookies immediately
  * - Maintains same security flags (HttpOnly, Secure, SameSite)
  *
- * Note: For additional security, consider:
- * - Blacklisting refresh tokens in Redis
- * - Tracking active sessions in database
- * - Logging logout events for audit trail
- *
  * @returns {Object} { success, message }
  */
-export async function POST() {
+export async function POST(request) {
   try {
     console.log("[LOGOUT] Logout requested");
 
+    // End the session this browser's refresh token belongs to
+    const refreshToken = extractTokenFromCookie(request.headers.get("cookie"), "refreshToken");
+    if (refreshToken) {
+      const ended = await deleteSessionByToken(prisma, refreshToken);
+      console.log("[LOGOUT] Session ended:", ended ? "yes" : "no session found");
+    }
+
     // Clear all authentication cookies
     const clearCookies = clearAuthCookies();
 
@@ -65,7 +70,7 @@ export async function POST() {
  *
  * Not recommended but supported for convenience
  */
-export async function GET() {
+export async function GET(request) {
   console.warn("[LOGOUT] GET method used (POST recommended for security)");
-  return POST();
+  return POST(request);
 }
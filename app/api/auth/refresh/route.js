@@ -4,9 +4,19 @@ import {
   generateTokenPair,
   createAccessTokenCookie,
   createRefreshTokenCookie,
+  clearAuthCookies,
   extractTokenFromCookie,
+  getTokenExpiry,
 } from "@/lib/auth";
 import { sendError, ERROR_CODES } from "@/lib/responseHandler";
+import { issuedBeforePasswordChange } from "@/lib/passwordReset";
+import {
+  getClientInfo,
+  handleRefreshTokenReuse,
+  rotateSession,
+  sendTokenReuseAlert,
+} from "@/lib/sessions";
+import { logSecurityThreat } from "@/lib/sanitization";
 
 /**
  * POST /api/auth/refresh
@@ -15,8 +25,12 @@ import { sendError, ERROR_CODES } from "@/lib/responseHandler";
  *
  * Security Features:
  * - Token Rotation: Issues new refresh token on each refresh (prevents replay attacks)
+ * - Reuse Detection: Presenting an already-rotated token revokes its session,
+ *   logs a security threat and emails the user (lib/sessions.js)
  * - Refresh token from HTTP-only cookie (XSS protection)
  * - Validates user still exists in database
+ * - Rejects refresh tokens issued before the user's last password reset
+ * - Requires a live server-side session for the token (revoked by logout)
  * - Uses separate JWT secret for refresh tokens
  *
  * Flow:
@@ -24,7 +38,7 @@ import { sendError, ERROR_CODES } from "@/lib/responseHandler";
  * 2. Client calls /api/auth/refresh with refresh token in cookie
  * 3. Server validates refresh token
  * 4. Server generates NEW access + refresh tokens
- * 5. Old refresh token is invalidated (token rotation)
+ * 5. Old refresh token is invalidated (session now holds the new one)
  * 6. New tokens sent to client
  *
  * @returns {Object} { success, data: { accessToken, user } }
@@ -76,6 +90,8 @@ export async function POST(request) {
         name: true,
         role: true,
         avatar: true,
+        emailVerified: true,
+        passwordChangedAt: true,
       },
     });
 
@@ -84,6 +100,16 @@ export async function POST(request) {
       return sendError("User not found. Please login again.", ERROR_CODES.UNAUTHORIZED, 401);
     }
 
+    // Password resets revoke every session issued before them
+    if (issuedBeforePasswordChange(decoded, user.passwordChangedAt)) {
+      console.log("[REFRESH] Refresh token predates password change:", decoded.userId);
+      return sendError(
+        "Your password was changed. Please login again.",
+        ERROR_CODES.UNAUTHORIZED,
+        401
+      );
+    }
+
     console.log("[REFRESH] User validated:", user.email);
 
     // Generate NEW token pair (token rotation for security)
@@ -91,9 +117,64 @@ export async function POST(request) {
       userId: user.id,
       email: user.email,
       role: user.role,
+      emailVerified: Boolean(user.emailVerified), // Unverified accounts are read-only
     };
 
-    const { accessToken, refreshToken: newRefreshToken } = generateTokenPair(payload);
+    const { accessToken, refreshToken: newRefreshToken } = generateTokenPair(payload, {
+      familyId: decoded.familyId,
+    });
+
+    // The token must still belong to a session; swapping it in makes the old one unusable
+    const clientInfo = getClientInfo(request);
+    const session = await rotateSession(prisma, {
+      refreshToken,
+      newRefreshToken,
+      expiresAt: getTokenExpiry(newRefreshToken),
+      ...clientInfo,
+    });
+
+    // An older token of a live family was rotated out already: it's a copy
+    const reuse =
+      !session && decoded.familyId
+        ? await handleRefreshTokenReuse(prisma, { refreshToken, familyId: decoded.familyId })
+        : null;
+
+    if (reuse?.revoked) {
+      logSecurityThreat("REFRESH_TOKEN_REUSE", {
+        userId: user.id,
+        sessionId: reuse.session.id,
+        ...clientInfo,
+      });
+      sendTokenReuseAlert(user, clientInfo).catch((error) =>
+        console.error("[REFRESH] Failed to send token reuse alert:", error)
+      );
+
+      const response = sendError(
+        "This session was signed out for your security. Please login again.",
+        ERROR_CODES.UNAUTHORIZED,
+        401
+      );
+      response.headers.set("Set-Cookie", clearAuthCookies().join(", "));
+      return response;
+    }
+
+    if (reuse) {
+      console.log("[REFRESH] Token already rotated by a concurrent refresh:", decoded.userId);
+      return sendError(
+        "Token was already refreshed. Retry with the new refresh token.",
+        ERROR_CODES.CONFLICT,
+        409
+      );
+    }
+
+    if (!session || session.userId !== user.id) {
+      console.log("[REFRESH] No live session for refresh token:", decoded.userId);
+      return sendError(
+        "Session expired or was revoked. Please login again.",
+        ERROR_CODES.UNAUTHORIZED,
+        401
+      );
+    }
 
     console.log("[REFRESH] New tokens generated");
     console.log("[REFRESH] New access token (preview):", accessToken.substring(0, 30) + "...");
@@ -115,6 +196,7 @@ export async function POST(request) {
             name: user.name,
             role: user.role,
             avatar: user.avatar,
+            emailVerified: Boolean(user.emailVerified),
           },
         },
         message: "Tokens refreshed successfully",
@@ -1,31 +1,7 @@
-import { NextResponse } from "next/server";
-
-// POST /api/auth/register - User registration
-export async function POST(request) {
-  try {
-    const { name, email } = await request.json();
-
-    // TODO: Implement registration logic
-    // 1. Validate input (email format, password strength)
-    // 2. Check if user already exists
-    // 3. Hash password (bcrypt)
-    // 4. Create user in database
-    // 5. Create session
-    // 6. Send welcome email
-
-    return NextResponse.json(
-      {
-        success: true,
-        message: "Registration successful",
-        user: {
-          id: "1",
-          name,
-          email,
-        },
-      },
-      { status: 201 }
-    );
-  } catch {
-    return NextResponse.json({ error: "Registration failed" }, { status: 400 });
-  }
-}
+/**
+ * POST /api/auth/register
+ *
+ * Alias of POST /api/auth/signup: creates the account and sends the
+ * verification email.
+ */
+export { POST } from "../signup/route";
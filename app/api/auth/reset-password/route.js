@@ -0,0 +1,59 @@
+import { ZodError } from "zod";
+import bcrypt from "bcryptjs";
+import { prisma } from "@/lib/db";
+import { clearAuthCookies } from "@/lib/auth";
+import { resetPasswordSchema } from "@/lib/schemas/authSchema";
+import {
+  sendSuccess,
+  sendError,
+  handlePrismaError,
+  handleZodError,
+  ERROR_CODES,
+} from "@/lib/responseHandler";
+import { logInfo } from "@/lib/logger";
+import { resetPasswordWithToken } from "@/lib/passwordReset";
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with the token from a reset link
+ *
+ * Body:
+ * - token: string - From the link emailed by POST /api/auth/forgot-password
+ * - password: string - New password (8-100 characters)
+ *
+ * The token can be used once. A successful reset signs the user out
+ * everywhere, including this browser: refresh tokens issued before the reset
+ * stop working and the auth cookies are cleared.
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { token, password } = resetPasswordSchema.parse(body);
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    const userId = await prisma.$transaction((tx) =>
+      resetPasswordWithToken(tx, { token, passwordHash })
+    );
+
+    if (!userId) {
+      return sendError(
+        "This password reset link is invalid or has expired. Please request a new one.",
+        ERROR_CODES.RESET_TOKEN_INVALID,
+        400
+      );
+    }
+
+    logInfo("Password reset", { userId });
+
+    const response = sendSuccess(null, "Password updated. Please sign in with your new password.");
+    response.headers.set("Set-Cookie", clearAuthCookies().join(", "));
+    return response;
+  } catch (error) {
+    console.error("POST /api/auth/reset-password error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
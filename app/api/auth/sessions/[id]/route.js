@@ -0,0 +1,43 @@
+import { prisma } from "@/lib/db";
+import { authenticateRequest, getSessionTokenHash } from "@/lib/auth";
+import { sendSuccess, sendError, handlePrismaError, ERROR_CODES } from "@/lib/responseHandler";
+import { revokeSession } from "@/lib/sessions";
+import { logInfo } from "@/lib/logger";
+
+/**
+ * DELETE /api/auth/sessions/[id]
+ * Sign out one of the authenticated user's other sessions
+ *
+ * The session making the request ends through POST /api/auth/logout
+ * instead, which also clears its cookies.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const authResult = authenticateRequest(request);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+    const userId = authResult.user.userId;
+
+    const session = await prisma.session.findFirst({
+      where: { id, userId },
+      select: { tokenHash: true },
+    });
+    if (!session) {
+      return sendError("Session not found", ERROR_CODES.SESSION_NOT_FOUND, 404);
+    }
+    if (session.tokenHash === getSessionTokenHash(request)) {
+      return sendError("Use logout to end your current session", ERROR_CODES.VALIDATION_ERROR, 400);
+    }
+
+    await revokeSession(prisma, userId, id);
+    logInfo("Session signed out", { userId, sessionId: id });
+
+    return sendSuccess({ id }, "Session signed out");
+  } catch (error) {
+    console.error("DELETE /api/auth/sessions/[id] error:", error);
+    return handlePrismaError(error);
+  }
+}
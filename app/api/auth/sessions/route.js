@@ -0,0 +1,59 @@
+import { prisma } from "@/lib/db";
+import { authenticateRequest, getSessionTokenHash } from "@/lib/auth";
+import { sendSuccess, handlePrismaError } from "@/lib/responseHandler";
+import { listSessions, revokeUserSessions, serializeSession } from "@/lib/sessions";
+import { logInfo } from "@/lib/logger";
+
+/**
+ * GET /api/auth/sessions
+ * The authenticated user's active sessions (signed-in devices)
+ *
+ * Each session has its device, IP address, creation and last activity
+ * times; `current` marks the session making this request.
+ */
+export async function GET(request) {
+  try {
+    const authResult = authenticateRequest(request);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const currentTokenHash = getSessionTokenHash(request);
+    const sessions = await listSessions(prisma, authResult.user.userId);
+
+    return sendSuccess(
+      { sessions: sessions.map((session) => serializeSession(session, currentTokenHash)) },
+      "Sessions fetched successfully"
+    );
+  } catch (error) {
+    console.error("GET /api/auth/sessions error:", error);
+    return handlePrismaError(error);
+  }
+}
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out all of the authenticated user's other sessions
+ *
+ * Keeps the session making this request. Requests without a refresh token
+ * cookie (Bearer-only clients) have no session of their own to keep.
+ */
+export async function DELETE(request) {
+  try {
+    const authResult = authenticateRequest(request);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const userId = authResult.user.userId;
+    const revoked = await revokeUserSessions(prisma, userId, {
+      exceptTokenHash: getSessionTokenHash(request),
+    });
+    logInfo("Other sessions signed out", { userId, revoked });
+
+    return sendSuccess({ revoked }, "Signed out of all other sessions");
+  } catch (error) {
+    console.error("DELETE /api/auth/sessions error:", error);
+    return handlePrismaError(error);
+  }
+}
@@ -6,7 +6,16 @@ import { prisma } from "@/lib/db";
 import { signAuthToken } from "@/lib/auth";
 import { signupSchema } from "@/lib/schemas/authSchema";
 import { sendError, handlePrismaError, handleZodError, ERROR_CODES } from "@/lib/responseHandler";
+import { invalidateCaches } from "@/lib/cache/invalidation";
+import { logError } from "@/lib/logger";
+import { createEmailVerificationToken, sendVerificationEmail } from "@/lib/emailVerification";
 
+/**
+ * POST /api/auth/signup
+ *
+ * Creates an account and emails a verification link. The account is
+ * read-only until the email is verified (see lib/emailVerification.js).
+ */
 export async function POST(request) {
   try {
     const body = await request.json();
@@ -27,11 +36,24 @@ export async function POST(request) {
         email: true,
         role: true,
         avatar: true,
+        emailVerified: true,
         createdAt: true,
       },
     });
 
-    const token = signAuthToken({ userId: user.id, email: user.email, role: user.role });
+    await invalidateCaches({ userIds: [user.id] });
+
+    const { token: verificationToken } = await createEmailVerificationToken(prisma, user.id);
+    sendVerificationEmail(user, verificationToken).catch((error) =>
+      logError("Failed to send verification email", { userId: user.id, error: error.message })
+    );
+
+    const token = signAuthToken({
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      emailVerified: false,
+    });
 
     // Set cookie using next/headers cookies function
     const cookieStore = await cookies();
@@ -47,7 +69,7 @@ export async function POST(request) {
       {
         success: true,
         data: { user, token },
-        message: "Signup successful",
+        message: "Signup successful. Check your email to verify your account.",
       },
       { status: 201 }
     );
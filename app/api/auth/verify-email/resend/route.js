@@ -0,0 +1,73 @@
+import { prisma } from "@/lib/db";
+import { authenticateRequest } from "@/lib/auth";
+import { sendSuccess, sendError, handlePrismaError, ERROR_CODES } from "@/lib/responseHandler";
+import { logError } from "@/lib/logger";
+import {
+  createEmailVerificationToken,
+  getResendRetryAfter,
+  sendVerificationEmail,
+} from "@/lib/emailVerification";
+
+/**
+ * POST /api/auth/verify-email/resend
+ * Send the authenticated user a new verification link
+ *
+ * Throttled per user (see lib/emailVerification.js): too soon after the
+ * last email returns 429 with `retryAfter` seconds in the details and a
+ * Retry-After header. Already verified accounts get 409.
+ */
+export async function POST(request) {
+  try {
+    const authResult = authenticateRequest(request);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const userId = authResult.user.userId;
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, name: true, email: true, emailVerified: true },
+    });
+
+    if (!user) {
+      return sendError("User not found", ERROR_CODES.USER_NOT_FOUND, 404);
+    }
+
+    if (user.emailVerified) {
+      return sendError("Your email is already verified", ERROR_CODES.CONFLICT, 409);
+    }
+
+    const retryAfter = await getResendRetryAfter(prisma, userId);
+    if (retryAfter > 0) {
+      const response = sendError(
+        `Please wait ${retryAfter} seconds before requesting another email.`,
+        ERROR_CODES.TOO_MANY_REQUESTS,
+        429,
+        { retryAfter }
+      );
+      response.headers.set("Retry-After", String(retryAfter));
+      return response;
+    }
+
+    const { token } = await createEmailVerificationToken(prisma, userId);
+
+    try {
+      await sendVerificationEmail(user, token);
+    } catch (error) {
+      logError("Failed to send verification email", { userId, error: error.message });
+      return sendError(
+        "We couldn't send the email. Please try again later.",
+        ERROR_CODES.EXTERNAL_SERVICE_ERROR,
+        502
+      );
+    }
+
+    return sendSuccess(
+      { email: user.email, retryAfter: await getResendRetryAfter(prisma, userId) },
+      "Verification email sent"
+    );
+  } catch (error) {
+    console.error("POST /api/auth/verify-email/resend error:", error);
+    return handlePrismaError(error);
+  }
+}
@@ -0,0 +1,87 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import { authenticateRequest } from "@/lib/auth";
+import { verifyEmailSchema } from "@/lib/schemas/authSchema";
+import {
+  sendSuccess,
+  sendError,
+  handlePrismaError,
+  handleZodError,
+  ERROR_CODES,
+} from "@/lib/responseHandler";
+import { logInfo } from "@/lib/logger";
+import { getResendRetryAfter, verifyEmailWithToken } from "@/lib/emailVerification";
+
+/**
+ * GET /api/auth/verify-email
+ * Verification status of the authenticated user's email
+ *
+ * Returns `emailVerified` (ISO date or null) and, for unverified accounts,
+ * `retryAfter`: seconds until POST /api/auth/verify-email/resend is allowed.
+ */
+export async function GET(request) {
+  try {
+    const authResult = authenticateRequest(request);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const userId = authResult.user.userId;
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { email: true, emailVerified: true },
+    });
+
+    if (!user) {
+      return sendError("User not found", ERROR_CODES.USER_NOT_FOUND, 404);
+    }
+
+    return sendSuccess({
+      email: user.email,
+      emailVerified: user.emailVerified,
+      retryAfter: user.emailVerified ? 0 : await getResendRetryAfter(prisma, userId),
+    });
+  } catch (error) {
+    console.error("GET /api/auth/verify-email error:", error);
+    return handlePrismaError(error);
+  }
+}
+
+/**
+ * POST /api/auth/verify-email
+ * Verify an email with the token from a verification link
+ *
+ * Body:
+ * - token: string
+ *
+ * Doesn't require a session, so links work in any browser. Signed-in
+ * clients should refresh their tokens (POST /api/auth/refresh) afterwards:
+ * access tokens say whether the email is verified.
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { token } = verifyEmailSchema.parse(body);
+
+    const userId = await prisma.$transaction((tx) => verifyEmailWithToken(tx, token));
+
+    if (!userId) {
+      return sendError(
+        "This verification link is invalid or has expired. Please request a new one.",
+        ERROR_CODES.VERIFICATION_TOKEN_INVALID,
+        400
+      );
+    }
+
+    logInfo("Email verified", { userId });
+
+    return sendSuccess({ userId }, "Email verified");
+  } catch (error) {
+    console.error("POST /api/auth/verify-email error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
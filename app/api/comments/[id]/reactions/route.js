@@ -0,0 +1,67 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import {
+  sendSuccess,
+  sendError,
+  handlePrismaError,
+  handleZodError,
+  ERROR_CODES,
+} from "@/lib/responseHandler";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { toggleReactionSchema } from "@/lib/schemas/commentSchema";
+import { summarizeReactions, toggleReaction } from "@/lib/comments/reactions";
+
+/**
+ * POST /api/comments/[id]/reactions
+ * Toggle the authenticated user's emoji reaction on a comment
+ *
+ * Body:
+ * - emoji: string (one of COMMENT_REACTIONS in lib/comments/reactions.js)
+ *
+ * Returns `reacted` (whether the user now has the reaction) and the
+ * comment's aggregated `reactions` ([{ emoji, count, reacted }]).
+ * Same permission as commenting (task update).
+ */
+export async function POST(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.TASKS, ACTIONS.UPDATE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+    const userId = authResult.user.userId;
+
+    const body = await request.json();
+    const { emoji } = toggleReactionSchema.parse(body);
+
+    const comment = await prisma.comment.findUnique({
+      where: { id },
+      select: { id: true, deletedAt: true },
+    });
+
+    if (!comment || comment.deletedAt) {
+      return sendError("Comment not found", ERROR_CODES.COMMENT_NOT_FOUND, 404);
+    }
+
+    const { reacted } = await toggleReaction(prisma, { commentId: id, userId, emoji });
+
+    const reactions = await prisma.commentReaction.findMany({
+      where: { commentId: id },
+      select: { emoji: true, userId: true },
+    });
+
+    return sendSuccess(
+      { commentId: id, emoji, reacted, reactions: summarizeReactions(reactions, userId) },
+      reacted ? "Reaction added" : "Reaction removed"
+    );
+  } catch (error) {
+    console.error("POST /api/comments/[id]/reactions error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
@@ -0,0 +1,51 @@
+import { prisma } from "@/lib/db";
+import { sendSuccess, sendError, handlePrismaError, ERROR_CODES } from "@/lib/responseHandler";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { invalidateCaches } from "@/lib/cache/invalidation";
+import { restoreComment, serializeComment } from "@/lib/comments/threads";
+
+/**
+ * POST /api/comments/[id]/restore
+ * Restore a soft-deleted comment (admins only: task manage permission)
+ *
+ * Returns the restored comment; 409 COMMENT_NOT_DELETED if it wasn't deleted.
+ */
+export async function POST(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.TASKS, ACTIONS.MANAGE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+
+    const existingComment = await prisma.comment.findUnique({
+      where: { id },
+      select: { id: true, taskId: true, deletedAt: true },
+    });
+
+    if (!existingComment) {
+      return sendError("Comment not found", ERROR_CODES.COMMENT_NOT_FOUND, 404);
+    }
+
+    if (!existingComment.deletedAt) {
+      return sendError("Comment is not deleted", ERROR_CODES.COMMENT_NOT_DELETED, 409);
+    }
+
+    const comment = await restoreComment(prisma, id, {
+      user: { select: { id: true, name: true, avatar: true } },
+      reactions: { select: { emoji: true, userId: true } },
+    });
+
+    await invalidateCaches({ taskIds: [existingComment.taskId] });
+
+    return sendSuccess(
+      serializeComment(comment, authResult.user.userId),
+      "Comment restored successfully"
+    );
+  } catch (error) {
+    console.error("POST /api/comments/[id]/restore error:", error);
+    return handlePrismaError(error);
+  }
+}
@@ -0,0 +1,65 @@
+import { prisma } from "@/lib/db";
+import { sendSuccess, sendError, handlePrismaError, ERROR_CODES } from "@/lib/responseHandler";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS, hasPermission } from "@/lib/rbac";
+
+const USER_SELECT = { id: true, name: true, avatar: true };
+
+/**
+ * GET /api/comments/[id]/revisions
+ * Fetch a comment's edit history
+ *
+ * Returns the current `comment` and its earlier versions in `revisions`,
+ * newest first. Each revision is the content an edit replaced: `createdAt`
+ * is when it was replaced and `editor` who replaced it.
+ *
+ * The history of a deleted comment, including its current content, is only
+ * available to admins (task manage permission).
+ */
+export async function GET(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.TASKS, ACTIONS.READ);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+
+    const comment = await prisma.comment.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        taskId: true,
+        content: true,
+        contentHtml: true,
+        createdAt: true,
+        editedAt: true,
+        deletedAt: true,
+        user: { select: USER_SELECT },
+        deletedBy: { select: USER_SELECT },
+      },
+    });
+
+    const canViewDeleted = hasPermission(authResult.user.role, RESOURCES.TASKS, ACTIONS.MANAGE);
+    if (!comment || (comment.deletedAt && !canViewDeleted)) {
+      return sendError("Comment not found", ERROR_CODES.COMMENT_NOT_FOUND, 404);
+    }
+
+    const revisions = await prisma.commentRevision.findMany({
+      where: { commentId: id },
+      select: {
+        id: true,
+        content: true,
+        contentHtml: true,
+        createdAt: true,
+        editor: { select: USER_SELECT },
+      },
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    });
+
+    return sendSuccess({ comment, revisions }, "Comment history fetched successfully");
+  } catch (error) {
+    console.error("GET /api/comments/[id]/revisions error:", error);
+    return handlePrismaError(error);
+  }
+}
@@ -10,6 +10,13 @@ import {
   ERROR_CODES,
 } from "@/lib/responseHandler";
 import { updateCommentSchema } from "@/lib/schemas/commentSchema";
+import { invalidateCaches } from "@/lib/cache/invalidation";
+import { reviseComment, serializeComment, softDeleteComment } from "@/lib/comments/threads";
+import { checkOwnership, requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { renderMarkdown } from "@/lib/markdown";
+import { notifyMentions, NOTIFICATION_TYPES } from "@/lib/notifications";
+import { publishEvent, EVENT_TYPES } from "@/lib/eventBus";
 
 const { Pool } = pkg;
 
@@ -19,11 +26,14 @@ const prisma = new PrismaClient({ adapter });
 
 /**
  * GET /api/comments/[id]
- * Fetch a single comment by ID
+ * Fetch a single comment by ID, with reaction counts
+ *
+ * Deleted comments come back as placeholders with `deletedBy`; their content
+ * is only available to admins, through GET /api/comments/[id]/revisions.
  */
 export async function GET(request, { params }) {
   try {
-    const { id } = params;
+    const { id } = await params;
 
     const comment = await prisma.comment.findUnique({
       where: { id },
@@ -36,6 +46,8 @@ export async function GET(request, { params }) {
             avatar: true,
           },
         },
+        deletedBy: { select: { id: true, name: true, avatar: true } },
+        reactions: { select: { emoji: true, userId: true } },
         task: {
           select: {
             id: true,
@@ -50,7 +62,7 @@ export async function GET(request, { params }) {
       return sendError("Comment not found", ERROR_CODES.COMMENT_NOT_FOUND, 404);
     }
 
-    return sendSuccess(comment, "Comment fetched successfully");
+    return sendSuccess(serializeComment(comment), "Comment fetched successfully");
   } catch (error) {
     console.error("GET /api/comments/[id] error:", error);
     return handlePrismaError(error);
@@ -62,18 +74,30 @@ export async function GET(request, { params }) {
  * Update a comment's content
  *
  * Body:
- * - content: string (required)
+ * - content: string (required, Markdown, 1-1000 characters)
+ *
+ * The Markdown source is stored as sent and re-rendered to contentHtml. The
+ * replaced version is kept as a revision and `editedAt` is set (unchanged
+ * content records nothing). Users mentioned by the edit who weren't mentioned before are notified.
+ * Requires task update permission, like posting, and only the comment's
+ * author can edit it (403 otherwise).
  */
 export async function PUT(request, { params }) {
   try {
-    const { id } = params;
+    const authResult = requirePermission(request, RESOURCES.TASKS, ACTIONS.UPDATE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+    const userId = authResult.user.userId;
     const body = await request.json();
-    const { content } = body;
+    const parsed = updateCommentSchema.parse(body);
 
-    if (!content) {
-      return sendError("Content is required", ERROR_CODES.MISSING_REQUIRED_FIELDS, 400, {
-        required: ["content"],
-      });
+    const content = parsed.content;
+    const contentHtml = renderMarkdown(content);
+    if (!contentHtml) {
+      return sendError("Comment cannot be empty", ERROR_CODES.VALIDATION_ERROR, 400);
     }
 
     // Check if comment exists
@@ -81,54 +105,105 @@ export async function PUT(request, { params }) {
       where: { id },
     });
 
-    if (!existingComment) {
+    // Deleted placeholders only hold their thread together
+    if (!existingComment || existingComment.deletedAt) {
       return sendError("Comment not found", ERROR_CODES.COMMENT_NOT_FOUND, 404);
     }
 
-    // Update comment
-    const comment = await prisma.comment.update({
-      where: { id },
-      data: { content },
-      include: {
-        user: {
-          select: { id: true, name: true },
-        },
-        task: {
-          select: { id: true, title: true },
-        },
-      },
+    // Edits show under the author's name and mention as them, so only they may edit
+    if (existingComment.userId !== userId) {
+      return sendError("You can only edit your own comments", ERROR_CODES.FORBIDDEN, 403);
+    }
+
+    // Update comment, keep the previous version and notify newly mentioned users
+    const { comment, mentionedIds } = await prisma.$transaction(async (tx) => {
+      const { comment: updated, revised } = await reviseComment(
+        tx,
+        existingComment,
+        { content, contentHtml, editorId: userId },
+        {
+          user: {
+            select: { id: true, name: true },
+          },
+          task: {
+            select: { id: true, title: true },
+          },
+        }
+      );
+      if (!revised) {
+        return { comment: updated, mentionedIds: [] };
+      }
+
+      const mentioned = await notifyMentions(tx, {
+        content: contentHtml,
+        previousContent: existingComment.contentHtml,
+        actorId: userId,
+        taskId: updated.taskId,
+        commentId: id,
+      });
+
+      return { comment: updated, mentionedIds: mentioned };
     });
 
+    await invalidateCaches({ taskIds: [comment.taskId] });
+    for (const recipientId of mentionedIds) {
+      await publishEvent(EVENT_TYPES.NOTIFICATION_CREATED, {
+        recipientId,
+        type: NOTIFICATION_TYPES.MENTION,
+        taskId: comment.taskId,
+        commentId: id,
+      });
+    }
+
     return sendSuccess(comment, "Comment updated successfully");
   } catch (error) {
     console.error("PUT /api/comments/[id] error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
     return handlePrismaError(error);
   }
 }
 
 /**
  * DELETE /api/comments/[id]
- * Delete a comment
+ * Soft-delete a comment
+ *
+ * The comment stays in its thread as a placeholder showing who removed it;
+ * admins can view and restore it (POST /api/comments/[id]/restore).
+ * Authors can delete their own comments; deleting other people's requires
+ * task delete permission.
  */
 export async function DELETE(request, { params }) {
   try {
-    const { id } = params;
+    const { id } = await params;
 
     // Check if comment exists
     const existingComment = await prisma.comment.findUnique({
       where: { id },
     });
 
-    if (!existingComment) {
+    if (!existingComment || existingComment.deletedAt) {
       return sendError("Comment not found", ERROR_CODES.COMMENT_NOT_FOUND, 404);
     }
 
-    // Delete comment
-    await prisma.comment.delete({
-      where: { id },
-    });
+    const authResult = checkOwnership(
+      request,
+      existingComment.userId,
+      RESOURCES.TASKS,
+      ACTIONS.DELETE
+    );
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const deletedById = authResult.user.userId;
+    await softDeleteComment(prisma, id, deletedById);
+
+    await invalidateCaches({ taskIds: [existingComment.taskId] });
 
-    return sendSuccess({ commentId: id }, "Comment deleted successfully");
+    return sendSuccess({ commentId: id, deletedById }, "Comment deleted successfully");
   } catch (error) {
     console.error("DELETE /api/comments/[id] error:", error);
     return handlePrismaError(error);
@@ -10,6 +10,13 @@ import {
   ERROR_CODES,
 } from "@/lib/responseHandler";
 import { createCommentSchema, commentQuerySchema } from "@/lib/schemas/commentSchema";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { renderMarkdown } from "@/lib/markdown";
+import { invalidateCaches } from "@/lib/cache/invalidation";
+import { publishEvent, EVENT_TYPES } from "@/lib/eventBus";
+import { checkReplyParent, COMMENT_THREAD_INCLUDE, serializeComment } from "@/lib/comments/threads";
+import { notifyMentions, NOTIFICATION_TYPES } from "@/lib/notifications";
 
 const { Pool } = pkg;
 
@@ -19,16 +26,26 @@ const prisma = new PrismaClient({ adapter });
 
 /**
  * GET /api/comments
- * Fetch all comments with pagination and filtering
+ * Fetch comment threads with pagination and filtering
+ *
+ * Each item is a top-level comment with its `replies` (oldest first) and
+ * aggregated `reactions` ([{ emoji, count, reacted }]). Deleted comments and
+ * replies stay in place as placeholders with `deleted: true`, so threads keep
+ * their shape and admins can restore them.
  *
  * Query Parameters:
  * - page: Page number (default: 1)
- * - limit: Items per page (default: 10)
+ * - limit: Threads per page (default: 10)
  * - taskId: Filter by task
- * - userId: Filter by user
+ * - userId: Filter by author of the top-level comment
  */
 export async function GET(request) {
   try {
+    const authResult = requirePermission(request, RESOURCES.TASKS, ACTIONS.READ);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
     const { searchParams } = new URL(request.url);
 
     // Pagination
@@ -40,8 +57,8 @@ export async function GET(request) {
     const taskId = searchParams.get("taskId");
     const userId = searchParams.get("userId");
 
-    // Build where clause
-    const where = {};
+    // Build where clause (replies come back inside their thread)
+    const where = { parentId: null };
     if (taskId) where.taskId = taskId;
     if (userId) where.userId = userId;
 
@@ -52,14 +69,7 @@ export async function GET(request) {
         skip,
         take: limit,
         include: {
-          user: {
-            select: {
-              id: true,
-              name: true,
-              email: true,
-              avatar: true,
-            },
-          },
+          ...COMMENT_THREAD_INCLUDE,
           task: {
             select: {
               id: true,
@@ -77,7 +87,7 @@ export async function GET(request) {
 
     return sendSuccess(
       {
-        comments,
+        comments: comments.map((comment) => serializeComment(comment, authResult.user.userId)),
         pagination: {
           page,
           limit,
@@ -97,55 +107,109 @@ export async function GET(request) {
 
 /**
  * POST /api/comments
- * Create a new comment
+ * Add a comment to a task as the authenticated user
  *
  * Body:
- * - content: string (required)
+ * - content: string (required, Markdown, 1-1000 characters; stored with its
+ *   rendered HTML as contentHtml)
  * - taskId: string (required)
- * - userId: string (required)
+ * - parentId: string (optional, reply to a top-level comment on the same task)
+ *
+ * @mentions (`<span data-mention="USER_ID">@Name</span>`, see lib/mentions.js)
+ * notify the mentioned users.
+ *
+ * Requires task update permission (viewers can read comments but not post).
  */
 export async function POST(request) {
   try {
+    const authResult = requirePermission(request, RESOURCES.TASKS, ACTIONS.UPDATE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
     const body = await request.json();
-    const { content, taskId, userId } = body;
-
-    // Validation
-    if (!content || !taskId || !userId) {
-      return sendError(
-        "Missing required fields: content, taskId, userId",
-        ERROR_CODES.MISSING_REQUIRED_FIELDS,
-        400,
-        { required: ["content", "taskId", "userId"] }
-      );
+    const parsed = createCommentSchema.parse(body);
+    const { taskId, parentId } = parsed;
+    const userId = authResult.user.userId;
+
+    const task = await prisma.task.findUnique({ where: { id: taskId }, select: { id: true } });
+    if (!task) {
+      return sendError("Task not found", ERROR_CODES.TASK_NOT_FOUND, 404);
     }
 
-    // Create comment
-    const comment = await prisma.comment.create({
-      data: {
-        content,
-        taskId,
-        userId,
-      },
-      include: {
-        user: {
-          select: {
-            id: true,
-            name: true,
-            avatar: true,
-          },
+    if (parentId) {
+      const parentCheck = await checkReplyParent(prisma, parentId, taskId);
+      if (parentCheck.error) {
+        const { message, code, statusCode } = parentCheck.error;
+        return sendError(message, code, statusCode);
+      }
+    }
+
+    const content = parsed.content;
+    const contentHtml = renderMarkdown(content);
+    if (!contentHtml) {
+      return sendError("Comment cannot be empty", ERROR_CODES.VALIDATION_ERROR, 400);
+    }
+
+    // Create the comment and notify the users it mentions
+    const { created, mentionedIds } = await prisma.$transaction(async (tx) => {
+      const record = await tx.comment.create({
+        data: {
+          content,
+          contentHtml,
+          taskId,
+          userId,
+          parentId: parentId || null,
         },
-        task: {
-          select: {
-            id: true,
-            title: true,
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              avatar: true,
+            },
+          },
+          reactions: { select: { emoji: true, userId: true } },
+          task: {
+            select: {
+              id: true,
+              title: true,
+            },
           },
         },
-      },
+      });
+
+      const mentionedIds = await notifyMentions(tx, {
+        content: contentHtml,
+        actorId: userId,
+        taskId,
+        commentId: record.id,
+      });
+
+      return { created: record, mentionedIds };
     });
 
+    const comment = serializeComment(created, userId);
+
+    // Cached task lists show comment counts
+    await invalidateCaches({ taskIds: [taskId] });
+    await publishEvent(EVENT_TYPES.COMMENT_ADDED, { taskId, comment });
+    for (const recipientId of mentionedIds) {
+      await publishEvent(EVENT_TYPES.NOTIFICATION_CREATED, {
+        recipientId,
+        type: NOTIFICATION_TYPES.MENTION,
+        taskId,
+        commentId: comment.id,
+      });
+    }
+
     return sendSuccess(comment, "Comment created successfully", 201);
   } catch (error) {
     console.error("POST /api/comments error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
     return handlePrismaError(error);
   }
 }
@@ -26,7 +26,7 @@ import {
   taskAssignedTemplate,
   passwordResetTemplate,
 } from "@/lib/email";
-import { authenticateRequest } from "@/lib/auth";
+import { authenticateRequest, requireVerifiedEmail } from "@/lib/auth";
 import { handleError } from "@/lib/errorHandler";
 import { logInfo, logError } from "@/lib/logger";
 
@@ -55,6 +55,11 @@ export async function POST(request) {
       return errorResponse;
     }
 
+    const verification = requireVerifiedEmail(user);
+    if (verification.errorResponse) {
+      return verification.errorResponse;
+    }
+
     // Parse and validate request body
     const body = await request.json();
     const validation = emailRequestSchema.safeParse(body);
@@ -0,0 +1,90 @@
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { subscribeToEvents } from "@/lib/eventBus";
+import {
+  canReceiveEvent,
+  formatSseMessage,
+  formatSseComment,
+  HEARTBEAT_INTERVAL_MS,
+  RECONNECT_DELAY_MS,
+} from "@/lib/events/stream";
+
+/**
+ * GET /api/events
+ * Server-Sent Events stream of live task updates
+ *
+ * Event types (see lib/events/types.js):
+ * - task.created, task.updated, task.deleted
+ * - comment.added
+ *
+ * Only events the user's role can read are sent. Events are not replayed:
+ * clients revalidate their data after reconnecting.
+ */
+export async function GET(request) {
+  const authResult = requirePermission(request, RESOURCES.TASKS, ACTIONS.READ);
+  if (authResult.errorResponse) {
+    return authResult.errorResponse;
+  }
+
+  const { user } = authResult;
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let closed = false;
+
+      const send = (chunk) => {
+        if (closed) return;
+        try {
+          controller.enqueue(encoder.encode(chunk));
+        } catch {
+          // The client went away between the check and the write
+          cleanup();
+        }
+      };
+
+      const unsubscribe = subscribeToEvents((event) => {
+        if (canReceiveEvent(user, event)) {
+          send(formatSseMessage(event));
+        }
+      });
+
+      const heartbeat = setInterval(() => send(formatSseComment("ping")), HEARTBEAT_INTERVAL_MS);
+
+      cleanup = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+        request.signal.removeEventListener("abort", cleanup);
+        try {
+          controller.close();
+        } catch {
+          // Already closed by the runtime
+        }
+      };
+
+      request.signal.addEventListener("abort", cleanup);
+
+      send(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+      send(formatSseComment("connected"));
+    },
+
+    cancel() {
+      cleanup();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      // Disable response buffering in nginx
+      "X-Accel-Buffering": "no",
+    },
+  });
+}
+
+export const dynamic = "force-dynamic";
@@ -7,7 +7,7 @@
 import { NextResponse } from "next/server";
 import { z } from "zod";
 import { prisma } from "@/lib/db";
-import { authenticateRequest } from "@/lib/auth";
+import { authenticateRequest, requireVerifiedEmail } from "@/lib/auth";
 import { handleError } from "@/lib/errorHandler";
 import { getCache, setCache, deleteCache } from "@/lib/redis";
 
@@ -29,6 +29,11 @@ export async function POST(request) {
       return errorResponse;
     }
 
+    const verification = requireVerifiedEmail(user);
+    if (verification.errorResponse) {
+      return verification.errorResponse;
+    }
+
     // Parse and validate request body
     const body = await request.json();
     const validation = fileMetadataSchema.safeParse(body);
@@ -142,6 +147,11 @@ export async function DELETE(request) {
       return errorResponse;
     }
 
+    const verification = requireVerifiedEmail(user);
+    if (verification.errorResponse) {
+      return verification.errorResponse;
+    }
+
     // Get file ID from URL
     const url = new URL(request.url);
     const fileId = url.searchParams.get("id");
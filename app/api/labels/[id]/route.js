@@ -0,0 +1,98 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import {
+  sendSuccess,
+  sendError,
+  handlePrismaError,
+  handleZodError,
+  ERROR_CODES,
+} from "@/lib/responseHandler";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { invalidateCaches } from "@/lib/cache/invalidation";
+import { updateLabelSchema } from "@/lib/schemas/labelSchema";
+import { sanitizeInput } from "@/lib/sanitization";
+
+/**
+ * PUT /api/labels/[id]
+ * Rename or recolor a label
+ *
+ * Body (all optional):
+ * - name: string
+ * - color: string
+ */
+export async function PUT(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.UPDATE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+
+    const existingLabel = await prisma.label.findUnique({ where: { id }, select: { id: true } });
+    if (!existingLabel) {
+      return sendError("Label not found", ERROR_CODES.LABEL_NOT_FOUND, 404);
+    }
+
+    const body = await request.json();
+    const data = updateLabelSchema.parse(body);
+    if (data.name !== undefined) data.name = sanitizeInput(data.name);
+
+    const label = await prisma.label.update({ where: { id }, data });
+
+    // Cached task lists embed label names and colors
+    await invalidateCaches({ projectIds: [label.projectId] });
+
+    return sendSuccess(label, "Label updated successfully");
+  } catch (error) {
+    console.error("PUT /api/labels/[id] error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
+
+/**
+ * DELETE /api/labels/[id]
+ * Delete a label and remove it from all tasks
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.UPDATE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+
+    const existingLabel = await prisma.label.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { tasks: true },
+        },
+      },
+    });
+
+    if (!existingLabel) {
+      return sendError("Label not found", ERROR_CODES.LABEL_NOT_FOUND, 404);
+    }
+
+    await prisma.label.delete({ where: { id } });
+
+    await invalidateCaches({ projectIds: [existingLabel.projectId] });
+
+    return sendSuccess(
+      { labelId: id, removedFromTasks: existingLabel._count.tasks },
+      "Label deleted successfully"
+    );
+  } catch (error) {
+    console.error("DELETE /api/labels/[id] error:", error);
+    return handlePrismaError(error);
+  }
+}
+
+export const dynamic = "force-dynamic";
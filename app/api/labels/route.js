@@ -0,0 +1,105 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import {
+  sendSuccess,
+  sendError,
+  handlePrismaError,
+  handleZodError,
+  ERROR_CODES,
+} from "@/lib/responseHandler";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { createLabelSchema } from "@/lib/schemas/labelSchema";
+import { sanitizeInput } from "@/lib/sanitization";
+
+/**
+ * GET /api/labels
+ * Fetch a project's labels, alphabetically
+ *
+ * Query Parameters:
+ * - projectId: Project to list labels for (required)
+ */
+export async function GET(request) {
+  try {
+    // RBAC: labels belong to projects, so they share project permissions
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.READ);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { searchParams } = new URL(request.url);
+    const projectId = searchParams.get("projectId");
+
+    if (!projectId) {
+      return sendError("projectId is required", ERROR_CODES.MISSING_REQUIRED_FIELDS, 400);
+    }
+
+    const labels = await prisma.label.findMany({
+      where: { projectId },
+      include: {
+        _count: {
+          select: { tasks: true },
+        },
+      },
+      orderBy: { name: "asc" },
+    });
+
+    return sendSuccess({ labels }, "Labels fetched successfully");
+  } catch (error) {
+    console.error("GET /api/labels error:", error);
+    return handlePrismaError(error);
+  }
+}
+
+/**
+ * POST /api/labels
+ * Create a label in a project
+ *
+ * Body:
+ * - projectId: string (required, must reference a non-archived project)
+ * - name: string (required, unique within the project)
+ * - color: string (optional, palette color; default "gray")
+ */
+export async function POST(request) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.UPDATE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const body = await request.json();
+    const { projectId, name, color } = createLabelSchema.parse(body);
+
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: { archived: true },
+    });
+
+    if (!project) {
+      return sendError("Project not found", ERROR_CODES.PROJECT_NOT_FOUND, 404);
+    }
+
+    if (project.archived) {
+      return sendError(
+        "Cannot add labels to an archived project",
+        ERROR_CODES.PROJECT_ARCHIVED,
+        400
+      );
+    }
+
+    const label = await prisma.label.create({
+      data: { projectId, name: sanitizeInput(name), color },
+    });
+
+    return sendSuccess(label, "Label created successfully", 201);
+  } catch (error) {
+    console.error("POST /api/labels error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
+
+export const dynamic = "force-dynamic";
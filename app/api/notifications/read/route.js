@@ -0,0 +1,45 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import { sendSuccess, handlePrismaError, handleZodError } from "@/lib/responseHandler";
+import { authenticateRequest } from "@/lib/auth";
+import { markNotificationsReadSchema } from "@/lib/schemas/notificationSchema";
+
+/**
+ * POST /api/notifications/read
+ * Mark the authenticated user's notifications as read
+ *
+ * Body:
+ * - ids?: string[] - Notifications to mark; all unread ones when omitted
+ *
+ * IDs belonging to other users are ignored. Returns how many notifications
+ * were updated and the remaining unreadCount.
+ */
+export async function POST(request) {
+  try {
+    const authResult = authenticateRequest(request);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const userId = authResult.user.userId;
+    const body = await request.json().catch(() => ({}));
+    const { ids } = markNotificationsReadSchema.parse(body);
+
+    const [{ count }, unreadCount] = await prisma.$transaction([
+      prisma.notification.updateMany({
+        where: { userId, readAt: null, ...(ids && { id: { in: ids } }) },
+        data: { readAt: new Date() },
+      }),
+      prisma.notification.count({ where: { userId, readAt: null } }),
+    ]);
+
+    return sendSuccess({ updated: count, unreadCount }, "Notifications marked as read");
+  } catch (error) {
+    console.error("POST /api/notifications/read error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
@@ -0,0 +1,56 @@
+import { prisma } from "@/lib/db";
+import { sendSuccess, handlePrismaError } from "@/lib/responseHandler";
+import { authenticateRequest } from "@/lib/auth";
+import { DEFAULT_NOTIFICATION_LIMIT, MAX_NOTIFICATION_LIMIT } from "@/lib/notifications";
+
+/**
+ * GET /api/notifications
+ * Fetch the authenticated user's notifications, newest first
+ *
+ * Query Parameters:
+ * - limit: Notifications to return (default: 20, max: 100)
+ * - unread: "true" to return only unread notifications
+ *
+ * Each notification has type, readAt, createdAt, actor, task { id, title }
+ * and commentId. `unreadCount` counts all unread notifications, regardless
+ * of the limit.
+ */
+export async function GET(request) {
+  try {
+    const authResult = authenticateRequest(request);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const userId = authResult.user.userId;
+    const { searchParams } = new URL(request.url);
+
+    const limit = Math.min(
+      Math.max(Number.parseInt(searchParams.get("limit"), 10) || DEFAULT_NOTIFICATION_LIMIT, 1),
+      MAX_NOTIFICATION_LIMIT
+    );
+    const unreadOnly = searchParams.get("unread") === "true";
+
+    const [notifications, unreadCount] = await prisma.$transaction([
+      prisma.notification.findMany({
+        where: { userId, ...(unreadOnly && { readAt: null }) },
+        take: limit,
+        include: {
+          actor: {
+            select: { id: true, name: true, avatar: true },
+          },
+          task: {
+            select: { id: true, title: true },
+          },
+        },
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      }),
+      prisma.notification.count({ where: { userId, readAt: null } }),
+    ]);
+
+    return sendSuccess({ notifications, unreadCount }, "Notifications fetched successfully");
+  } catch (error) {
+    console.error("GET /api/notifications error:", error);
+    return handlePrismaError(error);
+  }
+}
@@ -0,0 +1,175 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import {
+  sendSuccess,
+  sendError,
+  handlePrismaError,
+  handleZodError,
+  ERROR_CODES,
+} from "@/lib/responseHandler";
+import { requirePermission, checkOwnership } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { invalidateCaches } from "@/lib/cache/invalidation";
+import { updateProjectSchema } from "@/lib/schemas/projectSchema";
+import { sanitizeInput } from "@/lib/sanitization";
+
+/**
+ * GET /api/projects/[id]
+ * Fetch a single project with task counts per status
+ */
+export async function GET(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.READ);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+
+    const project = await prisma.project.findUnique({
+      where: { id },
+      include: {
+        owner: {
+          select: { id: true, name: true, email: true, avatar: true },
+        },
+        _count: {
+          select: { tasks: true },
+        },
+      },
+    });
+
+    if (!project) {
+      return sendError("Project not found", ERROR_CODES.PROJECT_NOT_FOUND, 404);
+    }
+
+    const statusCounts = await prisma.task.groupBy({
+      by: ["status"],
+      where: { projectId: id },
+      _count: { _all: true },
+    });
+
+    return sendSuccess(
+      {
+        ...project,
+        taskCounts: Object.fromEntries(statusCounts.map((row) => [row.status, row._count._all])),
+      },
+      "Project fetched successfully"
+    );
+  } catch (error) {
+    console.error("GET /api/projects/[id] error:", error);
+    return handlePrismaError(error);
+  }
+}
+
+/**
+ * PUT /api/projects/[id]
+ * Update a project (rename, change key, archive/unarchive, transfer ownership)
+ *
+ * Body (all optional):
+ * - name, key, description, archived, ownerId
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { id } = await params;
+
+    const existingProject = await prisma.project.findUnique({
+      where: { id },
+      select: { id: true, ownerId: true },
+    });
+
+    if (!existingProject) {
+      return sendError("Project not found", ERROR_CODES.PROJECT_NOT_FOUND, 404);
+    }
+
+    // RBAC: update permission, or the project owner
+    const authResult = checkOwnership(
+      request,
+      existingProject.ownerId,
+      RESOURCES.PROJECTS,
+      ACTIONS.UPDATE
+    );
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const body = await request.json();
+    const data = updateProjectSchema.parse(body);
+
+    if (data.name !== undefined) data.name = sanitizeInput(data.name);
+    if (data.description !== undefined) {
+      data.description = data.description ? sanitizeInput(data.description) : null;
+    }
+
+    const project = await prisma.project.update({
+      where: { id },
+      data,
+      include: {
+        owner: {
+          select: { id: true, name: true, email: true },
+        },
+      },
+    });
+
+    // Cached task lists embed the project name and key
+    await invalidateCaches({ projectIds: [id] });
+
+    return sendSuccess(project, "Project updated successfully");
+  } catch (error) {
+    console.error("PUT /api/projects/[id] error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
+
+/**
+ * DELETE /api/projects/[id]
+ * Delete a project and cascade to its tasks
+ *
+ * Prefer archiving (PUT { archived: true }) to keep history.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.DELETE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+
+    const existingProject = await prisma.project.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { tasks: true },
+        },
+      },
+    });
+
+    if (!existingProject) {
+      return sendError("Project not found", ERROR_CODES.PROJECT_NOT_FOUND, 404);
+    }
+
+    // Delete project (cascade will handle tasks and their comments)
+    await prisma.project.delete({
+      where: { id },
+    });
+
+    await invalidateCaches({ projectIds: [id] });
+
+    return sendSuccess(
+      {
+        projectId: id,
+        cascaded: {
+          tasks: existingProject._count.tasks,
+        },
+      },
+      "Project deleted successfully"
+    );
+  } catch (error) {
+    console.error("DELETE /api/projects/[id] error:", error);
+    return handlePrismaError(error);
+  }
+}
@@ -0,0 +1,96 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import {
+  sendSuccess,
+  sendError,
+  handlePrismaError,
+  handleZodError,
+  ERROR_CODES,
+} from "@/lib/responseHandler";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { updateWipLimitsSchema } from "@/lib/schemas/workflowSchema";
+import { DEFAULT_WORKFLOW, getWorkflow } from "@/lib/workflow";
+
+/**
+ * PUT /api/projects/[id]/wip-limits
+ * Set the WIP limits of a project's board columns and how they are enforced
+ *
+ * Body (at least one field):
+ * - mode: "soft" | "strict" (soft warns, strict rejects moves into a full column)
+ * - limits: { [statusKey]: number (1-999) | null } (omitted statuses keep their limit)
+ *
+ * Requires project update permission (managers and admins). Projects still on
+ * the default workflow get it saved as their own so the limits have a place to live.
+ */
+export async function PUT(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.UPDATE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+
+    const project = await prisma.project.findUnique({ where: { id }, select: { id: true } });
+    if (!project) {
+      return sendError("Project not found", ERROR_CODES.PROJECT_NOT_FOUND, 404);
+    }
+
+    const body = await request.json();
+    const { mode, limits } = updateWipLimitsSchema.parse(body);
+
+    const result = await prisma.$transaction(async (tx) => {
+      let workflow = await getWorkflow(tx, id);
+
+      const unknown = Object.keys(limits).filter(
+        (key) => !workflow.some((status) => status.key === key)
+      );
+      if (unknown.length > 0) {
+        return {
+          error: {
+            message: `Unknown status: ${unknown.join(", ")}`,
+            code: ERROR_CODES.WORKFLOW_INVALID,
+            statusCode: 400,
+          },
+        };
+      }
+
+      if (workflow === DEFAULT_WORKFLOW) {
+        await tx.workflowStatus.createMany({
+          data: DEFAULT_WORKFLOW.map((status) => ({ ...status, projectId: id })),
+        });
+      }
+
+      for (const [key, wipLimit] of Object.entries(limits)) {
+        await tx.workflowStatus.update({
+          where: { projectId_key: { projectId: id, key } },
+          data: { wipLimit },
+        });
+      }
+
+      const updated = mode
+        ? await tx.project.update({ where: { id }, data: { wipLimitMode: mode } })
+        : await tx.project.findUnique({ where: { id }, select: { wipLimitMode: true } });
+
+      workflow = await getWorkflow(tx, id);
+      return { statuses: workflow, wipLimitMode: updated.wipLimitMode };
+    });
+
+    if (result.error) {
+      const { message, code, statusCode } = result.error;
+      return sendError(message, code, statusCode);
+    }
+
+    return sendSuccess({ ...result, isDefault: false }, "WIP limits updated successfully");
+  } catch (error) {
+    console.error("PUT /api/projects/[id]/wip-limits error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
+
+export const dynamic = "force-dynamic";
@@ -0,0 +1,179 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import {
+  sendSuccess,
+  sendError,
+  handlePrismaError,
+  handleZodError,
+  ERROR_CODES,
+} from "@/lib/responseHandler";
+import { requirePermission, checkOwnership } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { invalidateCaches } from "@/lib/cache/invalidation";
+import { publishTasksUpdated } from "@/lib/eventBus";
+import { updateWorkflowSchema } from "@/lib/schemas/workflowSchema";
+import { sanitizeInput } from "@/lib/sanitization";
+import { DEFAULT_WORKFLOW, getWorkflow } from "@/lib/workflow";
+import { recordBulkTaskEvents } from "@/lib/tasks/activity";
+
+/**
+ * GET /api/projects/[id]/workflow
+ * Fetch a project's statuses in board order
+ *
+ * Projects that never configured a workflow get the default
+ * Todo / In Progress / Done statuses with isDefault: true.
+ * Each status carries its wipLimit; wipLimitMode is the project's setting.
+ */
+export async function GET(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.READ);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+
+    const project = await prisma.project.findUnique({
+      where: { id },
+      select: { id: true, wipLimitMode: true },
+    });
+    if (!project) {
+      return sendError("Project not found", ERROR_CODES.PROJECT_NOT_FOUND, 404);
+    }
+
+    const statuses = await getWorkflow(prisma, id);
+
+    return sendSuccess(
+      {
+        statuses,
+        isDefault: statuses === DEFAULT_WORKFLOW,
+        wipLimitMode: project.wipLimitMode,
+      },
+      "Workflow fetched successfully"
+    );
+  } catch (error) {
+    console.error("GET /api/projects/[id]/workflow error:", error);
+    return handlePrismaError(error);
+  }
+}
+
+/**
+ * PUT /api/projects/[id]/workflow
+ * Replace a project's statuses
+ *
+ * Body:
+ * - statuses: [{ key, name, category, color?, transitionsTo? }] in board order
+ * - remap: { [removedKey]: newKey } (required for removed statuses still used by tasks)
+ *
+ * Task categories are kept in sync so progress, reports and dependency
+ * checks follow the new configuration. Remapped tasks get a status change
+ * in their activity log.
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { id } = await params;
+
+    const project = await prisma.project.findUnique({
+      where: { id },
+      select: { id: true, ownerId: true },
+    });
+
+    if (!project) {
+      return sendError("Project not found", ERROR_CODES.PROJECT_NOT_FOUND, 404);
+    }
+
+    // RBAC: same rule as editing the project - update permission or the project owner
+    const authResult = checkOwnership(request, project.ownerId, RESOURCES.PROJECTS, ACTIONS.UPDATE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const body = await request.json();
+    const { statuses, remap } = updateWorkflowSchema.parse(body);
+    const keys = new Set(statuses.map((status) => status.key));
+
+    // Tasks may not be left in a status that no longer exists
+    const usedStatuses = await prisma.task.groupBy({
+      by: ["status"],
+      where: { projectId: id },
+      _count: { _all: true },
+    });
+    const unmapped = usedStatuses
+      .filter((row) => !keys.has(row.status) && !remap[row.status])
+      .map((row) => ({ status: row.status, tasks: row._count._all }));
+
+    if (unmapped.length > 0) {
+      return sendError(
+        "Some removed statuses still have tasks; provide a remap for them",
+        ERROR_CODES.WORKFLOW_INVALID,
+        409,
+        { unmapped }
+      );
+    }
+
+    const { workflow, changedTaskIds } = await prisma.$transaction(async (tx) => {
+      // WIP limits are edited separately (PUT /api/projects/[id]/wip-limits); keep them by key
+      const previous = await tx.workflowStatus.findMany({
+        where: { projectId: id },
+        select: { key: true, wipLimit: true },
+      });
+      const wipLimits = new Map(previous.map((status) => [status.key, status.wipLimit]));
+
+      await tx.workflowStatus.deleteMany({ where: { projectId: id } });
+      await tx.workflowStatus.createMany({
+        data: statuses.map((status, position) => ({
+          ...status,
+          name: sanitizeInput(status.name),
+          position,
+          wipLimit: wipLimits.get(status.key) ?? null,
+          projectId: id,
+        })),
+      });
+
+      // Bulk updates don't return rows; remember which tasks change for live updates
+      const changed = new Set();
+      const updateTasks = async (where, data) => {
+        const tasks = await tx.task.findMany({ where, select: { id: true } });
+        tasks.forEach((task) => changed.add(task.id));
+        await tx.task.updateMany({ where, data });
+        return tasks.map((task) => task.id);
+      };
+
+      for (const [from, to] of Object.entries(remap)) {
+        if (keys.has(from)) continue;
+        const remapped = await updateTasks({ projectId: id, status: from }, { status: to });
+        await recordBulkTaskEvents(tx, {
+          taskIds: remapped,
+          actorId: authResult.user.userId,
+          field: "status",
+          oldValue: from,
+          newValue: to,
+        });
+      }
+
+      for (const status of statuses) {
+        await updateTasks(
+          { projectId: id, status: status.key, statusCategory: { not: status.category } },
+          { statusCategory: status.category }
+        );
+      }
+
+      return { workflow: await getWorkflow(tx, id), changedTaskIds: [...changed] };
+    });
+
+    // Cached task lists carry statuses and progress
+    await invalidateCaches({ projectIds: [id] });
+    await publishTasksUpdated(prisma, changedTaskIds);
+
+    return sendSuccess({ statuses: workflow, isDefault: false }, "Workflow updated successfully");
+  } catch (error) {
+    console.error("PUT /api/projects/[id]/workflow error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
+
+export const dynamic = "force-dynamic";
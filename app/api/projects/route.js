@@ -0,0 +1,101 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import { sendSuccess, handlePrismaError, handleZodError } from "@/lib/responseHandler";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { createProjectSchema } from "@/lib/schemas/projectSchema";
+import { sanitizeInput } from "@/lib/sanitization";
+
+/**
+ * GET /api/projects
+ * Fetch all projects (used by the project switcher)
+ *
+ * Query Parameters:
+ * - includeArchived: Include archived projects (default: false)
+ */
+export async function GET(request) {
+  try {
+    // RBAC: Check if user has read permission for projects
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.READ);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { searchParams } = new URL(request.url);
+    const includeArchived = searchParams.get("includeArchived") === "true";
+
+    const projects = await prisma.project.findMany({
+      where: includeArchived ? {} : { archived: false },
+      include: {
+        owner: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+          },
+        },
+        _count: {
+          select: { tasks: true },
+        },
+      },
+      orderBy: { name: "asc" },
+    });
+
+    return sendSuccess({ projects }, "Projects fetched successfully");
+  } catch (error) {
+    console.error("GET /api/projects error:", error);
+    return handlePrismaError(error);
+  }
+}
+
+/**
+ * POST /api/projects
+ * Create a new project
+ *
+ * Body:
+ * - name: string (required)
+ * - key: string (required, unique, e.g. "WEB")
+ * - description: string (optional)
+ *
+ * Note: ownerId is extracted from the JWT token
+ */
+export async function POST(request) {
+  try {
+    // RBAC: Check if user has create permission for projects
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.CREATE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { user } = authResult;
+    const body = await request.json();
+    const { name, key, description } = createProjectSchema.parse(body);
+
+    const project = await prisma.project.create({
+      data: {
+        name: sanitizeInput(name),
+        key,
+        description: description ? sanitizeInput(description) : null,
+        ownerId: user.userId,
+      },
+      include: {
+        owner: {
+          select: { id: true, name: true, email: true },
+        },
+      },
+    });
+
+    console.log(`[PROJECTS] ${user.email} created project ${project.key}`);
+
+    return sendSuccess(project, "Project created successfully", 201);
+  } catch (error) {
+    console.error("POST /api/projects error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
+
+export const dynamic = "force-dynamic";
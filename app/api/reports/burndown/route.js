@@ -0,0 +1,83 @@
+import { prisma } from "@/lib/db";
+import { sendSuccess, sendError, handlePrismaError, ERROR_CODES } from "@/lib/responseHandler";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { SPRINT_STATE } from "@/lib/sprints";
+import { buildBurndown } from "@/lib/reports/burndown";
+import { recordSprintSnapshot } from "@/lib/reports/snapshots";
+
+/**
+ * GET /api/reports/burndown
+ * Burndown series (ideal vs. remaining work) for one sprint
+ *
+ * Query Parameters:
+ * - sprintId: Sprint to report on
+ * - projectId: Use the project's active sprint (when sprintId is omitted)
+ *
+ * Viewing an active sprint refreshes today's snapshot first.
+ */
+export async function GET(request) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.READ);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { searchParams } = new URL(request.url);
+    const sprintId = searchParams.get("sprintId");
+    const projectId = searchParams.get("projectId");
+
+    if (!sprintId && !projectId) {
+      return sendError(
+        "sprintId or projectId is required",
+        ERROR_CODES.MISSING_REQUIRED_FIELDS,
+        400
+      );
+    }
+
+    const sprint = sprintId
+      ? await prisma.sprint.findUnique({ where: { id: sprintId } })
+      : await prisma.sprint.findFirst({
+          where: { projectId, state: SPRINT_STATE.ACTIVE },
+        });
+
+    if (!sprint) {
+      // No active sprint is a normal state for a project, not an error
+      if (!sprintId) {
+        return sendSuccess({ sprint: null, metric: "tasks", days: [] }, "No active sprint");
+      }
+      return sendError("Sprint not found", ERROR_CODES.SPRINT_NOT_FOUND, 404);
+    }
+
+    if (sprint.state === SPRINT_STATE.ACTIVE) {
+      await recordSprintSnapshot(prisma, sprint.id);
+    }
+
+    const snapshots = await prisma.sprintSnapshot.findMany({
+      where: { sprintId: sprint.id },
+      orderBy: { date: "asc" },
+    });
+
+    const { metric, days } = buildBurndown(sprint, snapshots);
+
+    return sendSuccess(
+      {
+        sprint: {
+          id: sprint.id,
+          name: sprint.name,
+          state: sprint.state,
+          startDate: sprint.startDate,
+          endDate: sprint.endDate,
+        },
+        metric,
+        days,
+      },
+      "Burndown fetched successfully"
+    );
+  } catch (error) {
+    console.error("GET /api/reports/burndown error:", error);
+    return handlePrismaError(error);
+  }
+}
+
+export const dynamic = "force-dynamic";
@@ -0,0 +1,30 @@
+import { prisma } from "@/lib/db";
+import { sendSuccess, handlePrismaError } from "@/lib/responseHandler";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { recordActiveSprintSnapshots } from "@/lib/reports/snapshots";
+
+/**
+ * POST /api/reports/snapshots
+ * Record today's snapshot for every active sprint
+ *
+ * Meant to be called once a day by a scheduled job so burndowns have a
+ * data point even on days nobody opens the report.
+ */
+export async function POST(request) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.UPDATE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const count = await recordActiveSprintSnapshots(prisma);
+
+    return sendSuccess({ sprints: count }, "Sprint snapshots recorded");
+  } catch (error) {
+    console.error("POST /api/reports/snapshots error:", error);
+    return handlePrismaError(error);
+  }
+}
+
+export const dynamic = "force-dynamic";
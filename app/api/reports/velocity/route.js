@@ -0,0 +1,52 @@
+import { prisma } from "@/lib/db";
+import { sendSuccess, sendError, handlePrismaError, ERROR_CODES } from "@/lib/responseHandler";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { SPRINT_STATE } from "@/lib/sprints";
+import { buildVelocity } from "@/lib/reports/burndown";
+
+/**
+ * GET /api/reports/velocity
+ * Committed vs. completed work over a project's last N closed sprints
+ *
+ * Query Parameters:
+ * - projectId: Project to report on (required)
+ * - limit: Number of closed sprints (default: 6, max: 20)
+ */
+export async function GET(request) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.READ);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { searchParams } = new URL(request.url);
+    const projectId = searchParams.get("projectId");
+    const limit = Math.min(Math.max(Number(searchParams.get("limit")) || 6, 1), 20);
+
+    if (!projectId) {
+      return sendError("projectId is required", ERROR_CODES.MISSING_REQUIRED_FIELDS, 400);
+    }
+
+    const sprints = await prisma.sprint.findMany({
+      where: { projectId, state: SPRINT_STATE.CLOSED },
+      orderBy: { endDate: "desc" },
+      take: limit,
+      include: {
+        snapshots: {
+          orderBy: { date: "asc" },
+        },
+      },
+    });
+
+    return sendSuccess(
+      { projectId, limit, ...buildVelocity(sprints) },
+      "Velocity fetched successfully"
+    );
+  } catch (error) {
+    console.error("GET /api/reports/velocity error:", error);
+    return handlePrismaError(error);
+  }
+}
+
+export const dynamic = "force-dynamic";
@@ -0,0 +1,57 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import { sendSuccess, handlePrismaError, handleZodError } from "@/lib/responseHandler";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { searchQuerySchema } from "@/lib/schemas/searchSchema";
+import { mergeSearchResults, searchComments, searchTasks } from "@/lib/search";
+
+/**
+ * GET /api/search
+ * Full-text search over task titles, descriptions and comments
+ *
+ * Query Parameters:
+ * - q: Search text, websearch syntax ("exact phrase", or, -exclude) (required, 2-200 chars)
+ * - type: all (default), tasks or comments
+ * - projectId: Only search within a project
+ * - limit: Max results (default: 20, max: 50)
+ *
+ * Results are ranked across both kinds and carry highlighted snippets as
+ * `{text, highlight}` segments (see lib/search.js).
+ */
+export async function GET(request) {
+  try {
+    // RBAC: comments are only reachable through their tasks
+    const authResult = requirePermission(request, RESOURCES.TASKS, ACTIONS.READ);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { searchParams } = new URL(request.url);
+    const { q, type, projectId, limit } = searchQuerySchema.parse({
+      q: searchParams.get("q") ?? undefined,
+      type: searchParams.get("type") ?? undefined,
+      projectId: searchParams.get("projectId") ?? undefined,
+      limit: searchParams.get("limit") ?? undefined,
+    });
+
+    const options = { query: q, projectId, limit };
+    const [taskHits, commentHits] = await Promise.all([
+      type === "comments" ? [] : searchTasks(prisma, options),
+      type === "tasks" ? [] : searchComments(prisma, options),
+    ]);
+
+    const results = mergeSearchResults(taskHits, commentHits, limit);
+
+    return sendSuccess({ query: q, results }, "Search completed successfully");
+  } catch (error) {
+    console.error("GET /api/search error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
+
+export const dynamic = "force-dynamic";
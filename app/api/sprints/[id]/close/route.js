@@ -0,0 +1,65 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import { sendSuccess, sendError, handlePrismaError, handleZodError } from "@/lib/responseHandler";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { invalidateCaches } from "@/lib/cache/invalidation";
+import { publishTasksUpdated } from "@/lib/eventBus";
+import { closeSprintSchema } from "@/lib/schemas/sprintSchema";
+import { closeSprint, SprintStateError } from "@/lib/sprints";
+
+/**
+ * POST /api/sprints/[id]/close
+ * Close a sprint and carry over unfinished work
+ *
+ * Body:
+ * - moveTo: "backlog" (default) | "next" | <sprintId>
+ *
+ * Tasks not in "Done" are moved and the sprint is closed in a single
+ * transaction - if either step fails, nothing changes.
+ */
+export async function POST(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.UPDATE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { user } = authResult;
+    const { id } = await params;
+
+    const body = await request.json().catch(() => ({}));
+    const { moveTo } = closeSprintSchema.parse(body);
+
+    const result = await closeSprint(prisma, id, moveTo, user.userId);
+
+    // Tasks changed sprint, so the project's cached task lists are stale
+    await invalidateCaches({ projectIds: [result.sprint.projectId] });
+    await publishTasksUpdated(prisma, result.movedTaskIds);
+
+    console.log(
+      `[SPRINTS] ${user.email} closed sprint "${result.sprint.name}" - ${result.movedCount} task(s) moved to ${result.target ? result.target.name : "backlog"}`
+    );
+
+    return sendSuccess(
+      {
+        sprint: result.sprint,
+        movedTo: result.target ? { id: result.target.id, name: result.target.name } : "backlog",
+        movedCount: result.movedCount,
+        completedCount: result.completedCount,
+      },
+      "Sprint closed successfully"
+    );
+  } catch (error) {
+    console.error("POST /api/sprints/[id]/close error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    if (error instanceof SprintStateError) {
+      return sendError(error.message, error.code, error.statusCode);
+    }
+
+    return handlePrismaError(error);
+  }
+}
@@ -0,0 +1,169 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import {
+  sendSuccess,
+  sendError,
+  handlePrismaError,
+  handleZodError,
+  ERROR_CODES,
+} from "@/lib/responseHandler";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { invalidateCaches } from "@/lib/cache/invalidation";
+import { updateSprintSchema } from "@/lib/schemas/sprintSchema";
+import { sanitizeInput } from "@/lib/sanitization";
+import { SPRINT_STATE } from "@/lib/sprints";
+
+/**
+ * GET /api/sprints/[id]
+ * Fetch a sprint with its tasks and task counts per status
+ */
+export async function GET(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.READ);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+
+    const sprint = await prisma.sprint.findUnique({
+      where: { id },
+      include: {
+        project: {
+          select: { id: true, name: true, key: true },
+        },
+        tasks: {
+          include: {
+            assignee: {
+              select: { id: true, name: true, email: true, avatar: true },
+            },
+          },
+          orderBy: { createdAt: "desc" },
+        },
+      },
+    });
+
+    if (!sprint) {
+      return sendError("Sprint not found", ERROR_CODES.SPRINT_NOT_FOUND, 404);
+    }
+
+    const taskCounts = {};
+    for (const task of sprint.tasks) {
+      taskCounts[task.status] = (taskCounts[task.status] || 0) + 1;
+    }
+
+    return sendSuccess({ ...sprint, taskCounts }, "Sprint fetched successfully");
+  } catch (error) {
+    console.error("GET /api/sprints/[id] error:", error);
+    return handlePrismaError(error);
+  }
+}
+
+/**
+ * PUT /api/sprints/[id]
+ * Update sprint details (name, goal, dates)
+ *
+ * State changes go through /start and /close; closed sprints are read-only.
+ */
+export async function PUT(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.UPDATE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+
+    const existingSprint = await prisma.sprint.findUnique({
+      where: { id },
+      select: { state: true, startDate: true, endDate: true },
+    });
+
+    if (!existingSprint) {
+      return sendError("Sprint not found", ERROR_CODES.SPRINT_NOT_FOUND, 404);
+    }
+
+    if (existingSprint.state === SPRINT_STATE.CLOSED) {
+      return sendError("Closed sprints cannot be edited", ERROR_CODES.SPRINT_INVALID_STATE, 409);
+    }
+
+    const body = await request.json();
+    const data = updateSprintSchema.parse(body);
+
+    // Check the date range against stored values when only one side changes
+    const startDate = data.startDate || existingSprint.startDate;
+    const endDate = data.endDate || existingSprint.endDate;
+    if (endDate <= startDate) {
+      return sendError("End date must be after start date", ERROR_CODES.VALIDATION_ERROR, 400);
+    }
+
+    if (data.name !== undefined) data.name = sanitizeInput(data.name);
+    if (data.goal !== undefined) {
+      data.goal = data.goal ? sanitizeInput(data.goal) : null;
+    }
+
+    const sprint = await prisma.sprint.update({
+      where: { id },
+      data,
+    });
+
+    // Cached task lists embed the sprint name and state
+    await invalidateCaches({ projectIds: [sprint.projectId] });
+
+    return sendSuccess(sprint, "Sprint updated successfully");
+  } catch (error) {
+    console.error("PUT /api/sprints/[id] error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
+
+/**
+ * DELETE /api/sprints/[id]
+ * Delete a sprint; its tasks return to the project backlog
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.DELETE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+
+    const existingSprint = await prisma.sprint.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { tasks: true },
+        },
+      },
+    });
+
+    if (!existingSprint) {
+      return sendError("Sprint not found", ERROR_CODES.SPRINT_NOT_FOUND, 404);
+    }
+
+    // onDelete: SetNull moves the sprint's tasks back to the backlog
+    await prisma.sprint.delete({
+      where: { id },
+    });
+
+    await invalidateCaches({ projectIds: [existingSprint.projectId] });
+
+    return sendSuccess(
+      {
+        sprintId: id,
+        tasksMovedToBacklog: existingSprint._count.tasks,
+      },
+      "Sprint deleted successfully"
+    );
+  } catch (error) {
+    console.error("DELETE /api/sprints/[id] error:", error);
+    return handlePrismaError(error);
+  }
+}
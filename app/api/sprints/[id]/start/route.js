@@ -0,0 +1,43 @@
+import { prisma } from "@/lib/db";
+import { sendSuccess, sendError, handlePrismaError } from "@/lib/responseHandler";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { invalidateCaches } from "@/lib/cache/invalidation";
+import { startSprint, SprintStateError } from "@/lib/sprints";
+import { recordSprintSnapshot } from "@/lib/reports/snapshots";
+
+/**
+ * POST /api/sprints/[id]/start
+ * Move a planned sprint to active
+ *
+ * A project can only have one active sprint at a time.
+ */
+export async function POST(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.UPDATE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { user } = authResult;
+    const { id } = await params;
+
+    const started = await startSprint(prisma, id);
+
+    // Starting scope for the burndown's ideal line
+    await recordSprintSnapshot(prisma, id);
+
+    await invalidateCaches({ projectIds: [started.projectId] });
+
+    console.log(`[SPRINTS] ${user.email} started sprint "${started.name}"`);
+
+    return sendSuccess(started, "Sprint started successfully");
+  } catch (error) {
+    console.error("POST /api/sprints/[id]/start error:", error);
+    if (error instanceof SprintStateError) {
+      return sendError(error.message, error.code, error.statusCode, error.details);
+    }
+
+    return handlePrismaError(error);
+  }
+}
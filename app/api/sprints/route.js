@@ -0,0 +1,132 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import {
+  sendSuccess,
+  sendError,
+  handlePrismaError,
+  handleZodError,
+  ERROR_CODES,
+} from "@/lib/responseHandler";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { createSprintSchema } from "@/lib/schemas/sprintSchema";
+import { sanitizeInput } from "@/lib/sanitization";
+import { SPRINT_STATES } from "@/lib/sprints";
+
+/**
+ * GET /api/sprints
+ * Fetch sprints, newest first
+ *
+ * Query Parameters:
+ * - projectId: Filter by project
+ * - state: Filter by state (planned, active, closed)
+ */
+export async function GET(request) {
+  try {
+    // RBAC: sprints belong to projects, so they share project permissions
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.READ);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { searchParams } = new URL(request.url);
+    const projectId = searchParams.get("projectId");
+    const state = searchParams.get("state");
+
+    if (state && !SPRINT_STATES.includes(state)) {
+      return sendError(
+        `Invalid state. Must be one of: ${SPRINT_STATES.join(", ")}`,
+        ERROR_CODES.VALIDATION_ERROR,
+        400
+      );
+    }
+
+    const where = {};
+    if (projectId) where.projectId = projectId;
+    if (state) where.state = state;
+
+    const sprints = await prisma.sprint.findMany({
+      where,
+      include: {
+        project: {
+          select: { id: true, name: true, key: true },
+        },
+        _count: {
+          select: { tasks: true },
+        },
+      },
+      orderBy: { startDate: "desc" },
+    });
+
+    return sendSuccess({ sprints }, "Sprints fetched successfully");
+  } catch (error) {
+    console.error("GET /api/sprints error:", error);
+    return handlePrismaError(error);
+  }
+}
+
+/**
+ * POST /api/sprints
+ * Plan a new sprint in a project
+ *
+ * Body:
+ * - projectId: string (required, must reference a non-archived project)
+ * - name: string (required)
+ * - goal: string (optional)
+ * - startDate: string (required, ISO date)
+ * - endDate: string (required, ISO date, after startDate)
+ *
+ * New sprints always start in the "planned" state.
+ */
+export async function POST(request) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.PROJECTS, ACTIONS.UPDATE);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { user } = authResult;
+    const body = await request.json();
+    const { projectId, name, goal, startDate, endDate } = createSprintSchema.parse(body);
+
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: { key: true, archived: true },
+    });
+
+    if (!project) {
+      return sendError("Project not found", ERROR_CODES.PROJECT_NOT_FOUND, 404);
+    }
+
+    if (project.archived) {
+      return sendError(
+        "Cannot plan sprints in an archived project",
+        ERROR_CODES.PROJECT_ARCHIVED,
+        400
+      );
+    }
+
+    const sprint = await prisma.sprint.create({
+      data: {
+        projectId,
+        name: sanitizeInput(name),
+        goal: goal ? sanitizeInput(goal) : null,
+        startDate,
+        endDate,
+      },
+    });
+
+    console.log(`[SPRINTS] ${user.email} planned sprint "${sprint.name}" in ${project.key}`);
+
+    return sendSuccess(sprint, "Sprint created successfully", 201);
+  } catch (error) {
+    console.error("POST /api/sprints error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
+
+export const dynamic = "force-dynamic";
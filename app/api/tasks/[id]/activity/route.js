@@ -0,0 +1,78 @@
+import { prisma } from "@/lib/db";
+import { sendSuccess, sendError, handlePrismaError, ERROR_CODES } from "@/lib/responseHandler";
+import { requirePermission } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import {
+  DEFAULT_ACTIVITY_LIMIT,
+  MAX_ACTIVITY_LIMIT,
+  resolveEventNames,
+} from "@/lib/tasks/activity";
+
+/**
+ * GET /api/tasks/[id]/activity
+ * Fetch a task's change log, newest first
+ *
+ * Query Parameters:
+ * - page: Page number (default: 1)
+ * - limit: Events per page (default: 50, max: 200)
+ *
+ * Each event has field, oldValue, newValue, actor and createdAt. Events for
+ * assignee, project, sprint and parent changes also carry oldName / newName.
+ */
+export async function GET(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.TASKS, ACTIONS.READ);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+    const { searchParams } = new URL(request.url);
+
+    const page = Math.max(Number.parseInt(searchParams.get("page"), 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(Number.parseInt(searchParams.get("limit"), 10) || DEFAULT_ACTIVITY_LIMIT, 1),
+      MAX_ACTIVITY_LIMIT
+    );
+
+    const task = await prisma.task.findUnique({ where: { id }, select: { id: true } });
+    if (!task) {
+      return sendError("Task not found", ERROR_CODES.TASK_NOT_FOUND, 404);
+    }
+
+    const [events, total] = await prisma.$transaction([
+      prisma.taskEvent.findMany({
+        where: { taskId: id },
+        skip: (page - 1) * limit,
+        take: limit,
+        include: {
+          actor: {
+            select: { id: true, name: true, avatar: true },
+          },
+        },
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      }),
+      prisma.taskEvent.count({ where: { taskId: id } }),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    return sendSuccess(
+      {
+        events: await resolveEventNames(prisma, events),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+      "Task activity fetched successfully"
+    );
+  } catch (error) {
+    console.error("GET /api/tasks/[id]/activity error:", error);
+    return handlePrismaError(error);
+  }
+}
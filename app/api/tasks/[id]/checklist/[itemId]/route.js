@@ -0,0 +1,112 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import {
+  sendSuccess,
+  sendError,
+  handlePrismaError,
+  handleZodError,
+  ERROR_CODES,
+} from "@/lib/responseHandler";
+import { requirePermission, checkOwnership } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { invalidateCaches } from "@/lib/cache/invalidation";
+import { updateChecklistItemSchema } from "@/lib/schemas/taskSchema";
+import { sanitizeInput } from "@/lib/sanitization";
+
+/**
+ * Load a checklist item with its task and check that the caller may edit the task
+ * @returns {Promise<{item: object}|{errorResponse: Response}>}
+ */
+async function authorizeItem(request, taskId, itemId) {
+  const item = await prisma.checklistItem.findUnique({
+    where: { id: itemId },
+    include: { task: { select: { id: true, creatorId: true } } },
+  });
+
+  if (!item || item.taskId !== taskId) {
+    return {
+      errorResponse: sendError(
+        "Checklist item not found",
+        ERROR_CODES.CHECKLIST_ITEM_NOT_FOUND,
+        404
+      ),
+    };
+  }
+
+  // RBAC: same rule as editing the task - update permission or the task owner
+  let authResult = requirePermission(request, RESOURCES.TASKS, ACTIONS.UPDATE);
+  if (authResult.errorResponse) {
+    authResult = checkOwnership(request, item.task.creatorId, RESOURCES.TASKS, ACTIONS.UPDATE);
+    if (authResult.errorResponse) {
+      return authResult;
+    }
+  }
+
+  return { item };
+}
+
+/**
+ * PATCH /api/tasks/[id]/checklist/[itemId]
+ * Toggle, rename or reorder a checklist item
+ *
+ * Body (all optional):
+ * - content: string
+ * - done: boolean
+ * - position: number
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { id, itemId } = await params;
+
+    const authResult = await authorizeItem(request, id, itemId);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const body = await request.json();
+    const data = updateChecklistItemSchema.parse(body);
+    if (data.content !== undefined) data.content = sanitizeInput(data.content);
+
+    const item = await prisma.checklistItem.update({
+      where: { id: itemId },
+      data,
+    });
+
+    await invalidateCaches({ taskIds: [id] });
+
+    return sendSuccess(item, "Checklist item updated successfully");
+  } catch (error) {
+    console.error("PATCH /api/tasks/[id]/checklist/[itemId] error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
+
+/**
+ * DELETE /api/tasks/[id]/checklist/[itemId]
+ * Remove a checklist item
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { id, itemId } = await params;
+
+    const authResult = await authorizeItem(request, id, itemId);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    await prisma.checklistItem.delete({
+      where: { id: itemId },
+    });
+
+    await invalidateCaches({ taskIds: [id] });
+
+    return sendSuccess({ itemId }, "Checklist item deleted successfully");
+  } catch (error) {
+    console.error("DELETE /api/tasks/[id]/checklist/[itemId] error:", error);
+    return handlePrismaError(error);
+  }
+}
@@ -0,0 +1,119 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import {
+  sendSuccess,
+  sendError,
+  handlePrismaError,
+  handleZodError,
+  ERROR_CODES,
+} from "@/lib/responseHandler";
+import { requirePermission, checkOwnership } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { invalidateCaches } from "@/lib/cache/invalidation";
+import { createChecklistItemSchema } from "@/lib/schemas/taskSchema";
+import { sanitizeInput } from "@/lib/sanitization";
+import { checklistProgress } from "@/lib/tasks/progress";
+
+/**
+ * GET /api/tasks/[id]/checklist
+ * Fetch a task's checklist items in display order
+ */
+export async function GET(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.TASKS, ACTIONS.READ);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+
+    const task = await prisma.task.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        checklistItems: {
+          orderBy: [{ position: "asc" }, { createdAt: "asc" }],
+        },
+      },
+    });
+
+    if (!task) {
+      return sendError("Task not found", ERROR_CODES.TASK_NOT_FOUND, 404);
+    }
+
+    return sendSuccess(
+      { items: task.checklistItems, progress: checklistProgress(task.checklistItems) },
+      "Checklist fetched successfully"
+    );
+  } catch (error) {
+    console.error("GET /api/tasks/[id]/checklist error:", error);
+    return handlePrismaError(error);
+  }
+}
+
+/**
+ * POST /api/tasks/[id]/checklist
+ * Add a checklist item to a task
+ *
+ * Body:
+ * - content: string (required)
+ * - position: number (optional, defaults to the end of the list)
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+
+    const task = await prisma.task.findUnique({
+      where: { id },
+      select: { id: true, creatorId: true },
+    });
+
+    if (!task) {
+      return sendError("Task not found", ERROR_CODES.TASK_NOT_FOUND, 404);
+    }
+
+    // RBAC: same rule as editing the task - update permission or the task owner
+    let authResult = requirePermission(request, RESOURCES.TASKS, ACTIONS.UPDATE);
+    if (authResult.errorResponse) {
+      authResult = checkOwnership(request, task.creatorId, RESOURCES.TASKS, ACTIONS.UPDATE);
+      if (authResult.errorResponse) {
+        return authResult.errorResponse;
+      }
+    }
+
+    const body = await request.json();
+    const { content, position } = createChecklistItemSchema.parse(body);
+
+    let itemPosition = position;
+    if (itemPosition === undefined) {
+      const last = await prisma.checklistItem.findFirst({
+        where: { taskId: id },
+        orderBy: { position: "desc" },
+        select: { position: true },
+      });
+      itemPosition = last ? last.position + 1 : 0;
+    }
+
+    const item = await prisma.checklistItem.create({
+      data: {
+        taskId: id,
+        content: sanitizeInput(content),
+        position: itemPosition,
+      },
+    });
+
+    // Cached task lists show checklist progress
+    await invalidateCaches({ taskIds: [id] });
+
+    return sendSuccess(item, "Checklist item added successfully", 201);
+  } catch (error) {
+    console.error("POST /api/tasks/[id]/checklist error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
+
+export const dynamic = "force-dynamic";
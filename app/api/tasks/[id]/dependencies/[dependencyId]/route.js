@@ -0,0 +1,50 @@
+import { prisma } from "@/lib/db";
+import { sendSuccess, sendError, handlePrismaError, ERROR_CODES } from "@/lib/responseHandler";
+import { requirePermission, checkOwnership } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { invalidateCaches } from "@/lib/cache/invalidation";
+
+/**
+ * DELETE /api/tasks/[id]/dependencies/[dependencyId]
+ * Remove a dependency link from either side
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { id, dependencyId } = await params;
+
+    const dependency = await prisma.taskDependency.findUnique({
+      where: { id: dependencyId },
+      include: {
+        blocker: { select: { creatorId: true } },
+        blocked: { select: { creatorId: true } },
+      },
+    });
+
+    if (!dependency || (dependency.blockerId !== id && dependency.blockedId !== id)) {
+      return sendError("Dependency not found", ERROR_CODES.DEPENDENCY_NOT_FOUND, 404);
+    }
+
+    // RBAC: same rule as editing the task - update permission or the task owner
+    const ownerId =
+      dependency.blockedId === id ? dependency.blocked.creatorId : dependency.blocker.creatorId;
+    let authResult = requirePermission(request, RESOURCES.TASKS, ACTIONS.UPDATE);
+    if (authResult.errorResponse) {
+      authResult = checkOwnership(request, ownerId, RESOURCES.TASKS, ACTIONS.UPDATE);
+      if (authResult.errorResponse) {
+        return authResult.errorResponse;
+      }
+    }
+
+    await prisma.taskDependency.delete({ where: { id: dependencyId } });
+
+    // Cached task lists carry isBlocked
+    await invalidateCaches({ taskIds: [dependency.blockerId, dependency.blockedId] });
+
+    return sendSuccess({ dependencyId }, "Dependency removed successfully");
+  } catch (error) {
+    console.error("DELETE /api/tasks/[id]/dependencies/[dependencyId] error:", error);
+    return handlePrismaError(error);
+  }
+}
+
+export const dynamic = "force-dynamic";
@@ -0,0 +1,151 @@
+import { ZodError } from "zod";
+import { prisma } from "@/lib/db";
+import {
+  sendSuccess,
+  sendError,
+  handlePrismaError,
+  handleZodError,
+  ERROR_CODES,
+} from "@/lib/responseHandler";
+import { requirePermission, checkOwnership } from "@/lib/rbac-middleware";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { invalidateCaches } from "@/lib/cache/invalidation";
+import { createDependencySchema } from "@/lib/schemas/taskSchema";
+import {
+  blockingState,
+  findDependencyCycle,
+  lockDependencyGraph,
+  outgoingLinksLoader,
+} from "@/lib/tasks/dependencies";
+
+const taskSummary = { select: { id: true, title: true, status: true, statusCategory: true } };
+
+/**
+ * GET /api/tasks/[id]/dependencies
+ * Fetch the tasks blocking this task and the tasks it blocks
+ */
+export async function GET(request, { params }) {
+  try {
+    const authResult = requirePermission(request, RESOURCES.TASKS, ACTIONS.READ);
+    if (authResult.errorResponse) {
+      return authResult.errorResponse;
+    }
+
+    const { id } = await params;
+
+    const task = await prisma.task.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        blockedBy: {
+          select: { id: true, blocker: taskSummary },
+          orderBy: { createdAt: "asc" },
+        },
+        blocks: {
+          select: { id: true, blocked: taskSummary },
+          orderBy: { createdAt: "asc" },
+        },
+      },
+    });
+
+    if (!task) {
+      return sendError("Task not found", ERROR_CODES.TASK_NOT_FOUND, 404);
+    }
+
+    return sendSuccess(
+      { blockedBy: task.blockedBy, blocks: task.blocks, ...blockingState(task.blockedBy) },
+      "Dependencies fetched successfully"
+    );
+  } catch (error) {
+    console.error("GET /api/tasks/[id]/dependencies error:", error);
+    return handlePrismaError(error);
+  }
+}
+
+/**
+ * POST /api/tasks/[id]/dependencies
+ * Link this task to another one
+ *
+ * Body (exactly one):
+ * - blockerId: string (this task is blocked by blockerId)
+ * - blockedId: string (this task blocks blockedId)
+ *
+ * Links that would close a cycle are rejected with 409 DEPENDENCY_CYCLE.
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+
+    const task = await prisma.task.findUnique({
+      where: { id },
+      select: { id: true, creatorId: true },
+    });
+
+    if (!task) {
+      return sendError("Task not found", ERROR_CODES.TASK_NOT_FOUND, 404);
+    }
+
+    // RBAC: same rule as editing the task - update permission or the task owner
+    let authResult = requirePermission(request, RESOURCES.TASKS, ACTIONS.UPDATE);
+    if (authResult.errorResponse) {
+      authResult = checkOwnership(request, task.creatorId, RESOURCES.TASKS, ACTIONS.UPDATE);
+      if (authResult.errorResponse) {
+        return authResult.errorResponse;
+      }
+    }
+
+    const body = await request.json();
+    const data = createDependencySchema.parse(body);
+
+    const blockerId = data.blockerId || id;
+    const blockedId = data.blockedId || id;
+    const otherId = data.blockerId || data.blockedId;
+
+    const other = await prisma.task.findUnique({ where: { id: otherId }, select: { id: true } });
+    if (!other) {
+      return sendError("Linked task not found", ERROR_CODES.TASK_NOT_FOUND, 404);
+    }
+
+    // Check and insert under one lock so two concurrent links can't close a cycle together
+    const { cycle, dependency } = await prisma.$transaction(async (tx) => {
+      await lockDependencyGraph(tx);
+
+      const path = await findDependencyCycle(blockerId, blockedId, outgoingLinksLoader(tx));
+      if (path) {
+        return { cycle: path };
+      }
+
+      return {
+        dependency: await tx.taskDependency.create({
+          data: { blockerId, blockedId },
+          include: { blocker: taskSummary, blocked: taskSummary },
+        }),
+      };
+    });
+
+    if (cycle) {
+      return sendError(
+        blockerId === blockedId
+          ? "A task cannot block itself"
+          : "This link would create a dependency cycle",
+        ERROR_CODES.DEPENDENCY_CYCLE,
+        409,
+        { path: cycle }
+      );
+    }
+
+    // Cached task lists carry isBlocked
+    await invalidateCaches({ taskIds: [blockerId, blockedId] });
+
+    return sendSuccess(dependency, "Dependency added successfully", 201);
+  } catch (error) {
+    console.error("POST /api/tasks/[id]/dependencies error:", error);
+    if (error instanceof ZodError) {
+      return handleZodError(error);
+    }
+
+    return handlePrismaError(error);
+  }
+}
+
+export const dynamic = "force-dynamic";
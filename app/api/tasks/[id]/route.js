@@ -4,6 +4,30 @@ import pkg from "pg";
 import { sendSuccess, sendError, handlePrismaError, ERROR_CODES } from "@/lib/responseHandler";
 import { requirePermission, checkOwnership } from "@/lib/rbac-middleware";
 import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { invalidateCaches } from "@/lib/cache/invalidation";
+import { publishEvent, EVENT_TYPES } from "@/lib/eventBus";
+import { checkSprintAssignment } from "@/lib/sprints";
+import { checkParentAssignment } from "@/lib/tasks/subtasks";
+import { taskProgress } from "@/lib/tasks/progress";
+import { checkLabelAssignment, normalizeLabelIds } from "@/lib/tasks/labels";
+import { isValidRank, nextRank } from "@/lib/tasks/rank";
+import { checkWipLimit } from "@/lib/tasks/wipLimits";
+import { diffTaskFields, recordTaskEvents } from "@/lib/tasks/activity";
+import { COMMENT_THREAD_INCLUDE, serializeComment } from "@/lib/comments/threads";
+import { notifyMentions, NOTIFICATION_TYPES } from "@/lib/notifications";
+import { renderMarkdown } from "@/lib/markdown";
+import { BLOCKED_CATEGORIES, blockingState, getOpenBlockers } from "@/lib/tasks/dependencies";
+import { taskStatusSchema } from "@/lib/schemas/taskSchema";
+import {
+  canTransition,
+  categoryOf,
+  findStatus,
+  getWorkflow,
+  mapStatus,
+  mapTasksToWorkflow,
+  statusKeys,
+} from "@/lib/workflow";
+import { isValidStoryPoints } from "@/lib/validation";
 
 const { Pool } = pkg;
 
@@ -14,20 +38,26 @@ const prisma = new PrismaClient({ adapter });
 /**
  * GET /api/tasks/[id]
  * Fetch a single task by ID with all related data
+ *
+ * Includes subtasks, checklist items and a progress roll-up
+ * ({ subtasks, checklist, overall } each as { done, total, percent }),
+ * plus dependency links (blockedBy / blocks) and isBlocked / openBlockerCount.
+ * Comments are threads (newest first) with replies and reaction counts,
+ * as in GET /api/comments.
  */
 export async function GET(request, { params }) {
   try {
+    const { id } = await params;
+
     // RBAC: Check if user has read permission for tasks
     const authResult = await requirePermission(request, RESOURCES.TASKS, ACTIONS.READ);
     if (authResult.errorResponse) {
-      console.log(`[RBAC] Access denied to GET /api/tasks/${params.id}`);
+      console.log(`[RBAC] Access denied to GET /api/tasks/${id}`);
       return authResult.errorResponse;
     }
 
     const { user } = authResult;
-    console.log(`[RBAC] User ${user.email} (${user.role}) accessing task ${params.id}`);
-
-    const { id } = params;
+    console.log(`[RBAC] User ${user.email} (${user.role}) accessing task ${id}`);
 
     const task = await prisma.task.findUnique({
       where: { id },
@@ -48,16 +78,64 @@ export async function GET(request, { params }) {
             avatar: true,
           },
         },
-        comments: {
-          include: {
-            user: {
-              select: {
-                id: true,
-                name: true,
-                avatar: true,
-              },
+        project: {
+          select: {
+            id: true,
+            name: true,
+            key: true,
+          },
+        },
+        sprint: {
+          select: {
+            id: true,
+            name: true,
+            state: true,
+          },
+        },
+        parent: {
+          select: {
+            id: true,
+            title: true,
+            status: true,
+          },
+        },
+        subtasks: {
+          select: {
+            id: true,
+            title: true,
+            status: true,
+            statusCategory: true,
+            priority: true,
+            assignee: {
+              select: { id: true, name: true, avatar: true },
             },
           },
+          orderBy: { createdAt: "asc" },
+        },
+        checklistItems: {
+          orderBy: [{ position: "asc" }, { createdAt: "asc" }],
+        },
+        labels: {
+          select: { id: true, name: true, color: true },
+          orderBy: { name: "asc" },
+        },
+        blockedBy: {
+          select: {
+            id: true,
+            blocker: { select: { id: true, title: true, status: true, statusCategory: true } },
+          },
+          orderBy: { createdAt: "asc" },
+        },
+        blocks: {
+          select: {
+            id: true,
+            blocked: { select: { id: true, title: true, status: true, statusCategory: true } },
+          },
+          orderBy: { createdAt: "asc" },
+        },
+        comments: {
+          where: { parentId: null },
+          include: COMMENT_THREAD_INCLUDE,
           orderBy: { createdAt: "desc" },
         },
       },
@@ -67,7 +145,15 @@ export async function GET(request, { params }) {
       return sendError("Task not found", ERROR_CODES.TASK_NOT_FOUND, 404);
     }
 
-    return sendSuccess(task, "Task fetched successfully");
+    return sendSuccess(
+      {
+        ...task,
+        comments: task.comments.map((comment) => serializeComment(comment, user.userId)),
+        progress: taskProgress(task),
+        ...blockingState(task.blockedBy),
+      },
+      "Task fetched successfully"
+    );
   } catch (error) {
     console.error("GET /api/tasks/[id] error:", error);
     return handlePrismaError(error);
@@ -79,11 +165,56 @@ export async function GET(request, { params }) {
  * Update a task
  *
  * Body (all optional):
+ * - title: string
+ * - description: string (Markdown, rendered to descriptionHtml; @mentions notify the users it adds)
+ * - status: string (a status key from the project's workflow)
+ * - priority: string (Low, Medium, High)
+ * - assigneeId: string | null
+ * - dueDate: string (ISO date) | null
+ * - storyPoints: number (0-100) | null
+ * - projectId: string | null (move the task to another project)
+ * - sprintId: string | null (move the task into a sprint, or null for the backlog)
+ * - parentId: string | null (make the task a subtask, or null to detach it)
+ * - labelIds: string[] (replace the task's labels; labels of its project only)
+ * - rank: string (position in its board column, see lib/tasks/rank.js;
+ *   a status change without a rank puts the task at the bottom of the new column)
+ * - ignoreBlockers: boolean (move a blocked task into a doing/done status anyway;
+ *   the response then includes `warnings`)
+ *
+ * Status changes must follow the workflow's allowed transitions
+ * (409 STATUS_TRANSITION_NOT_ALLOWED). A status change into a column at its
+ * WIP limit returns 409 WIP_LIMIT_EXCEEDED when the project's mode is strict,
+ * and a warning in `warnings` when it is soft. Moving a task with unfinished
+ * blockers into a doing/done status returns 409 TASK_BLOCKED with the
+ * open blockers in `details.blockers`. Moving a task to another project
+ * maps its status (and its subtasks' statuses) into that project's workflow
+ * and drops labels of the old project unless new `labelIds` are given.
+ * Changed fields are recorded in the task's activity log
+ * (GET /api/tasks/[id]/activity).
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { id } = await params;
 
     // Check if task exists first
     const existingTask = await prisma.task.findUnique({
       where: { id },
-      select: { id: true, creatorId: true },
+      select: {
+        id: true,
+        title: true,
+        description: true,
+        descriptionHtml: true,
+        creatorId: true,
+        assigneeId: true,
+        parentId: true,
+        projectId: true,
+        sprintId: true,
+        status: true,
+        statusCategory: true,
+        priority: true,
+        dueDate: true,
+        storyPoints: true,
+      },
     });
 
     if (!existingTask) {
@@ -92,7 +223,7 @@ export async function GET(request, { params }) {
 
     // RBAC: Check if user has update permission or is the task owner
     let authResult = await requirePermission(request, RESOURCES.TASKS, ACTIONS.UPDATE);
-    
+
     // If general permission denied, check ownership
     if (authResult.errorResponse) {
       authResult = await checkOwnership(
@@ -101,77 +232,377 @@ export async function GET(request, { params }) {
         RESOURCES.TASKS,
         ACTIONS.UPDATE
       );
-      
+
       if (authResult.errorResponse) {
         console.log(`[RBAC] Access denied to PUT /api/tasks/${id}`);
         return authResult.errorResponse;
       }
-      
+
       console.log(`[RBAC] User allowed to update their own task ${id}`);
     } else {
-      console.log(`[RBAC] User ${authResult.user.email} (${authResult.user.role}) updating task ${id}`);
+      console.log(
+        `[RBAC] User ${authResult.user.email} (${authResult.user.role}) updating task ${id}`
+      );
     }
 
     const body = await request.json();
-    const { title, description, status, priority, assigneeId, dueDate } = body;onst body = await request.json();
-    const { title, description, status, priority, assigneeId, dueDate } = body;
+    const {
+      title,
+      description,
+      status,
+      priority,
+      assigneeId,
+      dueDate,
+      storyPoints,
+      projectId,
+      sprintId,
+      parentId,
+      labelIds,
+      rank,
+      ignoreBlockers,
+    } = body;
 
-    // Check if task exists
-    const existingTask = await prisma.task.findUnique({
-      where: { id },
-    });
+    // Validate priority
+    if (priority) {
+      const validPriorities = ["Low", "Medium", "High"];
+      if (!validPriorities.includes(priority)) {
+        return sendError("Invalid priority value", ERROR_CODES.INVALID_INPUT, 400, {
+          validValues: validPriorities,
+          provided: priority,
+        });
+      }
+    }
 
-    if (!existingTask) {
-      return sendError("Task not found", ERROR_CODES.TASK_NOT_FOUND, 404);
+    if (rank !== undefined && !isValidRank(rank)) {
+      return sendError("Invalid rank value", ERROR_CODES.INVALID_INPUT, 400);
+    }
+
+    // Validate story points
+    if (storyPoints != null && !isValidStoryPoints(storyPoints)) {
+      return sendError(
+        "Story points must be a whole number between 0 and 100",
+        ERROR_CODES.INVALID_INPUT,
+        400
+      );
+    }
+
+    // Validate target project
+    if (projectId) {
+      const project = await prisma.project.findUnique({
+        where: { id: projectId },
+        select: { archived: true },
+      });
+
+      if (!project) {
+        return sendError("Project not found", ERROR_CODES.PROJECT_NOT_FOUND, 404);
+      }
+
+      if (project.archived) {
+        return sendError(
+          "Cannot move tasks into an archived project",
+          ERROR_CODES.PROJECT_ARCHIVED,
+          400
+        );
+      }
+    }
+
+    // Validate new parent (one level of subtasks, same project)
+    const targetProjectId = projectId !== undefined ? projectId || null : existingTask.projectId;
+    if (parentId) {
+      const parentCheck = await checkParentAssignment(prisma, parentId, {
+        taskId: id,
+        projectId: targetProjectId,
+      });
+      if (parentCheck.error) {
+        const { message, code, statusCode } = parentCheck.error;
+        return sendError(message, code, statusCode);
+      }
+    }
+
+    // Validate target sprint against the task's (possibly new) project
+    let sprintProjectId = null;
+    if (sprintId) {
+      const sprintCheck = await checkSprintAssignment(prisma, sprintId, targetProjectId);
+      if (sprintCheck.error) {
+        const { message, code, statusCode } = sprintCheck.error;
+        return sendError(message, code, statusCode);
+      }
+      sprintProjectId = sprintCheck.sprint.projectId;
+    }
+
+    // Validate status against the workflow of the project the task ends up in
+    const finalProjectId = sprintProjectId && !targetProjectId ? sprintProjectId : targetProjectId;
+    const projectChanged = finalProjectId !== existingTask.projectId;
+    const workflow = await getWorkflow(prisma, finalProjectId);
+
+    // Labels are project-scoped, so they are checked against the final project too
+    let nextLabelIds = null;
+    if (labelIds !== undefined) {
+      nextLabelIds = normalizeLabelIds(labelIds);
+      if (!nextLabelIds) {
+        return sendError("labelIds must be an array of label IDs", ERROR_CODES.INVALID_INPUT, 400);
+      }
+      const labelCheck = await checkLabelAssignment(prisma, nextLabelIds, finalProjectId);
+      if (labelCheck.error) {
+        const { message, code, statusCode } = labelCheck.error;
+        return sendError(message, code, statusCode);
+      }
     }
 
-    // Validate status
     if (status) {
-      const validStatuses = ["Todo", "InProgress", "Done"];
-      if (!validStatuses.includes(status)) {
+      const statusCheck = taskStatusSchema(workflow).safeParse(status);
+      if (!statusCheck.success) {
         return sendError("Invalid status value", ERROR_CODES.INVALID_INPUT, 400, {
-          validValues: validStatuses,
+          validValues: statusKeys(workflow),
           provided: status,
         });
       }
+
+      if (!projectChanged && !canTransition(workflow, existingTask.status, status)) {
+        return sendError(
+          `Cannot move a task from ${existingTask.status} to ${status}`,
+          ERROR_CODES.STATUS_TRANSITION_NOT_ALLOWED,
+          409,
+          { allowed: findStatus(workflow, existingTask.status).transitionsTo }
+        );
+      }
     }
 
-    // Validate priority
-    if (priority) {
-      const validPriorities = ["Low", "Medium", "High"];
-      if (!validPriorities.includes(priority)) {
-        return sendError("Invalid priority value", ERROR_CODES.INVALID_INPUT, 400, {
-          validValues: validPriorities,
-          provided: priority,
+    // Without an explicit status, a task moving project keeps the closest match
+    const nextStatus =
+      status ||
+      (projectChanged
+        ? mapStatus(workflow, existingTask.status, existingTask.statusCategory)
+        : existingTask.status);
+    const nextCategory = categoryOf(workflow, nextStatus) || existingTask.statusCategory;
+
+    // Blocked tasks cannot start or finish while blockers are open, unless the
+    // caller explicitly overrides (the response then carries a warning)
+    const warnings = [];
+    if (
+      status &&
+      nextCategory !== existingTask.statusCategory &&
+      BLOCKED_CATEGORIES.includes(nextCategory)
+    ) {
+      const openBlockers = await getOpenBlockers(prisma, id);
+      if (openBlockers.length > 0) {
+        if (ignoreBlockers !== true) {
+          return sendError("Task is blocked by unfinished tasks", ERROR_CODES.TASK_BLOCKED, 409, {
+            blockers: openBlockers,
+          });
+        }
+        warnings.push({
+          code: ERROR_CODES.TASK_BLOCKED,
+          message: `Moved to ${status} while blocked by ${openBlockers.length} unfinished task(s)`,
+          blockers: openBlockers,
         });
       }
     }
 
+    // WIP limits apply to tasks entering a column (rejected in strict mode, a warning otherwise)
+    if (nextStatus !== existingTask.status || projectChanged) {
+      const wipCheck = await checkWipLimit(prisma, {
+        taskId: id,
+        projectId: finalProjectId,
+        status: nextStatus,
+        workflow,
+      });
+      if (wipCheck.error) {
+        const { message, code, statusCode, details } = wipCheck.error;
+        return sendError(message, code, statusCode, details);
+      }
+      if (wipCheck.warning) warnings.push(wipCheck.warning);
+    }
+
     // Build update data
     const updateData = {};
     if (title !== undefined) updateData.title = title;
-    if (description !== undefined) updateData.description = description;
-    if (status !== undefined) updateData.status = status;
+    if (description !== undefined) {
+      updateData.description = description || null;
+      updateData.descriptionHtml = renderMarkdown(description);
+    }
+    if (status || projectChanged) {
+      updateData.status = nextStatus;
+      updateData.statusCategory = nextCategory;
+    }
     if (priority !== undefined) updateData.priority = priority;
     if (assigneeId !== undefined) updateData.assigneeId = assigneeId;
     if (dueDate !== undefined) updateData.dueDate = dueDate ? new Date(dueDate) : null;
+    if (storyPoints !== undefined) updateData.storyPoints = storyPoints ?? null;
+    if (projectId !== undefined) updateData.projectId = projectId || null;
+    if (sprintId !== undefined) updateData.sprintId = sprintId || null;
+    if (parentId !== undefined) updateData.parentId = parentId || null;
+    if (sprintProjectId && !targetProjectId) updateData.projectId = sprintProjectId;
+    if (rank !== undefined) {
+      updateData.rank = rank;
+    } else if (updateData.status && updateData.status !== existingTask.status) {
+      updateData.rank = await nextRank(
+        prisma,
+        updateData.projectId !== undefined ? updateData.projectId : existingTask.projectId,
+        updateData.status
+      );
+    }
+    if (nextLabelIds) {
+      updateData.labels = { set: nextLabelIds.map((labelId) => ({ id: labelId })) };
+    } else if (projectChanged) {
+      updateData.labels = { set: [] };
+    }
+
+    // Moving to another project without naming a sprint drops the old sprint
+    if (
+      projectId !== undefined &&
+      sprintId === undefined &&
+      existingTask.sprintId &&
+      updateData.projectId !== existingTask.projectId
+    ) {
+      updateData.sprintId = null;
+    }
 
     if (Object.keys(updateData).length === 0) {
       return sendError("No fields to update", ERROR_CODES.VALIDATION_ERROR, 400);
     }
 
-    // Update task
-    const task = await prisma.task.update({
-      where: { id },
-      data: updateData,
-      include: {
-        creator: { first
+    const actorId = authResult.user.userId;
+    const movedSubtaskSelect = {
+      id: true,
+      projectId: true,
+      assigneeId: true,
+      parentId: true,
+      sprintId: true,
+      status: true,
+      statusCategory: true,
+    };
+
+    // Update the task and record each changed field in its activity log in one transaction
+    const { task, movedSubtasks, mentionedIds } = await prisma.$transaction(async (tx) => {
+      const updated = await tx.task.update({
+        where: { id },
+        data: updateData,
+        include: {
+          creator: {
+            select: { id: true, name: true, email: true },
+          },
+          assignee: {
+            select: { id: true, name: true, email: true },
+          },
+          project: {
+            select: { id: true, name: true, key: true },
+          },
+          sprint: {
+            select: { id: true, name: true, state: true },
+          },
+          labels: {
+            select: { id: true, name: true, color: true },
+            orderBy: { name: "asc" },
+          },
+        },
+      });
+
+      await recordTaskEvents(tx, {
+        taskId: id,
+        actorId,
+        changes: diffTaskFields(existingTask, updated),
+      });
+
+      const mentionedIds =
+        description !== undefined
+          ? await notifyMentions(tx, {
+              content: updated.descriptionHtml,
+              previousContent: existingTask.descriptionHtml,
+              actorId,
+              taskId: id,
+            })
+          : [];
+
+      // Subtasks follow their parent into another project (and its workflow)
+      if (!projectChanged) {
+        return { task: updated, movedSubtasks: [], mentionedIds };
+      }
+
+      const subtasksBefore = await tx.task.findMany({
+        where: { parentId: id },
+        select: movedSubtaskSelect,
+      });
+
+      await tx.task.updateMany({
+        where: { parentId: id },
+        data: { projectId: finalProjectId, sprintId: null },
+      });
+      await mapTasksToWorkflow(tx, { parentId: id }, workflow);
+
+      const labelledSubtasks = await tx.task.findMany({
+        where: { parentId: id, labels: { some: {} } },
+        select: { id: true },
+      });
+      await Promise.all(
+        labelledSubtasks.map((subtask) =>
+          tx.task.update({ where: { id: subtask.id }, data: { labels: { set: [] } } })
+        )
+      );
+
+      const subtasksAfter = await tx.task.findMany({
+        where: { parentId: id },
+        select: movedSubtaskSelect,
+      });
+      const previous = new Map(subtasksBefore.map((subtask) => [subtask.id, subtask]));
+      for (const subtask of subtasksAfter) {
+        await recordTaskEvents(tx, {
+          taskId: subtask.id,
+          actorId,
+          changes: diffTaskFields(previous.get(subtask.id), subtask),
+        });
+      }
+
+      return { task: updated, movedSubtasks: subtasksAfter, mentionedIds };
+    });
+
+    // Old and new version: the task may leave some cached lists and join others.
+    // Parents are included because their lists show subtask progress.
+    await invalidateCaches({
+      tasks: [existingTask, task, ...movedSubtasks],
+      taskIds: [existingTask.parentId, task.parentId].filter(Boolean),
+    });
+
+    await publishEvent(EVENT_TYPES.TASK_UPDATED, task);
+    for (const subtask of movedSubtasks) {
+      await publishEvent(EVENT_TYPES.TASK_UPDATED, subtask);
+    }
+    for (const recipientId of mentionedIds) {
+      await publishEvent(EVENT_TYPES.NOTIFICATION_CREATED, {
+        recipientId,
+        type: NOTIFICATION_TYPES.MENTION,
+        taskId: id,
+        commentId: null,
+      });
+    }
+
+    return sendSuccess(
+      warnings.length > 0 ? { ...task, warnings } : task,
+      "Task updated successfully"
+    );
+  } catch (error) {
+    console.error("PUT /api/tasks/[id] error:", error);
+    return handlePrismaError(error);
+  }
+}
+
+/**
+ * DELETE /api/tasks/[id]
+ * Delete a task and cascade to comments
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+
+    // Check if task exists
     const existingTask = await prisma.task.findUnique({
       where: { id },
       include: {
         _count: {
           select: { comments: true },
         },
+        subtasks: { select: { id: true, projectId: true, assigneeId: true } },
+        blocks: { select: { blockedId: true } },
       },
     });
 
@@ -181,7 +612,7 @@ export async function GET(request, { params }) {
 
     // RBAC: Check if user has delete permission or is the task owner
     let authResult = await requirePermission(request, RESOURCES.TASKS, ACTIONS.DELETE);
-    
+
     // If general permission denied, check ownership
     if (authResult.errorResponse) {
       authResult = await checkOwnership(
@@ -190,39 +621,17 @@ export async function GET(request, { params }) {
         RESOURCES.TASKS,
         ACTIONS.DELETE
       );
-      
+
       if (authResult.errorResponse) {
         console.log(`[RBAC] Access denied to DELETE /api/tasks/${id}`);
         return authResult.errorResponse;
       }
-      
+
       console.log(`[RBAC] User allowed to delete their own task ${id}`);
     } else {
-      console.log(`[RBAC] User ${authResult.user.email} (${authResult.user.role}) deleting task ${id}`
-    return handlePrismaError(error);
-  }
-}
-
-/**
- * DELETE /api/tasks/[id]
- * Delete a task and cascade to comments
- */
-export async function DELETE(request, { params }) {
-  try {
-    const { id } = params;
-
-    // Check if task exists
-    const existingTask = await prisma.task.findUnique({
-      where: { id },
-      include: {
-        _count: {
-          select: { comments: true },
-        },
-      },
-    });
-
-    if (!existingTask) {
-      return sendError("Task not found", ERROR_CODES.TASK_NOT_FOUND, 404);
+      console.log(
+        `[RBAC] User ${authResult.user.email} (${authResult.user.role}) deleting task ${id}`
+      );
     }
 
     // Delete task (cascade will handle comments)
@@ -230,6 +639,21 @@ export async function DELETE(request, { params }) {
       where: { id },
     });
 
+    // Subtasks are deleted too; the parent's progress and blocked tasks' state change
+    await invalidateCaches({
+      tasks: [existingTask, ...existingTask.subtasks],
+      taskIds: [existingTask.parentId, ...existingTask.blocks.map((link) => link.blockedId)].filter(
+        Boolean
+      ),
+    });
+
+    await publishEvent(EVENT_TYPES.TASK_DELETED, {
+      id,
+      projectId: existingTask.projectId,
+      parentId: existingTask.parentId,
+      subtaskIds: existingTask.subtasks.map((subtask) => subtask.id),
+    });
+
     return sendSuccess(
       {
         taskId: id,
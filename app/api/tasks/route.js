@@ -4,9 +4,28 @@ import pkg from "pg";
 import { sendSuccess, sendError, ERROR_CODES } from "@/lib/responseHandler";
 import { handleError } from "@/lib/errorHandler";
 import { logRequest, logResponse } from "@/lib/logger";
-import { getCache, setCache, deleteCachePattern } from "@/lib/redis";
+import { getCache, setCache } from "@/lib/redis";
+import { invalidateCaches, taskListTags } from "@/lib/cache/invalidation";
+import { publishEvent, EVENT_TYPES } from "@/lib/eventBus";
 import { requirePermission } from "@/lib/rbac-middleware";
 import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { checkSprintAssignment } from "@/lib/sprints";
+import { checkParentAssignment } from "@/lib/tasks/subtasks";
+import { taskProgress } from "@/lib/tasks/progress";
+import { blockingState } from "@/lib/tasks/dependencies";
+import { nextRank } from "@/lib/tasks/rank";
+import { recordTaskEvents, TASK_CREATED_FIELD } from "@/lib/tasks/activity";
+import { notifyMentions, NOTIFICATION_TYPES } from "@/lib/notifications";
+import { renderMarkdown } from "@/lib/markdown";
+import {
+  buildLabelWhere,
+  checkLabelAssignment,
+  normalizeLabelIds,
+  parseLabelFilter,
+} from "@/lib/tasks/labels";
+import { taskStatusSchema } from "@/lib/schemas/taskSchema";
+import { categoryOf, getWorkflow, initialStatus, statusKeys } from "@/lib/workflow";
+import { isValidStoryPoints } from "@/lib/validation";
 import { validateRequestBody, detectXSS, detectSQLi, logSecurityThreat } from "@/lib/sanitization";
 
 const { Pool } = pkg;
@@ -22,10 +41,15 @@ const prisma = new PrismaClient({ adapter });
  * Query Parameters:
  * - page: Page number (default: 1)
  * - limit: Items per page (default: 10)
- * - status: Filter by status (Todo, InProgress, Done)
+ * - status: Filter by status key (see the project's workflow)
+ * - category: Filter by status category (todo, doing, done)
  * - priority: Filter by priority (Low, Medium, High)
  * - assigneeId: Filter by assigned user
  * - creatorId: Filter by creator
+ * - projectId: Filter by project
+ * - sprintId: Filter by sprint ("backlog" = tasks not in any sprint)
+ * - labels: Comma-separated label IDs
+ * - labelMatch: "any" (default, at least one label) or "all" (every label)
  * - sortBy: Sort field (createdAt, dueDate, priority)
  * - sortOrder: Sort direction (asc, desc)
  */
@@ -52,16 +76,20 @@ export async function GET(request) {
 
     // Filters
     const status = searchParams.get("status");
+    const category = searchParams.get("category");
     const priority = searchParams.get("priority");
     const assigneeId = searchParams.get("assigneeId");
     const creatorId = searchParams.get("creatorId");
+    const projectId = searchParams.get("projectId");
+    const sprintId = searchParams.get("sprintId");
+    const { labelIds, labelMatch } = parseLabelFilter(searchParams);
 
     // Sorting
     const sortBy = searchParams.get("sortBy") || "createdAt";
     const sortOrder = searchParams.get("sortOrder") || "desc";
 
     // Build cache key based on all query parameters
-    const cacheKey = `tasks:list:page=${page}:limit=${limit}:status=${status || "all"}:priority=${priority || "all"}:assignee=${assigneeId || "all"}:creator=${creatorId || "all"}:sort=${sortBy}:${sortOrder}`;
+    const cacheKey = `tasks:list:page=${page}:limit=${limit}:project=${projectId || "all"}:sprint=${sprintId || "all"}:status=${status || "all"}:category=${category || "all"}:priority=${priority || "all"}:assignee=${assigneeId || "all"}:creator=${creatorId || "all"}:labels=${labelIds.join(",") || "all"}:match=${labelMatch}:sort=${sortBy}:${sortOrder}`;
 
     // Try cache first
     const cached = await getCache(cacheKey);
@@ -89,12 +117,16 @@ export async function GET(request) {
     // Build where clause
     const where = {};
     if (status) where.status = status;
+    if (category) where.statusCategory = category;
     if (priority) where.priority = priority;
     if (assigneeId) where.assigneeId = assigneeId;
     if (creatorId) where.creatorId = creatorId;
+    if (projectId) where.projectId = projectId;
+    if (sprintId) where.sprintId = sprintId === "backlog" ? null : sprintId;
+    Object.assign(where, buildLabelWhere(labelIds, labelMatch));
 
     // Fetch tasks with pagination from database (removed transaction to fix timeout)
-    const tasks = await prisma.task.findMany({
+    const rows = await prisma.task.findMany({
       where,
       skip,
       take: limit,
@@ -116,14 +148,49 @@ export async function GET(request) {
             avatar: true,
           },
         },
+        project: {
+          select: {
+            id: true,
+            name: true,
+            key: true,
+          },
+        },
+        sprint: {
+          select: {
+            id: true,
+            name: true,
+            state: true,
+          },
+        },
+        subtasks: {
+          select: { statusCategory: true },
+        },
+        checklistItems: {
+          select: { done: true },
+        },
+        blockedBy: {
+          select: { blocker: { select: { statusCategory: true } } },
+        },
+        labels: {
+          select: { id: true, name: true, color: true },
+          orderBy: { name: "asc" },
+        },
         _count: {
           select: {
-            comments: true,
+            // Deleted placeholders kept for their replies don't count
+            comments: { where: { deletedAt: null } },
           },
         },
       },
     });
 
+    // Replace raw subtask/checklist/blocker rows with roll-ups for the board and table
+    const tasks = rows.map(({ subtasks, checklistItems, blockedBy, ...task }) => ({
+      ...task,
+      progress: taskProgress({ subtasks, checklistItems }),
+      ...blockingState(blockedBy),
+    }));
+
     const total = await prisma.task.count({ where });
 
     const totalPages = Math.ceil(total / limit);
@@ -143,6 +210,8 @@ export async function GET(request) {
         priority,
         assigneeId,
         creatorId,
+        projectId,
+        sprintId,
       },
       sorting: {
         sortBy,
@@ -150,8 +219,8 @@ export async function GET(request) {
       },
     };
 
-    // Cache with 60 second TTL
-    await setCache(cacheKey, data, 60);
+    // Cache with 60 second TTL, tagged so only affecting mutations drop it
+    await setCache(cacheKey, data, 60, taskListTags({ projectId, assigneeId }, tasks));
 
     const responseTime = Date.now() - startTime;
     console.log(
@@ -183,11 +252,17 @@ export async function GET(request) {
  *
  * Body:
  * - title: string (required)
- * - description: string (optional)
- * - status: string (optional, default: "Todo")
+ * - description: string (optional, Markdown; stored with its rendered HTML as descriptionHtml)
+ * - status: string (optional, a status key from the project's workflow;
+ *   default: the workflow's first "todo" status)
  * - priority: string (optional, default: "Medium")
  * - assigneeId: string (optional)
  * - dueDate: string (optional, ISO date)
+ * - storyPoints: number (optional, whole number 0-100)
+ * - projectId: string (optional, must reference a non-archived project)
+ * - sprintId: string (optional, must be an open sprint of the same project)
+ * - parentId: string (optional, creates a subtask of that task)
+ * - labelIds: string[] (optional, labels of the task's project)
  *
  * Note: creatorId is extracted from the JWT token
  */
@@ -203,7 +278,7 @@ export async function POST(request) {
     }
 
     const { user } = authResult;
-    const userId = user.id;
+    const userId = user.userId;
     console.log(`[RBAC] User ${user.email} (${user.role}) creating task`);
 
     const body = await request.json();
@@ -218,7 +293,7 @@ export async function POST(request) {
         checkXSS: true,
       },
       description: {
-        type: "rich",
+        type: "markdown",
         required: false,
         maxLength: 5000,
       },
@@ -240,6 +315,22 @@ export async function POST(request) {
         type: "none",
         required: false,
       },
+      storyPoints: {
+        type: "none",
+        required: false,
+      },
+      projectId: {
+        type: "none",
+        required: false,
+      },
+      sprintId: {
+        type: "none",
+        required: false,
+      },
+      parentId: {
+        type: "none",
+        required: false,
+      },
     });
 
     if (!validation.valid) {
@@ -247,7 +338,96 @@ export async function POST(request) {
       return sendError("Validation failed", 400, ERROR_CODES.VALIDATION_ERROR, validation.errors);
     }
 
-    const { title, description, status, priority, assigneeId, dueDate } = validation.data;
+    const {
+      title,
+      description,
+      status,
+      priority,
+      assigneeId,
+      dueDate,
+      storyPoints,
+      projectId,
+      sprintId,
+      parentId,
+    } = validation.data;
+
+    // validateRequestBody stringifies values, so convert back to a number
+    const points = storyPoints == null ? null : Number(storyPoints);
+    if (points !== null && !isValidStoryPoints(points)) {
+      return sendError(
+        "Story points must be a whole number between 0 and 100",
+        ERROR_CODES.INVALID_INPUT,
+        400
+      );
+    }
+
+    // Tasks can only be added to existing, active projects
+    if (projectId) {
+      const project = await prisma.project.findUnique({
+        where: { id: projectId },
+        select: { archived: true },
+      });
+
+      if (!project) {
+        return sendError("Project not found", ERROR_CODES.PROJECT_NOT_FOUND, 404);
+      }
+
+      if (project.archived) {
+        return sendError(
+          "Cannot add tasks to an archived project",
+          ERROR_CODES.PROJECT_ARCHIVED,
+          400
+        );
+      }
+    }
+
+    // Subtasks live in their parent's project
+    let parentProjectId = null;
+    if (parentId) {
+      const parentCheck = await checkParentAssignment(prisma, parentId, { projectId });
+      if (parentCheck.error) {
+        const { message, code, statusCode } = parentCheck.error;
+        return sendError(message, code, statusCode);
+      }
+      parentProjectId = parentCheck.parent.projectId;
+    }
+
+    // Sprint must be open and belong to the task's project
+    let sprintProjectId = null;
+    if (sprintId) {
+      const sprintCheck = await checkSprintAssignment(
+        prisma,
+        sprintId,
+        projectId || parentProjectId
+      );
+      if (sprintCheck.error) {
+        const { message, code, statusCode } = sprintCheck.error;
+        return sendError(message, code, statusCode);
+      }
+      sprintProjectId = sprintCheck.sprint.projectId;
+    }
+
+    // Status must exist in the task's project workflow
+    const taskProjectId = projectId || parentProjectId || sprintProjectId;
+    const workflow = await getWorkflow(prisma, taskProjectId);
+    if (status && !taskStatusSchema(workflow).safeParse(status).success) {
+      return sendError("Invalid status value", ERROR_CODES.INVALID_INPUT, 400, {
+        validValues: statusKeys(workflow),
+        provided: status,
+      });
+    }
+    const taskStatus = status || initialStatus(workflow);
+
+    // Labels must come from the task's project (validateRequestBody would stringify the array)
+    const labelIds = body.labelIds === undefined ? [] : normalizeLabelIds(body.labelIds);
+    if (!labelIds) {
+      return sendError("labelIds must be an array of label IDs", ERROR_CODES.INVALID_INPUT, 400);
+    }
+    const labelCheck = await checkLabelAssignment(prisma, labelIds, taskProjectId);
+    if (labelCheck.error) {
+      const { message, code, statusCode } = labelCheck.error;
+      return sendError(message, code, statusCode);
+    }
 
     // 🛡️ SECURITY: Additional XSS/SQLi detection logging
     const xssCheck = detectXSS(title + (description || ""));
@@ -255,7 +435,7 @@ export async function POST(request) {
 
     if (!xssCheck.safe) {
       logSecurityThreat("XSS_ATTEMPT", {
-        userId: user.id,
+        userId: user.userId,
         userEmail: user.email,
         endpoint: "/api/tasks",
         method: "POST",
@@ -266,7 +446,7 @@ export async function POST(request) {
 
     if (!sqliCheck.safe) {
       logSecurityThreat("SQLI_ATTEMPT", {
-        userId: user.id,
+        userId: user.userId,
         userEmail: user.email,
         endpoint: "/api/tasks",
         method: "POST",
@@ -275,30 +455,83 @@ export async function POST(request) {
       });
     }
 
-    // Create task with sanitized data
-    const task = await prisma.task.create({
-      data: {
-        title,
-        description: description || null,
-        status: status || "Todo",
-        priority: priority || "Medium",
-        creatorId: userId, // Use the user ID from JWT token
-        assigneeId: assigneeId || null,
-        dueDate: dueDate ? new Date(dueDate) : null,
-      },
-      include: {
-        creator: {
-          select: { id: true, name: true, email: true },
+    // New tasks go to the bottom of their board column
+    const rank = await nextRank(prisma, taskProjectId, taskStatus);
+
+    // Create task with sanitized data, along with the first entry of its activity log
+    // and notifications for users mentioned in the description
+    const { task, mentionedIds } = await prisma.$transaction(async (tx) => {
+      const created = await tx.task.create({
+        data: {
+          title,
+          description: description || null,
+          descriptionHtml: renderMarkdown(description),
+          status: taskStatus,
+          statusCategory: categoryOf(workflow, taskStatus),
+          priority: priority || "Medium",
+          creatorId: userId, // Use the user ID from JWT token
+          assigneeId: assigneeId || null,
+          dueDate: dueDate ? new Date(dueDate) : null,
+          storyPoints: points,
+          projectId: taskProjectId,
+          sprintId: sprintId || null,
+          parentId: parentId || null,
+          rank,
+          labels: { connect: labelIds.map((id) => ({ id })) },
         },
-        assignee: {
-          select: { id: true, name: true, email: true },
+        include: {
+          creator: {
+            select: { id: true, name: true, email: true },
+          },
+          assignee: {
+            select: { id: true, name: true, email: true },
+          },
+          project: {
+            select: { id: true, name: true, key: true },
+          },
+          sprint: {
+            select: { id: true, name: true, state: true },
+          },
+          labels: {
+            select: { id: true, name: true, color: true },
+            orderBy: { name: "asc" },
+          },
         },
-      },
+      });
+
+      await recordTaskEvents(tx, {
+        taskId: created.id,
+        actorId: userId,
+        changes: [{ field: TASK_CREATED_FIELD, oldValue: null, newValue: created.title }],
+      });
+
+      const mentioned = await notifyMentions(tx, {
+        content: created.descriptionHtml,
+        actorId: userId,
+        taskId: created.id,
+      });
+
+      return { task: created, mentionedIds: mentioned };
     });
 
-    // Invalidate all task list caches
-    await deleteCachePattern("tasks:list:*");
-    console.log("🗑️  Cache invalidated: tasks:list:* (new task created)");
+    // Invalidate lists the new task can appear in (and its parent's progress)
+    await invalidateCaches({ tasks: [task], taskIds: task.parentId ? [task.parentId] : [] });
+
+    // Same shape as GET /api/tasks rows, so live clients can insert it as is
+    await publishEvent(EVENT_TYPES.TASK_CREATED, {
+      ...task,
+      progress: taskProgress({ subtasks: [], checklistItems: [] }),
+      ...blockingState([]),
+      _count: { comments: 0 },
+    });
+    for (const recipientId of mentionedIds) {
+      await publishEvent(EVENT_TYPES.NOTIFICATION_CREATED, {
+        recipientId,
+        type: NOTIFICATION_TYPES.MENTION,
+        taskId: task.id,
+        commentId: null,
+      });
+    }
 
     const response = sendSuccess(task, "Task created successfully", 201);
     logResponse(request, response, 201);
@@ -3,8 +3,12 @@ import { getTaskSummary } from "@/lib/tasks";
 // Mark as dynamic route - prevents static generation at build time
 export const dynamic = "force-dynamic";
 
-export async function GET() {
-  const summary = await getTaskSummary();
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const summary = await getTaskSummary({
+    projectId: searchParams.get("projectId") || undefined,
+    sprintId: searchParams.get("sprintId") || undefined,
+  });
   return Response.json({ data: summary });
 }
 
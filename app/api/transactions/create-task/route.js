@@ -2,6 +2,10 @@ import { NextResponse } from "next/server";
 import { PrismaClient } from "@prisma/client";
 import { PrismaPg } from "@prisma/adapter-pg";
 import pkg from "pg";
+import { DEFAULT_WORKFLOW, categoryOf } from "@/lib/workflow";
+import { invalidateCaches } from "@/lib/cache/invalidation";
+import { recordTaskEvents, TASK_CREATED_FIELD } from "@/lib/tasks/activity";
+import { renderMarkdown } from "@/lib/markdown";
 const { Pool } = pkg;
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
@@ -32,23 +36,35 @@ export async function POST(request) {
     }
 
     // Execute transaction - all operations succeed or all fail
+    const taskDescription = description || `Task: ${title}`;
+    const commentContent = initialComment || `Task "${title}" has been created`;
+
     const result = await prisma.$transaction(async (tx) => {
       // Operation 1: Create the task
       const task = await tx.task.create({
         data: {
           title,
-          description: description || `Task: ${title}`,
+          description: taskDescription,
+          descriptionHtml: renderMarkdown(taskDescription),
           status: status || "Todo",
+          statusCategory: categoryOf(DEFAULT_WORKFLOW, status || "Todo") || "todo",
           priority: priority || "Medium",
           creatorId,
           assigneeId: assigneeId || null,
         },
       });
 
+      await recordTaskEvents(tx, {
+        taskId: task.id,
+        actorId: creatorId,
+        changes: [{ field: TASK_CREATED_FIELD, oldValue: null, newValue: task.title }],
+      });
+
       // Operation 2: Create initial activity comment
       const comment = await tx.comment.create({
         data: {
-          content: initialComment || `Task "${title}" has been created`,
+          content: commentContent,
+          contentHtml: renderMarkdown(commentContent),
           taskId: task.id,
           userId: creatorId,
         },
@@ -70,6 +86,8 @@ export async function POST(request) {
       };
     });
 
+    await invalidateCaches({ tasks: [result.task] });
+
     return NextResponse.json(
       {
         success: true,
@@ -20,7 +20,7 @@
 import { NextResponse } from "next/server";
 import { z } from "zod";
 import { generateUploadUrl, getPublicUrl, validateFile } from "@/lib/s3";
-import { authenticateRequest } from "@/lib/auth";
+import { authenticateRequest, requireVerifiedEmail } from "@/lib/auth";
 import { handleError } from "@/lib/errorHandler";
 
 // Validation schema
@@ -38,6 +38,11 @@ export async function POST(request) {
       return errorResponse;
     }
 
+    const verification = requireVerifiedEmail(user);
+    if (verification.errorResponse) {
+      return verification.errorResponse;
+    }
+
     // Parse and validate request body
     const body = await request.json();
     const validation = uploadRequestSchema.safeParse(body);
@@ -10,6 +10,7 @@ import {
   ERROR_CODES,
 } from "@/lib/responseHandler";
 import { updateUserSchema } from "@/lib/schemas/userSchema";
+import { invalidateCaches } from "@/lib/cache/invalidation";
 
 const { Pool } = pkg;
 
@@ -23,7 +24,7 @@ const prisma = new PrismaClient({ adapter });
  */
 export async function GET(request, { params }) {
   try {
-    const { id } = params;
+    const { id } = await params;
 
     const user = await prisma.user.findUnique({
       where: { id },
@@ -58,6 +59,7 @@ export async function GET(request, { params }) {
           take: 5,
         },
         comments: {
+          where: { deletedAt: null },
           select: {
             id: true,
             content: true,
@@ -105,7 +107,7 @@ export async function GET(request, { params }) {
  */
 export async function PUT(request, { params }) {
   try {
-    const { id } = params;
+    const { id } = await params;
     const body = await request.json();
 
     // Validate request body with Zod
@@ -134,6 +136,9 @@ export async function PUT(request, { params }) {
       },
     });
 
+    // User lists, and task lists embedding the user's name
+    await invalidateCaches({ userIds: [id] });
+
     return sendSuccess(user, "User updated successfully");
   } catch (error) {
     console.error("PUT /api/users/[id] error:", error);
@@ -153,7 +158,7 @@ export async function PUT(request, { params }) {
  */
 export async function DELETE(request, { params }) {
   try {
-    const { id } = params;
+    const { id } = await params;
 
     // Check if user exists
     const existingUser = await prisma.user.findUnique({
@@ -178,6 +183,8 @@ export async function DELETE(request, { params }) {
       where: { id },
     });
 
+    await invalidateCaches({ userIds: [id] });
+
     return sendSuccess(
       {
         userId: id,
@@ -2,11 +2,12 @@ import { PrismaClient } from "@prisma/client";
 import { PrismaPg } from "@prisma/adapter-pg";
 import pkg from "pg";
 import { sendSuccess, sendError, ERROR_CODES } from "@/lib/responseHandler";
-import { authenticateRequest } from "@/lib/auth";
+import { authenticateRequest, requireVerifiedEmail } from "@/lib/auth";
 import { createUserSchema, userQuerySchema } from "@/lib/schemas/userSchema";
 import { handleError } from "@/lib/errorHandler";
 import { logRequest, logResponse } from "@/lib/logger";
-import { getCache, setCache, deleteCachePattern } from "@/lib/redis";
+import { getCache, setCache } from "@/lib/redis";
+import { CACHE_TAGS, invalidateCaches } from "@/lib/cache/invalidation";
 
 const { Pool } = pkg;
 
@@ -127,7 +128,7 @@ export async function GET(request) {
     };
 
     // Cache the result with 60 second TTL
-    await setCache(cacheKey, data, 60);
+    await setCache(cacheKey, data, 60, [CACHE_TAGS.USERS]);
 
     const responseTime = Date.now() - startTime;
     console.log(`💾 Cached ${cacheKey} with 60s TTL (${responseTime}ms)`);
@@ -170,6 +171,11 @@ export async function POST(request) {
       return authResult.errorResponse;
     }
 
+    const verification = requireVerifiedEmail(authResult.user);
+    if (verification.errorResponse) {
+      return verification.errorResponse;
+    }
+
     const body = await request.json();
 
     // Validate request body with Zod
@@ -208,9 +214,8 @@ export async function POST(request) {
       },
     });
 
-    // Invalidate all user list caches (since a new user was added)
-    await deleteCachePattern("users:list:*");
-    console.log("🗑️  Cache invalidated: users:list:* (new user created)");
+    // Invalidate user lists (since a new user was added)
+    await invalidateCaches({ userIds: [user.id] });
 
     const response = sendSuccess(user, "User created successfully", 201);
     logResponse(request, response, 201);
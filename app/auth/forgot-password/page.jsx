@@ -0,0 +1,131 @@
+"use client";
+
+import { useState } from "react";
+import Link from "next/link";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { forgotPasswordSchema } from "@/lib/schemas/authSchema";
+import FormInput from "@/components/FormInput";
+import toast from "react-hot-toast";
+
+export default function ForgotPasswordPage() {
+  const [sentMessage, setSentMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(forgotPasswordSchema),
+  });
+
+  const onSubmit = async (data) => {
+    setError("");
+
+    try {
+      const response = await fetch("/api/auth/forgot-password", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(data),
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        setSentMessage(result.message);
+      } else {
+        setError(result.message || "Failed to send reset link");
+        toast.error(result.message || "Failed to send reset link");
+      }
+    } catch (err) {
+      setError("An error occurred. Please try again.");
+      toast.error("An error occurred. Please try again.");
+      console.error("Forgot password error:", err);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-950 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6">
+        {/* Logo */}
+        <div className="flex flex-col items-center mb-6">
+          <div className="w-16 h-16 bg-blue-600 rounded-xl flex items-center justify-center mb-4">
+            <svg
+              className="w-8 h-8 text-white"
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M13 10V3L4 14h7v7l9-11h-7z"
+              />
+            </svg>
+          </div>
+          <h1 className="text-3xl font-bold text-white mb-2">SprintLite</h1>
+        </div>
+
+        <div className="text-center">
+          <h2 className="text-xl font-semibold text-white mb-2">Reset your password</h2>
+          <p className="text-gray-400 text-sm">
+            Enter your account&apos;s email and we&apos;ll send you a link to choose a new password.
+          </p>
+        </div>
+
+        {sentMessage ? (
+          <div className="rounded-lg bg-green-900/20 border border-green-800 p-4" role="status">
+            <p className="text-sm text-green-400">{sentMessage}</p>
+            <p className="text-sm text-gray-400 mt-2">
+              The link expires after a few minutes and works once. Check your spam folder if it
+              doesn&apos;t arrive.
+            </p>
+          </div>
+        ) : (
+          <form className="mt-6 space-y-4" onSubmit={handleSubmit(onSubmit)}>
+            {error && (
+              <div className="rounded-lg bg-red-900/20 border border-red-800 p-3">
+                <div className="text-sm text-red-400">{error}</div>
+              </div>
+            )}
+
+            <FormInput
+              label="Email"
+              name="email"
+              type="email"
+              register={register}
+              error={errors.email?.message}
+              placeholder="you@example.com"
+              autoComplete="email"
+            />
+
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-lg"
+            >
+              {isSubmitting ? "Sending..." : "Send reset link"}
+            </button>
+          </form>
+        )}
+
+        <div className="text-center mt-4">
+          <p className="text-sm text-gray-400">
+            Remembered it?{" "}
+            <Link href="/auth/login" className="font-medium text-blue-500 hover:text-blue-400">
+              Sign in
+            </Link>
+          </p>
+        </div>
+
+        <div className="text-center text-xs text-gray-500 mt-8">
+          © 2024 SprintLite. All rights reserved.
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+"use client";
+
+import { use } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { resetPasswordSchema } from "@/lib/schemas/authSchema";
+import { useAuthContext } from "@/context/AuthContext";
+import Cookies from "js-cookie";
+import FormInput from "@/components/FormInput";
+import toast from "react-hot-toast";
+
+// The token comes from the URL, so the form only asks for the password (twice)
+const newPasswordSchema = resetPasswordSchema
+  .pick({ password: true })
+  .extend({ confirmPassword: resetPasswordSchema.shape.password })
+  .refine((data) => data.password === data.confirmPassword, {
+    message: "Passwords do not match",
+    path: ["confirmPassword"],
+  });
+
+export default function ResetPasswordPage({ searchParams }) {
+  const { token } = use(searchParams);
+  const { logout } = useAuthContext();
+  const router = useRouter();
+
+  const {
+    register,
+    handleSubmit,
+    setError,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(newPasswordSchema),
+  });
+
+  const onSubmit = async ({ password }) => {
+    try {
+      const response = await fetch("/api/auth/reset-password", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        credentials: "include",
+        body: JSON.stringify({ token, password }),
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        // The reset signed out every session, including this one
+        logout();
+        Cookies.remove("accessToken");
+        localStorage.removeItem("token");
+
+        toast.success(result.message || "Password updated");
+        router.push("/auth/login");
+      } else {
+        setError("root", { message: result.message || "Failed to reset password" });
+      }
+    } catch (err) {
+      setError("root", { message: "An error occurred. Please try again." });
+      console.error("Reset password error:", err);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-950 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6">
+        {/* Logo */}
+        <div className="flex flex-col items-center mb-6">
+          <div className="w-16 h-16 bg-blue-600 rounded-xl flex items-center justify-center mb-4">
+            <svg
+              className="w-8 h-8 text-white"
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M13 10V3L4 14h7v7l9-11h-7z"
+              />
+            </svg>
+          </div>
+          <h1 className="text-3xl font-bold text-white mb-2">SprintLite</h1>
+        </div>
+
+        <div className="text-center">
+          <h2 className="text-xl font-semibold text-white mb-2">Choose a new password</h2>
+          <p className="text-gray-400 text-sm">
+            You&apos;ll be signed out on all devices and can sign in again with the new password.
+          </p>
+        </div>
+
+        {!token ? (
+          <div className="rounded-lg bg-red-900/20 border border-red-800 p-4">
+            <p className="text-sm text-red-400">
+              This link is missing its reset token.{" "}
+              <Link href="/auth/forgot-password" className="font-medium underline">
+                Request a new link
+              </Link>
+              .
+            </p>
+          </div>
+        ) : (
+          <form className="mt-6 space-y-4" onSubmit={handleSubmit(onSubmit)}>
+            {errors.root && (
+              <div className="rounded-lg bg-red-900/20 border border-red-800 p-3" role="alert">
+                <div className="text-sm text-red-400">
+                  {errors.root.message}{" "}
+                  <Link href="/auth/forgot-password" className="font-medium underline">
+                    Request a new link
+                  </Link>
+                </div>
+              </div>
+            )}
+
+            <FormInput
+              label="New password"
+              name="password"
+              type="password"
+              register={register}
+              error={errors.password?.message}
+              placeholder="At least 8 characters"
+              autoComplete="new-password"
+            />
+
+            <FormInput
+              label="Confirm new password"
+              name="confirmPassword"
+              type="password"
+              register={register}
+              error={errors.confirmPassword?.message}
+              placeholder="Repeat the new password"
+              autoComplete="new-password"
+            />
+
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-lg"
+            >
+              {isSubmitting ? "Updating password..." : "Update password"}
+            </button>
+          </form>
+        )}
+
+        <div className="text-center mt-4">
+          <p className="text-sm text-gray-400">
+            <Link href="/auth/login" className="font-medium text-blue-500 hover:text-blue-400">
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+
+        <div className="text-center text-xs text-gray-500 mt-8">
+          © 2024 SprintLite. All rights reserved.
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+"use client";
+
+import { use, useEffect, useRef, useState } from "react";
+import Link from "next/link";
+import { mutate } from "swr";
+
+export default function VerifyEmailPage({ searchParams }) {
+  const { token } = use(searchParams);
+  const [state, setState] = useState(token ? "verifying" : "error");
+  const [message, setMessage] = useState(
+    token ? "" : "This link is missing its verification token."
+  );
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Verify once, even when effects run twice in development
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await fetch("/api/auth/verify-email", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ token }),
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+          setState("error");
+          setMessage(result.message || "Verification failed");
+          return;
+        }
+
+        // Signed-in users get new tokens that allow changes; fails harmlessly otherwise
+        await fetch("/api/auth/refresh", { method: "POST", credentials: "include" }).catch(
+          () => {}
+        );
+        mutate("/api/auth/verify-email");
+        setState("verified");
+      } catch (err) {
+        setState("error");
+        setMessage("An error occurred. Please try again.");
+        console.error("Verify email error:", err);
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-950 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6">
+        {/* Logo */}
+        <div className="flex flex-col items-center mb-6">
+          <div className="w-16 h-16 bg-blue-600 rounded-xl flex items-center justify-center mb-4">
+            <svg
+              className="w-8 h-8 text-white"
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M13 10V3L4 14h7v7l9-11h-7z"
+              />
+            </svg>
+          </div>
+          <h1 className="text-3xl font-bold text-white mb-2">SprintLite</h1>
+        </div>
+
+        <div className="text-center">
+          <h2 className="text-xl font-semibold text-white mb-2">Email verification</h2>
+        </div>
+
+        {state === "verifying" && (
+          <p className="text-center text-gray-400" role="status">
+            Verifying your email...
+          </p>
+        )}
+
+        {state === "verified" && (
+          <div className="rounded-lg bg-green-900/20 border border-green-800 p-4" role="status">
+            <p className="text-sm text-green-400">
+              Your email is verified. You can now create and edit work in SprintLite.
+            </p>
+          </div>
+        )}
+
+        {state === "error" && (
+          <div className="rounded-lg bg-red-900/20 border border-red-800 p-4" role="alert">
+            <p className="text-sm text-red-400">{message}</p>
+            <p className="text-sm text-gray-400 mt-2">
+              Sign in and use &quot;Resend email&quot; in the banner to get a new link.
+            </p>
+          </div>
+        )}
+
+        <div className="text-center mt-4">
+          <p className="text-sm text-gray-400">
+            <Link href="/dashboard" className="font-medium text-blue-500 hover:text-blue-400">
+              Go to dashboard
+            </Link>
+            {" · "}
+            <Link href="/auth/login" className="font-medium text-blue-500 hover:text-blue-400">
+              Sign in
+            </Link>
+          </p>
+        </div>
+
+        <div className="text-center text-xs text-gray-500 mt-8">
+          © 2024 SprintLite. All rights reserved.
+        </div>
+      </div>
+    </div>
+  );
+}
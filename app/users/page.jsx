@@ -1,10 +1,14 @@
 "use client";
 
+import { useState } from "react";
 import useSWR from "swr";
 import { fetcher } from "@/lib/fetcher";
 import Link from "next/link";
 import AddUser from "./AddUser";
 import CacheInspector from "./CacheInspector";
+import SessionList from "@/components/SessionList";
+import { usePermission } from "@/hooks/usePermissions";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
 
 /**
  * Users Page with SWR
@@ -24,6 +28,10 @@ import CacheInspector from "./CacheInspector";
  */
 
 export default function UsersPage() {
+  // Admins can see and sign out each user's sessions
+  const canManageUsers = usePermission(RESOURCES.USERS, ACTIONS.MANAGE);
+  const [sessionsUserId, setSessionsUserId] = useState(null);
+
   // SWR Hook - fetches data with caching and revalidation
   const { data, error, isLoading, isValidating } = useSWR("/api/users", fetcher, {
     revalidateOnFocus: true, // Refetch when tab regains focus
@@ -149,13 +157,33 @@ export default function UsersPage() {
                     </div>
                   </div>
 
-                  <Link
-                    href={`/users/${user.id}`}
-                    className="px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded transition-colors"
-                  >
-                    View Details →
-                  </Link>
+                  <div className="flex gap-2">
+                    {canManageUsers && (
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setSessionsUserId(sessionsUserId === user.id ? null : user.id)
+                        }
+                        aria-expanded={sessionsUserId === user.id}
+                        className="px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded transition-colors"
+                      >
+                        Sessions
+                      </button>
+                    )}
+                    <Link
+                      href={`/users/${user.id}`}
+                      className="px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded transition-colors"
+                    >
+                      View Details →
+                    </Link>
+                  </div>
                 </div>
+
+                {canManageUsers && sessionsUserId === user.id && (
+                  <div className="mt-4">
+                    <SessionList userId={user.id} />
+                  </div>
+                )}
               </div>
             ))
           )}
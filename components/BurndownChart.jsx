@@ -0,0 +1,102 @@
+"use client";
+
+/**
+ * BurndownChart Component
+ *
+ * Plain SVG line chart of remaining work against the ideal burndown.
+ *
+ * Props:
+ * - days: Array<{date: string, ideal: number, remaining: number|null}> - From /api/reports/burndown
+ * - metric: "points" | "tasks" - Unit shown on the y-axis
+ * - height?: number - Chart height in px (default: 220)
+ */
+const WIDTH = 600;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 36 };
+
+export default function BurndownChart({ days, metric = "tasks", height = 220 }) {
+  if (!days || days.length === 0) {
+    return <p className="text-gray-500 text-sm py-8 text-center">No burndown data yet</p>;
+  }
+
+  const maxValue = Math.max(1, ...days.map((d) => Math.max(d.ideal, d.remaining ?? 0)));
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+
+  const x = (i) => PADDING.left + (days.length === 1 ? 0 : (i / (days.length - 1)) * plotWidth);
+  const y = (value) => PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+
+  const idealPoints = days.map((d, i) => `${x(i)},${y(d.ideal)}`).join(" ");
+  const actualPoints = days
+    .map((d, i) => (d.remaining === null ? null : `${x(i)},${y(d.remaining)}`))
+    .filter(Boolean)
+    .join(" ");
+
+  // Label roughly five dates along the x-axis
+  const labelEvery = Math.max(1, Math.ceil(days.length / 5));
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${height}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label={`Burndown chart of remaining ${metric}`}
+    >
+      {/* Axes */}
+      <line
+        x1={PADDING.left}
+        y1={PADDING.top + plotHeight}
+        x2={WIDTH - PADDING.right}
+        y2={PADDING.top + plotHeight}
+        className="stroke-gray-700"
+      />
+      <line
+        x1={PADDING.left}
+        y1={PADDING.top}
+        x2={PADDING.left}
+        y2={PADDING.top + plotHeight}
+        className="stroke-gray-700"
+      />
+      <text x={4} y={PADDING.top + 4} className="fill-gray-500 text-[10px]">
+        {maxValue}
+      </text>
+      <text x={4} y={PADDING.top + plotHeight} className="fill-gray-500 text-[10px]">
+        0
+      </text>
+
+      {days.map((d, i) =>
+        i % labelEvery === 0 || i === days.length - 1 ? (
+          <text
+            key={d.date}
+            x={x(i)}
+            y={height - 8}
+            textAnchor="middle"
+            className="fill-gray-500 text-[10px]"
+          >
+            {d.date.slice(5)}
+          </text>
+        ) : null
+      )}
+
+      {/* Ideal line */}
+      <polyline
+        points={idealPoints}
+        fill="none"
+        strokeDasharray="4 4"
+        strokeWidth={2}
+        className="stroke-gray-500"
+      />
+
+      {/* Actual remaining */}
+      {actualPoints && (
+        <polyline points={actualPoints} fill="none" strokeWidth={2} className="stroke-blue-500" />
+      )}
+      {days.map((d, i) =>
+        d.remaining === null ? null : (
+          <circle key={d.date} cx={x(i)} cy={y(d.remaining)} r={3} className="fill-blue-500">
+            <title>{`${d.date}: ${d.remaining} ${metric} remaining`}</title>
+          </circle>
+        )
+      )}
+    </svg>
+  );
+}
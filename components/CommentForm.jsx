@@ -0,0 +1,128 @@
+"use client";
+
+import { useState } from "react";
+import toast from "react-hot-toast";
+import MentionTextarea from "@/components/MentionTextarea";
+import { decodeMentions, encodeMentions } from "@/lib/mentions";
+
+const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * CommentForm Component
+ *
+ * Textarea and submit button that post a comment, or a reply when
+ * `parentId` is given, to POST /api/comments. With `comment` it edits that
+ * comment instead (PUT /api/comments/[id]). Comments are Markdown, rendered
+ * by the API. Typing "@" suggests users to mention; mentioned users are
+ * notified by the API.
+ *
+ * Props:
+ * - taskId: string - Task to comment on
+ * - parentId?: string - Top-level comment to reply to
+ * - comment?: object - Comment to edit
+ * - onPosted?: function(comment) - Called after the comment is created or saved
+ * - onCancel?: function - Shows a Cancel button (used by reply and edit forms)
+ * - autoFocus?: boolean
+ */
+export default function CommentForm({
+  taskId,
+  parentId,
+  comment,
+  onPosted,
+  onCancel,
+  autoFocus = false,
+}) {
+  // Stored mentions are edited as "@Name" text, like when they were typed
+  const [initial] = useState(() => decodeMentions(comment?.content));
+  const [content, setContent] = useState(initial.text);
+  const [mentions, setMentions] = useState(initial.mentions);
+  const [isPosting, setIsPosting] = useState(false);
+
+  const fieldId = comment
+    ? `edit-${comment.id}`
+    : parentId
+      ? `reply-${parentId}`
+      : `task-comment-${taskId}`;
+  const label = comment ? "Edit comment" : parentId ? "Write a reply" : "Add a comment";
+  const submitLabel = comment ? "Save" : parentId ? "Reply" : "Comment";
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+
+    setIsPosting(true);
+    try {
+      const encoded = encodeMentions(content, mentions);
+      const response = await fetch(comment ? `/api/comments/${comment.id}` : "/api/comments", {
+        method: comment ? "PUT" : "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify(
+          comment
+            ? { content: encoded }
+            : { taskId, content: encoded, ...(parentId && { parentId }) }
+        ),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(
+          result.message || (comment ? "Failed to save comment" : "Failed to add comment")
+        );
+      }
+      if (!comment) {
+        setContent("");
+        setMentions([]);
+      }
+      onPosted?.(result.data);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setIsPosting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <label htmlFor={fieldId} className="sr-only">
+        {label}
+      </label>
+      <MentionTextarea
+        id={fieldId}
+        value={content}
+        onChange={setContent}
+        mentions={mentions}
+        onMentionsChange={setMentions}
+        onKeyDown={(e) => e.key === "Escape" && onCancel?.()}
+        maxLength={MAX_COMMENT_LENGTH}
+        rows={parentId && !comment ? 2 : 3}
+        placeholder={`${label}...`}
+        disabled={isPosting}
+        autoFocus={autoFocus}
+        className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+      />
+      <div className="flex items-center justify-between">
+        <span className="text-gray-500 text-xs">
+          Markdown supported · {content.length}/{MAX_COMMENT_LENGTH}
+        </span>
+        <div className="flex gap-2">
+          {onCancel && (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-4 py-2 text-gray-400 hover:text-white transition-colors"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={isPosting || !content.trim()}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors disabled:opacity-50"
+          >
+            {isPosting ? (comment ? "Saving..." : "Posting...") : submitLabel}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,339 @@
+"use client";
+
+import { useState } from "react";
+import useSWR from "swr";
+import toast from "react-hot-toast";
+import { fetcher } from "@/lib/fetcher";
+import CommentForm from "@/components/CommentForm";
+import RichText from "@/components/RichText";
+import { usePermission } from "@/hooks/usePermissions";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { COMMENT_REACTIONS } from "@/lib/comments/reactions";
+
+const getInitials = (name) => {
+  if (!name) return "?";
+  return name
+    .split(" ")
+    .map((n) => n[0])
+    .join("")
+    .toUpperCase()
+    .slice(0, 2);
+};
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Reaction counts; users who may comment can toggle them and add new ones
+const ReactionBar = ({ comment, canReact, onChange }) => {
+  const [pending, setPending] = useState(null);
+  const [showPicker, setShowPicker] = useState(false);
+
+  const toggle = async (emoji) => {
+    setPending(emoji);
+    setShowPicker(false);
+    try {
+      const response = await fetch(`/api/comments/${comment.id}/reactions`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ emoji }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to update reaction");
+      }
+      onChange?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  if (comment.reactions.length === 0 && !canReact) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-2">
+      {comment.reactions.map(({ emoji, count, reacted }) => (
+        <button
+          key={emoji}
+          type="button"
+          onClick={() => toggle(emoji)}
+          disabled={!canReact || pending !== null}
+          aria-pressed={reacted}
+          aria-label={`${emoji} ${count} reaction${count === 1 ? "" : "s"}${reacted ? ", including yours" : ""}`}
+          className={`px-2 py-0.5 rounded-full text-sm border transition-colors disabled:cursor-default ${
+            reacted
+              ? "bg-blue-900/60 border-blue-600 text-blue-200"
+              : "bg-gray-800 border-gray-700 text-gray-300 enabled:hover:border-gray-500"
+          }`}
+        >
+          {emoji} {count}
+        </button>
+      ))}
+
+      {canReact && (
+        <div className="relative">
+          <button
+            type="button"
+            onClick={() => setShowPicker((open) => !open)}
+            disabled={pending !== null}
+            aria-expanded={showPicker}
+            aria-label="Add reaction"
+            className="px-2 py-0.5 rounded-full text-sm border border-gray-700 text-gray-400 hover:text-white hover:border-gray-500 transition-colors disabled:opacity-50"
+          >
+            ☺+
+          </button>
+          {showPicker && (
+            <div
+              className="absolute z-10 mt-1 flex gap-1 p-1 bg-gray-800 border border-gray-700 rounded-lg shadow-lg"
+              onKeyDown={(e) => e.key === "Escape" && setShowPicker(false)}
+            >
+              {COMMENT_REACTIONS.map((emoji) => (
+                <button
+                  key={emoji}
+                  type="button"
+                  onClick={() => toggle(emoji)}
+                  aria-label={`React with ${emoji}`}
+                  className="w-8 h-8 rounded hover:bg-gray-700"
+                >
+                  {emoji}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Earlier versions of a comment (GET /api/comments/[id]/revisions), newest first
+const CommentHistory = ({ commentId }) => {
+  const { data, error, isLoading } = useSWR(`/api/comments/${commentId}/revisions`, fetcher);
+
+  if (isLoading) return <p className="mt-2 text-sm text-gray-500">Loading history...</p>;
+  if (error) return <p className="mt-2 text-sm text-red-400">Failed to load history</p>;
+
+  const { comment, revisions } = data.data;
+  return (
+    <ol className="mt-2 space-y-3 border-l-2 border-gray-700 pl-3" aria-label="Comment history">
+      <li>
+        <p className="text-xs text-gray-500">
+          {comment.deletedAt
+            ? `Removed version by ${comment.user?.name || "a deleted user"}`
+            : "Current version"}
+          {comment.editedAt && `, edited ${formatDateTime(comment.editedAt)}`}
+        </p>
+        <RichText html={comment.contentHtml} className="text-gray-300 text-sm" />
+      </li>
+      {revisions.map((revision, index) => (
+        <li key={revision.id}>
+          <p className="text-xs text-gray-500">
+            {index === revisions.length - 1 ? "Original" : "Earlier version"}, replaced by{" "}
+            {revision.editor?.name || "a deleted user"} {formatDateTime(revision.createdAt)}
+          </p>
+          <RichText html={revision.contentHtml} className="text-gray-400 text-sm" />
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+// Small text button used for comment actions
+const ActionButton = ({ children, className = "", ...props }) => (
+  <button
+    type="button"
+    className={`text-sm text-gray-400 hover:text-white transition-colors disabled:opacity-50 ${className}`}
+    {...props}
+  >
+    {children}
+  </button>
+);
+
+// Avatar, author, time, content and actions of one comment (or its deleted placeholder)
+const CommentBody = ({ comment, taskId, canComment, onChange, children }) => {
+  const canDeleteAny = usePermission(RESOURCES.TASKS, ACTIONS.DELETE);
+  const isAdmin = usePermission(RESOURCES.TASKS, ACTIONS.MANAGE);
+  const [isEditing, setIsEditing] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const request = async (url, method, failure) => {
+    setIsBusy(true);
+    try {
+      const response = await fetch(url, { method, credentials: "include" });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || failure);
+      }
+      setShowHistory(false);
+      onChange?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!confirm("Delete this comment?")) return;
+    request(`/api/comments/${comment.id}`, "DELETE", "Failed to delete comment");
+  };
+
+  const handleRestore = () =>
+    request(`/api/comments/${comment.id}/restore`, "POST", "Failed to restore comment");
+
+  return (
+    <div className="flex gap-3">
+      <div
+        className={`w-8 h-8 rounded-full flex items-center justify-center text-white text-sm font-semibold shrink-0 ${
+          comment.deleted ? "bg-gray-700" : "bg-blue-600"
+        }`}
+      >
+        {comment.deleted ? "–" : getInitials(comment.user?.name)}
+      </div>
+      <div className="flex-1 min-w-0">
+        {comment.deleted ? (
+          <>
+            <p className="text-gray-500 italic">
+              Comment removed{comment.deletedBy && ` by ${comment.deletedBy.name}`}
+            </p>
+            {isAdmin && (
+              <div className="flex gap-3 mt-1">
+                <ActionButton
+                  onClick={() => setShowHistory((open) => !open)}
+                  aria-expanded={showHistory}
+                >
+                  {showHistory ? "Hide original" : "View original"}
+                </ActionButton>
+                <ActionButton onClick={handleRestore} disabled={isBusy}>
+                  Restore
+                </ActionButton>
+              </div>
+            )}
+          </>
+        ) : (
+          <>
+            <p className="text-white font-medium">{comment.user?.name}</p>
+            <p className="text-gray-400 text-sm">
+              {formatDateTime(comment.createdAt)}
+              {comment.editedAt && (
+                <>
+                  {" · "}
+                  <button
+                    type="button"
+                    onClick={() => setShowHistory((open) => !open)}
+                    aria-expanded={showHistory}
+                    title={`Edited ${formatDateTime(comment.editedAt)}, show history`}
+                    className="hover:text-white underline decoration-dotted"
+                  >
+                    edited
+                  </button>
+                </>
+              )}
+            </p>
+            {isEditing ? (
+              <div className="mt-2">
+                <CommentForm
+                  taskId={taskId}
+                  comment={comment}
+                  autoFocus
+                  onCancel={() => setIsEditing(false)}
+                  onPosted={() => {
+                    setIsEditing(false);
+                    onChange?.();
+                  }}
+                />
+              </div>
+            ) : (
+              <RichText html={comment.contentHtml} className="text-gray-300 mt-1" />
+            )}
+            <ReactionBar comment={comment} canReact={canComment} onChange={onChange} />
+            {!isEditing && (comment.own || canDeleteAny) && (
+              <div className="flex gap-3 mt-2">
+                {comment.own && canComment && (
+                  <ActionButton onClick={() => setIsEditing(true)}>Edit</ActionButton>
+                )}
+                <ActionButton
+                  onClick={handleDelete}
+                  disabled={isBusy}
+                  className="hover:text-red-400"
+                >
+                  Delete
+                </ActionButton>
+              </div>
+            )}
+          </>
+        )}
+        {showHistory && <CommentHistory commentId={comment.id} />}
+        {children}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * CommentThread Component
+ *
+ * A top-level comment with its replies (one level) and emoji reactions.
+ * Users with task update permission can reply and toggle reactions
+ * (POST /api/comments/[id]/reactions). Authors can edit their comments;
+ * edited ones link to their history. Deleted comments show who removed them,
+ * and admins can view the original and restore it.
+ *
+ * Props:
+ * - comment: object - Serialized comment with `replies` and `reactions`
+ * - taskId: string
+ * - onChange: function - Called after a reply, reaction, edit, delete or restore so the parent can revalidate
+ */
+export default function CommentThread({ comment, taskId, onChange }) {
+  const canComment = usePermission(RESOURCES.TASKS, ACTIONS.UPDATE);
+  const [isReplying, setIsReplying] = useState(false);
+  const replies = comment.replies || [];
+
+  return (
+    <CommentBody comment={comment} taskId={taskId} canComment={canComment} onChange={onChange}>
+      {canComment && !comment.deleted && !isReplying && (
+        <button
+          type="button"
+          onClick={() => setIsReplying(true)}
+          className="mt-2 text-sm text-gray-400 hover:text-white transition-colors"
+        >
+          Reply
+        </button>
+      )}
+
+      {(replies.length > 0 || isReplying) && (
+        <div className="mt-4 space-y-4 border-l border-gray-800 pl-4">
+          {replies.map((reply) => (
+            <CommentBody
+              key={reply.id}
+              comment={reply}
+              taskId={taskId}
+              canComment={canComment}
+              onChange={onChange}
+            />
+          ))}
+          {isReplying && (
+            <CommentForm
+              taskId={taskId}
+              parentId={comment.id}
+              autoFocus
+              onCancel={() => setIsReplying(false)}
+              onPosted={() => {
+                setIsReplying(false);
+                onChange?.();
+              }}
+            />
+          )}
+        </div>
+      )}
+    </CommentBody>
+  );
+}
@@ -0,0 +1,82 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import useSWR from "swr";
+import toast from "react-hot-toast";
+import { fetcher } from "@/lib/fetcher";
+
+const STATUS_KEY = "/api/auth/verify-email";
+
+/**
+ * EmailVerificationBanner Component
+ *
+ * Shown to users who haven't verified their email yet (GET
+ * /api/auth/verify-email): their account is read-only until they do. The
+ * resend button (POST /api/auth/verify-email/resend) is disabled while the
+ * API's throttle applies, with a countdown.
+ */
+export default function EmailVerificationBanner() {
+  const { data, mutate } = useSWR(STATUS_KEY, fetcher);
+  const status = data?.data;
+  const [waitUntil, setWaitUntil] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+  const [isSending, setIsSending] = useState(false);
+
+  useEffect(() => {
+    if (status?.retryAfter) setWaitUntil(Date.now() + status.retryAfter * 1000);
+  }, [status?.retryAfter]);
+
+  const secondsLeft = Math.max(0, Math.ceil((waitUntil - now) / 1000));
+
+  useEffect(() => {
+    if (secondsLeft === 0) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [secondsLeft]);
+
+  if (!status || status.emailVerified) return null;
+
+  const handleResend = async () => {
+    setIsSending(true);
+    try {
+      const response = await fetch("/api/auth/verify-email/resend", {
+        method: "POST",
+        credentials: "include",
+      });
+      const result = await response.json();
+      const retryAfter = result.data?.retryAfter ?? result.error?.details?.retryAfter ?? 0;
+      setNow(Date.now());
+      setWaitUntil(Date.now() + retryAfter * 1000);
+
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to send verification email");
+      }
+      toast.success(`Verification email sent to ${status.email}`);
+    } catch (err) {
+      toast.error(err.message);
+      mutate();
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div
+      role="status"
+      className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 px-4 py-3 bg-amber-50 dark:bg-amber-900/30 border-b border-amber-200 dark:border-amber-800 text-sm text-amber-900 dark:text-amber-200"
+    >
+      <p>
+        Verify your email <span className="font-medium">{status.email}</span> to create and edit
+        work. Until then your account is read-only.
+      </p>
+      <button
+        type="button"
+        onClick={handleResend}
+        disabled={isSending || secondsLeft > 0}
+        className="shrink-0 px-3 py-1.5 rounded-lg border border-amber-400 dark:border-amber-700 hover:bg-amber-100 dark:hover:bg-amber-900/50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isSending ? "Sending..." : secondsLeft > 0 ? `Resend in ${secondsLeft}s` : "Resend email"}
+      </button>
+    </div>
+  );
+}
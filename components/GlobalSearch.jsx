@@ -0,0 +1,160 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import useSWR from "swr";
+import { fetcher } from "@/lib/fetcher";
+
+const MIN_QUERY_LENGTH = 2;
+const DEBOUNCE_MS = 250;
+
+// Renders {text, highlight} segments from /api/search as text, never as HTML
+function Highlighted({ segments, fallback }) {
+  if (!segments?.length) return fallback || null;
+
+  return segments.map((segment, index) =>
+    segment.highlight ? (
+      <mark key={index} className="bg-yellow-200 dark:bg-yellow-700/60 text-inherit rounded-sm">
+        {segment.text}
+      </mark>
+    ) : (
+      <span key={index}>{segment.text}</span>
+    )
+  );
+}
+
+/**
+ * GlobalSearch Component
+ *
+ * Search box with a results dropdown backed by GET /api/search
+ * (task titles, descriptions and comments, ranked with highlighted snippets).
+ * Arrow keys move through results, Enter opens the task, Escape closes.
+ *
+ * Props:
+ * - className?: string - Extra classes for the wrapper
+ */
+export default function GlobalSearch({ className = "" }) {
+  const router = useRouter();
+  const [input, setInput] = useState("");
+  const [query, setQuery] = useState("");
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  // Debounce typing so every keystroke doesn't hit the database
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(input.trim()), DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [input]);
+
+  const { data, isLoading } = useSWR(
+    query.length >= MIN_QUERY_LENGTH ? `/api/search?q=${encodeURIComponent(query)}` : null,
+    fetcher,
+    { keepPreviousData: true }
+  );
+  const results = query.length >= MIN_QUERY_LENGTH ? data?.data?.results || [] : [];
+
+  const open = (result) => {
+    setIsOpen(false);
+    setInput("");
+    router.push(`/tasks/${result.taskId}`);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      setIsOpen(false);
+      return;
+    }
+    if (!results.length) return;
+
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex((index) => (index + 1) % results.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((index) => (index <= 0 ? results.length - 1 : index - 1));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      open(results[Math.max(activeIndex, 0)]);
+    }
+  };
+
+  const showDropdown = isOpen && query.length >= MIN_QUERY_LENGTH;
+
+  return (
+    <div className={`relative ${className}`}>
+      <input
+        type="search"
+        role="combobox"
+        aria-label="Search tasks and comments"
+        aria-expanded={showDropdown}
+        aria-controls="global-search-results"
+        aria-activedescendant={activeIndex >= 0 ? `global-search-result-${activeIndex}` : undefined}
+        value={input}
+        onChange={(e) => {
+          setInput(e.target.value);
+          setIsOpen(true);
+          setActiveIndex(-1);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+        placeholder="Search tasks and comments..."
+        className="w-full px-4 py-2 bg-gray-100 dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg text-gray-900 dark:text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-brand"
+      />
+
+      {showDropdown && (
+        <ul
+          id="global-search-results"
+          role="listbox"
+          className="absolute z-50 mt-2 w-full max-h-96 overflow-y-auto bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg"
+        >
+          {results.length === 0 && (
+            <li className="px-4 py-3 text-sm text-gray-500">
+              {isLoading ? "Searching..." : "No matches"}
+            </li>
+          )}
+          {results.map((result, index) => (
+            <li
+              key={`${result.type}-${result.id}`}
+              id={`global-search-result-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // mousedown fires before the input's blur closes the dropdown
+              onMouseDown={(e) => {
+                e.preventDefault();
+                open(result);
+              }}
+              className={`px-4 py-3 cursor-pointer border-b last:border-b-0 border-gray-100 dark:border-gray-800 ${
+                index === activeIndex
+                  ? "bg-gray-100 dark:bg-gray-800"
+                  : "hover:bg-gray-50 dark:hover:bg-gray-800/60"
+              }`}
+            >
+              <div className="flex items-center gap-2 text-sm font-medium text-gray-900 dark:text-white">
+                <span className="text-xs text-gray-500 uppercase">
+                  {result.type === "task" ? "Task" : "Comment"}
+                </span>
+                <span className="truncate">
+                  {result.type === "task" ? (
+                    <Highlighted segments={result.titleHighlight} fallback={result.title} />
+                  ) : (
+                    result.title
+                  )}
+                </span>
+              </div>
+              {result.snippet.length > 0 && (
+                <p className="mt-1 text-sm text-gray-600 dark:text-gray-400 line-clamp-2">
+                  {result.type === "comment" && result.author && (
+                    <span className="text-gray-500">{result.author}: </span>
+                  )}
+                  <Highlighted segments={result.snippet} />
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,325 @@
+"use client";
+
+import { useId, useState } from "react";
+import KanbanTaskCard from "@/components/KanbanTaskCard";
+import { STATUS_COLOR_CLASSES } from "@/components/StatusBadge";
+import { DEFAULT_WORKFLOW } from "@/lib/workflow";
+import { compareByRank, rankForPosition } from "@/lib/tasks/rank";
+import { wipLimitState } from "@/lib/tasks/wipLimits";
+
+/**
+ * Build board columns from a project's workflow (see useWorkflow)
+ * @param {Array} workflow - Statuses in board order
+ */
+export const columnsFromWorkflow = (workflow) =>
+  workflow.map((status) => ({
+    status: status.key,
+    title: status.name,
+    category: status.category,
+    dotColor: (STATUS_COLOR_CLASSES[status.color] || STATUS_COLOR_CLASSES.gray).dot,
+    wipLimit: status.wipLimit ?? null,
+  }));
+
+/**
+ * Default board columns, one per default workflow status
+ */
+export const KANBAN_COLUMNS = columnsFromWorkflow(DEFAULT_WORKFLOW);
+
+/**
+ * Pick the column for a task: its own status, or the first column of the
+ * same category (tasks from other projects' workflows on a mixed board)
+ */
+const columnFor = (columns, task) =>
+  columns.find((column) => column.status === task.status) ||
+  columns.find((column) => column.category === task.statusCategory) ||
+  columns[0];
+
+// Drop indicator shown where a dragged task would land
+const DropIndicator = () => <div className="h-1 rounded-full bg-blue-500" aria-hidden="true" />;
+
+// Task count colors by WIP limit state (see wipLimitState)
+const WIP_COUNT_CLASSES = {
+  none: "text-gray-500",
+  under: "text-gray-500",
+  at: "text-yellow-400",
+  over: "text-red-400 font-semibold",
+};
+
+// Column component for Kanban board
+export const KanbanColumn = ({
+  title,
+  tasks,
+  dotColor,
+  wipLimit = null,
+  onDeleteTask,
+  draggingId = null,
+  dropIndex = null,
+  getDragProps,
+  onDragOverColumn,
+  onDrop,
+}) => {
+  // Drop positions count the column's tasks without the dragged one
+  let position = 0;
+  const isEmpty = tasks.every((task) => task.id === draggingId);
+  const wipState = wipLimitState(tasks.length, wipLimit);
+
+  const ringClass =
+    dropIndex !== null
+      ? "ring-2 ring-blue-500/50"
+      : wipState === "over"
+        ? "ring-2 ring-red-500/60"
+        : "";
+
+  return (
+    <div
+      className={`bg-gray-900 rounded-lg p-4 transition-colors ${ringClass}`}
+      onDragOver={onDragOverColumn}
+      onDrop={onDrop}
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-white font-semibold flex items-center gap-2">
+          <span className={`w-2 h-2 ${dotColor} rounded-full`}></span>
+          {title}
+          <span
+            className={`text-sm ${WIP_COUNT_CLASSES[wipState]}`}
+            title={wipLimit != null ? `WIP limit: ${wipLimit}` : undefined}
+          >
+            ({wipLimit != null ? `${tasks.length}/${wipLimit}` : tasks.length})
+          </span>
+        </h2>
+        {wipState === "over" && (
+          <span className="px-2 py-0.5 text-xs rounded bg-red-900 text-red-300">
+            Over WIP limit
+          </span>
+        )}
+      </div>
+
+      <div className="space-y-3 min-h-16">
+        {isEmpty && dropIndex === null ? (
+          <div className="text-center py-8 text-gray-500">
+            <p>No tasks</p>
+          </div>
+        ) : (
+          tasks.map((task) => {
+            const index = task.id === draggingId ? null : position++;
+            return (
+              <div key={task.id} className="space-y-3">
+                {index !== null && dropIndex === index && <DropIndicator />}
+                <KanbanTaskCard
+                  task={task}
+                  onDelete={onDeleteTask}
+                  isDragging={task.id === draggingId}
+                  {...(getDragProps ? getDragProps(task, index) : {})}
+                />
+              </div>
+            );
+          })
+        )}
+        {dropIndex !== null && dropIndex === position && <DropIndicator />}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * KanbanBoard Component
+ *
+ * Groups tasks into workflow status columns, ordered by rank. Shared by the
+ * dashboard and sprint boards. Columns with a WIP limit show their load and
+ * are flagged when over it.
+ *
+ * With `onMoveTask`, cards can be dragged with the mouse or moved with the
+ * keyboard: focus a card's handle, press Space or Enter to pick it up, arrow
+ * keys to move it within and across columns, Space or Enter to drop and
+ * Escape to cancel. Moves are announced to screen readers.
+ *
+ * Props:
+ * - tasks: array - Tasks to place on the board
+ * - onDeleteTask?: function(task) - Enables the delete button on cards
+ * - onMoveTask?: function(task, {status, rank}) - Enables drag-and-drop
+ * - columns?: array - Column config (default: KANBAN_COLUMNS, see columnsFromWorkflow)
+ */
+export default function KanbanBoard({ tasks, onDeleteTask, onMoveTask, columns = KANBAN_COLUMNS }) {
+  const instructionsId = useId();
+  // { taskId, keyboard } while a card is picked up
+  const [dragging, setDragging] = useState(null);
+  // { status, index } where the card would land
+  const [dropTarget, setDropTarget] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
+
+  const columnTasks = new Map(
+    columns.map((column) => [
+      column.status,
+      tasks.filter((task) => columnFor(columns, task) === column).sort(compareByRank),
+    ])
+  );
+
+  const draggedTask = dragging && tasks.find((task) => task.id === dragging.taskId);
+  const otherTasks = (status) =>
+    (columnTasks.get(status) || []).filter((task) => task.id !== dragging?.taskId);
+  const columnTitle = (status) => columns.find((column) => column.status === status)?.title;
+
+  const describeTarget = ({ status, index }) =>
+    `${columnTitle(status)}, position ${index + 1} of ${otherTasks(status).length + 1}`;
+
+  const reset = () => {
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  const startDrag = (task, index, keyboard) => {
+    const status = columnFor(columns, task).status;
+    setDragging({ taskId: task.id, keyboard, from: { status, index } });
+    setDropTarget({ status, index });
+    if (keyboard) {
+      setAnnouncement(`Picked up ${task.title}. ${describeTarget({ status, index })}.`);
+    }
+  };
+
+  const drop = () => {
+    if (!draggedTask || !dropTarget) return reset();
+
+    const { from } = dragging;
+    const unchanged = from.status === dropTarget.status && from.index === dropTarget.index;
+    if (dragging.keyboard) {
+      setAnnouncement(
+        unchanged
+          ? `${draggedTask.title} dropped in its original position.`
+          : `${draggedTask.title} moved to ${describeTarget(dropTarget)}.`
+      );
+    }
+    if (!unchanged) {
+      onMoveTask(draggedTask, {
+        status: dropTarget.status,
+        rank: rankForPosition(otherTasks(dropTarget.status), dropTarget.index),
+      });
+    }
+    reset();
+  };
+
+  const cancel = () => {
+    if (dragging?.keyboard && draggedTask) {
+      setAnnouncement(`Move cancelled. ${draggedTask.title} returned to its original position.`);
+    }
+    reset();
+  };
+
+  const moveTarget = (columnOffset, indexOffset) => {
+    const columnIndex = columns.findIndex((column) => column.status === dropTarget.status);
+    const nextColumn = columns[columnIndex + columnOffset];
+    if (!nextColumn) return;
+
+    const maxIndex = otherTasks(nextColumn.status).length;
+    const index = Math.min(Math.max(dropTarget.index + indexOffset, 0), maxIndex);
+    const next = { status: nextColumn.status, index };
+    setDropTarget(next);
+    setAnnouncement(describeTarget(next));
+  };
+
+  const handleKeyDown = (task, index) => (event) => {
+    const isGrabbed = dragging?.keyboard && dragging.taskId === task.id;
+
+    if (!isGrabbed) {
+      if (event.key === " " || event.key === "Enter") {
+        event.preventDefault();
+        startDrag(task, index, true);
+      }
+      return;
+    }
+
+    const actions = {
+      ArrowUp: () => moveTarget(0, -1),
+      ArrowDown: () => moveTarget(0, 1),
+      ArrowLeft: () => moveTarget(-1, 0),
+      ArrowRight: () => moveTarget(1, 0),
+      " ": drop,
+      Enter: drop,
+      Escape: cancel,
+    };
+    if (actions[event.key]) {
+      event.preventDefault();
+      actions[event.key]();
+    }
+  };
+
+  const getDragProps = (task, index) => ({
+    draggable: true,
+    onDragStart: (event) => {
+      event.dataTransfer.effectAllowed = "move";
+      event.dataTransfer.setData("text/plain", task.id);
+      startDrag(task, index, false);
+    },
+    onDragEnd: reset,
+    onDragOver: (event) => {
+      if (!dragging || dragging.keyboard || index === null) return;
+      event.preventDefault();
+      event.stopPropagation();
+      // Upper half of a card drops above it, lower half below it
+      const rect = event.currentTarget.getBoundingClientRect();
+      const below = event.clientY > rect.top + rect.height / 2;
+      setDropTarget({ status: columnFor(columns, task).status, index: index + (below ? 1 : 0) });
+    },
+    dragHandleProps: {
+      onKeyDown: handleKeyDown(task, index),
+      onBlur: () => dragging?.keyboard && dragging.taskId === task.id && cancel(),
+      "aria-label": `Move ${task.title}`,
+      "aria-describedby": instructionsId,
+      "aria-pressed": dragging?.keyboard && dragging.taskId === task.id,
+    },
+  });
+
+  return (
+    <>
+      <div className="grid grid-cols-1 lg:grid-flow-col lg:auto-cols-[minmax(16rem,1fr)] gap-6 overflow-x-auto">
+        {columns.map((column) => (
+          <KanbanColumn
+            key={column.status}
+            title={column.title}
+            dotColor={column.dotColor}
+            wipLimit={column.wipLimit}
+            tasks={columnTasks.get(column.status)}
+            onDeleteTask={onDeleteTask}
+            draggingId={dragging?.taskId ?? null}
+            dropIndex={dropTarget?.status === column.status ? dropTarget.index : null}
+            getDragProps={onMoveTask ? getDragProps : undefined}
+            onDragOverColumn={
+              onMoveTask
+                ? (event) => {
+                    if (!dragging || dragging.keyboard) return;
+                    event.preventDefault();
+                    // Over empty space in the column: drop at the bottom
+                    if (dropTarget?.status !== column.status) {
+                      setDropTarget({
+                        status: column.status,
+                        index: otherTasks(column.status).length,
+                      });
+                    }
+                  }
+                : undefined
+            }
+            onDrop={
+              onMoveTask
+                ? (event) => {
+                    event.preventDefault();
+                    drop();
+                  }
+                : undefined
+            }
+          />
+        ))}
+      </div>
+
+      {onMoveTask && (
+        <>
+          <p id={instructionsId} className="sr-only">
+            Press Space or Enter to pick up the task. Use the arrow keys to move it within a column
+            or to another column, Space or Enter to drop it, and Escape to cancel.
+          </p>
+          <div className="sr-only" aria-live="assertive" aria-atomic="true">
+            {announcement}
+          </div>
+        </>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,170 @@
+"use client";
+
+import Link from "next/link";
+import { LabelChips } from "@/components/LabelChip";
+import RichText from "@/components/RichText";
+
+const priorityColors = {
+  High: "bg-red-900 text-red-300",
+  Medium: "bg-orange-900 text-orange-300",
+  Low: "bg-gray-700 text-gray-300",
+};
+
+const getInitials = (name) => {
+  if (!name) return "?";
+  return name
+    .split(" ")
+    .map((n) => n[0])
+    .join("")
+    .toUpperCase()
+    .slice(0, 2);
+};
+
+// Generate consistent avatar color based on user name
+const getAvatarColor = (name) => {
+  if (!name) return "bg-gray-600";
+  const colors = [
+    "bg-green-500", // Green
+    "bg-blue-500", // Blue
+    "bg-purple-500", // Purple
+    "bg-orange-500", // Orange
+    "bg-pink-500", // Pink
+    "bg-teal-500", // Teal
+  ];
+  const hash = name.split("").reduce((acc, char) => acc + char.charCodeAt(0), 0);
+  return colors[hash % colors.length];
+};
+
+/**
+ * KanbanTaskCard Component
+ *
+ * Task card rendered inside a Kanban column (dashboard and sprint boards).
+ *
+ * Props:
+ * - task: object - Task from /api/tasks (with assignee/creator and labels)
+ * - onDelete?: function(task) - Shows a delete button on hover when provided
+ * - dragHandleProps?: object - Shows a drag handle button with these props (keyboard moves)
+ * - isDragging?: boolean - Dims the card while it is being moved
+ * - draggable, onDragStart, onDragEnd, onDragOver - Pointer drag-and-drop (see KanbanBoard)
+ */
+export default function KanbanTaskCard({
+  task,
+  onDelete,
+  dragHandleProps,
+  isDragging = false,
+  ...dragProps
+}) {
+  const userName = task.assignee?.name || task.creator?.name;
+  const avatarColor = getAvatarColor(userName);
+
+  return (
+    <div
+      {...dragProps}
+      className={`bg-gray-800 rounded-lg p-4 border transition-colors group ${
+        isDragging ? "opacity-50 border-blue-500" : "border-gray-700 hover:border-gray-600"
+      } ${dragProps.draggable ? "cursor-grab active:cursor-grabbing" : ""}`}
+    >
+      <div className="flex items-start justify-between mb-2">
+        {dragHandleProps && (
+          <button
+            type="button"
+            {...dragHandleProps}
+            className="mr-2 -ml-1 px-1 rounded text-gray-500 hover:text-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500 aria-pressed:text-blue-400 cursor-grab"
+          >
+            <span aria-hidden="true">⠿</span>
+          </button>
+        )}
+        <Link href={`/tasks/${task.id}`} className="flex-1" draggable={false}>
+          <h3 className="text-white font-medium line-clamp-2 group-hover:text-blue-400 transition-colors">
+            {task.title}
+          </h3>
+          {task.isBlocked && (
+            <span
+              className="inline-block mt-1 px-2 py-0.5 text-xs rounded bg-red-900 text-red-300"
+              title={`Blocked by ${task.openBlockerCount} unfinished task(s)`}
+            >
+              ⛔ Blocked
+            </span>
+          )}
+          <LabelChips labels={task.labels} className="mt-2" />
+        </Link>
+        {onDelete && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onDelete(task);
+            }}
+            className="opacity-0 group-hover:opacity-100 transition-opacity ml-2 p-1 hover:bg-red-900/50 rounded text-red-400 hover:text-red-300"
+            aria-label="Delete task"
+          >
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              className="h-4 w-4"
+              fill="none"
+              viewBox="0 0 24 24"
+              stroke="currentColor"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
+              />
+            </svg>
+          </button>
+        )}
+      </div>
+
+      {task.descriptionHtml && (
+        <RichText html={task.descriptionHtml} className="text-gray-400 text-sm mb-3 line-clamp-2" />
+      )}
+
+      <div className="flex items-center justify-between mt-3">
+        <div className="flex items-center gap-2">
+          <div
+            className={`w-6 h-6 ${avatarColor} rounded-full flex items-center justify-center text-white text-xs font-semibold`}
+          >
+            {getInitials(userName)}
+          </div>
+          <span className="text-gray-400 text-sm">{userName || "Unassigned"}</span>
+        </div>
+        <span
+          className={`px-2 py-1 text-xs rounded ${priorityColors[task.priority] || priorityColors.Low}`}
+        >
+          {task.priority}
+        </span>
+      </div>
+
+      {/* Subtask + checklist roll-up */}
+      {task.progress?.overall && (
+        <div className="mt-3">
+          <div className="flex justify-between text-xs text-gray-500 mb-1">
+            <span>Progress</span>
+            <span>
+              {task.progress.overall.done}/{task.progress.overall.total}
+            </span>
+          </div>
+          <div
+            className="h-1.5 bg-gray-700 rounded-full overflow-hidden"
+            role="progressbar"
+            aria-valuenow={task.progress.overall.percent}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-label={`${task.progress.overall.percent}% complete`}
+          >
+            <div
+              className="h-full bg-green-500 transition-all"
+              style={{ width: `${task.progress.overall.percent}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {task.dueDate && (
+        <div className="mt-2 text-xs text-gray-500">
+          Due: {new Date(task.dueDate).toLocaleDateString()}
+        </div>
+      )}
+    </div>
+  );
+}
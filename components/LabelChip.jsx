@@ -0,0 +1,50 @@
+/**
+ * Chip classes for each palette color (see STATUS_COLORS).
+ * Spelled out in full so Tailwind keeps them in the build.
+ */
+export const LABEL_CHIP_CLASSES = {
+  gray: "bg-gray-700 text-gray-300",
+  blue: "bg-blue-900 text-blue-300",
+  green: "bg-green-900 text-green-300",
+  yellow: "bg-yellow-900 text-yellow-300",
+  orange: "bg-orange-900 text-orange-300",
+  red: "bg-red-900 text-red-300",
+  purple: "bg-purple-900 text-purple-300",
+  teal: "bg-teal-900 text-teal-300",
+};
+
+export function LabelChip({ label, onRemove }) {
+  const colorClass = LABEL_CHIP_CLASSES[label.color] || LABEL_CHIP_CLASSES.gray;
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-2 py-0.5 text-xs rounded-full ${colorClass}`}
+    >
+      {label.name}
+      {onRemove && (
+        <button
+          onClick={() => onRemove(label)}
+          className="hover:text-white"
+          aria-label={`Remove label ${label.name}`}
+        >
+          ✕
+        </button>
+      )}
+    </span>
+  );
+}
+
+/**
+ * Render a task's labels as a wrapping row of chips (nothing when there are none)
+ */
+export function LabelChips({ labels, className = "" }) {
+  if (!labels?.length) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {labels.map((label) => (
+        <LabelChip key={label.id} label={label} />
+      ))}
+    </div>
+  );
+}
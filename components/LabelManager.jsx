@@ -0,0 +1,147 @@
+"use client";
+
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { useProject } from "@/hooks/useProject";
+import { useLabels } from "@/hooks/useLabels";
+import { usePermission } from "@/hooks/usePermissions";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { STATUS_COLORS } from "@/lib/workflow";
+import { LabelChip } from "@/components/LabelChip";
+
+const inputClass =
+  "px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50";
+
+/**
+ * LabelManager Component
+ *
+ * Creates, recolors and deletes the labels of the project selected in the switcher.
+ * Deleting a label removes it from every task.
+ */
+export default function LabelManager() {
+  const { projectId, projectName } = useProject();
+  const { labels, mutate } = useLabels(projectId);
+  const canEdit = usePermission(RESOURCES.PROJECTS, ACTIONS.UPDATE);
+
+  const [name, setName] = useState("");
+  const [color, setColor] = useState("gray");
+  const [isSaving, setIsSaving] = useState(false);
+
+  if (!projectId) {
+    return <p className="text-gray-400">Select a project to manage its labels.</p>;
+  }
+
+  const request = async (url, method, body) => {
+    setIsSaving(true);
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to save label");
+      }
+      mutate();
+      return true;
+    } catch (err) {
+      toast.error(err.message);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    if (await request("/api/labels", "POST", { projectId, name, color })) {
+      setName("");
+      setColor("gray");
+    }
+  };
+
+  const handleDelete = (label) => {
+    const usage = label._count?.tasks ? ` It is used by ${label._count.tasks} task(s).` : "";
+    if (!confirm(`Delete label "${label.name}"?${usage}`)) return;
+    request(`/api/labels/${label.id}`, "DELETE");
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-gray-400 text-sm">{projectName}</p>
+
+      {labels.length === 0 && <p className="text-gray-500 text-sm">No labels yet</p>}
+
+      <ul className="space-y-2">
+        {labels.map((label) => (
+          <li key={label.id} className="flex items-center gap-3">
+            <LabelChip label={label} />
+            <span className="flex-1 text-gray-500 text-sm">{label._count?.tasks ?? 0} tasks</span>
+            {canEdit && (
+              <>
+                <select
+                  aria-label={`Color of ${label.name}`}
+                  value={label.color}
+                  onChange={(e) =>
+                    request(`/api/labels/${label.id}`, "PUT", { color: e.target.value })
+                  }
+                  disabled={isSaving}
+                  className={inputClass}
+                >
+                  {STATUS_COLORS.map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => handleDelete(label)}
+                  disabled={isSaving}
+                  className="px-2 py-1 text-gray-400 hover:text-red-400"
+                  aria-label={`Delete ${label.name}`}
+                >
+                  ✕
+                </button>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canEdit && (
+        <form onSubmit={handleCreate} className="flex flex-wrap gap-2">
+          <input
+            aria-label="Label name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={30}
+            placeholder="New label"
+            className={`${inputClass} flex-1 min-w-32`}
+          />
+          <select
+            aria-label="Label color"
+            value={color}
+            onChange={(e) => setColor(e.target.value)}
+            className={inputClass}
+          >
+            {STATUS_COLORS.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={isSaving || !name.trim()}
+            className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-700 border border-gray-700 transition-colors disabled:opacity-50"
+          >
+            Add label
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import useSWR from "swr";
+import { fetcher } from "@/lib/fetcher";
+import { findMentionQuery } from "@/lib/mentions";
+
+const MAX_SUGGESTIONS = 8;
+const DEBOUNCE_MS = 200;
+
+/**
+ * MentionTextarea Component
+ *
+ * Textarea that suggests users (GET /api/users) after "@" is typed.
+ * Picking one inserts `@Name` and adds the user to `mentions`; callers turn
+ * the text into mention markup on submit with encodeMentions(value, mentions)
+ * from lib/mentions.js. Arrow keys move through suggestions, Enter or Tab
+ * picks one, Escape closes the list.
+ *
+ * Props:
+ * - value: string
+ * - onChange: function(value: string)
+ * - mentions: Array<{id, name}> - Users picked so far
+ * - onMentionsChange: function(mentions)
+ * - Any other props are passed to the textarea
+ */
+export default function MentionTextarea({
+  value,
+  onChange,
+  mentions,
+  onMentionsChange,
+  onKeyDown,
+  id,
+  ...textareaProps
+}) {
+  const textareaRef = useRef(null);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [search, setSearch] = useState("");
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  // Debounce the query so every keystroke doesn't hit the database
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(mentionQuery?.query ?? ""), DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [mentionQuery]);
+
+  const { data } = useSWR(
+    mentionQuery
+      ? `/api/users?limit=${MAX_SUGGESTIONS}${search ? `&search=${encodeURIComponent(search)}` : ""}`
+      : null,
+    fetcher,
+    { keepPreviousData: true, revalidateOnFocus: false }
+  );
+  const suggestions = mentionQuery ? data?.data?.users || [] : [];
+  const showSuggestions = suggestions.length > 0;
+  const listId = `${id}-mentions`;
+
+  const updateQuery = (textarea) => {
+    setMentionQuery(findMentionQuery(textarea.value, textarea.selectionStart));
+    setActiveIndex(0);
+  };
+
+  const pick = (user) => {
+    const textarea = textareaRef.current;
+    const caret = textarea.selectionStart;
+    const inserted = `@${user.name} `;
+    const next = value.slice(0, mentionQuery.start) + inserted + value.slice(caret);
+
+    onChange(next);
+    if (!mentions.some((mention) => mention.id === user.id)) {
+      onMentionsChange([...mentions, { id: user.id, name: user.name }]);
+    }
+    setMentionQuery(null);
+
+    const position = mentionQuery.start + inserted.length;
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(position, position);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (showSuggestions) {
+      if (e.key === "ArrowDown") {
+        e.preventDefault();
+        setActiveIndex((index) => (index + 1) % suggestions.length);
+        return;
+      }
+      if (e.key === "ArrowUp") {
+        e.preventDefault();
+        setActiveIndex((index) => (index <= 0 ? suggestions.length - 1 : index - 1));
+        return;
+      }
+      if (e.key === "Enter" || e.key === "Tab") {
+        e.preventDefault();
+        pick(suggestions[Math.min(activeIndex, suggestions.length - 1)]);
+        return;
+      }
+      if (e.key === "Escape") {
+        // Close the list without cancelling the surrounding form
+        e.preventDefault();
+        setMentionQuery(null);
+        return;
+      }
+    }
+    onKeyDown?.(e);
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        {...textareaProps}
+        id={id}
+        ref={textareaRef}
+        value={value}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showSuggestions}
+        aria-controls={listId}
+        aria-activedescendant={showSuggestions ? `${listId}-${activeIndex}` : undefined}
+        onChange={(e) => {
+          onChange(e.target.value);
+          updateQuery(e.target);
+        }}
+        onClick={(e) => updateQuery(e.target)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setMentionQuery(null)}
+      />
+
+      {showSuggestions && (
+        <ul
+          id={listId}
+          role="listbox"
+          aria-label="Mention a user"
+          className="absolute z-50 mt-1 w-64 max-h-64 overflow-y-auto bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg"
+        >
+          {suggestions.map((user, index) => (
+            <li
+              key={user.id}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // mousedown fires before the textarea's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pick(user);
+              }}
+              className={`px-3 py-2 cursor-pointer text-sm ${
+                index === activeIndex
+                  ? "bg-gray-100 dark:bg-gray-800"
+                  : "hover:bg-gray-50 dark:hover:bg-gray-800/60"
+              }`}
+            >
+              <p className="text-gray-900 dark:text-white font-medium truncate">{user.name}</p>
+              <p className="text-gray-500 text-xs truncate">{user.email}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import useSWR from "swr";
+import toast from "react-hot-toast";
+import { fetcher } from "@/lib/fetcher";
+import { NOTIFICATION_TYPES } from "@/lib/notifications";
+
+const NOTIFICATIONS_KEY = "/api/notifications";
+
+// Live updates revalidate the bell on pages that stream events; poll as a fallback
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const describeNotification = (notification) => {
+  const actor = notification.actor?.name || "Someone";
+  const where = notification.commentId ? "a comment on" : "the description of";
+  if (notification.type === NOTIFICATION_TYPES.MENTION) {
+    return `${actor} mentioned you in ${where} "${notification.task?.title}"`;
+  }
+  return `${actor} updated "${notification.task?.title}"`;
+};
+
+/**
+ * NotificationBell Component
+ *
+ * Header button with the unread notification count and a dropdown of recent
+ * notifications (GET /api/notifications). Opening a notification marks it
+ * read and goes to its task; "Mark all read" clears the count
+ * (POST /api/notifications/read).
+ */
+export default function NotificationBell() {
+  const router = useRouter();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const { data, mutate } = useSWR(NOTIFICATIONS_KEY, fetcher, {
+    refreshInterval: REFRESH_INTERVAL_MS,
+    shouldRetryOnError: false,
+  });
+  const notifications = data?.data?.notifications || [];
+  const unreadCount = data?.data?.unreadCount || 0;
+
+  const markRead = async (ids) => {
+    try {
+      const response = await fetch("/api/notifications/read", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify(ids ? { ids } : {}),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to update notifications");
+      }
+      mutate();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const open = (notification) => {
+    setIsOpen(false);
+    if (!notification.readAt) markRead([notification.id]);
+    if (notification.task) router.push(`/tasks/${notification.task.id}`);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen((current) => !current)}
+        aria-expanded={isOpen}
+        aria-haspopup="true"
+        aria-label={unreadCount ? `Notifications, ${unreadCount} unread` : "Notifications"}
+        title="Notifications"
+        className="relative w-10 h-10 rounded-lg bg-gray-800 dark:bg-gray-700 hover:bg-gray-700 dark:hover:bg-gray-600 transition-colors flex items-center justify-center"
+      >
+        <svg
+          className="w-5 h-5 text-gray-200"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"
+          />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-5 h-5 px-1 rounded-full bg-red-600 text-white text-xs font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? "99+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div
+          className="absolute right-0 z-50 mt-2 w-80 bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg"
+          onKeyDown={(e) => e.key === "Escape" && setIsOpen(false)}
+        >
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100 dark:border-gray-800">
+            <h2 className="text-sm font-semibold text-gray-900 dark:text-white">Notifications</h2>
+            {unreadCount > 0 && (
+              <button
+                type="button"
+                onClick={() => markRead()}
+                className="text-xs text-brand hover:underline"
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-gray-500">No notifications yet</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto">
+              {notifications.map((notification) => (
+                <li key={notification.id}>
+                  <button
+                    type="button"
+                    onClick={() => open(notification)}
+                    className="w-full text-left px-4 py-3 border-b last:border-b-0 border-gray-100 dark:border-gray-800 hover:bg-gray-50 dark:hover:bg-gray-800/60 flex gap-3"
+                  >
+                    <span
+                      aria-hidden="true"
+                      className={`mt-1.5 w-2 h-2 rounded-full shrink-0 ${
+                        notification.readAt ? "bg-transparent" : "bg-brand"
+                      }`}
+                    />
+                    <span>
+                      <span
+                        className={`block text-sm ${
+                          notification.readAt
+                            ? "text-gray-600 dark:text-gray-400"
+                            : "text-gray-900 dark:text-white font-medium"
+                        }`}
+                      >
+                        {describeNotification(notification)}
+                      </span>
+                      <span className="block text-xs text-gray-500 mt-0.5">
+                        {formatDateTime(notification.createdAt)}
+                      </span>
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
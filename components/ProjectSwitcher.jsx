@@ -0,0 +1,38 @@
+"use client";
+
+import { useProject } from "@/hooks/useProject";
+
+/**
+ * ProjectSwitcher Component
+ *
+ * Dropdown in the (main) layout that selects which project the
+ * dashboard Kanban and the tasks table are showing.
+ *
+ * Props:
+ * - className?: string - Extra classes for the wrapper
+ */
+export default function ProjectSwitcher({ className = "" }) {
+  const { projects, projectId, selectProject, isLoading } = useProject();
+
+  return (
+    <div className={className}>
+      <label htmlFor="project-switcher" className="sr-only">
+        Current project
+      </label>
+      <select
+        id="project-switcher"
+        value={projectId || ""}
+        onChange={(e) => selectProject(e.target.value || null)}
+        disabled={isLoading}
+        className="w-full px-3 py-2 bg-gray-100 dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-brand disabled:opacity-50"
+      >
+        <option value="">All projects</option>
+        {projects.map((project) => (
+          <option key={project.id} value={project.id}>
+            {project.key} · {project.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+"use client";
+
+import { useEffect, useRef } from "react";
+import useSWR from "swr";
+import { fetcher } from "@/lib/fetcher";
+import { extractMentionIds } from "@/lib/mentions";
+import { sanitizeHTML } from "@/components/SafeRender";
+
+// Same key as the assignee pickers, so SWR shares one request
+const USERS_KEY = "/api/users?limit=100";
+
+/**
+ * RichText Component
+ *
+ * Renders a description or comment from its server-rendered HTML
+ * (descriptionHtml / contentHtml, see lib/markdown.js), sanitized again on the
+ * client. @mentions are styled as chips and show the mentioned user's current
+ * name once the user list has loaded.
+ *
+ * Props:
+ * - html: string|null - Rendered Markdown
+ * - className?: string - Extra classes for the wrapper
+ */
+export default function RichText({ html, className = "" }) {
+  const ref = useRef(null);
+  const hasMentions = extractMentionIds(html).length > 0;
+
+  const { data: usersData } = useSWR(hasMentions ? USERS_KEY : null, fetcher, {
+    revalidateOnFocus: false,
+    shouldRetryOnError: false,
+  });
+  const users = usersData?.data?.users;
+
+  // The markup holds the name at the time of the mention; show the current one
+  useEffect(() => {
+    if (!ref.current || !users) return;
+
+    const names = new Map(users.map((user) => [user.id, user.name]));
+    for (const chip of ref.current.querySelectorAll("[data-mention]")) {
+      const name = names.get(chip.getAttribute("data-mention"));
+      if (name) chip.textContent = `@${name}`;
+    }
+  }, [html, users]);
+
+  return (
+    <div
+      ref={ref}
+      className={`rich-text ${className}`}
+      dangerouslySetInnerHTML={{ __html: sanitizeHTML(html) }}
+    />
+  );
+}
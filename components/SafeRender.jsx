@@ -50,8 +50,28 @@ export function sanitizeHTML(html) {
       "a",
       "span",
       "div",
+      "del",
+      "hr",
+      "table",
+      "thead",
+      "tbody",
+      "tr",
+      "th",
+      "td",
+      "input",
+    ],
+    ALLOWED_ATTR: [
+      "href",
+      "title",
+      "target",
+      "rel",
+      "class",
+      "data-mention",
+      "align",
+      "type",
+      "checked",
+      "disabled",
     ],
-    ALLOWED_ATTR: ["href", "title", "target", "rel", "class"],
     ALLOWED_URI_REGEXP: /^(?:(?:https?|mailto):)/i,
   });
 }
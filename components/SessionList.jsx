@@ -0,0 +1,143 @@
+"use client";
+
+import { useState } from "react";
+import useSWR from "swr";
+import toast from "react-hot-toast";
+import { fetcher } from "@/lib/fetcher";
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * SessionList Component
+ *
+ * Signed-in devices with their browser, IP address, and when they signed in
+ * and were last active, each with a sign-out button.
+ *
+ * Without `userId` it lists the current user's sessions (GET
+ * /api/auth/sessions) and offers "Sign out all other sessions"; the current
+ * session is marked and ends through the normal logout instead. With
+ * `userId` it lists that user's sessions for admins (GET
+ * /api/admin/users/[id]/sessions) and offers "Sign out all sessions".
+ *
+ * Signed-out devices can't refresh their tokens; their current access
+ * token still works for up to 15 minutes.
+ *
+ * @param {object} props
+ * @param {string} [props.userId] - User to manage (admins only)
+ */
+export default function SessionList({ userId }) {
+  const baseUrl = userId ? `/api/admin/users/${userId}/sessions` : "/api/auth/sessions";
+  const { data, error, isLoading, mutate } = useSWR(baseUrl, fetcher);
+  const [pending, setPending] = useState(null);
+  const sessions = data?.data?.sessions || [];
+
+  const request = async (url, key, success, failure) => {
+    setPending(key);
+    try {
+      const response = await fetch(url, { method: "DELETE", credentials: "include" });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || failure);
+      }
+      toast.success(success);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setPending(null);
+      mutate();
+    }
+  };
+
+  const handleRevoke = (session) => {
+    const url = userId ? `${baseUrl}/${session.id}` : `/api/auth/sessions/${session.id}`;
+    request(url, session.id, `Signed out ${session.device}`, "Failed to sign out session");
+  };
+
+  const handleRevokeAll = () => {
+    const question = userId
+      ? "Sign this user out of all sessions?"
+      : "Sign out all other sessions?";
+    if (!confirm(question)) return;
+    request(
+      baseUrl,
+      "all",
+      userId ? "Signed out of all sessions" : "Signed out of all other sessions",
+      "Failed to sign out sessions"
+    );
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Loading sessions...</p>;
+  }
+
+  if (error) {
+    return (
+      <p className="text-sm text-red-600 dark:text-red-400" role="alert">
+        {error.info?.message || "Failed to load sessions"}
+      </p>
+    );
+  }
+
+  const others = sessions.filter((session) => !session.current);
+
+  return (
+    <div className="space-y-3">
+      {sessions.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No active sessions.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-800 border border-gray-200 dark:border-gray-800 rounded-lg">
+          {sessions.map((session) => (
+            <li key={session.id} className="flex items-center justify-between gap-4 p-4">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900 dark:text-white" title={session.userAgent}>
+                  {session.device}
+                  {session.current && (
+                    <span className="ml-2 text-xs px-2 py-0.5 rounded bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {session.ipAddress || "Unknown IP"} · Signed in{" "}
+                  {formatDateTime(session.createdAt)} · Last active{" "}
+                  {formatDateTime(session.lastSeenAt)}
+                </p>
+              </div>
+              {!(session.current && !userId) && (
+                <button
+                  type="button"
+                  onClick={() => handleRevoke(session)}
+                  disabled={pending !== null}
+                  className="shrink-0 px-3 py-1.5 text-sm rounded-lg border border-gray-300 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {pending === session.id ? "Signing out..." : "Sign out"}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {(userId ? sessions.length > 0 : others.length > 0) && (
+        <button
+          type="button"
+          onClick={handleRevokeAll}
+          disabled={pending !== null}
+          className="px-4 py-2 text-sm rounded-lg bg-red-600 hover:bg-red-700 text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {pending === "all"
+            ? "Signing out..."
+            : userId
+              ? "Sign out all sessions"
+              : "Sign out all other sessions"}
+        </button>
+      )}
+    </div>
+  );
+}
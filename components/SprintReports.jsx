@@ -0,0 +1,74 @@
+"use client";
+
+import useSWR from "swr";
+import { fetcher } from "@/lib/fetcher";
+import BurndownChart from "@/components/BurndownChart";
+import VelocityChart from "@/components/VelocityChart";
+
+/**
+ * SprintReports Component
+ *
+ * Dashboard panel with the active sprint's burndown and the project's velocity.
+ * Connected to /api/reports/burndown and /api/reports/velocity
+ *
+ * Props:
+ * - projectId: string - Project to report on
+ * - velocitySprints?: number - How many closed sprints to show (default: 6)
+ */
+export default function SprintReports({ projectId, velocitySprints = 6 }) {
+  const query = `projectId=${encodeURIComponent(projectId)}`;
+
+  const { data: burndownData, error: burndownError } = useSWR(
+    `/api/reports/burndown?${query}`,
+    fetcher,
+    { revalidateOnFocus: false }
+  );
+  const { data: velocityData, error: velocityError } = useSWR(
+    `/api/reports/velocity?${query}&limit=${velocitySprints}`,
+    fetcher,
+    { revalidateOnFocus: false }
+  );
+
+  const burndown = burndownData?.data;
+  const velocity = velocityData?.data;
+  const velocityMetric = velocity?.sprints?.some((s) => s.committedPoints > 0) ? "points" : "tasks";
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+      <div className="bg-gray-900 rounded-lg p-4">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-white font-semibold">Burndown</h2>
+          <span className="text-gray-500 text-sm">
+            {burndown?.sprint ? `${burndown.sprint.name} • ${burndown.metric}` : "No active sprint"}
+          </span>
+        </div>
+        {burndownError ? (
+          <p className="text-red-300 text-sm">Failed to load burndown</p>
+        ) : burndown?.sprint ? (
+          <BurndownChart days={burndown.days} metric={burndown.metric} />
+        ) : (
+          <p className="text-gray-500 text-sm py-8 text-center">
+            Start a sprint to see its burndown
+          </p>
+        )}
+      </div>
+
+      <div className="bg-gray-900 rounded-lg p-4">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-white font-semibold">Velocity</h2>
+          {velocity?.sprints?.length > 0 && (
+            <span className="text-gray-500 text-sm">
+              avg {velocityMetric === "points" ? velocity.averagePoints : velocity.averageTasks}{" "}
+              {velocityMetric}/sprint
+            </span>
+          )}
+        </div>
+        {velocityError ? (
+          <p className="text-red-300 text-sm">Failed to load velocity</p>
+        ) : (
+          <VelocityChart sprints={velocity?.sprints} metric={velocityMetric} />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,25 +1,44 @@
-export function StatusBadge({ status }) {
-  const statusConfig = {
-    Todo: {
-      color: 'text-gray-400',
-      dot: 'bg-gray-500'
-    },
-    'In Progress': {
-      color: 'text-blue-400',
-      dot: 'bg-blue-500'
-    },
-    Done: {
-      color: 'text-green-400',
-      dot: 'bg-green-500'
-    }
-  };
+import { DEFAULT_WORKFLOW, findStatus } from "@/lib/workflow";
 
-  const config = statusConfig[status] || statusConfig.Todo;
+/**
+ * Tailwind classes for each workflow palette color (see STATUS_COLORS).
+ * Spelled out in full so Tailwind keeps them in the build.
+ */
+export const STATUS_COLOR_CLASSES = {
+  gray: { color: "text-gray-400", dot: "bg-gray-500" },
+  blue: { color: "text-blue-400", dot: "bg-blue-500" },
+  green: { color: "text-green-400", dot: "bg-green-500" },
+  yellow: { color: "text-yellow-400", dot: "bg-yellow-500" },
+  orange: { color: "text-orange-400", dot: "bg-orange-500" },
+  red: { color: "text-red-400", dot: "bg-red-500" },
+  purple: { color: "text-purple-400", dot: "bg-purple-500" },
+  teal: { color: "text-teal-400", dot: "bg-teal-500" },
+};
+
+// Used for statuses from another project's workflow
+const CATEGORY_COLORS = { todo: "gray", doing: "blue", done: "green" };
+
+/**
+ * Resolve the display name and color classes for a status key
+ * @param {string} status - Status key
+ * @param {Array} [workflow] - Statuses from useWorkflow()
+ * @param {string} [category] - Task's statusCategory, used when the key is not in the workflow
+ * @returns {{name: string, color: string, dot: string}}
+ */
+export function statusDisplay(status, workflow = DEFAULT_WORKFLOW, category) {
+  const config = findStatus(workflow, status);
+  const color = config?.color || CATEGORY_COLORS[category] || "gray";
+
+  return { name: config?.name || status, ...STATUS_COLOR_CLASSES[color] };
+}
+
+export function StatusBadge({ status, workflow, category }) {
+  const config = statusDisplay(status, workflow, category);
 
   return (
     <span className={`inline-flex items-center gap-1 ${config.color}`}>
       <span className={`w-2 h-2 ${config.dot} rounded-full`}></span>
-      {status}
+      {config.name}
     </span>
   );
 }
@@ -0,0 +1,130 @@
+"use client";
+
+import { useState } from "react";
+import toast from "react-hot-toast";
+
+/**
+ * TaskChecklist Component
+ *
+ * Lightweight to-do items inside a task. Items can be toggled, added and
+ * removed without creating full tasks.
+ * Connected to /api/tasks/[id]/checklist
+ *
+ * Props:
+ * - taskId: string - Task the checklist belongs to
+ * - items: Array<{id, content, done}> - Current items (from GET /api/tasks/[id])
+ * - progress?: {done, total, percent} - Checklist roll-up
+ * - onChange: function - Called after a change so the parent can revalidate
+ */
+export default function TaskChecklist({ taskId, items = [], progress, onChange }) {
+  const [newItem, setNewItem] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const request = async (url, method, body) => {
+    const response = await fetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Checklist update failed");
+    }
+    return data;
+  };
+
+  const handleToggle = async (item) => {
+    try {
+      await request(`/api/tasks/${taskId}/checklist/${item.id}`, "PATCH", { done: !item.done });
+      onChange?.();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleDelete = async (item) => {
+    try {
+      await request(`/api/tasks/${taskId}/checklist/${item.id}`, "DELETE");
+      onChange?.();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newItem.trim()) return;
+
+    setIsSaving(true);
+    try {
+      await request(`/api/tasks/${taskId}/checklist`, "POST", { content: newItem });
+      setNewItem("");
+      onChange?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-6 border border-gray-800">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-white font-semibold">Checklist</h2>
+        {progress?.total > 0 && (
+          <span className="text-gray-400 text-sm">
+            {progress.done}/{progress.total} done
+          </span>
+        )}
+      </div>
+
+      <ul className="space-y-2">
+        {items.map((item) => (
+          <li key={item.id} className="flex items-center gap-3 group">
+            <input
+              type="checkbox"
+              id={`checklist-${item.id}`}
+              checked={item.done}
+              onChange={() => handleToggle(item)}
+              className="w-4 h-4 accent-green-500"
+            />
+            <label
+              htmlFor={`checklist-${item.id}`}
+              className={`flex-1 ${item.done ? "text-gray-500 line-through" : "text-gray-300"}`}
+            >
+              {item.content}
+            </label>
+            <button
+              onClick={() => handleDelete(item)}
+              className="opacity-0 group-hover:opacity-100 focus:opacity-100 text-gray-500 hover:text-red-400 text-sm transition-opacity"
+              aria-label={`Remove "${item.content}"`}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleAdd} className="mt-4 flex gap-2">
+        <label htmlFor="new-checklist-item" className="sr-only">
+          New checklist item
+        </label>
+        <input
+          id="new-checklist-item"
+          value={newItem}
+          onChange={(e) => setNewItem(e.target.value)}
+          placeholder="Add an item..."
+          className="flex-1 px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={isSaving || !newItem.trim()}
+          className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-700 border border-gray-700 transition-colors disabled:opacity-50"
+        >
+          Add
+        </button>
+      </form>
+    </div>
+  );
+}
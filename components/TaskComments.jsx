@@ -0,0 +1,81 @@
+"use client";
+
+import { useEffect } from "react";
+import useSWR from "swr";
+import { fetcher } from "@/lib/fetcher";
+import { PermissionGuard } from "@/hooks/usePermissions";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { findStatus } from "@/lib/workflow";
+import { describeTaskEvent, mergeActivity } from "@/lib/tasks/activity";
+import CommentForm from "@/components/CommentForm";
+import CommentThread from "@/components/CommentThread";
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// One change log entry, as a single line under the comments' avatar column
+const EventEntry = ({ event, statusName }) => (
+  <div className="flex items-baseline gap-3 text-sm pl-11">
+    <p className="text-gray-400">
+      <span className="text-gray-200 font-medium">{event.actor?.name || "Someone"}</span>{" "}
+      {describeTaskEvent(event, { statusName })}
+    </p>
+    <span className="text-gray-500 text-xs shrink-0">{formatDateTime(event.createdAt)}</span>
+  </div>
+);
+
+/**
+ * TaskComments Component
+ *
+ * The task's Activity feed: comment threads interleaved with its change log
+ * (GET /api/tasks/[id]/activity), newest first, below a form to add a comment.
+ * The form is shown to users with task update permission and posts to
+ * POST /api/comments; the author is taken from the session. Replies and
+ * reactions are handled by CommentThread.
+ *
+ * Props:
+ * - task: object - Task from GET /api/tasks/[id] (with comment threads)
+ * - workflow: array - The task's project workflow, for status names
+ * - onChange: function - Called after any comment change (post, reply, reaction, edit, delete) so the parent can revalidate
+ */
+export default function TaskComments({ task, workflow = [], onChange }) {
+  const { data: activityData, mutate: mutateActivity } = useSWR(
+    `/api/tasks/${task.id}/activity?limit=100`,
+    fetcher
+  );
+
+  // Every change to the task bumps updatedAt, so its log has new entries
+  useEffect(() => {
+    mutateActivity();
+  }, [task.updatedAt, mutateActivity]);
+
+  const statusName = (key) => findStatus(workflow, key)?.name || key;
+  const feed = mergeActivity(activityData?.data?.events, task.comments);
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-6 border border-gray-800">
+      <h2 className="text-white font-semibold mb-4">Activity</h2>
+      <PermissionGuard resource={RESOURCES.TASKS} action={ACTIONS.UPDATE}>
+        <div className="mb-6">
+          <CommentForm taskId={task.id} onPosted={() => onChange?.()} />
+        </div>
+      </PermissionGuard>
+
+      <div className="space-y-4">
+        {feed.length === 0 && <p className="text-gray-500">No activity yet</p>}
+        {feed.map(({ type, id, item }) =>
+          type === "event" ? (
+            <EventEntry key={`event-${id}`} event={item} statusName={statusName} />
+          ) : (
+            <CommentThread key={id} comment={item} taskId={task.id} onChange={onChange} />
+          )
+        )}
+      </div>
+    </div>
+  );
+}
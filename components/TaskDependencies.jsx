@@ -0,0 +1,177 @@
+"use client";
+
+import Link from "next/link";
+import useSWR from "swr";
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { fetcher } from "@/lib/fetcher";
+
+// Dots by status category, since linked tasks may use another project's workflow
+const categoryDots = {
+  todo: "bg-gray-500",
+  doing: "bg-blue-500",
+  done: "bg-green-500",
+};
+
+function DependencyList({ title, links, side, onRemove }) {
+  return (
+    <div>
+      <p className="text-gray-400 text-sm mb-2">{title}</p>
+      {links.length === 0 ? (
+        <p className="text-gray-500 text-sm">None</p>
+      ) : (
+        <ul className="space-y-2">
+          {links.map((link) => {
+            const other = link[side];
+            return (
+              <li key={link.id} className="flex items-center gap-3">
+                <span
+                  className={`w-2 h-2 rounded-full ${categoryDots[other.statusCategory] || "bg-gray-500"}`}
+                  title={other.status}
+                ></span>
+                <Link
+                  href={`/tasks/${other.id}`}
+                  className={`flex-1 hover:text-blue-400 transition-colors ${
+                    other.statusCategory === "done" ? "text-gray-500 line-through" : "text-gray-300"
+                  }`}
+                >
+                  {other.title}
+                </Link>
+                <button
+                  onClick={() => onRemove(link)}
+                  className="text-gray-500 hover:text-red-400 text-sm"
+                  aria-label={`Remove link to ${other.title}`}
+                >
+                  ✕
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * TaskDependencies Component
+ *
+ * Shows "blocked by" / "blocks" links for a task and lets users add or remove them.
+ * Candidate tasks come from the same project.
+ *
+ * Props:
+ * - task: object - Task from GET /api/tasks/[id] (with blockedBy / blocks)
+ * - onChange: function - Called after a change so the parent can revalidate
+ */
+export default function TaskDependencies({ task, onChange }) {
+  const [relation, setRelation] = useState("blockerId");
+  const [otherId, setOtherId] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const query = task.projectId ? `projectId=${task.projectId}&` : "";
+  const { data } = useSWR(`/api/tasks?${query}limit=100`, fetcher);
+
+  const blockedBy = task.blockedBy || [];
+  const blocks = task.blocks || [];
+  const linkedIds = new Set([
+    task.id,
+    ...blockedBy.map((link) => link.blocker.id),
+    ...blocks.map((link) => link.blocked.id),
+  ]);
+  const candidates = (data?.data?.tasks || []).filter((t) => !linkedIds.has(t.id));
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!otherId) return;
+
+    setIsSaving(true);
+    try {
+      const response = await fetch(`/api/tasks/${task.id}/dependencies`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ [relation]: otherId }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to add dependency");
+      }
+      setOtherId("");
+      onChange?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemove = async (link) => {
+    try {
+      const response = await fetch(`/api/tasks/${task.id}/dependencies/${link.id}`, {
+        method: "DELETE",
+        credentials: "include",
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to remove dependency");
+      }
+      onChange?.();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-6 border border-gray-800">
+      <h2 className="text-white font-semibold mb-4">Dependencies</h2>
+
+      <div className="grid grid-cols-2 gap-6">
+        <DependencyList
+          title="Blocked by"
+          links={blockedBy}
+          side="blocker"
+          onRemove={handleRemove}
+        />
+        <DependencyList title="Blocks" links={blocks} side="blocked" onRemove={handleRemove} />
+      </div>
+
+      <form onSubmit={handleAdd} className="mt-4 flex gap-2">
+        <label htmlFor="dependency-relation" className="sr-only">
+          Relation
+        </label>
+        <select
+          id="dependency-relation"
+          value={relation}
+          onChange={(e) => setRelation(e.target.value)}
+          className="px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="blockerId">Blocked by</option>
+          <option value="blockedId">Blocks</option>
+        </select>
+        <label htmlFor="dependency-task" className="sr-only">
+          Task
+        </label>
+        <select
+          id="dependency-task"
+          value={otherId}
+          onChange={(e) => setOtherId(e.target.value)}
+          className="flex-1 min-w-0 px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">Select a task...</option>
+          {candidates.map((candidate) => (
+            <option key={candidate.id} value={candidate.id}>
+              {candidate.title}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={isSaving || !otherId}
+          className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-700 border border-gray-700 transition-colors disabled:opacity-50"
+        >
+          Add
+        </button>
+      </form>
+    </div>
+  );
+}
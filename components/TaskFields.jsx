@@ -0,0 +1,211 @@
+"use client";
+
+import { useState } from "react";
+import useSWR from "swr";
+import toast from "react-hot-toast";
+import { fetcher } from "@/lib/fetcher";
+import { PermissionGuard } from "@/hooks/usePermissions";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { canTransition } from "@/lib/workflow";
+import { StatusBadge } from "@/components/StatusBadge";
+
+const priorityIcons = {
+  High: "🚨",
+  Medium: "⚠️",
+  Low: "🔽",
+};
+
+const PRIORITIES = ["Low", "Medium", "High"];
+
+const getInitials = (name) => {
+  if (!name) return "?";
+  return name
+    .split(" ")
+    .map((n) => n[0])
+    .join("")
+    .toUpperCase()
+    .slice(0, 2);
+};
+
+const selectClass =
+  "w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50";
+
+// <input type="date"> value for an ISO timestamp
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "");
+
+// Sidebar card: the editor for users who may update tasks, the plain value for everyone else
+const FieldCard = ({ label, htmlFor, editor, children }) => (
+  <div className="bg-gray-900 rounded-lg p-4 border border-gray-800">
+    <label htmlFor={htmlFor} className="block text-gray-400 text-sm mb-2">
+      {label}
+    </label>
+    <PermissionGuard resource={RESOURCES.TASKS} action={ACTIONS.UPDATE} fallback={children}>
+      {editor}
+    </PermissionGuard>
+  </div>
+);
+
+/**
+ * TaskFields Component
+ *
+ * Sidebar of the task detail page: status, priority, assignee and due date.
+ * Users with task update permission edit them in place; each change is saved
+ * on its own with PUT /api/tasks/[id]. Statuses the workflow doesn't allow
+ * moving to are disabled, and API warnings (e.g. a soft WIP limit) are shown
+ * as toasts.
+ *
+ * Props:
+ * - task: object - Task from GET /api/tasks/[id]
+ * - workflow: array - The task's project workflow (see useWorkflow)
+ * - onChange: function - Called after a change so the parent can revalidate
+ */
+export default function TaskFields({ task, workflow, onChange }) {
+  const [savingField, setSavingField] = useState(null);
+
+  const { data: usersData } = useSWR("/api/users?limit=100", fetcher, {
+    revalidateOnFocus: false,
+    shouldRetryOnError: false,
+  });
+  const users = usersData?.data?.users || [];
+
+  const saveField = async (field, value) => {
+    setSavingField(field);
+    try {
+      const response = await fetch(`/api/tasks/${task.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ [field]: value }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to update task");
+      }
+      (result.data.warnings || []).forEach((warning) => toast(warning.message, { icon: "⚠️" }));
+      onChange?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSavingField(null);
+    }
+  };
+
+  return (
+    <>
+      <FieldCard
+        label="STATUS"
+        htmlFor="task-status"
+        editor={
+          <select
+            id="task-status"
+            value={task.status}
+            onChange={(e) => saveField("status", e.target.value)}
+            disabled={savingField === "status"}
+            className={selectClass}
+          >
+            {workflow.map((status) => (
+              <option
+                key={status.key}
+                value={status.key}
+                disabled={!canTransition(workflow, task.status, status.key)}
+              >
+                {status.name}
+              </option>
+            ))}
+          </select>
+        }
+      >
+        <StatusBadge status={task.status} workflow={workflow} category={task.statusCategory} />
+      </FieldCard>
+
+      <FieldCard
+        label="PRIORITY"
+        htmlFor="task-priority"
+        editor={
+          <select
+            id="task-priority"
+            value={task.priority}
+            onChange={(e) => saveField("priority", e.target.value)}
+            disabled={savingField === "priority"}
+            className={selectClass}
+          >
+            {PRIORITIES.map((priority) => (
+              <option key={priority} value={priority}>
+                {priorityIcons[priority]} {priority}
+              </option>
+            ))}
+          </select>
+        }
+      >
+        <span className="flex items-center gap-2 text-white">
+          <span>{priorityIcons[task.priority]}</span>
+          {task.priority}
+        </span>
+      </FieldCard>
+
+      <FieldCard
+        label="ASSIGNED TO"
+        htmlFor="task-assignee"
+        editor={
+          <select
+            id="task-assignee"
+            value={task.assigneeId || ""}
+            onChange={(e) => saveField("assigneeId", e.target.value || null)}
+            disabled={savingField === "assigneeId"}
+            className={selectClass}
+          >
+            <option value="">Unassigned</option>
+            {/* Keep the current assignee selectable even if the user list hasn't loaded */}
+            {task.assignee && !users.some((u) => u.id === task.assignee.id) && (
+              <option value={task.assignee.id}>{task.assignee.name}</option>
+            )}
+            {users.map((u) => (
+              <option key={u.id} value={u.id}>
+                {u.name}
+              </option>
+            ))}
+          </select>
+        }
+      >
+        <div className="flex items-center gap-2">
+          <div className="w-8 h-8 bg-blue-600 rounded-full flex items-center justify-center text-white text-sm font-semibold">
+            {getInitials(task.assignee?.name)}
+          </div>
+          <p className="text-white font-medium">{task.assignee?.name || "Unassigned"}</p>
+        </div>
+      </FieldCard>
+
+      <FieldCard
+        label="DUE DATE"
+        htmlFor="task-due-date"
+        editor={
+          <div className="flex gap-2">
+            <input
+              id="task-due-date"
+              type="date"
+              value={toDateInput(task.dueDate)}
+              onChange={(e) => saveField("dueDate", e.target.value || null)}
+              disabled={savingField === "dueDate"}
+              className={selectClass}
+            />
+            {task.dueDate && (
+              <button
+                type="button"
+                onClick={() => saveField("dueDate", null)}
+                disabled={savingField === "dueDate"}
+                className="px-3 text-gray-400 hover:text-white disabled:opacity-50"
+                aria-label="Clear due date"
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        }
+      >
+        <p className="text-white">
+          {task.dueDate ? new Date(task.dueDate).toLocaleDateString() : "None"}
+        </p>
+      </FieldCard>
+    </>
+  );
+}
@@ -0,0 +1,91 @@
+"use client";
+
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { useLabels } from "@/hooks/useLabels";
+import { LabelChip } from "@/components/LabelChip";
+
+/**
+ * TaskLabels Component
+ *
+ * Shows a task's labels and lets users add or remove labels of its project.
+ * Changes are saved with PUT /api/tasks/[id] { labelIds }.
+ *
+ * Props:
+ * - task: object - Task from GET /api/tasks/[id] (with labels)
+ * - onChange: function - Called after a change so the parent can revalidate
+ */
+export default function TaskLabels({ task, onChange }) {
+  const { labels: projectLabels } = useLabels(task.projectId);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const labels = task.labels || [];
+  const candidates = projectLabels.filter((label) => !labels.some((l) => l.id === label.id));
+
+  const saveLabels = async (labelIds) => {
+    setIsSaving(true);
+    try {
+      const response = await fetch(`/api/tasks/${task.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ labelIds }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to update labels");
+      }
+      onChange?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAdd = (e) => {
+    if (!e.target.value) return;
+    saveLabels([...labels.map((label) => label.id), e.target.value]);
+  };
+
+  const handleRemove = (removed) =>
+    saveLabels(labels.filter((label) => label.id !== removed.id).map((label) => label.id));
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-6 border border-gray-800">
+      <h2 className="text-white font-semibold mb-4">Labels</h2>
+
+      {!task.projectId ? (
+        <p className="text-gray-500 text-sm">Only tasks in a project can have labels</p>
+      ) : (
+        <div className="flex flex-wrap items-center gap-2">
+          {labels.length === 0 && <span className="text-gray-500 text-sm">No labels</span>}
+          {labels.map((label) => (
+            <LabelChip key={label.id} label={label} onRemove={isSaving ? null : handleRemove} />
+          ))}
+          {candidates.length > 0 && (
+            <>
+              <label htmlFor="task-label-add" className="sr-only">
+                Add label
+              </label>
+              <select
+                id="task-label-add"
+                value=""
+                onChange={handleAdd}
+                disabled={isSaving}
+                className="px-3 py-1 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                <option value="">+ Add label</option>
+                {candidates.map((label) => (
+                  <option key={label.id} value={label.id}>
+                    {label.name}
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+"use client";
+
+import Link from "next/link";
+import { useState } from "react";
+import toast from "react-hot-toast";
+
+// Dots by status category, since linked tasks may use another project's workflow
+const categoryDots = {
+  todo: "bg-gray-500",
+  doing: "bg-blue-500",
+  done: "bg-green-500",
+};
+
+/**
+ * TaskSubtasks Component
+ *
+ * Lists a task's subtasks with a progress bar and lets users add new ones.
+ * Subtasks are full tasks created through POST /api/tasks with a parentId.
+ *
+ * Props:
+ * - task: object - Parent task (from GET /api/tasks/[id])
+ * - onChange: function - Called after a change so the parent can revalidate
+ */
+export default function TaskSubtasks({ task, onChange }) {
+  const [title, setTitle] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const subtasks = task.subtasks || [];
+  const progress = task.progress?.subtasks;
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+
+    setIsSaving(true);
+    try {
+      const response = await fetch("/api/tasks", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ title, parentId: task.id, projectId: task.projectId || null }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to add subtask");
+      }
+      setTitle("");
+      onChange?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-6 border border-gray-800">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-white font-semibold">Subtasks</h2>
+        {progress?.total > 0 && (
+          <span className="text-gray-400 text-sm">
+            {progress.done}/{progress.total} done
+          </span>
+        )}
+      </div>
+
+      {progress?.total > 0 && (
+        <div className="h-1.5 bg-gray-700 rounded-full overflow-hidden mb-4">
+          <div
+            className="h-full bg-green-500 transition-all"
+            style={{ width: `${progress.percent}%` }}
+          />
+        </div>
+      )}
+
+      <ul className="space-y-2">
+        {subtasks.map((subtask) => (
+          <li key={subtask.id} className="flex items-center gap-3">
+            <span
+              className={`w-2 h-2 rounded-full ${categoryDots[subtask.statusCategory] || "bg-gray-500"}`}
+              title={subtask.status}
+            ></span>
+            <Link
+              href={`/tasks/${subtask.id}`}
+              className={`flex-1 hover:text-blue-400 transition-colors ${
+                subtask.statusCategory === "done" ? "text-gray-500 line-through" : "text-gray-300"
+              }`}
+            >
+              {subtask.title}
+            </Link>
+            <span className="text-gray-500 text-sm">{subtask.assignee?.name || "Unassigned"}</span>
+          </li>
+        ))}
+      </ul>
+
+      {/* Subtasks are one level deep, so only top-level tasks can get new ones */}
+      {!task.parentId && (
+        <form onSubmit={handleAdd} className="mt-4 flex gap-2">
+          <label htmlFor="new-subtask" className="sr-only">
+            New subtask title
+          </label>
+          <input
+            id="new-subtask"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Add a subtask..."
+            className="flex-1 px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={isSaving || title.trim().length < 3}
+            className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-700 border border-gray-700 transition-colors disabled:opacity-50"
+          >
+            Add
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
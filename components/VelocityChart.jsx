@@ -0,0 +1,89 @@
+"use client";
+
+/**
+ * VelocityChart Component
+ *
+ * Plain SVG bar chart of committed vs. completed work per closed sprint.
+ *
+ * Props:
+ * - sprints: Array<object> - Velocity entries from /api/reports/velocity
+ * - metric: "points" | "tasks" - Which numbers to plot (default: "points")
+ * - height?: number - Chart height in px (default: 220)
+ */
+const WIDTH = 600;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 36 };
+
+export default function VelocityChart({ sprints, metric = "points", height = 220 }) {
+  if (!sprints || sprints.length === 0) {
+    return <p className="text-gray-500 text-sm py-8 text-center">No closed sprints yet</p>;
+  }
+
+  const committedKey = metric === "points" ? "committedPoints" : "committedTasks";
+  const completedKey = metric === "points" ? "completedPoints" : "completedTasks";
+
+  const maxValue = Math.max(1, ...sprints.map((s) => Math.max(s[committedKey], s[completedKey])));
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+
+  const groupWidth = plotWidth / sprints.length;
+  const barWidth = Math.min(28, groupWidth / 3);
+  const barHeight = (value) => (value / maxValue) * plotHeight;
+  const baseline = PADDING.top + plotHeight;
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${height}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label={`Velocity chart of committed and completed ${metric}`}
+    >
+      <line
+        x1={PADDING.left}
+        y1={baseline}
+        x2={WIDTH - PADDING.right}
+        y2={baseline}
+        className="stroke-gray-700"
+      />
+      <text x={4} y={PADDING.top + 4} className="fill-gray-500 text-[10px]">
+        {maxValue}
+      </text>
+
+      {sprints.map((sprint, i) => {
+        const center = PADDING.left + groupWidth * i + groupWidth / 2;
+        const committed = sprint[committedKey];
+        const completed = sprint[completedKey];
+
+        return (
+          <g key={sprint.sprintId}>
+            <rect
+              x={center - barWidth - 1}
+              y={baseline - barHeight(committed)}
+              width={barWidth}
+              height={barHeight(committed)}
+              className="fill-gray-600"
+            >
+              <title>{`${sprint.name}: ${committed} ${metric} committed`}</title>
+            </rect>
+            <rect
+              x={center + 1}
+              y={baseline - barHeight(completed)}
+              width={barWidth}
+              height={barHeight(completed)}
+              className="fill-green-500"
+            >
+              <title>{`${sprint.name}: ${completed} ${metric} completed`}</title>
+            </rect>
+            <text
+              x={center}
+              y={height - 8}
+              textAnchor="middle"
+              className="fill-gray-500 text-[10px]"
+            >
+              {sprint.name.length > 12 ? `${sprint.name.slice(0, 11)}…` : sprint.name}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
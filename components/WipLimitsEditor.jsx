@@ -0,0 +1,148 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { useProject } from "@/hooks/useProject";
+import { useWorkflow } from "@/hooks/useWorkflow";
+import { usePermission } from "@/hooks/usePermissions";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { MAX_WIP_LIMIT, WIP_LIMIT_MODE } from "@/lib/tasks/wipLimits";
+import { STATUS_COLOR_CLASSES } from "@/components/StatusBadge";
+
+const inputClass =
+  "px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50";
+
+// Limits as input strings ("" = no limit), keyed by status
+const toDrafts = (workflow) =>
+  Object.fromEntries(
+    workflow.map((status) => [status.key, status.wipLimit == null ? "" : String(status.wipLimit)])
+  );
+
+/**
+ * WipLimitsEditor Component
+ *
+ * Edits the work-in-progress limit of each board column of the project
+ * selected in the switcher, and whether limits are soft (warn) or strict
+ * (reject moves into a full column). Editable with project update permission
+ * (managers and admins); read-only for everyone else.
+ * Saved through PUT /api/projects/[id]/wip-limits.
+ */
+export default function WipLimitsEditor() {
+  const { projectId, projectName } = useProject();
+  const { workflow, wipLimitMode, mutate } = useWorkflow(projectId);
+  const canEdit = usePermission(RESOURCES.PROJECTS, ACTIONS.UPDATE);
+
+  const [limits, setLimits] = useState({});
+  const [mode, setMode] = useState(WIP_LIMIT_MODE.SOFT);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    setLimits(toDrafts(workflow));
+    setMode(wipLimitMode);
+  }, [workflow, wipLimitMode]);
+
+  if (!projectId) {
+    return <p className="text-gray-400">Select a project to configure its WIP limits.</p>;
+  }
+
+  const invalidStatus = workflow.find((status) => {
+    const value = limits[status.key];
+    if (!value) return false;
+    const limit = Number(value);
+    return !Number.isInteger(limit) || limit < 1 || limit > MAX_WIP_LIMIT;
+  });
+  const validationError = invalidStatus
+    ? `${invalidStatus.name}: limit must be a whole number from 1 to ${MAX_WIP_LIMIT}`
+    : null;
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const response = await fetch(`/api/projects/${projectId}/wip-limits`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          mode,
+          limits: Object.fromEntries(
+            workflow.map((status) => [
+              status.key,
+              limits[status.key] ? Number(limits[status.key]) : null,
+            ])
+          ),
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to save WIP limits");
+      }
+      toast.success("WIP limits saved");
+      mutate();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-gray-400 text-sm">{projectName}</p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {workflow.map((status) => (
+          <label
+            key={status.key}
+            className="flex items-center justify-between gap-3 bg-gray-800/50 rounded-lg px-4 py-3"
+          >
+            <span className="flex items-center gap-2 text-gray-300">
+              <span
+                className={`w-3 h-3 rounded-full ${(STATUS_COLOR_CLASSES[status.color] || STATUS_COLOR_CLASSES.gray).dot}`}
+              ></span>
+              {status.name}
+            </span>
+            <input
+              type="number"
+              min={1}
+              max={MAX_WIP_LIMIT}
+              value={limits[status.key] ?? ""}
+              onChange={(e) => setLimits((prev) => ({ ...prev, [status.key]: e.target.value }))}
+              disabled={!canEdit}
+              placeholder="No limit"
+              aria-label={`WIP limit for ${status.name}`}
+              className={`${inputClass} w-28`}
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <label className="flex items-center gap-3 text-sm text-gray-300">
+          Enforcement
+          <select
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            disabled={!canEdit}
+            className={inputClass}
+          >
+            <option value={WIP_LIMIT_MODE.SOFT}>Soft – warn when a column is over its limit</option>
+            <option value={WIP_LIMIT_MODE.STRICT}>Strict – block moves into a full column</option>
+          </select>
+        </label>
+
+        {canEdit && (
+          <div className="flex items-center gap-4">
+            {validationError && <p className="text-red-400 text-sm">{validationError}</p>}
+            <button
+              onClick={handleSave}
+              disabled={isSaving || Boolean(validationError)}
+              className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors disabled:opacity-50"
+            >
+              {isSaving ? "Saving..." : "Save limits"}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
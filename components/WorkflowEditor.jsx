@@ -0,0 +1,256 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { useProject } from "@/hooks/useProject";
+import { useWorkflow } from "@/hooks/useWorkflow";
+import { usePermission } from "@/hooks/usePermissions";
+import { RESOURCES, ACTIONS } from "@/lib/rbac";
+import { STATUS_CATEGORIES, STATUS_COLORS, mapStatus, validateWorkflow } from "@/lib/workflow";
+import { STATUS_COLOR_CLASSES } from "@/components/StatusBadge";
+
+const inputClass =
+  "px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50";
+
+// Editable copy of a status (server rows carry ids/timestamps we don't send back)
+const toDraft = (status) => ({
+  key: status.key,
+  name: status.name,
+  category: status.category,
+  color: status.color,
+  transitionsTo: status.transitionsTo || [],
+  isNew: false,
+});
+
+/**
+ * WorkflowEditor Component
+ *
+ * Edits the statuses (board columns) of the project selected in the switcher:
+ * names, categories, colors, order and allowed transitions.
+ * Tasks in removed statuses move to the first remaining status of the same category.
+ * Saved through PUT /api/projects/[id]/workflow.
+ */
+export default function WorkflowEditor() {
+  const { projectId, projectName } = useProject();
+  const { workflow, isDefault, mutate } = useWorkflow(projectId);
+  const canEdit = usePermission(RESOURCES.PROJECTS, ACTIONS.UPDATE);
+
+  const [statuses, setStatuses] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    setStatuses(workflow.map(toDraft));
+  }, [workflow]);
+
+  if (!projectId) {
+    return <p className="text-gray-400">Select a project to configure its workflow.</p>;
+  }
+
+  const update = (index, changes) =>
+    setStatuses((prev) =>
+      prev.map((status, i) => (i === index ? { ...status, ...changes } : status))
+    );
+
+  const move = (index, offset) =>
+    setStatuses((prev) => {
+      const next = [...prev];
+      const [status] = next.splice(index, 1);
+      next.splice(index + offset, 0, status);
+      return next;
+    });
+
+  const remove = (index) =>
+    setStatuses((prev) => {
+      const removedKey = prev[index].key;
+      return prev
+        .filter((_, i) => i !== index)
+        .map((status) => ({
+          ...status,
+          transitionsTo: status.transitionsTo.filter((key) => key !== removedKey),
+        }));
+    });
+
+  const toggleTransition = (index, key) => {
+    const current = statuses[index].transitionsTo;
+    update(index, {
+      transitionsTo: current.includes(key) ? current.filter((k) => k !== key) : [...current, key],
+    });
+  };
+
+  const add = () =>
+    setStatuses((prev) => [
+      ...prev,
+      { key: "", name: "", category: "doing", color: "gray", transitionsTo: [], isNew: true },
+    ]);
+
+  const validationError = statuses.some((status) => !status.key || !status.name.trim())
+    ? "Every status needs a key and a name"
+    : validateWorkflow(statuses);
+
+  const handleSave = async () => {
+    const keys = new Set(statuses.map((status) => status.key));
+    const remap = {};
+    for (const status of workflow) {
+      if (!keys.has(status.key)) {
+        remap[status.key] = mapStatus(statuses, status.key, status.category);
+      }
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await fetch(`/api/projects/${projectId}/workflow`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          statuses: statuses.map(({ key, name, category, color, transitionsTo }) => ({
+            key,
+            name,
+            category,
+            color,
+            transitionsTo,
+          })),
+          remap,
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to save workflow");
+      }
+      toast.success("Workflow saved");
+      mutate();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-gray-400 text-sm">
+        {projectName}
+        {isDefault && " • using the default workflow"}
+      </p>
+
+      {statuses.map((status, index) => (
+        <div key={index} className="bg-gray-800/50 rounded-lg p-4 space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <span
+              className={`w-3 h-3 rounded-full ${(STATUS_COLOR_CLASSES[status.color] || STATUS_COLOR_CLASSES.gray).dot}`}
+            ></span>
+            <input
+              aria-label="Status key"
+              value={status.key}
+              onChange={(e) => update(index, { key: e.target.value.replace(/[^A-Za-z0-9]/g, "") })}
+              disabled={!canEdit || !status.isNew}
+              placeholder="Key (e.g. InReview)"
+              className={`${inputClass} w-40`}
+            />
+            <input
+              aria-label="Status name"
+              value={status.name}
+              onChange={(e) => update(index, { name: e.target.value })}
+              disabled={!canEdit}
+              placeholder="Name"
+              className={`${inputClass} flex-1 min-w-32`}
+            />
+            <select
+              aria-label="Category"
+              value={status.category}
+              onChange={(e) => update(index, { category: e.target.value })}
+              disabled={!canEdit}
+              className={inputClass}
+            >
+              {STATUS_CATEGORIES.map((category) => (
+                <option key={category} value={category}>
+                  {category}
+                </option>
+              ))}
+            </select>
+            <select
+              aria-label="Color"
+              value={status.color}
+              onChange={(e) => update(index, { color: e.target.value })}
+              disabled={!canEdit}
+              className={inputClass}
+            >
+              {STATUS_COLORS.map((color) => (
+                <option key={color} value={color}>
+                  {color}
+                </option>
+              ))}
+            </select>
+            {canEdit && (
+              <div className="flex gap-1">
+                <button
+                  onClick={() => move(index, -1)}
+                  disabled={index === 0}
+                  className="px-2 py-1 text-gray-400 hover:text-white disabled:opacity-30"
+                  aria-label="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  onClick={() => move(index, 1)}
+                  disabled={index === statuses.length - 1}
+                  className="px-2 py-1 text-gray-400 hover:text-white disabled:opacity-30"
+                  aria-label="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  onClick={() => remove(index)}
+                  className="px-2 py-1 text-gray-400 hover:text-red-400"
+                  aria-label={`Remove ${status.name || "status"}`}
+                >
+                  ✕
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Allowed transitions: none checked = can move anywhere */}
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <span className="text-gray-500">Can move to:</span>
+            {statuses
+              .filter((other) => other.key && other.key !== status.key)
+              .map((other) => (
+                <label key={other.key} className="flex items-center gap-1 text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={status.transitionsTo.includes(other.key)}
+                    onChange={() => toggleTransition(index, other.key)}
+                    disabled={!canEdit}
+                  />
+                  {other.name || other.key}
+                </label>
+              ))}
+            {status.transitionsTo.length === 0 && <span className="text-gray-500">any status</span>}
+          </div>
+        </div>
+      ))}
+
+      {canEdit && (
+        <div className="flex items-center justify-between gap-4">
+          <button
+            onClick={add}
+            className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-700 border border-gray-700 transition-colors"
+          >
+            + Add status
+          </button>
+          <div className="flex items-center gap-4">
+            {validationError && <p className="text-red-400 text-sm">{validationError}</p>}
+            <button
+              onClick={handleSave}
+              disabled={isSaving || Boolean(validationError)}
+              className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors disabled:opacity-50"
+            >
+              {isSaving ? "Saving..." : "Save workflow"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
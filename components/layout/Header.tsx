@@ -4,6 +4,7 @@ import Link from "next/link";
 import { usePathname, useRouter } from "next/navigation";
 import Cookies from "js-cookie";
 import { useState, useEffect } from "react";
+import GlobalSearch from "@/components/GlobalSearch";
 
 /**
  * Header Component
@@ -11,6 +12,7 @@ import { useState, useEffect } from "react";
  * A reusable header component that provides:
  * - Application branding
  * - Main navigation links
+ * - Global task/comment search (signed-in users)
  * - Authentication status display
  * - Logout functionality
  *
@@ -110,6 +112,9 @@ export default function Header() {
             </Link>
           </nav>
 
+          {/* Search */}
+          {isAuthenticated && <GlobalSearch className="hidden lg:block w-64" />}
+
           {/* Auth Section */}
           <div className="flex items-center space-x-4">
             {isAuthenticated ? (
@@ -67,6 +67,12 @@ export function AuthProvider({ children }) {
     const userName = user?.name;
     setUser(null);
 
+    // End the server-side session and clear the HTTP-only token cookies
+    // (keepalive lets it finish when the caller navigates away right after)
+    fetch("/api/auth/logout", { method: "POST", credentials: "include", keepalive: true }).catch(
+      () => {}
+    );
+
     // Clear cookies
     Cookies.remove("user");
     Cookies.remove("token");
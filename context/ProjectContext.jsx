@@ -0,0 +1,85 @@
+"use client";
+
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import useSWR from "swr";
+import { fetcher } from "@/lib/fetcher";
+
+/**
+ * ProjectContext
+ *
+ * Tracks which project the (main) workspace is currently showing.
+ *
+ * Features:
+ * - Loads the project list from /api/projects via SWR
+ * - Persists the selected project in localStorage
+ * - Falls back to "All projects" (null projectId) when the saved one is gone or archived
+ */
+
+const ProjectContext = createContext(undefined);
+
+const STORAGE_KEY = "projectId";
+
+// Get saved project from localStorage (client-side only)
+function getInitialProjectId() {
+  if (typeof window === "undefined") return null;
+  return localStorage.getItem(STORAGE_KEY) || null;
+}
+
+export function ProjectProvider({ children }) {
+  const [selectedProjectId, setSelectedProjectId] = useState(getInitialProjectId);
+
+  const { data, error, isLoading, mutate } = useSWR("/api/projects", fetcher, {
+    revalidateOnFocus: false,
+  });
+
+  const projects = useMemo(() => data?.data?.projects || [], [data]);
+
+  // Trust the saved selection until the list loads, then only keep it if still available
+  const projectId =
+    !data || projects.some((p) => p.id === selectedProjectId) ? selectedProjectId : null;
+  const currentProject = projects.find((p) => p.id === projectId) || null;
+
+  // Persist selection to localStorage
+  useEffect(() => {
+    if (selectedProjectId) {
+      localStorage.setItem(STORAGE_KEY, selectedProjectId);
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  }, [selectedProjectId]);
+
+  const selectProject = useCallback((id) => {
+    console.log(`📁 Project switched to: ${id || "all"}`);
+    setSelectedProjectId(id || null);
+  }, []);
+
+  // Memoize context value to prevent unnecessary re-renders
+  const contextValue = useMemo(
+    () => ({
+      projects,
+      projectId,
+      currentProject,
+      selectProject,
+      isLoading,
+      error,
+      refreshProjects: mutate,
+    }),
+    [projects, projectId, currentProject, selectProject, isLoading, error, mutate]
+  );
+
+  return <ProjectContext.Provider value={contextValue}>{children}</ProjectContext.Provider>;
+}
+
+/**
+ * useProjectContext Hook
+ *
+ * Access project context in any component.
+ * Must be used within a ProjectProvider.
+ */
+export function useProjectContext() {
+  const context = useContext(ProjectContext);
+  if (!context) {
+    throw new Error("useProjectContext must be used within a ProjectProvider");
+  }
+  return context;
+}
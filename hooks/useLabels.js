@@ -0,0 +1,26 @@
+import useSWR from "swr";
+import { fetcher } from "@/lib/fetcher";
+
+/**
+ * useLabels Hook
+ *
+ * Loads a project's labels (alphabetical, with task counts).
+ * Returns an empty list while loading and when no project is given.
+ *
+ * @param {string|null} projectId
+ * @example
+ * const { labels } = useLabels(projectId);
+ */
+export function useLabels(projectId) {
+  const { data, error, isLoading, mutate } = useSWR(
+    projectId ? `/api/labels?projectId=${projectId}` : null,
+    fetcher
+  );
+
+  return {
+    labels: data?.data?.labels || [],
+    isLoading,
+    error,
+    mutate,
+  };
+}
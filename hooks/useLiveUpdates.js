@@ -0,0 +1,124 @@
+import { useEffect, useState } from "react";
+import { useSWRConfig } from "swr";
+import { refreshAccessToken } from "@/lib/token-refresh";
+import { EVENT_TYPES } from "@/lib/events/types";
+import { RECONNECT_DELAY_MS } from "@/lib/events/stream";
+import {
+  parseTaskCacheKey,
+  applyEventToTaskList,
+  eventAffectsTaskDetail,
+} from "@/lib/events/liveUpdates";
+
+// Upper bound for the retry delay after the stream is rejected (e.g. logged out)
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+const NOTIFICATIONS_PATH = "/api/notifications";
+
+/**
+ * useLiveUpdates Hook
+ *
+ * Subscribes to /api/events and applies task and comment events to every
+ * cached /api/tasks response, so boards and tables update without polling.
+ * Lists are patched in place where possible and revalidated otherwise; task
+ * details are revalidated, and notification events revalidate
+ * /api/notifications. After a reconnect all task data is revalidated,
+ * since events sent while disconnected are not replayed.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled] - Set to false to close the stream
+ * @returns {{connected: boolean}}
+ * @example
+ * useLiveUpdates();
+ * const { data } = useSWR(withProject("/api/tasks?limit=100"), fetcher);
+ */
+export function useLiveUpdates({ enabled = true } = {}) {
+  const { cache, mutate } = useSWRConfig();
+  const [connected, setConnected] = useState(false);
+
+  useEffect(() => {
+    if (!enabled || typeof EventSource === "undefined") return undefined;
+
+    let source = null;
+    let retryTimer = null;
+    let retryDelay = RECONNECT_DELAY_MS;
+    let hasConnected = false;
+    let stopped = false;
+
+    const applyEvent = (event) => {
+      // Only the recipient receives these; refresh the notification bell
+      if (event.type === EVENT_TYPES.NOTIFICATION_CREATED) {
+        mutate((key) => typeof key === "string" && key.startsWith(NOTIFICATIONS_PATH));
+        return;
+      }
+
+      for (const key of cache.keys()) {
+        const parsed = parseTaskCacheKey(key);
+        if (!parsed) continue;
+
+        if (parsed.kind === "detail") {
+          if (eventAffectsTaskDetail(parsed.taskId, event)) mutate(key);
+          continue;
+        }
+
+        const current = cache.get(key)?.data;
+        if (!current) continue;
+
+        const { data, revalidate } = applyEventToTaskList(current, parsed.params, event);
+        if (data !== current) {
+          mutate(key, data, { revalidate });
+        } else if (revalidate) {
+          mutate(key);
+        }
+      }
+    };
+
+    const handleMessage = (message) => {
+      try {
+        applyEvent(JSON.parse(message.data));
+      } catch (error) {
+        console.error("❌ Failed to apply live update:", error);
+      }
+    };
+
+    const connect = () => {
+      source = new EventSource("/api/events", { withCredentials: true });
+
+      source.onopen = () => {
+        setConnected(true);
+        retryDelay = RECONNECT_DELAY_MS;
+        // Catch up on changes made while the stream was down
+        if (hasConnected) mutate((key) => parseTaskCacheKey(key) !== null);
+        hasConnected = true;
+      };
+
+      for (const type of Object.values(EVENT_TYPES)) {
+        source.addEventListener(type, handleMessage);
+      }
+
+      source.onerror = () => {
+        setConnected(false);
+        // EventSource retries dropped connections itself, but gives up when the
+        // response is an error (e.g. 401 after the access token expired)
+        if (source.readyState !== EventSource.CLOSED) return;
+
+        source.close();
+        retryTimer = setTimeout(async () => {
+          await refreshAccessToken();
+          if (!stopped) connect();
+        }, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS);
+      };
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      source?.close();
+      setConnected(false);
+    };
+  }, [enabled, cache, mutate]);
+
+  return { connected };
+}
@@ -0,0 +1,36 @@
+import { useProjectContext } from "@/context/ProjectContext";
+
+/**
+ * useProject Hook
+ *
+ * Custom hook that provides the currently selected project.
+ * Simplifies access to project context and builds project-scoped API URLs.
+ *
+ * @example
+ * const { projectId, currentProject, withProject } = useProject();
+ * const { data } = useSWR(withProject("/api/tasks?limit=100"), fetcher);
+ */
+export function useProject() {
+  const { projects, projectId, currentProject, selectProject, isLoading, refreshProjects } =
+    useProjectContext();
+
+  // Append ?projectId= to an API URL when a project is selected
+  const withProject = (url) => {
+    if (!projectId) return url;
+    const separator = url.includes("?") ? "&" : "?";
+    return `${url}${separator}projectId=${encodeURIComponent(projectId)}`;
+  };
+
+  return {
+    projects,
+    projectId,
+    currentProject,
+    selectProject,
+    isLoading,
+    refreshProjects,
+    withProject,
+    // Additional computed properties
+    projectName: currentProject?.name || "All projects",
+    hasProjects: projects.length > 0,
+  };
+}
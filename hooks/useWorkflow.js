@@ -0,0 +1,32 @@
+import useSWR from "swr";
+import { fetcher } from "@/lib/fetcher";
+import { DEFAULT_WORKFLOW } from "@/lib/workflow";
+import { WIP_LIMIT_MODE } from "@/lib/tasks/wipLimits";
+
+/**
+ * useWorkflow Hook
+ *
+ * Loads a project's configurable statuses (board columns).
+ * Falls back to DEFAULT_WORKFLOW while loading and when no project is given.
+ * Statuses carry their WIP limit; wipLimitMode is "soft" or "strict".
+ *
+ * @param {string|null} projectId
+ * @example
+ * const { workflow } = useWorkflow(projectId);
+ * <KanbanBoard tasks={tasks} columns={columnsFromWorkflow(workflow)} />
+ */
+export function useWorkflow(projectId) {
+  const { data, error, isLoading, mutate } = useSWR(
+    projectId ? `/api/projects/${projectId}/workflow` : null,
+    fetcher
+  );
+
+  return {
+    workflow: data?.data?.statuses || DEFAULT_WORKFLOW,
+    isDefault: data ? data.data.isDefault : true,
+    wipLimitMode: data?.data?.wipLimitMode || WIP_LIMIT_MODE.SOFT,
+    isLoading,
+    error,
+    mutate,
+  };
+}
@@ -29,6 +29,8 @@ const customJestConfig = {
   testMatch: ["**/__tests__/**/*.{js,jsx,ts,tsx}", "**/*.{spec,test}.{js,jsx,ts,tsx}"],
   moduleNameMapper: {
     "^@/(.*)$": "<rootDir>/$1",
+    // marked only ships ESM as its main entry; use its UMD build under Jest
+    "^marked$": "<rootDir>/node_modules/marked/lib/marked.umd.js",
   },
   transformIgnorePatterns: ["/node_modules/", "^.+\\.module\\.(css|sass|scss)$"],
 };
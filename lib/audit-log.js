@@ -0,0 +1,204 @@
+/**
+ * RBAC Audit Log Persistence
+ *
+ * Access decisions from rbac-middleware are buffered in memory and written to
+ * the AuditLog table in batches, so permission checks never wait on the
+ * database. Entries older than the retention period are pruned after flushes.
+ */
+
+export const AUDIT_LOG_BATCH_SIZE = 50;
+export const AUDIT_LOG_FLUSH_INTERVAL_MS = 2000;
+// Upper bound on buffered entries while the database is unavailable (oldest dropped first)
+export const AUDIT_LOG_MAX_BUFFER = 1000;
+export const AUDIT_LOG_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+export const DEFAULT_AUDIT_LOG_RETENTION_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Retention period from AUDIT_LOG_RETENTION_DAYS (falls back to 90 days)
+ * @returns {number}
+ */
+export function getRetentionDays() {
+  const days = Number(process.env.AUDIT_LOG_RETENTION_DAYS);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_AUDIT_LOG_RETENTION_DAYS;
+}
+
+/**
+ * Convert a logAccessDecision() entry into an AuditLog row
+ * ("unknown" user fields from failed authentication are stored as null)
+ *
+ * @param {Object} entry
+ * @returns {Object}
+ */
+export function toAuditLogRecord(entry) {
+  const known = (value) => (value && value !== "unknown" ? value : null);
+
+  return {
+    userId: known(entry.userId),
+    email: known(entry.email),
+    role: entry.role || "none",
+    resource: entry.resource,
+    action: entry.action,
+    allowed: Boolean(entry.allowed),
+    endpoint: entry.endpoint,
+    ip: known(entry.ip),
+    reason: entry.reason || null,
+    createdAt: entry.timestamp ? new Date(entry.timestamp) : new Date(),
+  };
+}
+
+/**
+ * Create a batching audit log writer
+ *
+ * @param {Object} db - Prisma client
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Flush as soon as this many entries are buffered
+ * @param {number} [options.flushIntervalMs] - Otherwise flush this long after the first entry
+ * @param {number} [options.maxBuffer] - Entries kept while writes are failing
+ * @param {number} [options.pruneIntervalMs] - Minimum time between retention prunes
+ * @param {() => number} [options.retentionDays]
+ * @param {() => Date} [options.now]
+ * @returns {{enqueue: Function, flush: Function, prune: Function, pendingCount: Function}}
+ */
+export function createAuditLogWriter(db, options = {}) {
+  const {
+    batchSize = AUDIT_LOG_BATCH_SIZE,
+    flushIntervalMs = AUDIT_LOG_FLUSH_INTERVAL_MS,
+    maxBuffer = AUDIT_LOG_MAX_BUFFER,
+    pruneIntervalMs = AUDIT_LOG_PRUNE_INTERVAL_MS,
+    retentionDays = getRetentionDays,
+    now = () => new Date(),
+  } = options;
+
+  let buffer = [];
+  let timer = null;
+  let flushing = null;
+  let lastPrunedAt = 0;
+
+  const schedule = () => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, flushIntervalMs);
+    // Don't keep the process alive just to write audit entries
+    timer.unref?.();
+  };
+
+  /**
+   * Delete entries older than the retention period
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  const prune = async () => {
+    lastPrunedAt = now().getTime();
+    const cutoff = new Date(lastPrunedAt - retentionDays() * DAY_MS);
+    const { count } = await db.auditLog.deleteMany({ where: { createdAt: { lt: cutoff } } });
+    return count;
+  };
+
+  const writeBuffered = async () => {
+    while (buffer.length > 0) {
+      const batch = buffer.slice(0, batchSize);
+      try {
+        await db.auditLog.createMany({ data: batch });
+        buffer = buffer.slice(batch.length);
+      } catch (error) {
+        console.error("[RBAC AUDIT] Failed to persist audit logs, will retry:", error.message);
+        buffer = buffer.slice(-maxBuffer);
+        schedule();
+        return;
+      }
+    }
+
+    if (now().getTime() - lastPrunedAt >= pruneIntervalMs) {
+      await prune().catch((error) =>
+        console.error("[RBAC AUDIT] Failed to prune audit logs:", error.message)
+      );
+    }
+  };
+
+  /**
+   * Write all buffered entries (concurrent calls share one flush)
+   * @returns {Promise<void>}
+   */
+  const flush = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (!flushing) {
+      flushing = writeBuffered().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  };
+
+  /**
+   * Buffer an access decision for the next batch
+   * @param {Object} entry - logAccessDecision() entry
+   */
+  const enqueue = (entry) => {
+    buffer.push(toAuditLogRecord(entry));
+    if (buffer.length > maxBuffer) buffer = buffer.slice(-maxBuffer);
+
+    if (buffer.length >= batchSize) {
+      flush();
+    } else {
+      schedule();
+    }
+  };
+
+  return { enqueue, flush, prune, pendingCount: () => buffer.length };
+}
+
+/**
+ * Build the Prisma where clause for audit log filters
+ *
+ * @param {Object} filters
+ * @param {string} [filters.userId]
+ * @param {string} [filters.resource]
+ * @param {string} [filters.action]
+ * @param {boolean} [filters.allowed]
+ * @param {Date} [filters.from] - Inclusive
+ * @param {Date} [filters.to] - Inclusive
+ * @returns {Object}
+ */
+export function buildAuditLogWhere({ userId, resource, action, allowed, from, to } = {}) {
+  const where = {};
+  if (userId) where.userId = userId;
+  if (resource) where.resource = resource;
+  if (action) where.action = action;
+  if (typeof allowed === "boolean") where.allowed = allowed;
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = from;
+    if (to) where.createdAt.lte = to;
+  }
+  return where;
+}
+
+/**
+ * Fetch audit logs newest first with cursor pagination
+ *
+ * @param {Object} db - Prisma client
+ * @param {Object} options
+ * @param {Object} [options.where] - From buildAuditLogWhere()
+ * @param {string} [options.cursor] - `nextCursor` of the previous page
+ * @param {number} [options.limit]
+ * @returns {Promise<{logs: Object[], nextCursor: string|null}>}
+ */
+export async function queryAuditLogs(db, { where = {}, cursor, limit = 50 } = {}) {
+  const rows = await db.auditLog.findMany({
+    where,
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    take: limit + 1,
+    ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+  });
+
+  const hasMore = rows.length > limit;
+  const logs = hasMore ? rows.slice(0, limit) : rows;
+
+  return { logs, nextCursor: hasMore ? logs[logs.length - 1].id : null };
+}
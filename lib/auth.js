@@ -1,5 +1,6 @@
 import jwt from "jsonwebtoken";
 import { ERROR_CODES, sendError } from "@/lib/responseHandler";
+import { generateToken, hashToken } from "@/lib/tokens";
 
 // Security Configuration
 const JWT_SECRET = process.env.JWT_SECRET || "dev-secret-change-in-production";
@@ -13,7 +14,7 @@ const REFRESH_TOKEN_EXPIRY = process.env.REFRESH_TOKEN_EXPIRY || "7d"; // 7 days
 /**
  * Generate Access Token (Short-lived)
  *
- * @param {Object} payload - User data to encode (userId, email, role)
+ * @param {Object} payload - User data to encode (userId, email, role, emailVerified)
  * @param {Object} options - Additional JWT options
  * @returns {string} JWT access token
  *
@@ -30,7 +31,7 @@ export const generateAccessToken = (payload, options = {}) => {
 /**
  * Generate Refresh Token (Long-lived)
  *
- * @param {Object} payload - User data to encode (userId)
+ * @param {Object} payload - User data to encode (userId, familyId)
  * @param {Object} options - Additional JWT options
  * @returns {string} JWT refresh token
  *
@@ -38,10 +39,12 @@ export const generateAccessToken = (payload, options = {}) => {
  * They MUST be stored in secure, HTTP-only cookies with SameSite=Strict.
  */
 export const generateRefreshToken = (payload, options = {}) => {
-  // Only store minimal data in refresh token (userId)
+  // Only store minimal data in refresh token (userId, token family)
   const refreshPayload = {
     userId: payload.userId,
+    familyId: payload.familyId, // Same for every token of a session, to detect reuse (see lib/sessions.js)
     type: "refresh", // Distinguish from access tokens
+    jti: generateToken(16), // Unique per token, so each maps to one session (see lib/sessions.js)
   };
 
   return jwt.sign(refreshPayload, JWT_REFRESH_SECRET, {
@@ -54,11 +57,13 @@ export const generateRefreshToken = (payload, options = {}) => {
  * Generate both Access and Refresh tokens
  *
  * @param {Object} payload - User data (userId, email, role)
+ * @param {Object} [refresh]
+ * @param {string} [refresh.familyId] - Refresh token family (the session's `familyId`)
  * @returns {Object} { accessToken, refreshToken }
  */
-export const generateTokenPair = (payload) => {
+export const generateTokenPair = (payload, { familyId } = {}) => {
   const accessToken = generateAccessToken(payload);
-  const refreshToken = generateRefreshToken(payload);
+  const refreshToken = generateRefreshToken({ ...payload, familyId });
 
   return { accessToken, refreshToken };
 };
@@ -85,6 +90,20 @@ export const verifyRefreshToken = (token) => {
   return jwt.verify(token, JWT_REFRESH_SECRET);
 };
 
+/**
+ * Expiry time of a token
+ *
+ * Reads the `exp` claim without verifying; use on tokens this server just
+ * issued or already verified.
+ *
+ * @param {string} token - JWT
+ * @returns {Date|null}
+ */
+export const getTokenExpiry = (token) => {
+  const decoded = jwt.decode(token);
+  return decoded?.exp ? new Date(decoded.exp * 1000) : null;
+};
+
 /**
  * DEPRECATED: Use generateAccessToken instead
  * Kept for backwards compatibility
@@ -197,6 +216,20 @@ export const extractTokenFromCookie = (cookieString, name = "accessToken") => {
   return targetCookie.split("=")[1];
 };
 
+/**
+ * Hash of the request's refresh token cookie
+ *
+ * Matches `Session.tokenHash`, identifying the session making the request
+ * (see lib/sessions.js).
+ *
+ * @param {Request} request - Next.js request object
+ * @returns {string|null} Hash, or null without a refresh token cookie
+ */
+export const getSessionTokenHash = (request) => {
+  const refreshToken = extractTokenFromCookie(request.headers.get("cookie"), "refreshToken");
+  return refreshToken ? hashToken(refreshToken) : null;
+};
+
 /**
  * Authenticate incoming request
  *
@@ -273,6 +306,28 @@ export const authenticateRequest = (request) => {
   }
 };
 
+/**
+ * Reject changes from users who haven't verified their email
+ *
+ * Unverified accounts are read-only (see lib/emailVerification.js). Tokens
+ * issued before verification existed have no `emailVerified` claim and
+ * count as verified.
+ *
+ * @param {object} user - Decoded JWT user object
+ * @returns {object} { errorResponse } when unverified, otherwise {}
+ */
+export const requireVerifiedEmail = (user) => {
+  if (user?.emailVerified !== false) return {};
+
+  return {
+    errorResponse: sendError(
+      "Please verify your email address before making changes.",
+      ERROR_CODES.EMAIL_NOT_VERIFIED,
+      403
+    ),
+  };
+};
+
 /**
  * Check if user has required role
  * @param {object} user - Decoded JWT user object
@@ -0,0 +1,102 @@
+/**
+ * Cache Tags and Invalidation
+ *
+ * Cached responses are tagged with what they depend on, and every task,
+ * comment and user mutation goes through invalidateCaches() so only the
+ * affected entries are dropped.
+ *
+ * Tags:
+ * - project:<id>   task lists filtered to a project
+ * - assignee:<id>  task lists filtered to an assignee (without a project filter)
+ * - tasks:all      task lists not scoped to a project or assignee
+ * - task:<id>      task lists containing the task
+ * - user:<id>      task lists showing the user as creator or assignee
+ * - users          user lists
+ */
+
+import { invalidateCacheTags } from "../redis";
+
+export const CACHE_TAGS = {
+  ALL_TASKS: "tasks:all",
+  USERS: "users",
+  project: (id) => `project:${id}`,
+  assignee: (id) => `assignee:${id}`,
+  task: (id) => `task:${id}`,
+  user: (id) => `user:${id}`,
+};
+
+/**
+ * Tags for a cached task list
+ *
+ * The scope tag decides which membership changes drop the entry; the task and
+ * user tags catch changes to data embedded in the listed tasks.
+ *
+ * @param {{projectId?: string, assigneeId?: string}} filters - List query filters
+ * @param {Object[]} tasks - Tasks in the response (with creatorId/assigneeId)
+ * @returns {string[]}
+ */
+export function taskListTags({ projectId, assigneeId } = {}, tasks = []) {
+  const tags = new Set();
+
+  if (projectId) tags.add(CACHE_TAGS.project(projectId));
+  else if (assigneeId) tags.add(CACHE_TAGS.assignee(assigneeId));
+  else tags.add(CACHE_TAGS.ALL_TASKS);
+
+  for (const task of tasks) {
+    tags.add(CACHE_TAGS.task(task.id));
+    if (task.creatorId) tags.add(CACHE_TAGS.user(task.creatorId));
+    if (task.assigneeId) tags.add(CACHE_TAGS.user(task.assigneeId));
+  }
+
+  return [...tags];
+}
+
+/**
+ * Tags to invalidate for a change
+ *
+ * @param {Object} change
+ * @param {Object[]} [change.tasks] - Created/updated/deleted tasks ({id, projectId, assigneeId}).
+ *   Pass both the old and new version when the project or assignee changes.
+ * @param {string[]} [change.taskIds] - Tasks whose embedded data changed but not their
+ *   list membership (comments, checklist, dependencies, labels)
+ * @param {string[]} [change.projectIds] - Projects whose tasks changed in bulk
+ *   (workflow remap, sprint close, label delete, rename)
+ * @param {string[]} [change.userIds] - Users created, updated or deleted
+ * @returns {string[]}
+ */
+export function invalidationTags({ tasks = [], taskIds = [], projectIds = [], userIds = [] } = {}) {
+  const tags = new Set();
+
+  for (const task of tasks) {
+    tags.add(CACHE_TAGS.task(task.id));
+    if (task.projectId) tags.add(CACHE_TAGS.project(task.projectId));
+    if (task.assigneeId) tags.add(CACHE_TAGS.assignee(task.assigneeId));
+  }
+  for (const taskId of taskIds) tags.add(CACHE_TAGS.task(taskId));
+  for (const projectId of projectIds) tags.add(CACHE_TAGS.project(projectId));
+  for (const userId of userIds) tags.add(CACHE_TAGS.user(userId));
+
+  // Unscoped lists can gain or lose any task
+  if (tasks.length > 0 || projectIds.length > 0) tags.add(CACHE_TAGS.ALL_TASKS);
+  if (userIds.length > 0) tags.add(CACHE_TAGS.USERS);
+
+  return [...tags];
+}
+
+/**
+ * Invalidate cached responses affected by a mutation
+ *
+ * @param {Object} change - See invalidationTags()
+ * @returns {Promise<number>} Number of dropped cache entries
+ * @example
+ * await invalidateCaches({ tasks: [existingTask, task] });
+ * await invalidateCaches({ taskIds: [comment.taskId] });
+ */
+export async function invalidateCaches(change) {
+  const tags = invalidationTags(change);
+  const deleted = await invalidateCacheTags(tags);
+  if (deleted > 0) {
+    console.log(`🗑️  Cache invalidated: ${deleted} entries (${tags.join(", ")})`);
+  }
+  return deleted;
+}
@@ -0,0 +1,134 @@
+/**
+ * In-process LRU Cache Driver
+ *
+ * Used when REDIS_URL is not set (local dev, tests). Values are stored as
+ * strings, exactly like Redis, so callers never share mutable objects.
+ * Entries are per-process: multiple instances do not see each other's data.
+ */
+
+export const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Convert a Redis glob pattern (`*`, `?`) into an anchored RegExp
+ * @param {string} pattern - e.g. "tasks:list:*"
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  const source = pattern
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Create an LRU cache driver
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Least recently used entries are evicted beyond this
+ * @param {() => number} [options.now] - Clock in ms (for tests)
+ * @returns {Object} Cache driver (see lib/redis.js)
+ */
+export function createMemoryDriver({ maxEntries = DEFAULT_MAX_ENTRIES, now = Date.now } = {}) {
+  // Map iteration order is insertion order: first key = least recently used
+  const entries = new Map();
+  // tag -> keys, and key -> tags so dropped entries leave no stale references
+  const tagKeys = new Map();
+  const keyTags = new Map();
+
+  const isExpired = (entry) => entry.expiresAt !== null && entry.expiresAt <= now();
+
+  const remove = (key) => {
+    const existed = entries.delete(key);
+    for (const tag of keyTags.get(key) || []) {
+      const keys = tagKeys.get(tag);
+      keys?.delete(key);
+      if (keys?.size === 0) tagKeys.delete(tag);
+    }
+    keyTags.delete(key);
+    return existed;
+  };
+
+  return {
+    name: "memory",
+
+    isConnected: () => true,
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        remove(key);
+        return null;
+      }
+      // Mark as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, {
+        value,
+        expiresAt: ttlSeconds > 0 ? now() + ttlSeconds * 1000 : null,
+      });
+      while (entries.size > maxEntries) {
+        remove(entries.keys().next().value);
+      }
+    },
+
+    async del(keys) {
+      return keys.filter(remove).length;
+    },
+
+    // Tags go away with their entries, so no TTL is needed here
+    async tagKey(key, tags) {
+      if (!entries.has(key)) return;
+      const current = keyTags.get(key) || new Set();
+      for (const tag of tags) {
+        current.add(tag);
+        if (!tagKeys.has(tag)) tagKeys.set(tag, new Set());
+        tagKeys.get(tag).add(key);
+      }
+      keyTags.set(key, current);
+    },
+
+    async deleteTagged(tags) {
+      let count = 0;
+      for (const tag of tags) {
+        for (const key of [...(tagKeys.get(tag) || [])]) {
+          if (remove(key)) count += 1;
+        }
+        tagKeys.delete(tag);
+      }
+      return count;
+    },
+
+    async deletePattern(pattern) {
+      const regex = globToRegExp(pattern);
+      let count = 0;
+      for (const key of [...entries.keys()]) {
+        if (regex.test(key)) {
+          remove(key);
+          count += 1;
+        }
+      }
+      return count;
+    },
+
+    async size() {
+      return entries.size;
+    },
+
+    async close() {
+      entries.clear();
+      tagKeys.clear();
+      keyTags.clear();
+    },
+  };
+}
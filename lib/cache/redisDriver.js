@@ -0,0 +1,120 @@
+/**
+ * Redis Cache Driver (ioredis)
+ *
+ * Used when REDIS_URL is set. Commands fail fast while Redis is unreachable
+ * (no offline queue), and lib/redis.js treats failures as cache misses, so an
+ * outage slows requests down instead of breaking them.
+ */
+
+import Redis from "ioredis";
+
+// Keys fetched per SCAN round trip when deleting by pattern
+export const SCAN_COUNT = 100;
+
+// Tag sets outlive the entries they point to; stale members are harmless
+export const TAG_TTL_SECONDS = 24 * 60 * 60;
+export const TAG_PREFIX = "cache:tag:";
+
+/**
+ * Create an ioredis client configured for caching
+ * @param {string} url - redis:// or rediss:// connection URL
+ * @param {import("ioredis").RedisOptions} [options] - Overrides (e.g. for a pub/sub subscriber)
+ * @returns {import("ioredis").Redis}
+ */
+export function createRedisClient(url, options = {}) {
+  const client = new Redis(url, {
+    maxRetriesPerRequest: 1,
+    enableOfflineQueue: false,
+    ...options,
+  });
+
+  let lastError = null;
+  client.on("error", (error) => {
+    // ioredis retries on its own; log each distinct failure once
+    if (error.message !== lastError) {
+      lastError = error.message;
+      console.error("❌ Redis error:", error.message);
+    }
+  });
+  client.on("ready", () => {
+    lastError = null;
+    console.log("✅ Redis connected");
+  });
+
+  return client;
+}
+
+/**
+ * Create a cache driver backed by a Redis client
+ *
+ * @param {import("ioredis").Redis} client
+ * @returns {Object} Cache driver (see lib/redis.js)
+ */
+export function createRedisDriver(client) {
+  return {
+    name: "redis",
+    client,
+
+    isConnected: () => client.status === "ready",
+
+    get: (key) => client.get(key),
+
+    async set(key, value, ttlSeconds) {
+      if (ttlSeconds > 0) {
+        await client.set(key, value, "EX", ttlSeconds);
+      } else {
+        await client.set(key, value);
+      }
+    },
+
+    async del(keys) {
+      return keys.length > 0 ? client.del(...keys) : 0;
+    },
+
+    // Each tag is a set of cache keys
+    async tagKey(key, tags, ttlSeconds) {
+      const pipeline = client.pipeline();
+      for (const tag of tags) {
+        pipeline.sadd(TAG_PREFIX + tag, key);
+        pipeline.expire(TAG_PREFIX + tag, Math.max(ttlSeconds, TAG_TTL_SECONDS));
+      }
+      await pipeline.exec();
+    },
+
+    async deleteTagged(tags) {
+      let count = 0;
+      for (const tag of tags) {
+        // Read and drop the set atomically so keys tagged meanwhile aren't lost
+        const [[, keys]] = await client
+          .multi()
+          .smembers(TAG_PREFIX + tag)
+          .unlink(TAG_PREFIX + tag)
+          .exec();
+        if (keys.length > 0) {
+          count += await client.unlink(...keys);
+        }
+      }
+      return count;
+    },
+
+    // SCAN instead of KEYS so large keyspaces don't block Redis
+    async deletePattern(pattern) {
+      let cursor = "0";
+      let count = 0;
+      do {
+        const [nextCursor, keys] = await client.scan(cursor, "MATCH", pattern, "COUNT", SCAN_COUNT);
+        if (keys.length > 0) {
+          count += await client.unlink(...keys);
+        }
+        cursor = nextCursor;
+      } while (cursor !== "0");
+      return count;
+    },
+
+    size: () => client.dbsize(),
+
+    async close() {
+      await client.quit();
+    },
+  };
+}
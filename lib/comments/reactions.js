@@ -0,0 +1,55 @@
+/**
+ * Comment Reaction Helpers
+ *
+ * Users react to comments with emoji from a fixed palette. Each user has at
+ * most one reaction per emoji per comment, toggled on and off; responses
+ * carry the aggregated counts.
+ */
+
+/**
+ * Emoji users can react with, in display order
+ */
+export const COMMENT_REACTIONS = ["👍", "👎", "😄", "🎉", "😕", "❤️", "🚀", "👀"];
+
+/**
+ * Aggregate a comment's reaction rows for display
+ *
+ * @param {Array<{emoji: string, userId: string}>} reactions
+ * @param {string} [userId] - Current user, for `reacted`
+ * @returns {Array<{emoji: string, count: number, reacted: boolean}>} Used emoji in palette order
+ */
+export function summarizeReactions(reactions = [], userId) {
+  return COMMENT_REACTIONS.map((emoji) => {
+    const rows = reactions.filter((reaction) => reaction.emoji === emoji);
+    return {
+      emoji,
+      count: rows.length,
+      reacted: Boolean(userId) && rows.some((reaction) => reaction.userId === userId),
+    };
+  }).filter((summary) => summary.count > 0);
+}
+
+/**
+ * Add the user's reaction, or remove it if they already reacted with that emoji
+ *
+ * @param {object} db - Prisma client
+ * @param {{commentId: string, userId: string, emoji: string}} reaction
+ * @returns {Promise<{reacted: boolean}>} Whether the user now has the reaction
+ */
+export async function toggleReaction(db, { commentId, userId, emoji }) {
+  const where = { commentId_userId_emoji: { commentId, userId, emoji } };
+
+  const existing = await db.commentReaction.findUnique({ where, select: { id: true } });
+  if (existing) {
+    await db.commentReaction.deleteMany({ where: { id: existing.id } });
+    return { reacted: false };
+  }
+
+  try {
+    await db.commentReaction.create({ data: { commentId, userId, emoji } });
+  } catch (error) {
+    // A concurrent request (e.g. a double click) added it first
+    if (error.code !== "P2002") throw error;
+  }
+  return { reacted: true };
+}
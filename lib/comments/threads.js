@@ -0,0 +1,182 @@
+/**
+ * Comment Thread Helpers
+ *
+ * Comments are threaded one level deep: a reply's parent is a top-level
+ * comment on the same task. Deletes are soft: the comment stays in its
+ * thread as a "removed by" placeholder and admins can restore it. Edits keep
+ * the replaced content as CommentRevisions, shown as the comment's history.
+ */
+
+import { ERROR_CODES } from "../errorCodes.js";
+import { summarizeReactions } from "./reactions.js";
+
+const COMMENT_USER_SELECT = { id: true, name: true, avatar: true };
+const REACTION_SELECT = { emoji: true, userId: true };
+
+/**
+ * Prisma include for a top-level comment with its author, reactions and replies
+ * (pass the result through serializeComment)
+ */
+export const COMMENT_THREAD_INCLUDE = {
+  user: { select: COMMENT_USER_SELECT },
+  deletedBy: { select: COMMENT_USER_SELECT },
+  reactions: { select: REACTION_SELECT },
+  replies: {
+    include: {
+      user: { select: COMMENT_USER_SELECT },
+      deletedBy: { select: COMMENT_USER_SELECT },
+      reactions: { select: REACTION_SELECT },
+    },
+    orderBy: { createdAt: "asc" },
+  },
+};
+
+const invalidParent = (message) => ({
+  error: { message, code: ERROR_CODES.COMMENT_INVALID_PARENT, statusCode: 400 },
+});
+
+/**
+ * Check that a new comment can reply to a parent comment
+ *
+ * @param {object} db - Prisma client
+ * @param {string} parentId - Comment being replied to
+ * @param {string} taskId - Task of the new comment
+ * @returns {Promise<{parent: object}|{error: {message: string, code: string, statusCode: number}}>}
+ */
+export async function checkReplyParent(db, parentId, taskId) {
+  const parent = await db.comment.findUnique({
+    where: { id: parentId },
+    select: { id: true, taskId: true, parentId: true, deletedAt: true },
+  });
+
+  if (!parent) {
+    return {
+      error: {
+        message: "Parent comment not found",
+        code: ERROR_CODES.COMMENT_NOT_FOUND,
+        statusCode: 404,
+      },
+    };
+  }
+
+  if (parent.taskId !== taskId) {
+    return invalidParent("Parent comment belongs to a different task");
+  }
+
+  if (parent.parentId) {
+    return invalidParent("Replies cannot have replies of their own");
+  }
+
+  if (parent.deletedAt) {
+    return invalidParent("Cannot reply to a deleted comment");
+  }
+
+  return { parent };
+}
+
+/**
+ * Shape a comment (and its replies) for API responses
+ *
+ * Reaction rows become counts ({emoji, count, reacted}) and `own` tells
+ * whether the current user wrote the comment. Deleted comments
+ * lose their author, content and reactions and get `deleted: true`; their
+ * `deletedBy` (when loaded) says who removed them.
+ *
+ * @param {object} comment - Comment loaded with COMMENT_THREAD_INCLUDE (or without replies)
+ * @param {string} [userId] - Current user, for `reacted` and `own`
+ * @returns {object}
+ */
+export function serializeComment(comment, userId) {
+  const { reactions, replies, ...rest } = comment;
+  const serialized = {
+    ...rest,
+    deleted: Boolean(comment.deletedAt),
+    own: Boolean(userId) && comment.userId === userId,
+    reactions: summarizeReactions(reactions, userId),
+  };
+
+  if (serialized.deleted) {
+    serialized.content = "";
+    serialized.contentHtml = "";
+    serialized.userId = null;
+    serialized.user = null;
+    serialized.own = false;
+    serialized.reactions = [];
+  }
+
+  if (replies) {
+    serialized.replies = replies.map((reply) => serializeComment(reply, userId));
+  }
+
+  return serialized;
+}
+
+/**
+ * Soft-delete a comment
+ *
+ * The row, its replies and reactions are kept: others see "removed by"
+ * the deleter, and admins can still view and restore the content.
+ *
+ * @param {object} db - Prisma client
+ * @param {string} commentId
+ * @param {string} deletedById - User deleting the comment
+ * @returns {Promise<object>} The updated comment
+ */
+export function softDeleteComment(db, commentId, deletedById) {
+  return db.comment.update({
+    where: { id: commentId },
+    data: { deletedAt: new Date(), deletedById },
+  });
+}
+
+/**
+ * Undo a soft delete
+ *
+ * @param {object} db - Prisma client
+ * @param {string} commentId
+ * @param {object} [include] - Prisma include for the returned comment
+ * @returns {Promise<object>} The restored comment
+ */
+export function restoreComment(db, commentId, include) {
+  return db.comment.update({
+    where: { id: commentId },
+    data: { deletedAt: null, deletedById: null },
+    include,
+  });
+}
+
+/**
+ * Change a comment's content, keeping the replaced version as a revision
+ *
+ * Saving unchanged content records nothing and leaves `editedAt` alone.
+ *
+ * @param {object} db - Prisma client or transaction client
+ * @param {{id: string, content: string, contentHtml: string}} comment - Current comment
+ * @param {object} change
+ * @param {string} change.content - New Markdown source
+ * @param {string} change.contentHtml - New rendered HTML
+ * @param {string} change.editorId - User making the edit
+ * @param {object} [include] - Prisma include for the returned comment
+ * @returns {Promise<{comment: object, revised: boolean}>}
+ */
+export async function reviseComment(db, comment, { content, contentHtml, editorId }, include) {
+  if (content === comment.content) {
+    const unchanged = await db.comment.findUnique({ where: { id: comment.id }, include });
+    return { comment: unchanged, revised: false };
+  }
+
+  await db.commentRevision.create({
+    data: {
+      commentId: comment.id,
+      content: comment.content,
+      contentHtml: comment.contentHtml,
+      editorId,
+    },
+  });
+  const updated = await db.comment.update({
+    where: { id: comment.id },
+    data: { content, contentHtml, editedAt: new Date() },
+    include,
+  });
+  return { comment: updated, revised: true };
+}
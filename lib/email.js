@@ -266,4 +266,150 @@ export const passwordResetTemplate = (userName, resetUrl, expiryMinutes = 15) =>
 </html>
 `;
 
+export const emailVerificationTemplate = (userName, verifyUrl, expiryHours = 24) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Verify Your Email</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 20px;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <!-- Header -->
+          <tr>
+            <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center;">
+              <h1 style="color: #ffffff; margin: 0; font-size: 28px;">✉️ Verify Your Email</h1>
+            </td>
+          </tr>
+          
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px 30px;">
+              <h2 style="color: #333333; margin-top: 0;">Hi ${userName},</h2>
+              <p style="color: #666666; font-size: 16px; line-height: 1.6;">
+                Thanks for signing up for SprintLite! Confirm your email address to start creating and updating tasks:
+              </p>
+              
+              <!-- CTA Button -->
+              <table width="100%" cellpadding="0" cellspacing="0" style="margin: 30px 0;">
+                <tr>
+                  <td align="center">
+                    <a href="${verifyUrl}" 
+                       style="display: inline-block; padding: 14px 30px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; border-radius: 6px; font-weight: bold; font-size: 16px;">
+                      Verify Email →
+                    </a>
+                  </td>
+                </tr>
+              </table>
+              
+              <p style="color: #666666; font-size: 14px; line-height: 1.6;">
+                This link expires in ${expiryHours} hours. If you didn't create an account, you can ignore this email.
+              </p>
+              
+              <p style="color: #999999; font-size: 14px; line-height: 1.6;">
+                If the button doesn't work, copy and paste this link into your browser:<br>
+                <a href="${verifyUrl}" style="color: #667eea; word-break: break-all;">${verifyUrl}</a>
+              </p>
+            </td>
+          </tr>
+          
+          <!-- Footer -->
+          <tr>
+            <td style="background-color: #f8f9fa; padding: 20px 30px; border-top: 1px solid #e9ecef;">
+              <p style="color: #999999; font-size: 12px; margin: 0; text-align: center;">
+                This is an automated email — please don't reply.<br>
+                © 2024 SprintLite. All rights reserved.
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`;
+
+export const sessionRevokedAlertTemplate = (userName, device, ipAddress, time, resetUrl) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Suspicious Sign-in Activity</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 20px;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <!-- Header -->
+          <tr>
+            <td style="background: linear-gradient(135deg, #e53e3e 0%, #9b2c2c 100%); padding: 40px 20px; text-align: center;">
+              <h1 style="color: #ffffff; margin: 0; font-size: 28px;">⚠️ Suspicious Sign-in Activity</h1>
+            </td>
+          </tr>
+          
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px 30px;">
+              <h2 style="color: #333333; margin-top: 0;">Hi ${userName},</h2>
+              <p style="color: #666666; font-size: 16px; line-height: 1.6;">
+                A sign-in token for your SprintLite account was used again after it had been replaced. This can mean someone copied it from your device, so we signed that session out. The token was presented by:
+              </p>
+              
+              <table width="100%" cellpadding="0" cellspacing="0" style="margin: 20px 0; background-color: #f8f9fa; border-radius: 6px;">
+                <tr>
+                  <td style="padding: 20px; color: #333333; font-size: 14px; line-height: 1.8;">
+                    <strong>Device:</strong> ${device}<br>
+                    <strong>IP address:</strong> ${ipAddress}<br>
+                    <strong>Time:</strong> ${time}
+                  </td>
+                </tr>
+              </table>
+              
+              <p style="color: #666666; font-size: 16px; line-height: 1.6;">
+                If you don't recognize this activity, reset your password to sign out everywhere:
+              </p>
+              
+              <!-- CTA Button -->
+              <table width="100%" cellpadding="0" cellspacing="0" style="margin: 30px 0;">
+                <tr>
+                  <td align="center">
+                    <a href="${resetUrl}" 
+                       style="display: inline-block; padding: 14px 30px; background: linear-gradient(135deg, #e53e3e 0%, #9b2c2c 100%); color: #ffffff; text-decoration: none; border-radius: 6px; font-weight: bold; font-size: 16px;">
+                      Reset Password →
+                    </a>
+                  </td>
+                </tr>
+              </table>
+              
+              <p style="color: #999999; font-size: 14px; line-height: 1.6;">
+                If the button doesn't work, copy and paste this link into your browser:<br>
+                <a href="${resetUrl}" style="color: #e53e3e; word-break: break-all;">${resetUrl}</a>
+              </p>
+            </td>
+          </tr>
+          
+          <!-- Footer -->
+          <tr>
+            <td style="background-color: #f8f9fa; padding: 20px 30px; border-top: 1px solid #e9ecef;">
+              <p style="color: #999999; font-size: 12px; margin: 0; text-align: center;">
+                This is an automated email — please don't reply.<br>
+                © 2024 SprintLite. All rights reserved.
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`;
+
 export default sesClient;
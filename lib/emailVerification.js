@@ -0,0 +1,147 @@
+/**
+ * Email Verification Helpers
+ *
+ * New accounts get `emailVerified = null` and a link to confirm their email
+ * (token stored hashed, see lib/tokens.js). Until they confirm, they can
+ * sign in and read but not change anything: access tokens carry an
+ * `emailVerified` claim that requirePermission and requireVerifiedEmail
+ * (lib/auth.js) check for writes.
+ *
+ * Resending is throttled per user: one email per RESEND_COOLDOWN_SECONDS and
+ * at most MAX_VERIFICATION_EMAILS_PER_HOUR.
+ */
+
+import { sendEmail, emailVerificationTemplate } from "./email.js";
+import { sanitizeInput } from "./sanitization.js";
+import { buildAppUrl, generateToken, hashToken, throttleRetryAfter } from "./tokens.js";
+
+export const EMAIL_VERIFICATION_TTL_HOURS = 24;
+export const RESEND_COOLDOWN_SECONDS = 60;
+export const MAX_VERIFICATION_EMAILS_PER_HOUR = 5;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Link to the verification page for a token
+ * @param {string} token
+ * @param {string} [baseUrl] - Defaults to NEXT_PUBLIC_APP_URL
+ * @returns {string}
+ */
+export function buildVerifyUrl(token, baseUrl) {
+  return buildAppUrl("/auth/verify-email", { token }, baseUrl);
+}
+
+/**
+ * Issue a verification token for a user
+ *
+ * Earlier tokens stay valid until they expire, so any of the emails sent
+ * works; they are kept to throttle resends.
+ *
+ * @param {object} db - Prisma client or transaction client
+ * @param {string} userId
+ * @param {Date} [now]
+ * @returns {Promise<{token: string, expiresAt: Date}>} The plain token, to be emailed
+ */
+export async function createEmailVerificationToken(db, userId, now = new Date()) {
+  const token = generateToken();
+  const expiresAt = new Date(now.getTime() + EMAIL_VERIFICATION_TTL_HOURS * HOUR_MS);
+
+  await db.emailVerificationToken.create({
+    data: { tokenHash: hashToken(token), userId, expiresAt, createdAt: now },
+  });
+  return { token, expiresAt };
+}
+
+/**
+ * Seconds until another verification email may be sent
+ *
+ * @param {Date[]} sentAt - When the emails of the last hour were sent
+ * @param {Date} [now]
+ * @returns {number} 0 when a resend is allowed
+ */
+export function resendRetryAfter(sentAt, now = new Date()) {
+  return throttleRetryAfter(
+    sentAt,
+    { cooldownSeconds: RESEND_COOLDOWN_SECONDS, maxPerHour: MAX_VERIFICATION_EMAILS_PER_HOUR },
+    now
+  );
+}
+
+/**
+ * Seconds until the user may be sent another verification email
+ *
+ * @param {object} db - Prisma client
+ * @param {string} userId
+ * @param {Date} [now]
+ * @returns {Promise<number>} 0 when a resend is allowed
+ */
+export async function getResendRetryAfter(db, userId, now = new Date()) {
+  const recent = await db.emailVerificationToken.findMany({
+    where: { userId, createdAt: { gt: new Date(now.getTime() - HOUR_MS) } },
+    select: { createdAt: true },
+  });
+  return resendRetryAfter(
+    recent.map((entry) => entry.createdAt),
+    now
+  );
+}
+
+/**
+ * Mark a user's email as verified using a token from a verification link
+ *
+ * Verifying twice is harmless: the first verification time is kept. The
+ * user's tokens are removed once one of them is used.
+ *
+ * @param {object} db - Prisma client or transaction client
+ * @param {string} token - Plain token from the link
+ * @param {Date} [now]
+ * @returns {Promise<string|null>} The user's ID, or null when the token is unknown or expired
+ */
+export async function verifyEmailWithToken(db, token, now = new Date()) {
+  const record = await db.emailVerificationToken.findFirst({
+    where: { tokenHash: hashToken(token), expiresAt: { gt: now } },
+    select: { userId: true },
+  });
+  if (!record) return null;
+
+  await db.user.updateMany({
+    where: { id: record.userId, emailVerified: null },
+    data: { emailVerified: now },
+  });
+  await db.emailVerificationToken.deleteMany({ where: { userId: record.userId } });
+  return record.userId;
+}
+
+/**
+ * Email a verification link
+ *
+ * @param {{name: string, email: string}} user
+ * @param {string} token - From createEmailVerificationToken
+ * @returns {Promise<Object>} sendEmail's result
+ */
+export function sendVerificationEmail(user, token) {
+  const verifyUrl = buildVerifyUrl(token);
+
+  if (process.env.NODE_ENV === "development") {
+    console.log("[VERIFY-EMAIL] Verification link:", verifyUrl);
+  }
+
+  return sendEmail({
+    to: user.email,
+    subject: "Verify your SprintLite email",
+    html: emailVerificationTemplate(
+      sanitizeInput(user.name) || "there",
+      verifyUrl,
+      EMAIL_VERIFICATION_TTL_HOURS
+    ),
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Confirm your email address to start using SprintLite:",
+      verifyUrl,
+      "",
+      `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+      "If you didn't create an account, you can ignore this email.",
+    ].join("\n"),
+  });
+}
@@ -18,6 +18,7 @@ export const ERROR_CODES = {
   DUPLICATE_ENTRY: "E006",
   UNAUTHORIZED: "E007",
   FORBIDDEN: "E008",
+  TOO_MANY_REQUESTS: "E009",
 
   // Server Errors (5xx)
   INTERNAL_ERROR: "E500",
@@ -28,14 +29,37 @@ export const ERROR_CODES = {
   USER_NOT_FOUND: "E101",
   USER_ALREADY_EXISTS: "E102",
   INVALID_CREDENTIALS: "E103",
+  RESET_TOKEN_INVALID: "E104",
+  VERIFICATION_TOKEN_INVALID: "E105",
+  EMAIL_NOT_VERIFIED: "E106",
+  SESSION_NOT_FOUND: "E107",
 
   TASK_NOT_FOUND: "E201",
   TASK_CREATE_FAILED: "E202",
   TASK_UPDATE_FAILED: "E203",
   TASK_DELETE_FAILED: "E204",
+  TASK_INVALID_PARENT: "E205",
+  CHECKLIST_ITEM_NOT_FOUND: "E206",
+  TASK_BLOCKED: "E207",
+  DEPENDENCY_CYCLE: "E208",
+  DEPENDENCY_NOT_FOUND: "E209",
+  LABEL_NOT_FOUND: "E210",
+  LABEL_INVALID: "E211",
 
   COMMENT_NOT_FOUND: "E301",
   COMMENT_CREATE_FAILED: "E302",
+  COMMENT_INVALID_PARENT: "E303",
+  COMMENT_NOT_DELETED: "E304",
+
+  PROJECT_NOT_FOUND: "E601",
+  PROJECT_ARCHIVED: "E602",
+
+  SPRINT_NOT_FOUND: "E701",
+  SPRINT_INVALID_STATE: "E702",
+
+  WORKFLOW_INVALID: "E801",
+  STATUS_TRANSITION_NOT_ALLOWED: "E802",
+  WIP_LIMIT_EXCEEDED: "E803",
 
   // Transaction Errors
   TRANSACTION_FAILED: "E401",
@@ -58,6 +82,7 @@ export const getErrorMessage = (code) => {
     [ERROR_CODES.DUPLICATE_ENTRY]: "Duplicate entry detected",
     [ERROR_CODES.UNAUTHORIZED]: "Authentication required",
     [ERROR_CODES.FORBIDDEN]: "Insufficient permissions",
+    [ERROR_CODES.TOO_MANY_REQUESTS]: "Too many requests, try again later",
 
     [ERROR_CODES.INTERNAL_ERROR]: "Internal server error occurred",
     [ERROR_CODES.DATABASE_ERROR]: "Database operation failed",
@@ -66,14 +91,37 @@ export const getErrorMessage = (code) => {
     [ERROR_CODES.USER_NOT_FOUND]: "User not found",
     [ERROR_CODES.USER_ALREADY_EXISTS]: "User already exists",
     [ERROR_CODES.INVALID_CREDENTIALS]: "Invalid email or password",
+    [ERROR_CODES.RESET_TOKEN_INVALID]: "Password reset link is invalid or has expired",
+    [ERROR_CODES.VERIFICATION_TOKEN_INVALID]: "Verification link is invalid or has expired",
+    [ERROR_CODES.EMAIL_NOT_VERIFIED]: "Verify your email to make changes",
+    [ERROR_CODES.SESSION_NOT_FOUND]: "Session not found",
 
     [ERROR_CODES.TASK_NOT_FOUND]: "Task not found",
     [ERROR_CODES.TASK_CREATE_FAILED]: "Failed to create task",
     [ERROR_CODES.TASK_UPDATE_FAILED]: "Failed to update task",
     [ERROR_CODES.TASK_DELETE_FAILED]: "Failed to delete task",
+    [ERROR_CODES.TASK_INVALID_PARENT]: "Task cannot be a subtask of the given parent",
+    [ERROR_CODES.CHECKLIST_ITEM_NOT_FOUND]: "Checklist item not found",
+    [ERROR_CODES.TASK_BLOCKED]: "Task is blocked by unfinished tasks",
+    [ERROR_CODES.DEPENDENCY_CYCLE]: "Dependency would create a cycle",
+    [ERROR_CODES.DEPENDENCY_NOT_FOUND]: "Task dependency not found",
+    [ERROR_CODES.LABEL_NOT_FOUND]: "Label not found",
+    [ERROR_CODES.LABEL_INVALID]: "Label cannot be used on this task",
 
     [ERROR_CODES.COMMENT_NOT_FOUND]: "Comment not found",
     [ERROR_CODES.COMMENT_CREATE_FAILED]: "Failed to create comment",
+    [ERROR_CODES.COMMENT_INVALID_PARENT]: "Invalid parent comment",
+    [ERROR_CODES.COMMENT_NOT_DELETED]: "Comment is not deleted",
+
+    [ERROR_CODES.PROJECT_NOT_FOUND]: "Project not found",
+    [ERROR_CODES.PROJECT_ARCHIVED]: "Project is archived",
+
+    [ERROR_CODES.SPRINT_NOT_FOUND]: "Sprint not found",
+    [ERROR_CODES.SPRINT_INVALID_STATE]: "Sprint is not in a valid state for this action",
+
+    [ERROR_CODES.WORKFLOW_INVALID]: "Workflow configuration is invalid",
+    [ERROR_CODES.STATUS_TRANSITION_NOT_ALLOWED]: "Status transition is not allowed by the workflow",
+    [ERROR_CODES.WIP_LIMIT_EXCEEDED]: "The column's work-in-progress limit is reached",
 
     [ERROR_CODES.TRANSACTION_FAILED]: "Transaction operation failed",
     [ERROR_CODES.ROLLBACK_REQUIRED]: "Transaction rolled back",
@@ -100,6 +148,8 @@ export const getErrorCodeFromStatus = (status) => {
       return ERROR_CODES.NOT_FOUND;
     case 409:
       return ERROR_CODES.CONFLICT;
+    case 429:
+      return ERROR_CODES.TOO_MANY_REQUESTS;
     case 500:
       return ERROR_CODES.INTERNAL_ERROR;
     case 503:
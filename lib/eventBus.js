@@ -0,0 +1,122 @@
+/**
+ * Live Update Event Bus
+ *
+ * API routes publish task and comment changes here, and GET /api/events
+ * streams them to connected browsers. Backed by:
+ * - Redis pub/sub when REDIS_URL is set, so events reach every instance
+ * - An in-process EventEmitter otherwise
+ *
+ * Publishing never throws: live updates are best-effort, and clients
+ * revalidate when their stream reconnects.
+ *
+ * Bus interface: publish(event), subscribe(listener) -> unsubscribe,
+ * listenerCount(), close()
+ */
+
+import { createMemoryBus } from "./events/memoryBus";
+import { createRedisBus } from "./events/redisBus";
+import { createRedisClient } from "./cache/redisDriver";
+import { createEvent, EVENT_TYPES } from "./events/types";
+import redis from "./redis";
+
+export { EVENT_TYPES };
+
+const globalForEvents = globalThis;
+
+function createBus() {
+  if (process.env.REDIS_URL && redis) {
+    return createRedisBus({
+      publisher: redis,
+      // Subscriber mode needs its own connection; queue SUBSCRIBE until it is ready
+      subscriber: createRedisClient(process.env.REDIS_URL, {
+        enableOfflineQueue: true,
+        maxRetriesPerRequest: null,
+      }),
+    });
+  }
+  return createMemoryBus();
+}
+
+// Always shared through globalThis: route handlers can be bundled separately,
+// and publishers and the stream must see the same in-process bus
+const bus = globalForEvents.eventBus || createBus();
+globalForEvents.eventBus = bus;
+
+/**
+ * Publish a live update event
+ *
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event payload (see lib/events/types.js)
+ * @returns {Promise<void>}
+ * @example
+ * await publishEvent(EVENT_TYPES.TASK_UPDATED, task);
+ */
+export async function publishEvent(type, data) {
+  try {
+    await bus.publish(createEvent(type, data));
+  } catch (error) {
+    console.error(`❌ Failed to publish ${type} event:`, error.message);
+  }
+}
+
+// Fields list appliers need to place a task (see lib/events/liveUpdates.js)
+const BULK_UPDATE_SELECT = {
+  id: true,
+  projectId: true,
+  assigneeId: true,
+  creatorId: true,
+  parentId: true,
+  sprintId: true,
+  status: true,
+  statusCategory: true,
+  priority: true,
+  labels: {
+    select: { id: true, name: true, color: true },
+    orderBy: { name: "asc" },
+  },
+};
+
+/**
+ * Publish task.updated for every task changed by a bulk write
+ *
+ * updateMany doesn't return rows, so the tasks are read back. Call this after
+ * the transaction commits, so clients never refetch uncommitted state.
+ *
+ * @param {object} db - Prisma client
+ * @param {string[]} taskIds - Tasks changed by the write
+ * @returns {Promise<void>}
+ * @example
+ * await publishTasksUpdated(prisma, result.movedTaskIds);
+ */
+export async function publishTasksUpdated(db, taskIds) {
+  if (taskIds.length === 0) return;
+
+  try {
+    const tasks = await db.task.findMany({
+      where: { id: { in: taskIds } },
+      select: BULK_UPDATE_SELECT,
+    });
+    for (const task of tasks) {
+      await publishEvent(EVENT_TYPES.TASK_UPDATED, task);
+    }
+  } catch (error) {
+    console.error("❌ Failed to publish bulk task updates:", error.message);
+  }
+}
+
+/**
+ * Subscribe to all live update events
+ * @param {(event: Object) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeToEvents(listener) {
+  return bus.subscribe(listener);
+}
+
+/**
+ * Event bus backend and number of local subscribers (open streams)
+ * @returns {{backend: string, subscribers: number}}
+ */
+export function getEventBusStats() {
+  return { backend: bus.name, subscribers: bus.listenerCount() };
+}
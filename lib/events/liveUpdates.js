@@ -0,0 +1,213 @@
+/**
+ * Live Update Cache Appliers
+ *
+ * Pure functions that apply /api/events events to cached SWR responses,
+ * used by hooks/useLiveUpdates.js. Each applier returns the next response and
+ * whether the entry must be revalidated because the change can't be applied
+ * locally (e.g. a task may have entered a filtered or sorted list).
+ */
+
+import { EVENT_TYPES } from "./types.js";
+
+const LIST_PATH = "/api/tasks";
+const DETAIL_PATH = /^\/api\/tasks\/([^/]+)$/;
+
+// Query parameter -> task field for equality filters of GET /api/tasks
+const EQUALITY_FILTERS = {
+  status: "status",
+  category: "statusCategory",
+  priority: "priority",
+  assigneeId: "assigneeId",
+  creatorId: "creatorId",
+  projectId: "projectId",
+};
+
+/**
+ * Classify an SWR cache key
+ *
+ * @param {unknown} key - SWR key (only string URLs are handled)
+ * @returns {{kind: "list", params: URLSearchParams}|{kind: "detail", taskId: string}|null}
+ */
+export function parseTaskCacheKey(key) {
+  if (typeof key !== "string" || !key.startsWith(LIST_PATH)) return null;
+
+  const url = new URL(key, "http://localhost");
+  if (url.pathname === LIST_PATH) {
+    return { kind: "list", params: url.searchParams };
+  }
+
+  const match = url.pathname.match(DETAIL_PATH);
+  return match ? { kind: "detail", taskId: decodeURIComponent(match[1]) } : null;
+}
+
+/**
+ * Check whether a task satisfies a list's filters
+ * @param {Object} task
+ * @param {URLSearchParams} params - Query of the cached GET /api/tasks request
+ * @returns {boolean}
+ */
+export function taskMatchesListFilters(task, params) {
+  for (const [param, field] of Object.entries(EQUALITY_FILTERS)) {
+    const value = params.get(param);
+    if (value && task[field] !== value) return false;
+  }
+
+  const sprintId = params.get("sprintId");
+  if (sprintId && (task.sprintId ?? null) !== (sprintId === "backlog" ? null : sprintId)) {
+    return false;
+  }
+
+  const labelIds = (params.get("labels") || "").split(",").filter(Boolean);
+  if (labelIds.length > 0) {
+    const taskLabelIds = new Set((task.labels || []).map((label) => label.id));
+    const matches =
+      params.get("labelMatch") === "all"
+        ? labelIds.every((id) => taskLabelIds.has(id))
+        : labelIds.some((id) => taskLabelIds.has(id));
+    if (!matches) return false;
+  }
+
+  return true;
+}
+
+// New tasks can be placed locally only where they belong: first on the first page
+function isNewestFirst(params) {
+  return (
+    (Number(params.get("page")) || 1) === 1 &&
+    (params.get("sortBy") || "createdAt") === "createdAt" &&
+    (params.get("sortOrder") || "desc") === "desc"
+  );
+}
+
+function withTasks(response, tasks, totalDelta) {
+  const pagination = response.data.pagination;
+  return {
+    ...response,
+    data: {
+      ...response.data,
+      tasks,
+      pagination: pagination && {
+        ...pagination,
+        total: Math.max(0, pagination.total + totalDelta),
+      },
+    },
+  };
+}
+
+/**
+ * Apply an event to a cached GET /api/tasks response
+ *
+ * @param {Object} response - Cached response ({ data: { tasks, pagination } })
+ * @param {URLSearchParams} params - Query of the cached request
+ * @param {{type: string, data: Object}} event
+ * @returns {{data: Object, revalidate: boolean}} `data` is the same object when unchanged
+ */
+export function applyEventToTaskList(response, params, event) {
+  const tasks = response?.data?.tasks;
+  if (!Array.isArray(tasks)) return { data: response, revalidate: false };
+
+  const { type, data } = event;
+  const isListed = (id) => tasks.some((task) => task.id === id);
+  const unchanged = (revalidate = false) => ({ data: response, revalidate });
+
+  switch (type) {
+    case EVENT_TYPES.TASK_CREATED: {
+      if (isListed(data.id) || !taskMatchesListFilters(data, params)) {
+        return unchanged(Boolean(data.parentId) && isListed(data.parentId));
+      }
+      if (!isNewestFirst(params)) return unchanged(true);
+
+      const limit = Number(params.get("limit")) || tasks.length + 1;
+      return {
+        data: withTasks(response, [data, ...tasks].slice(0, limit), 1),
+        // The parent's subtask progress changed
+        revalidate: Boolean(data.parentId) && isListed(data.parentId),
+      };
+    }
+
+    case EVENT_TYPES.TASK_UPDATED: {
+      const parentChanged = Boolean(data.parentId) && isListed(data.parentId);
+
+      if (!isListed(data.id)) {
+        // The task may have moved into this list
+        return unchanged(parentChanged || taskMatchesListFilters(data, params));
+      }
+
+      if (!taskMatchesListFilters(data, params)) {
+        return {
+          data: withTasks(
+            response,
+            tasks.filter((task) => task.id !== data.id),
+            -1
+          ),
+          revalidate: parentChanged,
+        };
+      }
+
+      // Merge so list-only fields (progress, blocking state, comment count) survive
+      return {
+        data: withTasks(
+          response,
+          tasks.map((task) => (task.id === data.id ? { ...task, ...data } : task)),
+          0
+        ),
+        revalidate: parentChanged,
+      };
+    }
+
+    case EVENT_TYPES.TASK_DELETED: {
+      const removedIds = new Set([data.id, ...(data.subtaskIds || [])]);
+      const remaining = tasks.filter((task) => !removedIds.has(task.id));
+      const parentChanged = Boolean(data.parentId) && isListed(data.parentId);
+
+      if (remaining.length === tasks.length) return unchanged(parentChanged);
+      return {
+        data: withTasks(response, remaining, remaining.length - tasks.length),
+        revalidate: parentChanged,
+      };
+    }
+
+    case EVENT_TYPES.COMMENT_ADDED: {
+      if (!isListed(data.taskId)) return unchanged();
+      return {
+        data: withTasks(
+          response,
+          tasks.map((task) =>
+            task.id === data.taskId
+              ? { ...task, _count: { ...task._count, comments: (task._count?.comments || 0) + 1 } }
+              : task
+          ),
+          0
+        ),
+        revalidate: false,
+      };
+    }
+
+    default:
+      return unchanged();
+  }
+}
+
+/**
+ * Check whether an event affects a cached GET /api/tasks/[id] response
+ *
+ * The detail response embeds comments, subtasks and dependencies, so affected
+ * entries are revalidated rather than patched.
+ *
+ * @param {string} taskId - Task of the cached detail response
+ * @param {{type: string, data: Object}} event
+ * @returns {boolean}
+ */
+export function eventAffectsTaskDetail(taskId, { type, data }) {
+  switch (type) {
+    case EVENT_TYPES.TASK_CREATED:
+      return data.parentId === taskId;
+    case EVENT_TYPES.TASK_UPDATED:
+    case EVENT_TYPES.TASK_DELETED:
+      return data.id === taskId || data.parentId === taskId;
+    case EVENT_TYPES.COMMENT_ADDED:
+      return data.taskId === taskId;
+    default:
+      return false;
+  }
+}
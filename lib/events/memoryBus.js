@@ -0,0 +1,39 @@
+/**
+ * In-process Event Bus
+ *
+ * Used when REDIS_URL is not set (local dev, tests, single instance).
+ * Events only reach subscribers in the same Node.js process.
+ */
+
+import { EventEmitter } from "node:events";
+
+const CHANNEL = "event";
+
+/**
+ * Create an event bus backed by an EventEmitter
+ * @returns {Object} Event bus (see lib/eventBus.js)
+ */
+export function createMemoryBus() {
+  const emitter = new EventEmitter();
+  // One listener per open SSE connection
+  emitter.setMaxListeners(0);
+
+  return {
+    name: "memory",
+
+    async publish(event) {
+      emitter.emit(CHANNEL, event);
+    },
+
+    subscribe(listener) {
+      emitter.on(CHANNEL, listener);
+      return () => emitter.off(CHANNEL, listener);
+    },
+
+    listenerCount: () => emitter.listenerCount(CHANNEL),
+
+    async close() {
+      emitter.removeAllListeners(CHANNEL);
+    },
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * Redis Pub/Sub Event Bus
+ *
+ * Used when REDIS_URL is set, so an event published by one instance reaches
+ * SSE connections on every instance. A connection in subscriber mode cannot
+ * run other commands, so publishing and subscribing use separate clients.
+ *
+ * Events are delivered through the subscription only (including the
+ * publisher's own instance), so every subscriber sees each event once.
+ */
+
+import { EventEmitter } from "node:events";
+
+export const EVENTS_CHANNEL = "sprintlite:events";
+
+const LOCAL_CHANNEL = "event";
+
+/**
+ * Create an event bus backed by Redis pub/sub
+ *
+ * @param {Object} clients
+ * @param {import("ioredis").Redis} clients.publisher - Regular client (may be shared with the cache)
+ * @param {import("ioredis").Redis} clients.subscriber - Dedicated client for SUBSCRIBE
+ * @param {string} [clients.channel] - Pub/sub channel name
+ * @returns {Object} Event bus (see lib/eventBus.js)
+ */
+export function createRedisBus({ publisher, subscriber, channel = EVENTS_CHANNEL }) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  let subscribed = null;
+
+  // Subscribe lazily: instances that never open an SSE stream don't hold a subscription
+  function ensureSubscribed() {
+    if (!subscribed) {
+      subscribed = subscriber.subscribe(channel).catch((error) => {
+        subscribed = null;
+        console.error("❌ Event bus subscribe failed:", error.message);
+      });
+    }
+    return subscribed;
+  }
+
+  subscriber.on("message", (messageChannel, message) => {
+    if (messageChannel !== channel) return;
+    try {
+      emitter.emit(LOCAL_CHANNEL, JSON.parse(message));
+    } catch (error) {
+      console.error("❌ Event bus received an invalid message:", error.message);
+    }
+  });
+
+  return {
+    name: "redis",
+
+    async publish(event) {
+      await publisher.publish(channel, JSON.stringify(event));
+    },
+
+    subscribe(listener) {
+      ensureSubscribed();
+      emitter.on(LOCAL_CHANNEL, listener);
+      return () => emitter.off(LOCAL_CHANNEL, listener);
+    },
+
+    listenerCount: () => emitter.listenerCount(LOCAL_CHANNEL),
+
+    async close() {
+      emitter.removeAllListeners(LOCAL_CHANNEL);
+      await subscriber.quit();
+    },
+  };
+}
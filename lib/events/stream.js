@@ -0,0 +1,48 @@
+/**
+ * Server-Sent Events Helpers
+ *
+ * Wire format and per-user filtering for GET /api/events.
+ */
+
+import { hasPermission, ACTIONS } from "../rbac.js";
+
+// Comment lines keep proxies and load balancers from closing idle streams
+export const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// Delay the browser waits before reconnecting a dropped stream
+export const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Check whether a user may receive an event
+ *
+ * Events addressed to one user (`data.recipientId`) go to that user only.
+ *
+ * @param {{userId: string, role: string}} user - Authenticated user (JWT payload)
+ * @param {{resource: string, data?: Object}} event
+ * @returns {boolean}
+ */
+export function canReceiveEvent(user, event) {
+  if (event.data?.recipientId && event.data.recipientId !== user?.userId) return false;
+  return Boolean(user?.role) && hasPermission(user.role, event.resource, ACTIONS.READ);
+}
+
+/**
+ * Serialize an event as an SSE message
+ *
+ * The `event:` field lets EventSource clients listen per type, and `id:` is
+ * echoed back as Last-Event-ID on reconnect.
+ *
+ * @param {{id: string, type: string}} event
+ * @returns {string}
+ */
+export function formatSseMessage(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * Serialize an SSE comment line (ignored by EventSource)
+ * @param {string} text
+ * @returns {string}
+ */
+export function formatSseComment(text) {
+  return `: ${text}\n\n`;
+}
@@ -0,0 +1,55 @@
+/**
+ * Live Update Event Types
+ *
+ * Shared by the publishing API routes, the /api/events stream and the client
+ * hook that applies events to the SWR cache.
+ *
+ * Event shape: { id, type, resource, data, createdAt }
+ * - task.created / task.updated: data = the task as returned by the API
+ * - task.deleted: data = { id, projectId, parentId, subtaskIds }
+ * - comment.added: data = { taskId, comment }
+ * - notification.created: data = { recipientId, type, taskId, commentId }
+ *
+ * Events whose data has a `recipientId` are delivered to that user only.
+ */
+
+import { RESOURCES } from "../rbac.js";
+
+export const EVENT_TYPES = {
+  TASK_CREATED: "task.created",
+  TASK_UPDATED: "task.updated",
+  TASK_DELETED: "task.deleted",
+  COMMENT_ADDED: "comment.added",
+  NOTIFICATION_CREATED: "notification.created",
+};
+
+// RBAC resource a subscriber must be able to read to receive the event
+const EVENT_RESOURCES = {
+  [EVENT_TYPES.TASK_CREATED]: RESOURCES.TASKS,
+  [EVENT_TYPES.TASK_UPDATED]: RESOURCES.TASKS,
+  [EVENT_TYPES.TASK_DELETED]: RESOURCES.TASKS,
+  [EVENT_TYPES.COMMENT_ADDED]: RESOURCES.TASKS,
+  [EVENT_TYPES.NOTIFICATION_CREATED]: RESOURCES.TASKS,
+};
+
+/**
+ * Build an event envelope
+ *
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event payload
+ * @returns {{id: string, type: string, resource: string, data: Object, createdAt: string}}
+ */
+export function createEvent(type, data) {
+  const resource = EVENT_RESOURCES[type];
+  if (!resource) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+
+  return {
+    id: crypto.randomUUID(),
+    type,
+    resource,
+    data,
+    createdAt: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,34 @@
+/**
+ * Markdown Rendering
+ *
+ * Task descriptions and comments are written in Markdown (GitHub flavored:
+ * fenced code blocks, task lists, tables, strikethrough). The source is stored
+ * as typed so editing round-trips losslessly, next to the HTML rendered here.
+ * Rendering runs on the server and its output always goes through
+ * sanitizeRichText, so raw HTML in the source, including @mention markup
+ * (lib/mentions.js), is held to the same allowlist as before.
+ */
+
+import { Marked } from "marked";
+import { sanitizeRichText } from "./sanitization.js";
+
+// Single line breaks are kept, as users expect from a comment box
+const markdown = new Marked({ gfm: true, breaks: true });
+
+/**
+ * Render Markdown to sanitized HTML
+ *
+ * @param {string|null|undefined} source - Markdown source
+ * @returns {string|null} Sanitized HTML, or null for empty source
+ *
+ * @example
+ * renderMarkdown("- [x] **done**")
+ * // Returns: '<ul>\n<li><input type="checkbox" disabled checked /> <strong>done</strong></li>\n</ul>\n'
+ */
+export function renderMarkdown(source) {
+  if (typeof source !== "string" || !source.trim()) {
+    return null;
+  }
+
+  return sanitizeRichText(markdown.parse(source, { async: false }));
+}
@@ -0,0 +1,139 @@
+/**
+ * @mention Helpers
+ *
+ * Mentions are stored in comments and task descriptions as
+ * `<span data-mention="USER_ID">@Name</span>`. The user ID is what counts:
+ * chips show the user's current name, so mentions survive renames, and the
+ * inner text is only a fallback for plain-text contexts (search, emails).
+ * sanitizeRichText keeps this markup and strips everything else on spans.
+ *
+ * Shared by the API routes (which notify mentioned users) and the client
+ * (autocomplete and chip rendering), so this module has no server imports.
+ */
+
+/**
+ * IDs accepted in mention markup (cuids; anything else is dropped by the sanitizer)
+ */
+export const MENTION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Mention spans as written by mentionMarkup (attribute quoting normalized by sanitize-html)
+const MENTION_MARKUP_REGEX = /<span data-mention="([A-Za-z0-9_-]{1,64})">([\s\S]*?)<\/span>/g;
+
+// Characters allowed in the query typed after "@" while autocompleting
+const MENTION_QUERY_REGEX = /(^|\s)@([^\s@<>]{0,30})$/;
+
+const ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": '"', "&#39;": "'" };
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/**
+ * Decode the entities sanitize-html escapes in text, for rendering as plain text
+ * @param {string} text
+ * @returns {string}
+ */
+export const decodeEntities = (text) => text.replace(/&(amp|lt|gt|quot|#39);/g, (m) => ENTITIES[m]);
+
+/**
+ * Markup for one mention
+ * @param {{id: string, name: string}} user
+ * @returns {string}
+ */
+export function mentionMarkup(user) {
+  return `<span data-mention="${user.id}">@${escapeHtml(user.name)}</span>`;
+}
+
+/**
+ * Turn the `@Name` text of mentions picked in the autocomplete into markup
+ *
+ * Longer names are replaced first so "@Ada Lovelace" wins over "@Ada".
+ * Names no longer in the text (deleted by the user) are ignored.
+ *
+ * @param {string} text - Text typed by the user
+ * @param {Array<{id: string, name: string}>} mentions - Users picked while typing
+ * @returns {string}
+ */
+export function encodeMentions(text, mentions = []) {
+  const byName = new Map(mentions.map((user) => [user.name, user]));
+  const names = [...byName.keys()].sort((a, b) => b.length - a.length);
+  if (names.length === 0) return text;
+
+  const pattern = new RegExp(
+    `@(${names.map((name) => name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})(?![\\w])`,
+    "g"
+  );
+  return text.replace(pattern, (match, name) => mentionMarkup(byName.get(name)));
+}
+
+/**
+ * Turn stored mention markup back into `@Name` text, for editing
+ *
+ * The reverse of encodeMentions: feed the result back into it to get the
+ * same markup. Everything outside mentions is left untouched.
+ *
+ * @param {string|null} content - Stored Markdown source
+ * @returns {{text: string, mentions: Array<{id: string, name: string}>}}
+ */
+export function decodeMentions(content) {
+  const mentions = new Map();
+  const text = (content || "").replace(MENTION_MARKUP_REGEX, (match, id, inner) => {
+    const name = decodeEntities(inner).replace(/^@/, "");
+    mentions.set(id, { id, name });
+    return `@${name}`;
+  });
+  return { text, mentions: [...mentions.values()] };
+}
+
+/**
+ * IDs of the users mentioned in stored content, without duplicates
+ * @param {string|null} content
+ * @returns {string[]}
+ */
+export function extractMentionIds(content) {
+  if (!content) return [];
+  return [...new Set([...content.matchAll(MENTION_MARKUP_REGEX)].map((match) => match[1]))];
+}
+
+/**
+ * Split stored content into text and mention segments for rendering
+ *
+ * Text is entity-decoded (render it as text, never as HTML); mentions carry
+ * the user ID and the fallback name from the markup.
+ *
+ * @param {string|null} content
+ * @returns {Array<{type: "text", text: string}|{type: "mention", userId: string, fallback: string}>}
+ */
+export function parseMentions(content) {
+  if (!content) return [];
+
+  const segments = [];
+  let lastIndex = 0;
+  for (const match of content.matchAll(MENTION_MARKUP_REGEX)) {
+    if (match.index > lastIndex) {
+      segments.push({ type: "text", text: decodeEntities(content.slice(lastIndex, match.index)) });
+    }
+    segments.push({
+      type: "mention",
+      userId: match[1],
+      fallback: decodeEntities(match[2]).replace(/^@/, ""),
+    });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < content.length) {
+    segments.push({ type: "text", text: decodeEntities(content.slice(lastIndex)) });
+  }
+  return segments;
+}
+
+/**
+ * Find the `@query` being typed just before the caret
+ *
+ * @param {string} text
+ * @param {number} caret - Caret position (selectionStart)
+ * @returns {{start: number, query: string}|null} Start index of the "@" and the text after it
+ */
+export function findMentionQuery(text, caret) {
+  const match = text.slice(0, caret).match(MENTION_QUERY_REGEX);
+  if (!match) return null;
+  return { start: caret - match[2].length - 1, query: match[2] };
+}
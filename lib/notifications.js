@@ -0,0 +1,74 @@
+/**
+ * Notification Helpers
+ *
+ * Notifications tell a user about activity that involves them. For now that
+ * is being @mentioned in a comment or a task description (see
+ * lib/mentions.js). Rows are created alongside the content that triggered
+ * them; callers then publish a notification.created event per recipient so
+ * open clients update their bell.
+ */
+
+import { extractMentionIds } from "./mentions.js";
+
+export const NOTIFICATION_TYPES = {
+  MENTION: "mention",
+};
+
+export const DEFAULT_NOTIFICATION_LIMIT = 20;
+export const MAX_NOTIFICATION_LIMIT = 100;
+
+/**
+ * Users mentioned in new content who weren't mentioned before
+ *
+ * Editing a comment or description only notifies the users it adds, and
+ * nobody is notified about mentioning themselves.
+ *
+ * @param {string|null} content - New content
+ * @param {string|null} previousContent - Content before the edit (null when creating)
+ * @param {string|null} actorId - Author of the change
+ * @returns {string[]} User IDs
+ */
+export function newMentionIds(content, previousContent, actorId) {
+  const previous = new Set(extractMentionIds(previousContent));
+  return extractMentionIds(content).filter((id) => !previous.has(id) && id !== actorId);
+}
+
+/**
+ * Create mention notifications for the users newly mentioned in some content
+ *
+ * IDs that don't belong to a user (e.g. hand-written markup) are skipped.
+ *
+ * @param {object} db - Prisma client or transaction client
+ * @param {object} entry
+ * @param {string|null} entry.content - New content
+ * @param {string|null} [entry.previousContent] - Content before the edit
+ * @param {string|null} entry.actorId - Author of the change
+ * @param {string} entry.taskId - Task the content belongs to
+ * @param {string|null} [entry.commentId] - Comment, for mentions in comments
+ * @returns {Promise<string[]>} Recipients that were notified
+ */
+export async function notifyMentions(
+  db,
+  { content, previousContent = null, actorId, taskId, commentId = null }
+) {
+  const candidates = newMentionIds(content, previousContent, actorId);
+  if (candidates.length === 0) return [];
+
+  const users = await db.user.findMany({
+    where: { id: { in: candidates } },
+    select: { id: true },
+  });
+  const recipientIds = users.map((user) => user.id);
+  if (recipientIds.length === 0) return [];
+
+  await db.notification.createMany({
+    data: recipientIds.map((userId) => ({
+      type: NOTIFICATION_TYPES.MENTION,
+      userId,
+      actorId: actorId || null,
+      taskId,
+      commentId,
+    })),
+  });
+  return recipientIds;
+}
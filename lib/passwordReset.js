@@ -0,0 +1,134 @@
+/**
+ * Password Reset Helpers
+ *
+ * Reset links carry a random token, stored hashed (see lib/tokens.js).
+ * Tokens expire after PASSWORD_RESET_TTL_MINUTES, can be used once, and
+ * requesting a new link invalidates the previous ones. Reset emails are
+ * throttled per account: one per PASSWORD_RESET_COOLDOWN_SECONDS and at most
+ * MAX_PASSWORD_RESET_EMAILS_PER_HOUR, counted from the last hour's tokens.
+ *
+ * A successful reset revokes every session: it deletes the user's sessions
+ * (lib/sessions.js) and sets `passwordChangedAt`, before which the refresh
+ * route rejects refresh tokens as well (see issuedBeforePasswordChange).
+ * Access tokens already issued stay valid until they expire (15 minutes).
+ */
+
+import { buildAppUrl, generateToken, hashToken, throttleRetryAfter } from "./tokens.js";
+
+export const PASSWORD_RESET_TTL_MINUTES = 15;
+export const PASSWORD_RESET_COOLDOWN_SECONDS = 60;
+export const MAX_PASSWORD_RESET_EMAILS_PER_HOUR = 5;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Link to the reset page for a token
+ * @param {string} token
+ * @param {string} [baseUrl] - Defaults to NEXT_PUBLIC_APP_URL
+ * @returns {string}
+ */
+export function buildResetUrl(token, baseUrl) {
+  return buildAppUrl("/auth/reset-password", { token }, baseUrl);
+}
+
+/**
+ * Issue a reset token for a user, invalidating their unused ones
+ *
+ * Earlier tokens are expired rather than deleted, so they still count
+ * towards the throttle; tokens older than an hour are removed.
+ *
+ * @param {object} db - Prisma client or transaction client
+ * @param {string} userId
+ * @param {Date} [now]
+ * @returns {Promise<{token: string, expiresAt: Date}>} The plain token, to be emailed
+ */
+export async function createPasswordResetToken(db, userId, now = new Date()) {
+  const token = generateToken();
+  const expiresAt = new Date(now.getTime() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+  await db.passwordResetToken.deleteMany({
+    where: { userId, createdAt: { lte: new Date(now.getTime() - HOUR_MS) } },
+  });
+  await db.passwordResetToken.updateMany({
+    where: { userId, usedAt: null, expiresAt: { gt: now } },
+    data: { expiresAt: now },
+  });
+  await db.passwordResetToken.create({
+    data: { tokenHash: hashToken(token), userId, expiresAt, createdAt: now },
+  });
+  return { token, expiresAt };
+}
+
+/**
+ * Seconds until the user may be sent another reset email
+ *
+ * @param {object} db - Prisma client
+ * @param {string} userId
+ * @param {Date} [now]
+ * @returns {Promise<number>} 0 when sending is allowed
+ */
+export async function getResetRetryAfter(db, userId, now = new Date()) {
+  const recent = await db.passwordResetToken.findMany({
+    where: { userId, createdAt: { gt: new Date(now.getTime() - HOUR_MS) } },
+    select: { createdAt: true },
+  });
+  return throttleRetryAfter(
+    recent.map((entry) => entry.createdAt),
+    {
+      cooldownSeconds: PASSWORD_RESET_COOLDOWN_SECONDS,
+      maxPerHour: MAX_PASSWORD_RESET_EMAILS_PER_HOUR,
+    },
+    now
+  );
+}
+
+/**
+ * Set a new password using a reset token
+ *
+ * The token is claimed with a conditional update, so two concurrent
+ * requests can't both use it. Run inside a transaction: the password,
+ * `passwordChangedAt` and the token state change together.
+ *
+ * @param {object} db - Prisma transaction client
+ * @param {object} reset
+ * @param {string} reset.token - Plain token from the link
+ * @param {string} reset.passwordHash - bcrypt hash of the new password
+ * @param {Date} [now]
+ * @returns {Promise<string|null>} The user's ID, or null when the token is unknown, used or expired
+ */
+export async function resetPasswordWithToken(db, { token, passwordHash }, now = new Date()) {
+  const tokenHash = hashToken(token);
+  const { count } = await db.passwordResetToken.updateMany({
+    where: { tokenHash, usedAt: null, expiresAt: { gt: now } },
+    data: { usedAt: now },
+  });
+  if (count === 0) return null;
+
+  const { userId } = await db.passwordResetToken.findUnique({
+    where: { tokenHash },
+    select: { userId: true },
+  });
+
+  await db.user.update({
+    where: { id: userId },
+    data: { password: passwordHash, passwordChangedAt: now },
+  });
+  await db.passwordResetToken.deleteMany({ where: { userId, usedAt: null } });
+  await db.session.deleteMany({ where: { userId } });
+  return userId;
+}
+
+/**
+ * Whether a decoded JWT was issued before the user's last password change
+ *
+ * `iat` has one-second precision, so tokens issued in the same second as
+ * the change are still accepted (e.g. signing in right after a reset).
+ *
+ * @param {{iat?: number}} decoded - Verified token payload
+ * @param {Date|null} passwordChangedAt
+ * @returns {boolean}
+ */
+export function issuedBeforePasswordChange(decoded, passwordChangedAt) {
+  if (!passwordChangedAt || typeof decoded?.iat !== "number") return false;
+  return decoded.iat < Math.floor(new Date(passwordChangedAt).getTime() / 1000);
+}
@@ -5,19 +5,19 @@
  * and log all access decisions for security auditing.
  */
 
-import { authenticateRequest } from "./auth";
-import { hasPermission, isValidRole } from "./rbac";
+import { authenticateRequest, requireVerifiedEmail } from "./auth";
+import { ACTIONS, hasPermission, isValidRole } from "./rbac";
 import { sendError, ERROR_CODES } from "./responseHandler";
+import { prisma } from "./db";
+import { buildAuditLogWhere, createAuditLogWriter, queryAuditLogs } from "./audit-log";
 
 /**
  * Audit Log Storage
  *
- * In production, send to:
- * - Database (PostgreSQL/MongoDB)
- * - Logging service (CloudWatch, Datadog, Splunk)
- * - SIEM system (Security Information and Event Management)
+ * Decisions are persisted to the AuditLog table in batches (see lib/audit-log.js),
+ * so they survive restarts and are shared across instances.
  */
-const auditLogs = [];
+const auditLogWriter = createAuditLogWriter(prisma);
 
 /**
  * Log access decision (allow/deny)
@@ -37,31 +37,33 @@ export function logAccessDecision(logEntry) {
   const timestamp = new Date().toISOString();
   const status = logEntry.allowed ? "✅ ALLOWED" : "🚫 DENIED";
 
-  const fullLog = {
-    timestamp,
-    ...logEntry,
-  };
-
-  // Store log (in-memory for demo, use database in production)
-  auditLogs.push(fullLog);
+  // Buffered; written to the database asynchronously
+  auditLogWriter.enqueue({ timestamp, ...logEntry });
 
   // Console output for demo/development
   console.log(
     `[RBAC AUDIT] ${status} | ${logEntry.role} | ${logEntry.action}:${logEntry.resource} | ${logEntry.endpoint} | User: ${logEntry.email} | Reason: ${logEntry.reason || "Policy check"}`
   );
+}
 
-  // In production, send to logging service
-  // await sendToLoggingService(fullLog);
+/**
+ * Write buffered audit entries now (e.g. before reading them back)
+ * @returns {Promise<void>}
+ */
+export function flushAuditLogs() {
+  return auditLogWriter.flush();
 }
 
 /**
  * Get all audit logs (admin only)
  *
  * @param {number} limit - Maximum logs to return
- * @returns {Array} Audit log entries
+ * @returns {Promise<Array>} Audit log entries, most recent first
  */
-export function getAuditLogs(limit = 100) {
-  return auditLogs.slice(-limit).reverse(); // Most recent first
+export async function getAuditLogs(limit = 100) {
+  await flushAuditLogs();
+  const { logs } = await queryAuditLogs(prisma, { limit });
+  return logs;
 }
 
 /**
@@ -69,26 +71,27 @@ export function getAuditLogs(limit = 100) {
  *
  * @param {string} userId - User ID to filter by
  * @param {number} limit - Maximum logs to return
- * @returns {Array} Audit log entries for user
+ * @returns {Promise<Array>} Audit log entries for user, most recent first
  */
-export function getUserAuditLogs(userId, limit = 50) {
-  return auditLogs
-    .filter((log) => log.userId === userId)
-    .slice(-limit)
-    .reverse();
+export async function getUserAuditLogs(userId, limit = 50) {
+  await flushAuditLogs();
+  const { logs } = await queryAuditLogs(prisma, { where: buildAuditLogWhere({ userId }), limit });
+  return logs;
 }
 
 /**
  * Get denied access attempts (security monitoring)
  *
  * @param {number} limit - Maximum logs to return
- * @returns {Array} Denied access log entries
+ * @returns {Promise<Array>} Denied access log entries, most recent first
  */
-export function getDeniedAccess(limit = 100) {
-  return auditLogs
-    .filter((log) => !log.allowed)
-    .slice(-limit)
-    .reverse();
+export async function getDeniedAccess(limit = 100) {
+  await flushAuditLogs();
+  const { logs } = await queryAuditLogs(prisma, {
+    where: buildAuditLogWhere({ allowed: false }),
+    limit,
+  });
+  return logs;
 }
 
 /**
@@ -169,6 +172,9 @@ export function requirePermission(request, resource, action) {
   // Step 3: Check permission
   const allowed = hasPermission(user.role, resource, action);
 
+  // Step 3b: Unverified accounts are read-only
+  const verification = allowed && action !== ACTIONS.READ ? requireVerifiedEmail(user) : {};
+
   // Log decision
   logAccessDecision({
     userId: user.userId,
@@ -176,12 +182,20 @@ export function requirePermission(request, resource, action) {
     role: user.role,
     resource,
     action,
-    allowed,
+    allowed: allowed && !verification.errorResponse,
     endpoint,
     ip,
-    reason: allowed ? "Permission granted" : `Missing permission: ${action} on ${resource}`,
+    reason: !allowed
+      ? `Missing permission: ${action} on ${resource}`
+      : verification.errorResponse
+        ? "Email not verified"
+        : "Permission granted",
   });
 
+  if (verification.errorResponse) {
+    return verification;
+  }
+
   // Step 4: Return result
   if (!allowed) {
     return {
@@ -313,6 +327,11 @@ export function checkOwnership(request, resourceOwnerId, resource, action) {
   const user = simpleAuthResult.user;
   const isOwner = user.userId === resourceOwnerId;
 
+  // Owners of an unverified account can only read their resources
+  if (isOwner && action !== ACTIONS.READ && requireVerifiedEmail(user).errorResponse) {
+    return authResult;
+  }
+
   if (isOwner) {
     // Owner can access their own resource
     logAccessDecision({
@@ -1,24 +1,66 @@
 /**
  * Redis Connection Utility
  *
- * Provides a singleton Redis client for caching throughout the application.
- * Supports both local Redis and cloud Redis instances.
+ * Cache-aside helpers used by the API routes, backed by a cache driver:
+ * - Redis (ioredis) when REDIS_URL is set
+ * - An in-process LRU otherwise, so local dev and tests don't need Redis
  *
- * DISABLED: Redis caching is currently disabled for development
+ * Values are JSON-serialized. Driver errors are logged and treated as cache
+ * misses, so the database stays the source of truth.
+ *
+ * Entries can carry tags (e.g. "project:<id>"), and mutations invalidate
+ * tags instead of wiping whole key patterns (see lib/cache/invalidation.js).
+ *
+ * Driver interface (all async except isConnected):
+ * get(key), set(key, value, ttlSeconds), del(keys), deletePattern(pattern),
+ * tagKey(key, tags, ttlSeconds), deleteTagged(tags), size(), close(), isConnected()
  */
 
-// DISABLE REDIS - Set to null to skip connection attempts
-const redis = null;
+import { createMemoryDriver } from "./cache/memoryDriver";
+import { createRedisClient, createRedisDriver } from "./cache/redisDriver";
+
+const globalForCache = globalThis;
+
+function createDriver() {
+  if (process.env.REDIS_URL) {
+    return createRedisDriver(createRedisClient(process.env.REDIS_URL));
+  }
+  return createMemoryDriver();
+}
+
+// Reuse one driver across hot reloads in development (same approach as lib/db.js)
+const driver = globalForCache.cacheDriver || createDriver();
+if (process.env.NODE_ENV !== "production") {
+  globalForCache.cacheDriver = driver;
+}
+
+const emptyStats = () => ({ hits: 0, misses: 0, sets: 0, deletes: 0, errors: 0 });
+let stats = emptyStats();
+
+function recordError(operation, error) {
+  stats.errors += 1;
+  console.error(`❌ Cache ${operation} failed:`, error.message);
+}
 
 /**
  * Get cached data
  * @param {string} key - Cache key
  * @returns {Promise<any|null>} Parsed cached data or null
  */
-// eslint-disable-next-line @typescript-eslint/no-unused-vars
-export async function getCache(_key) {
-  // Redis disabled - always return null (cache miss)
-  return null;
+export async function getCache(key) {
+  try {
+    const value = await driver.get(key);
+    if (value === null || value === undefined) {
+      stats.misses += 1;
+      return null;
+    }
+    stats.hits += 1;
+    return JSON.parse(value);
+  } catch (error) {
+    stats.misses += 1;
+    recordError("get", error);
+    return null;
+  }
 }
 
 /**
@@ -26,42 +68,103 @@ export async function getCache(_key) {
  * @param {string} key - Cache key
  * @param {any} data - Data to cache
  * @param {number} ttl - Time to live in seconds (default: 60)
+ * @param {string[]} [tags] - Tags for invalidateCacheTags()
  * @returns {Promise<void>}
  */
-// eslint-disable-next-line @typescript-eslint/no-unused-vars
-export async function setCache(_key, _data, _ttl = 60) {
-  // Redis disabled - do nothing
-  return;
+export async function setCache(key, data, ttl = 60, tags = []) {
+  try {
+    await driver.set(key, JSON.stringify(data), ttl);
+    if (tags.length > 0) {
+      await driver.tagKey(key, tags, ttl);
+    }
+    stats.sets += 1;
+  } catch (error) {
+    recordError("set", error);
+  }
 }
 
 /**
  * Delete cache keys
  * @param {string|string[]} keys - Single key or array of keys to delete
- * @returns {Promise<void>}
+ * @returns {Promise<number>} Number of deleted keys
  */
-// eslint-disable-next-line @typescript-eslint/no-unused-vars
-export async function deleteCache(_keys) {
-  // Redis disabled - do nothing
-  return;
+export async function deleteCache(keys) {
+  try {
+    const deleted = await driver.del(Array.isArray(keys) ? keys : [keys]);
+    stats.deletes += deleted;
+    return deleted;
+  } catch (error) {
+    recordError("delete", error);
+    return 0;
+  }
 }
 
 /**
  * Delete all keys matching a pattern
  * @param {string} pattern - Pattern to match (e.g., "users:*")
- * @returns {Promise<void>}
+ * @returns {Promise<number>} Number of deleted keys
+ */
+export async function deleteCachePattern(pattern) {
+  try {
+    const deleted = await driver.deletePattern(pattern);
+    stats.deletes += deleted;
+    return deleted;
+  } catch (error) {
+    recordError("pattern delete", error);
+    return 0;
+  }
+}
+
+/**
+ * Delete every entry carrying any of the tags
+ * @param {string[]} tags
+ * @returns {Promise<number>} Number of deleted keys
  */
-// eslint-disable-next-line @typescript-eslint/no-unused-vars
-export async function deleteCachePattern(_pattern) {
-  // Redis disabled - do nothing
-  return;
+export async function invalidateCacheTags(tags) {
+  if (tags.length === 0) return 0;
+  try {
+    const deleted = await driver.deleteTagged(tags);
+    stats.deletes += deleted;
+    return deleted;
+  } catch (error) {
+    recordError("tag invalidation", error);
+    return 0;
+  }
 }
 
 /**
  * Check if Redis is connected
- * @returns {boolean}
+ * @returns {boolean} false when using the in-memory fallback
  */
 export function isRedisConnected() {
-  return false;
+  return driver.name === "redis" && driver.isConnected();
 }
 
+/**
+ * Cache statistics since startup (or the last reset), per process
+ * @returns {Promise<{backend: string, connected: boolean, hits: number, misses: number, hitRate: number, sets: number, deletes: number, errors: number, keys: number|null}>}
+ */
+export async function getCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  const keys = driver.isConnected() ? await driver.size().catch(() => null) : null;
+
+  return {
+    backend: driver.name,
+    connected: driver.isConnected(),
+    ...stats,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : 0,
+    keys,
+  };
+}
+
+/**
+ * Reset hit/miss counters
+ */
+export function resetCacheStats() {
+  stats = emptyStats();
+}
+
+// ioredis client when Redis is configured, null with the in-memory fallback
+const redis = driver.client || null;
+
 export default redis;
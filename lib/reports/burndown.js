@@ -0,0 +1,145 @@
+/**
+ * Burndown & Velocity Calculations
+ *
+ * Pure helpers that turn sprint snapshots into chart series.
+ * Kept free of database access so they can be unit tested.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a date to the UTC day it falls on (snapshots are stored per UTC day)
+ * @param {Date|string} date
+ * @returns {Date} Midnight UTC of that day
+ */
+export function toSnapshotDate(date) {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+/**
+ * Format a date as YYYY-MM-DD (UTC)
+ * @param {Date|string} date
+ * @returns {string}
+ */
+export function toDateKey(date) {
+  return toSnapshotDate(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Count total/remaining tasks and story points
+ * @param {Array<{statusCategory: string, storyPoints?: number|null}>} tasks
+ * @returns {{totalTasks: number, remainingTasks: number, totalPoints: number, remainingPoints: number}}
+ */
+export function summarizeTasks(tasks) {
+  const summary = { totalTasks: 0, remainingTasks: 0, totalPoints: 0, remainingPoints: 0 };
+
+  for (const task of tasks) {
+    const points = task.storyPoints || 0;
+    summary.totalTasks += 1;
+    summary.totalPoints += points;
+    if (task.statusCategory !== "done") {
+      summary.remainingTasks += 1;
+      summary.remainingPoints += points;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Build a burndown series for a sprint
+ *
+ * Each day from startDate to endDate gets:
+ * - ideal: straight line from the starting scope down to zero
+ * - remaining: actual remaining work (null for days that haven't happened yet)
+ *
+ * Days without a snapshot carry the previous day's value forward.
+ * Story points are used when the sprint has any, otherwise task counts.
+ *
+ * @param {{startDate: Date|string, endDate: Date|string}} sprint
+ * @param {Array<object>} snapshots - SprintSnapshot rows
+ * @param {Date} [now=new Date()]
+ * @returns {{metric: "points"|"tasks", days: Array<{date: string, ideal: number, remaining: number|null, total: number|null}>}}
+ */
+export function buildBurndown(sprint, snapshots, now = new Date()) {
+  const sorted = [...snapshots].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const latest = sorted[sorted.length - 1];
+  const metric = latest && latest.totalPoints > 0 ? "points" : "tasks";
+  const totalKey = metric === "points" ? "totalPoints" : "totalTasks";
+  const remainingKey = metric === "points" ? "remainingPoints" : "remainingTasks";
+
+  const byDay = new Map(sorted.map((s) => [toDateKey(s.date), s]));
+
+  const start = toSnapshotDate(sprint.startDate);
+  const end = toSnapshotDate(sprint.endDate);
+  const today = toSnapshotDate(now);
+  const dayCount = Math.max(1, Math.round((end - start) / DAY_MS) + 1);
+
+  // The ideal line starts from the scope on the first recorded day
+  const startingScope = sorted.length > 0 ? sorted[0][totalKey] : 0;
+
+  const days = [];
+  let carried = null;
+
+  for (let i = 0; i < dayCount; i++) {
+    const date = new Date(start.getTime() + i * DAY_MS);
+    const key = toDateKey(date);
+    const snapshot = byDay.get(key);
+
+    if (snapshot) carried = snapshot;
+
+    const isPast = date <= today;
+    const ideal = dayCount === 1 ? 0 : startingScope * (1 - i / (dayCount - 1));
+
+    days.push({
+      date: key,
+      ideal: Math.round(ideal * 10) / 10,
+      remaining: isPast && carried ? carried[remainingKey] : null,
+      total: isPast && carried ? carried[totalKey] : null,
+    });
+  }
+
+  return { metric, days };
+}
+
+/**
+ * Build velocity entries from closed sprints
+ *
+ * Committed = scope on the first snapshot, completed = done work on the last
+ * snapshot (taken when the sprint was closed, before unfinished tasks moved out).
+ *
+ * @param {Array<{id: string, name: string, endDate: Date|string, snapshots: Array<object>}>} sprints
+ * @returns {{sprints: Array<object>, averagePoints: number, averageTasks: number}}
+ */
+export function buildVelocity(sprints) {
+  const entries = sprints
+    .filter((sprint) => sprint.snapshots && sprint.snapshots.length > 0)
+    .map((sprint) => {
+      const sorted = [...sprint.snapshots].sort((a, b) => new Date(a.date) - new Date(b.date));
+      const first = sorted[0];
+      const last = sorted[sorted.length - 1];
+
+      return {
+        sprintId: sprint.id,
+        name: sprint.name,
+        endDate: sprint.endDate,
+        committedPoints: first.totalPoints,
+        completedPoints: last.totalPoints - last.remainingPoints,
+        committedTasks: first.totalTasks,
+        completedTasks: last.totalTasks - last.remainingTasks,
+      };
+    })
+    .sort((a, b) => new Date(a.endDate) - new Date(b.endDate));
+
+  const average = (key) =>
+    entries.length === 0
+      ? 0
+      : Math.round((entries.reduce((sum, e) => sum + e[key], 0) / entries.length) * 10) / 10;
+
+  return {
+    sprints: entries,
+    averagePoints: average("completedPoints"),
+    averageTasks: average("completedTasks"),
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * Sprint Snapshots
+ *
+ * Records one SprintSnapshot per sprint per UTC day. Re-recording on the
+ * same day overwrites that day's numbers, so it is safe to call repeatedly.
+ *
+ * Snapshots are taken:
+ * - when a sprint starts (starting scope) and closes (final numbers)
+ * - when the burndown report is viewed for an active sprint
+ * - by POST /api/reports/snapshots for a daily scheduled job
+ */
+
+import { summarizeTasks, toSnapshotDate } from "./burndown.js";
+
+/**
+ * Record today's snapshot for a sprint
+ * @param {object} db - Prisma client or transaction client
+ * @param {string} sprintId
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<object>} The upserted SprintSnapshot
+ */
+export async function recordSprintSnapshot(db, sprintId, now = new Date()) {
+  const tasks = await db.task.findMany({
+    where: { sprintId },
+    select: { statusCategory: true, storyPoints: true },
+  });
+
+  const summary = summarizeTasks(tasks);
+  const date = toSnapshotDate(now);
+
+  return db.sprintSnapshot.upsert({
+    where: { sprintId_date: { sprintId, date } },
+    create: { sprintId, date, ...summary },
+    update: summary,
+  });
+}
+
+/**
+ * Record today's snapshot for every active sprint
+ * @param {object} db - Prisma client
+ * @returns {Promise<number>} Number of sprints snapshotted
+ */
+export async function recordActiveSprintSnapshots(db) {
+  const sprints = await db.sprint.findMany({
+    where: { state: "active" },
+    select: { id: true },
+  });
+
+  for (const sprint of sprints) {
+    await recordSprintSnapshot(db, sprint.id);
+  }
+
+  return sprints.length;
+}
@@ -123,8 +123,8 @@ export const handleZodError = (error) => {
     return sendError("Invalid error type", ERROR_CODES.INTERNAL_ERROR, 500);
   }
 
-  // Transform Zod errors into our standard format
-  const validationErrors = error.errors.map((err) => ({
+  // Transform Zod errors into our standard format (`errors` was renamed to `issues` in Zod 4)
+  const validationErrors = (error.issues || error.errors).map((err) => ({
     field: err.path.join("."),
     message: err.message,
     code: err.code,
@@ -16,6 +16,7 @@
 
 import sanitizeHtml from "sanitize-html";
 import validator from "validator";
+import { MENTION_ID_PATTERN } from "./mentions.js";
 
 /**
  * ============================================================================
@@ -49,7 +50,15 @@ export function sanitizeInput(input) {
 
 /**
  * Sanitize rich text content (allows safe HTML formatting)
- * Use for: comments, descriptions, rich text editors
+ * Use for: comments, descriptions, rich text editors, rendered Markdown
+ *
+ * Covers what lib/markdown.js emits: code blocks (with their `language-*`
+ * class), tables, strikethrough and task lists, whose inputs are always
+ * forced to disabled checkboxes.
+ *
+ * @mention markup (`<span data-mention="USER_ID">@Name</span>`, see lib/mentions.js)
+ * is kept; spans lose every other attribute, and mentions with a malformed ID
+ * are reduced to a plain span.
  *
  * @param {string} input - Raw HTML input
  * @returns {string} - Sanitized HTML with allowed tags only
@@ -84,9 +93,26 @@ export function sanitizeRichText(input) {
       "code",
       "pre",
       "a",
+      "span",
+      "del",
+      "hr",
+      "table",
+      "thead",
+      "tbody",
+      "tr",
+      "th",
+      "td",
+      "input",
     ],
     allowedAttributes: {
       a: ["href", "title", "target"],
+      span: ["data-mention"],
+      th: ["align"],
+      td: ["align"],
+      input: ["type", "checked", "disabled"],
+    },
+    allowedClasses: {
+      code: ["language-*"],
     },
     allowedSchemes: ["http", "https", "mailto"],
     allowedSchemesByTag: {
@@ -103,6 +129,21 @@ export function sanitizeRichText(input) {
           rel: "noopener noreferrer",
         },
       }),
+      span: (tagName, attribs) => ({
+        tagName: "span",
+        attribs: MENTION_ID_PATTERN.test(attribs["data-mention"] || "")
+          ? { "data-mention": attribs["data-mention"] }
+          : {},
+      }),
+      // Task list items are read-only checkboxes
+      input: (tagName, attribs) => ({
+        tagName: "input",
+        attribs: {
+          type: "checkbox",
+          disabled: "",
+          ...(attribs.checked !== undefined && { checked: "" }),
+        },
+      }),
     },
   });
 }
@@ -378,7 +419,7 @@ export function sanitizeObject(data, rules) {
  * @example
  * const result = validateRequestBody(body, {
  *   title: { type: 'plain', required: true, minLength: 3, maxLength: 100 },
- *   description: { type: 'rich', required: false, maxLength: 5000 },
+ *   description: { type: 'markdown', required: false, maxLength: 5000 },
  *   email: { type: 'email', required: true }
  * });
  */
@@ -425,6 +466,12 @@ export function validateRequestBody(body, schema) {
         sanitized[field] = sanitizeRichText(String(value));
         break;
 
+      case "markdown":
+        // Stored as typed so edits round-trip; only ever shown as text or
+        // through renderMarkdown (lib/markdown.js), which sanitizes its output
+        sanitized[field] = String(value);
+        break;
+
       case "email":
         const emailResult = sanitizeEmail(String(value));
         if (!emailResult) {
@@ -0,0 +1,48 @@
+/**
+ * Audit Log Validation Schema
+ *
+ * Defines validation rules for /api/admin/audit-logs query parameters using Zod.
+ */
+
+import { z } from "zod";
+
+/**
+ * Audit Log Query Schema
+ * Used for GET /api/admin/audit-logs
+ */
+export const auditLogQuerySchema = z
+  .object({
+    userId: z.string().min(1).optional(),
+
+    resource: z.string().min(1).optional(),
+
+    action: z.string().min(1).optional(),
+
+    allowed: z
+      .enum(["true", "false"], { message: "allowed must be true or false" })
+      .transform((value) => value === "true")
+      .optional(),
+
+    from: z.coerce.date({ message: "from must be a valid date" }).optional(),
+
+    to: z.coerce.date({ message: "to must be a valid date" }).optional(),
+
+    cursor: z.string().min(1).optional(),
+
+    limit: z
+      .string()
+      .regex(/^\d+$/, "Limit must be a positive number")
+      .transform(Number)
+      .refine((n) => n >= 1 && n <= 200, "Limit must be between 1 and 200")
+      .optional()
+      .default("50"),
+  })
+  .refine((data) => !data.from || !data.to || data.from <= data.to, {
+    message: "from must be before to",
+    path: ["from"],
+  });
+
+/**
+ * Type inference helpers (for documentation)
+ */
+// type AuditLogQueryParams = z.infer<typeof auditLogQuerySchema>;
@@ -1,18 +1,33 @@
 import { z } from "zod";
 
+const passwordSchema = z
+  .string()
+  .min(8, "Password must be at least 8 characters long")
+  .max(100, "Password must not exceed 100 characters");
+
 export const signupSchema = z.object({
   name: z
     .string()
     .min(2, "Name must be at least 2 characters long")
     .max(100, "Name must not exceed 100 characters"),
   email: z.string().email("Invalid email address").min(1, "Email is required"),
-  password: z
-    .string()
-    .min(8, "Password must be at least 8 characters long")
-    .max(100, "Password must not exceed 100 characters"),
+  password: passwordSchema,
 });
 
 export const loginSchema = z.object({
   email: z.string().email("Invalid email address").min(1, "Email is required"),
   password: z.string().min(8, "Password must be at least 8 characters long"),
 });
+
+export const forgotPasswordSchema = z.object({
+  email: z.string().email("Invalid email address").min(1, "Email is required"),
+});
+
+export const resetPasswordSchema = z.object({
+  token: z.string().min(1, "Reset token is required").max(200, "Invalid reset token"),
+  password: passwordSchema,
+});
+
+export const verifyEmailSchema = z.object({
+  token: z.string().min(1, "Verification token is required").max(200, "Invalid verification token"),
+});
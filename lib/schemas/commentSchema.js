@@ -6,21 +6,23 @@
  */
 
 import { z } from "zod";
+import { COMMENT_REACTIONS } from "../comments/reactions.js";
 
 /**
  * Comment Creation Schema
- * Used for POST /api/comments
+ * Used for POST /api/comments (the author comes from the access token)
+ * parentId makes the comment a reply to a top-level comment on the same task
  */
 export const createCommentSchema = z.object({
   content: z
-    .string()
+    .string({ message: "Comment content is required" })
     .min(1, "Comment content cannot be empty")
     .max(1000, "Comment must not exceed 1000 characters")
     .refine((val) => val.trim().length > 0, "Comment cannot contain only whitespace"),
 
-  taskId: z.string().uuid("Task ID must be a valid UUID").min(1, "Task ID is required"),
+  taskId: z.string({ message: "Task ID is required" }).min(1, "Task ID is required"),
 
-  userId: z.string().uuid("User ID must be a valid UUID").min(1, "User ID is required"),
+  parentId: z.string().min(1, "Parent comment ID cannot be empty").nullable().optional(),
 });
 
 /**
@@ -36,6 +38,14 @@ export const updateCommentSchema = z.object({
     .refine((val) => val.trim().length > 0, "Comment cannot contain only whitespace"),
 });
 
+/**
+ * Comment Reaction Schema
+ * Used for POST /api/comments/[id]/reactions (toggles the user's reaction)
+ */
+export const toggleReactionSchema = z.object({
+  emoji: z.enum(COMMENT_REACTIONS, { message: "Unsupported reaction" }),
+});
+
 /**
  * Comment Query Parameters Schema
  * Used for GET /api/comments with filtering
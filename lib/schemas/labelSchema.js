@@ -0,0 +1,47 @@
+/**
+ * Label Validation Schema
+ *
+ * Defines validation rules for project labels using Zod.
+ * Labels share the workflow status color palette.
+ */
+
+import { z } from "zod";
+import { STATUS_COLORS } from "../workflow.js";
+
+const labelName = z
+  .string()
+  .trim()
+  .min(1, "Label name is required")
+  .max(30, "Label name must not exceed 30 characters");
+
+/**
+ * Label Creation Schema
+ * Used for POST /api/labels
+ */
+export const createLabelSchema = z.object({
+  projectId: z.string().min(1, "Project ID is required"),
+
+  name: labelName,
+
+  color: z.enum(STATUS_COLORS).optional().default("gray"),
+});
+
+/**
+ * Label Update Schema
+ * Used for PUT /api/labels/[id]
+ */
+export const updateLabelSchema = z
+  .object({
+    name: labelName.optional(),
+
+    color: z.enum(STATUS_COLORS).optional(),
+  })
+  .refine((data) => Object.keys(data).length > 0, {
+    message: "At least one field must be provided for update",
+  });
+
+/**
+ * Type inference helpers (for documentation)
+ */
+// type CreateLabelInput = z.infer<typeof createLabelSchema>;
+// type UpdateLabelInput = z.infer<typeof updateLabelSchema>;
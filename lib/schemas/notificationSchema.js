@@ -0,0 +1,23 @@
+/**
+ * Notification Validation Schema
+ *
+ * Defines validation rules for reading and acknowledging notifications using Zod.
+ */
+
+import { z } from "zod";
+import { MAX_NOTIFICATION_LIMIT } from "../notifications.js";
+
+/**
+ * Mark Read Schema
+ * Used for POST /api/notifications/read
+ * Without ids, every unread notification of the user is marked read
+ */
+export const markNotificationsReadSchema = z.object({
+  ids: z
+    .array(z.string().min(1, "Notification ID cannot be empty"))
+    .max(
+      MAX_NOTIFICATION_LIMIT,
+      `Cannot mark more than ${MAX_NOTIFICATION_LIMIT} notifications at once`
+    )
+    .optional(),
+});
@@ -0,0 +1,76 @@
+/**
+ * Project Validation Schema
+ *
+ * Defines validation rules for project creation and updates using Zod.
+ * Projects group tasks into separate boards.
+ */
+
+import { z } from "zod";
+
+/**
+ * Project key format: 2-10 uppercase letters/digits, starting with a letter (e.g., "WEB", "API2")
+ */
+const projectKey = z
+  .string()
+  .transform((val) => val.trim().toUpperCase())
+  .pipe(
+    z
+      .string()
+      .regex(/^[A-Z][A-Z0-9]{1,9}$/, "Key must be 2-10 letters or digits and start with a letter")
+  );
+
+/**
+ * Project Creation Schema
+ * Used for POST /api/projects
+ */
+export const createProjectSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(2, "Name must be at least 2 characters long")
+    .max(100, "Name must not exceed 100 characters"),
+
+  key: projectKey,
+
+  description: z
+    .string()
+    .max(2000, "Description must not exceed 2000 characters")
+    .optional()
+    .nullable(),
+});
+
+/**
+ * Project Update Schema
+ * Used for PUT /api/projects/[id]
+ * All fields are optional for partial updates
+ */
+export const updateProjectSchema = z
+  .object({
+    name: z
+      .string()
+      .trim()
+      .min(2, "Name must be at least 2 characters long")
+      .max(100, "Name must not exceed 100 characters")
+      .optional(),
+
+    key: projectKey.optional(),
+
+    description: z
+      .string()
+      .max(2000, "Description must not exceed 2000 characters")
+      .optional()
+      .nullable(),
+
+    archived: z.boolean().optional(),
+
+    ownerId: z.string().min(1, "Owner ID is required").optional(),
+  })
+  .refine((data) => Object.keys(data).length > 0, {
+    message: "At least one field must be provided for update",
+  });
+
+/**
+ * Type inference helpers (for documentation)
+ */
+// type CreateProjectInput = z.infer<typeof createProjectSchema>;
+// type UpdateProjectInput = z.infer<typeof updateProjectSchema>;
@@ -0,0 +1,38 @@
+/**
+ * Search Validation Schema
+ *
+ * Defines validation rules for /api/search query parameters using Zod.
+ */
+
+import { z } from "zod";
+
+export const SEARCH_TYPES = ["all", "tasks", "comments"];
+
+/**
+ * Search Query Schema
+ * Used for GET /api/search
+ */
+export const searchQuerySchema = z.object({
+  q: z
+    .string({ message: "Search query is required" })
+    .trim()
+    .min(2, "Search query must be at least 2 characters")
+    .max(200, "Search query must not exceed 200 characters"),
+
+  type: z.enum(SEARCH_TYPES).optional().default("all"),
+
+  projectId: z.string().min(1).optional(),
+
+  limit: z
+    .string()
+    .regex(/^\d+$/, "Limit must be a positive number")
+    .transform(Number)
+    .refine((n) => n >= 1 && n <= 50, "Limit must be between 1 and 50")
+    .optional()
+    .default("20"),
+});
+
+/**
+ * Type inference helpers (for documentation)
+ */
+// type SearchQueryParams = z.infer<typeof searchQuerySchema>;
@@ -0,0 +1,87 @@
+/**
+ * Sprint Validation Schema
+ *
+ * Defines validation rules for sprint planning and closing using Zod.
+ * Sprint state changes go through the dedicated start/close endpoints.
+ */
+
+import { z } from "zod";
+
+const sprintDate = z
+  .string()
+  .datetime({ offset: true, message: "Date must be a valid ISO 8601 datetime" })
+  .or(z.string().date("Date must be a valid YYYY-MM-DD date"))
+  .transform((val) => new Date(val));
+
+/**
+ * Sprint Creation Schema
+ * Used for POST /api/sprints
+ */
+export const createSprintSchema = z
+  .object({
+    projectId: z.string().min(1, "Project ID is required"),
+
+    name: z
+      .string()
+      .trim()
+      .min(2, "Name must be at least 2 characters long")
+      .max(100, "Name must not exceed 100 characters"),
+
+    goal: z.string().max(500, "Goal must not exceed 500 characters").optional().nullable(),
+
+    startDate: sprintDate,
+
+    endDate: sprintDate,
+  })
+  .refine((data) => data.endDate > data.startDate, {
+    message: "End date must be after start date",
+    path: ["endDate"],
+  });
+
+/**
+ * Sprint Update Schema
+ * Used for PUT /api/sprints/[id]
+ * All fields are optional for partial updates
+ */
+export const updateSprintSchema = z
+  .object({
+    name: z
+      .string()
+      .trim()
+      .min(2, "Name must be at least 2 characters long")
+      .max(100, "Name must not exceed 100 characters")
+      .optional(),
+
+    goal: z.string().max(500, "Goal must not exceed 500 characters").optional().nullable(),
+
+    startDate: sprintDate.optional(),
+
+    endDate: sprintDate.optional(),
+  })
+  .refine((data) => Object.keys(data).length > 0, {
+    message: "At least one field must be provided for update",
+  })
+  .refine((data) => !data.startDate || !data.endDate || data.endDate > data.startDate, {
+    message: "End date must be after start date",
+    path: ["endDate"],
+  });
+
+/**
+ * Sprint Close Schema
+ * Used for POST /api/sprints/[id]/close
+ *
+ * moveTo decides where unfinished tasks go:
+ * - "backlog": back to the project backlog (sprintId = null)
+ * - "next": the next planned sprint of the project
+ * - any other value: a specific planned/active sprint ID
+ */
+export const closeSprintSchema = z.object({
+  moveTo: z.string().min(1, "moveTo is required").optional().default("backlog"),
+});
+
+/**
+ * Type inference helpers (for documentation)
+ */
+// type CreateSprintInput = z.infer<typeof createSprintSchema>;
+// type UpdateSprintInput = z.infer<typeof updateSprintSchema>;
+// type CloseSprintInput = z.infer<typeof closeSprintSchema>;
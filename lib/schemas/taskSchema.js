@@ -6,6 +6,19 @@
  */
 
 import { z } from "zod";
+import { DEFAULT_WORKFLOW, statusKeys } from "../workflow.js";
+import { statusKey } from "./workflowSchema.js";
+
+/**
+ * Status field for a specific workflow
+ * Built per request from the task's project workflow (see lib/workflow.js)
+ *
+ * @param {Array} workflow - Statuses from getWorkflow()
+ */
+export const taskStatusSchema = (workflow = DEFAULT_WORKFLOW) => {
+  const keys = statusKeys(workflow);
+  return z.enum(keys, { message: `Status must be one of: ${keys.join(", ")}` });
+};
 
 /**
  * Task Creation Schema
@@ -24,12 +37,9 @@ export const createTaskSchema = z
       .optional()
       .nullable(),
 
-    status: z
-      .enum(["Todo", "InProgress", "Done"], {
-        errorMap: () => ({ message: "Status must be Todo, InProgress, or Done" }),
-      })
-      .optional()
-      .default("Todo"),
+    // Checked against the project's workflow with taskStatusSchema() in the API;
+    // omitted = the workflow's initial status
+    status: statusKey.optional(),
 
     priority: z
       .enum(["Low", "Medium", "High"], {
@@ -83,11 +93,7 @@ export const updateTaskSchema = z
       .optional()
       .nullable(),
 
-    status: z
-      .enum(["Todo", "InProgress", "Done"], {
-        errorMap: () => ({ message: "Status must be Todo, InProgress, or Done" }),
-      })
-      .optional(),
+    status: statusKey.optional(),
 
     priority: z
       .enum(["Low", "Medium", "High"], {
@@ -129,7 +135,7 @@ export const taskQuerySchema = z.object({
     .optional()
     .default("10"),
 
-  status: z.enum(["Todo", "InProgress", "Done"]).optional(),
+  status: statusKey.optional(),
 
   priority: z.enum(["Low", "Medium", "High"]).optional(),
 
@@ -152,9 +158,65 @@ export const taskQuerySchema = z.object({
     .default("desc"),
 });
 
+/**
+ * Checklist Item Creation Schema
+ * Used for POST /api/tasks/[id]/checklist
+ */
+export const createChecklistItemSchema = z.object({
+  content: z
+    .string()
+    .trim()
+    .min(1, "Checklist item cannot be empty")
+    .max(500, "Checklist item must not exceed 500 characters"),
+
+  position: z.number().int().min(0).optional(),
+});
+
+/**
+ * Checklist Item Update Schema
+ * Used for PATCH /api/tasks/[id]/checklist/[itemId]
+ */
+export const updateChecklistItemSchema = z
+  .object({
+    content: z
+      .string()
+      .trim()
+      .min(1, "Checklist item cannot be empty")
+      .max(500, "Checklist item must not exceed 500 characters")
+      .optional(),
+
+    done: z.boolean().optional(),
+
+    position: z.number().int().min(0).optional(),
+  })
+  .refine((data) => Object.keys(data).length > 0, {
+    message: "At least one field must be provided for update",
+  });
+
+/**
+ * Task Dependency Creation Schema
+ * Used for POST /api/tasks/[id]/dependencies
+ *
+ * Exactly one side is given; the other side is the task in the URL:
+ * - blockerId: the URL task becomes blocked by this task
+ * - blockedId: the URL task becomes a blocker of this task
+ */
+export const createDependencySchema = z
+  .object({
+    blockerId: z.string().trim().min(1, "Blocker ID cannot be empty").optional(),
+
+    blockedId: z.string().trim().min(1, "Blocked ID cannot be empty").optional(),
+  })
+  .refine((data) => Boolean(data.blockerId) !== Boolean(data.blockedId), {
+    message: "Provide exactly one of blockerId or blockedId",
+  });
+
 /**
  * Type inference helpers (for documentation)
  */
 // type CreateTaskInput = z.infer<typeof createTaskSchema>;
 // type UpdateTaskInput = z.infer<typeof updateTaskSchema>;
 // type TaskQueryParams = z.infer<typeof taskQuerySchema>;
+// type CreateChecklistItemInput = z.infer<typeof createChecklistItemSchema>;
+// type UpdateChecklistItemInput = z.infer<typeof updateChecklistItemSchema>;
+// type CreateDependencyInput = z.infer<typeof createDependencySchema>;
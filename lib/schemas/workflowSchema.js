@@ -0,0 +1,113 @@
+/**
+ * Workflow Validation Schema
+ *
+ * Defines validation rules for a project's configurable task statuses.
+ * Structural rules (unique keys, required categories, known transition
+ * targets) are shared with the API through validateWorkflow.
+ */
+
+import { z } from "zod";
+import {
+  MAX_WORKFLOW_STATUSES,
+  STATUS_CATEGORIES,
+  STATUS_COLORS,
+  validateWorkflow,
+} from "../workflow.js";
+import { MAX_WIP_LIMIT, WIP_LIMIT_MODES } from "../tasks/wipLimits.js";
+
+/**
+ * Status key format: letters/digits starting with a letter (e.g., "InReview", "QA")
+ * Keys are stored on tasks, so they are kept short and URL-safe.
+ */
+export const statusKey = z
+  .string()
+  .trim()
+  .regex(/^[A-Za-z][A-Za-z0-9]{0,29}$/, "Status key must be 1-30 letters or digits");
+
+/**
+ * Single status definition
+ */
+export const workflowStatusSchema = z.object({
+  key: statusKey,
+
+  name: z
+    .string()
+    .trim()
+    .min(1, "Status name is required")
+    .max(40, "Status name must not exceed 40 characters"),
+
+  category: z.enum(STATUS_CATEGORIES, {
+    message: "Category must be todo, doing, or done",
+  }),
+
+  color: z.enum(STATUS_COLORS).optional().default("gray"),
+
+  transitionsTo: z.array(statusKey).optional().default([]),
+});
+
+/**
+ * Workflow Update Schema
+ * Used for PUT /api/projects/[id]/workflow
+ *
+ * - statuses: the complete ordered list of statuses (board order)
+ * - remap: where tasks in removed statuses go, e.g. { "QA": "Done" }
+ */
+export const updateWorkflowSchema = z
+  .object({
+    statuses: z.array(workflowStatusSchema).min(1).max(MAX_WORKFLOW_STATUSES),
+
+    remap: z.record(statusKey, statusKey).optional().default({}),
+  })
+  .superRefine((data, ctx) => {
+    const message = validateWorkflow(data.statuses);
+    if (message) {
+      ctx.addIssue({ code: "custom", message, path: ["statuses"] });
+      return;
+    }
+
+    const keys = new Set(data.statuses.map((status) => status.key));
+    for (const [from, to] of Object.entries(data.remap)) {
+      if (!keys.has(to)) {
+        ctx.addIssue({
+          code: "custom",
+          message: `Cannot move "${from}" tasks to unknown status "${to}"`,
+          path: ["remap", from],
+        });
+      }
+    }
+  });
+
+/**
+ * WIP Limits Update Schema
+ * Used for PUT /api/projects/[id]/wip-limits
+ *
+ * - mode: "soft" (warn) or "strict" (reject moves into a full column)
+ * - limits: { [statusKey]: max tasks, or null to remove the limit }
+ */
+export const updateWipLimitsSchema = z
+  .object({
+    mode: z.enum(WIP_LIMIT_MODES, { message: "Mode must be soft or strict" }).optional(),
+
+    limits: z
+      .record(
+        statusKey,
+        z
+          .number({ message: "WIP limit must be a number" })
+          .int("WIP limit must be a whole number")
+          .min(1, "WIP limit must be at least 1")
+          .max(MAX_WIP_LIMIT, `WIP limit must not exceed ${MAX_WIP_LIMIT}`)
+          .nullable()
+      )
+      .optional()
+      .default({}),
+  })
+  .refine((data) => data.mode !== undefined || Object.keys(data.limits).length > 0, {
+    message: "Provide a mode or at least one limit",
+  });
+
+/**
+ * Type inference helpers (for documentation)
+ */
+// type WorkflowStatusInput = z.infer<typeof workflowStatusSchema>;
+// type UpdateWorkflowInput = z.infer<typeof updateWorkflowSchema>;
+// type UpdateWipLimitsInput = z.infer<typeof updateWipLimitsSchema>;
@@ -0,0 +1,167 @@
+/**
+ * Full-text Search
+ *
+ * Task titles/descriptions and comment content are indexed by PostgreSQL
+ * (generated `searchVector` tsvector columns with GIN indexes). Queries use
+ * websearch syntax: quoted phrases, `or`, and `-excluded` words.
+ *
+ * Snippets come from ts_headline with control-character markers instead of
+ * HTML tags, and are returned as text segments so the client never has to
+ * render stored content as HTML. Snippets are cut from the rendered HTML
+ * (descriptionHtml / contentHtml) with tags stripped, so Markdown syntax and
+ * mention markup don't show up in them; entities are decoded afterwards.
+ */
+
+export const HIGHLIGHT_START = "\u0002";
+export const HIGHLIGHT_STOP = "\u0003";
+
+const HEADLINE_MARKERS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_STOP}"`;
+// Titles are short: highlight every match in the whole title
+const TITLE_OPTIONS = `${HEADLINE_MARKERS}, HighlightAll=true`;
+const SNIPPET_OPTIONS = `${HEADLINE_MARKERS}, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+/**
+ * Decode the HTML entities left in a snippet once its tags are stripped
+ *
+ * @param {string|null} text
+ * @returns {string|null}
+ * @example
+ * decodeEntities("Tom &amp; Jerry&#39;s") // "Tom & Jerry's"
+ */
+export function decodeEntities(text) {
+  if (!text) return text;
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const code =
+        name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Split a ts_headline result into plain and highlighted segments
+ *
+ * @param {string|null} headline
+ * @returns {{text: string, highlight: boolean}[]}
+ * @example
+ * splitHighlights("fix \u0002login\u0003 bug")
+ * // [{text: "fix ", highlight: false}, {text: "login", highlight: true}, {text: " bug", highlight: false}]
+ */
+export function splitHighlights(headline) {
+  if (!headline) return [];
+
+  const segments = [];
+  let highlight = false;
+  let text = "";
+
+  const flush = () => {
+    if (text) segments.push({ text, highlight });
+    text = "";
+  };
+
+  for (const char of headline) {
+    if (char === HIGHLIGHT_START || char === HIGHLIGHT_STOP) {
+      flush();
+      highlight = char === HIGHLIGHT_START;
+    } else {
+      text += char;
+    }
+  }
+  flush();
+
+  return segments;
+}
+
+/**
+ * Merge task and comment hits into one list, best match first
+ *
+ * @param {object[]} taskHits - Rows from searchTasks()
+ * @param {object[]} commentHits - Rows from searchComments()
+ * @param {number} limit
+ * @returns {object[]} Results with `type` ("task" | "comment") and highlight segments
+ */
+export function mergeSearchResults(taskHits, commentHits, limit) {
+  const tasks = taskHits.map((hit) => ({
+    type: "task",
+    id: hit.id,
+    taskId: hit.id,
+    title: hit.title,
+    status: hit.status,
+    statusCategory: hit.statusCategory,
+    projectId: hit.projectId,
+    rank: Number(hit.rank),
+    titleHighlight: splitHighlights(hit.titleHighlight),
+    snippet: splitHighlights(decodeEntities(hit.snippet)),
+  }));
+
+  const comments = commentHits.map((hit) => ({
+    type: "comment",
+    id: hit.id,
+    taskId: hit.taskId,
+    title: hit.taskTitle,
+    projectId: hit.projectId,
+    author: hit.userName,
+    createdAt: hit.createdAt,
+    rank: Number(hit.rank),
+    snippet: splitHighlights(decodeEntities(hit.snippet)),
+  }));
+
+  return [...tasks, ...comments].sort((a, b) => b.rank - a.rank).slice(0, limit);
+}
+
+/**
+ * Ranked task hits for a websearch query
+ * @param {object} db - Prisma client
+ * @param {{query: string, projectId?: string, limit: number}} options
+ */
+export function searchTasks(db, { query, projectId = null, limit }) {
+  return db.$queryRaw`
+    SELECT t."id", t."title", t."status", t."statusCategory", t."projectId",
+      ts_rank(t."searchVector", q.query) AS "rank",
+      ts_headline('english', t."title", q.query, ${TITLE_OPTIONS}) AS "titleHighlight",
+      ts_headline(
+        'english',
+        regexp_replace(coalesce(t."descriptionHtml", t."description", ''), '<[^>]*>', ' ', 'g'),
+        q.query,
+        ${SNIPPET_OPTIONS}
+      ) AS "snippet"
+    FROM "public"."Task" t, websearch_to_tsquery('english', ${query}) AS q(query)
+    WHERE t."searchVector" @@ q.query
+      AND (${projectId}::text IS NULL OR t."projectId" = ${projectId})
+    ORDER BY "rank" DESC, t."updatedAt" DESC
+    LIMIT ${limit}
+  `;
+}
+
+/**
+ * Ranked comment hits for a websearch query (with the task they belong to)
+ * @param {object} db - Prisma client
+ * @param {{query: string, projectId?: string, limit: number}} options
+ */
+export function searchComments(db, { query, projectId = null, limit }) {
+  return db.$queryRaw`
+    SELECT c."id", c."taskId", c."createdAt", t."title" AS "taskTitle", t."projectId",
+      u."name" AS "userName",
+      ts_rank(c."searchVector", q.query) AS "rank",
+      ts_headline(
+        'english',
+        regexp_replace(coalesce(nullif(c."contentHtml", ''), c."content"), '<[^>]*>', ' ', 'g'),
+        q.query,
+        ${SNIPPET_OPTIONS}
+      ) AS "snippet"
+    FROM "public"."Comment" c
+      JOIN "public"."Task" t ON t."id" = c."taskId"
+      JOIN "public"."User" u ON u."id" = c."userId",
+      websearch_to_tsquery('english', ${query}) AS q(query)
+    WHERE c."searchVector" @@ q.query
+      AND c."deletedAt" IS NULL
+      AND (${projectId}::text IS NULL OR t."projectId" = ${projectId})
+    ORDER BY "rank" DESC, c."createdAt" DESC
+    LIMIT ${limit}
+  `;
+}
@@ -0,0 +1,300 @@
+/**
+ * Server-side Session Helpers
+ *
+ * Every sign-in creates a Session row holding the hash of its refresh token
+ * (see lib/tokens.js), the device's user agent and IP, and when it was last
+ * seen. Refreshing rotates the token in place, so a session outlives its
+ * tokens and its row always matches the one refresh token that works.
+ * Deleting the row (logout, password reset, signing out a device from the
+ * settings or admin users page) revokes the session: its refresh token
+ * stops working, and the access token it already issued expires within 15
+ * minutes.
+ *
+ * All refresh tokens of a session share its `familyId` claim. A token of
+ * the family that was already rotated out can only come from a copy, so
+ * presenting one revokes the session (see handleRefreshTokenReuse). The
+ * token replaced last is tolerated for TOKEN_REUSE_GRACE_SECONDS, as two
+ * tabs refreshing at once both present it.
+ */
+
+import { sendEmail, sessionRevokedAlertTemplate } from "./email.js";
+import { sanitizeInput } from "./sanitization.js";
+import { buildAppUrl, hashToken } from "./tokens.js";
+
+const MAX_USER_AGENT_LENGTH = 512;
+
+export const TOKEN_REUSE_GRACE_SECONDS = 10;
+
+/**
+ * User agent and IP address of a request, for display in session lists
+ *
+ * @param {Request} request
+ * @returns {{userAgent: string|null, ipAddress: string|null}}
+ */
+export function getClientInfo(request) {
+  const forwardedFor = request.headers.get("x-forwarded-for");
+  const ipAddress = forwardedFor?.split(",")[0].trim() || request.headers.get("x-real-ip") || null;
+  const userAgent = request.headers.get("user-agent")?.slice(0, MAX_USER_AGENT_LENGTH) || null;
+  return { userAgent, ipAddress };
+}
+
+/**
+ * Record a session for a newly issued refresh token
+ *
+ * Also removes the user's expired sessions.
+ *
+ * @param {object} db - Prisma client or transaction client
+ * @param {object} session
+ * @param {string} session.userId
+ * @param {string} session.refreshToken
+ * @param {string} session.familyId - The refresh token's `familyId` claim
+ * @param {Date} session.expiresAt - Refresh token expiry
+ * @param {string|null} [session.userAgent]
+ * @param {string|null} [session.ipAddress]
+ * @param {Date} [now]
+ * @returns {Promise<object>} The created session
+ */
+export async function createSession(
+  db,
+  { userId, refreshToken, familyId, expiresAt, userAgent = null, ipAddress = null },
+  now = new Date()
+) {
+  await db.session.deleteMany({ where: { userId, expiresAt: { lte: now } } });
+  return db.session.create({
+    data: {
+      userId,
+      tokenHash: hashToken(refreshToken),
+      familyId,
+      expiresAt,
+      userAgent,
+      ipAddress,
+      lastSeenAt: now,
+    },
+  });
+}
+
+/**
+ * Swap a session's refresh token for a new one
+ *
+ * Only succeeds for the session's current token, and only once: a
+ * conditional update makes concurrent refreshes with the same token fail
+ * after the first. The replaced token is kept as `previousTokenHash`.
+ *
+ * @param {object} db - Prisma client or transaction client
+ * @param {object} rotation
+ * @param {string} rotation.refreshToken - Token presented by the client
+ * @param {string} rotation.newRefreshToken - Token replacing it
+ * @param {Date} rotation.expiresAt - New token's expiry
+ * @param {string|null} [rotation.userAgent]
+ * @param {string|null} [rotation.ipAddress]
+ * @param {Date} [now]
+ * @returns {Promise<object|null>} The session before rotation, or null when the token doesn't match a live session
+ */
+export async function rotateSession(
+  db,
+  { refreshToken, newRefreshToken, expiresAt, userAgent = null, ipAddress = null },
+  now = new Date()
+) {
+  const tokenHash = hashToken(refreshToken);
+  const session = await db.session.findUnique({ where: { tokenHash } });
+  if (!session || session.expiresAt <= now) return null;
+
+  const { count } = await db.session.updateMany({
+    where: { id: session.id, tokenHash },
+    data: {
+      tokenHash: hashToken(newRefreshToken),
+      previousTokenHash: tokenHash,
+      rotatedAt: now,
+      expiresAt,
+      lastSeenAt: now,
+      ...(userAgent && { userAgent }),
+      ...(ipAddress && { ipAddress }),
+    },
+  });
+  return count === 1 ? session : null;
+}
+
+/**
+ * Check a refresh token that failed to rotate for reuse
+ *
+ * A token of a live family that isn't the family's current one was already
+ * rotated out. Within TOKEN_REUSE_GRACE_SECONDS of the rotation, the token
+ * it replaced is a concurrent refresh that lost the race; anything else is
+ * reuse, and the family's session is deleted.
+ *
+ * @param {object} db - Prisma client or transaction client
+ * @param {object} attempt
+ * @param {string} attempt.refreshToken - Token presented by the client
+ * @param {string} attempt.familyId - Its `familyId` claim
+ * @param {Date} [now]
+ * @returns {Promise<{session: object, revoked: boolean}|null>} The family's session and whether it was revoked, or null when this isn't reuse (unknown or expired family)
+ */
+export async function handleRefreshTokenReuse(db, { refreshToken, familyId }, now = new Date()) {
+  const session = await db.session.findUnique({ where: { familyId } });
+  const tokenHash = hashToken(refreshToken);
+  if (!session || session.expiresAt <= now || session.tokenHash === tokenHash) return null;
+
+  const graceEnd =
+    session.rotatedAt && session.rotatedAt.getTime() + TOKEN_REUSE_GRACE_SECONDS * 1000;
+  if (session.previousTokenHash === tokenHash && now.getTime() < graceEnd) {
+    return { session, revoked: false };
+  }
+
+  await db.session.deleteMany({ where: { familyId } });
+  return { session, revoked: true };
+}
+
+/**
+ * Email a user that one of their sessions was revoked for token reuse
+ *
+ * @param {{email: string, name: string}} user
+ * @param {{userAgent?: string|null, ipAddress?: string|null}} client - Where the reused token came from
+ * @param {Date} [now]
+ * @returns {Promise<object>} sendEmail result
+ */
+export function sendTokenReuseAlert(
+  user,
+  { userAgent = null, ipAddress = null },
+  now = new Date()
+) {
+  const device = describeUserAgent(userAgent);
+  const ip = ipAddress || "Unknown";
+  const time = now.toUTCString();
+  const resetUrl = buildAppUrl("/auth/forgot-password");
+
+  return sendEmail({
+    to: user.email,
+    subject: "Suspicious sign-in activity on your SprintLite account",
+    html: sessionRevokedAlertTemplate(
+      sanitizeInput(user.name) || "there",
+      device,
+      sanitizeInput(ip),
+      time,
+      resetUrl
+    ),
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "A sign-in token for your SprintLite account was used again after it had been replaced.",
+      "This can mean someone copied it from your device, so we signed that session out.",
+      "The token was presented by:",
+      "",
+      `Device: ${device}`,
+      `IP address: ${ip}`,
+      `Time: ${time}`,
+      "",
+      "If you don't recognize this activity, reset your password to sign out everywhere:",
+      resetUrl,
+    ].join("\n"),
+  });
+}
+
+/**
+ * End the session a refresh token belongs to
+ *
+ * @param {object} db - Prisma client or transaction client
+ * @param {string} refreshToken
+ * @returns {Promise<boolean>} Whether a session was deleted
+ */
+export async function deleteSessionByToken(db, refreshToken) {
+  const { count } = await db.session.deleteMany({
+    where: { tokenHash: hashToken(refreshToken) },
+  });
+  return count > 0;
+}
+
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/Firefox\/|FxiOS\//, "Firefox"],
+  [/Chrome\/|CriOS\//, "Chrome"],
+  [/Version\/.*Safari\//, "Safari"],
+];
+
+const PLATFORMS = [
+  [/Windows/, "Windows"],
+  [/Android/, "Android"],
+  [/iPhone|iPad|iPod/, "iOS"],
+  [/Mac OS X|Macintosh/, "macOS"],
+  [/CrOS/, "ChromeOS"],
+  [/Linux/, "Linux"],
+];
+
+/**
+ * Short description of a user agent, e.g. "Chrome on macOS"
+ *
+ * @param {string|null} userAgent
+ * @returns {string}
+ */
+export function describeUserAgent(userAgent) {
+  if (!userAgent) return "Unknown device";
+
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const platform = PLATFORMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || "Unknown device";
+}
+
+/**
+ * A user's live sessions, most recently active first
+ *
+ * @param {object} db - Prisma client or transaction client
+ * @param {string} userId
+ * @param {Date} [now]
+ * @returns {Promise<object[]>}
+ */
+export function listSessions(db, userId, now = new Date()) {
+  return db.session.findMany({
+    where: { userId, expiresAt: { gt: now } },
+    orderBy: { lastSeenAt: "desc" },
+  });
+}
+
+/**
+ * Session fields safe to return to clients
+ *
+ * @param {object} session
+ * @param {string|null} [currentTokenHash] - Hash of the requester's refresh token, to flag their own session
+ * @returns {object}
+ */
+export function serializeSession(session, currentTokenHash = null) {
+  return {
+    id: session.id,
+    device: describeUserAgent(session.userAgent),
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    current: currentTokenHash !== null && session.tokenHash === currentTokenHash,
+  };
+}
+
+/**
+ * End one of a user's sessions
+ *
+ * @param {object} db - Prisma client or transaction client
+ * @param {string} userId
+ * @param {string} sessionId
+ * @returns {Promise<boolean>} Whether the session existed and belonged to the user
+ */
+export async function revokeSession(db, userId, sessionId) {
+  const { count } = await db.session.deleteMany({ where: { id: sessionId, userId } });
+  return count > 0;
+}
+
+/**
+ * End all of a user's sessions, optionally keeping one
+ *
+ * @param {object} db - Prisma client or transaction client
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {string|null} [options.exceptTokenHash] - Hash of the refresh token whose session to keep
+ * @returns {Promise<number>} Number of sessions ended
+ */
+export async function revokeUserSessions(db, userId, { exceptTokenHash = null } = {}) {
+  const { count } = await db.session.deleteMany({
+    where: { userId, ...(exceptTokenHash && { tokenHash: { not: exceptTokenHash } }) },
+  });
+  return count;
+}
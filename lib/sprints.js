@@ -0,0 +1,222 @@
+/**
+ * Sprint Helpers
+ *
+ * Shared state definitions and the start and close-out logic used by the sprint API.
+ *
+ * Lifecycle: planned -> active -> closed
+ * - Only one sprint per project can be active at a time
+ * - Closed sprints are read-only and cannot receive new tasks
+ */
+
+import { ERROR_CODES } from "./errorCodes.js";
+import { recordSprintSnapshot } from "./reports/snapshots.js";
+import { recordBulkTaskEvents } from "./tasks/activity.js";
+
+export const SPRINT_STATE = {
+  PLANNED: "planned",
+  ACTIVE: "active",
+  CLOSED: "closed",
+};
+
+export const SPRINT_STATES = Object.values(SPRINT_STATE);
+
+/**
+ * Thrown when a sprint operation is not allowed in the sprint's current state
+ */
+export class SprintStateError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = "SprintStateError";
+    this.statusCode = statusCode;
+    this.code = ERROR_CODES.SPRINT_INVALID_STATE;
+  }
+}
+
+/**
+ * Find the next planned sprint of a project (earliest start date first)
+ * @param {object} db - Prisma client or transaction client
+ * @param {object} sprint - The sprint being closed
+ * @returns {Promise<object|null>}
+ */
+export async function findNextSprint(db, sprint) {
+  return db.sprint.findFirst({
+    where: {
+      projectId: sprint.projectId,
+      state: SPRINT_STATE.PLANNED,
+      id: { not: sprint.id },
+    },
+    orderBy: [{ startDate: "asc" }, { createdAt: "asc" }],
+  });
+}
+
+/**
+ * Check that a task can be put into a sprint
+ *
+ * The sprint must exist, must not be closed, and must belong to the task's project.
+ * A task without a project inherits the sprint's project.
+ *
+ * @param {object} db - Prisma client
+ * @param {string} sprintId - Target sprint
+ * @param {string|null} projectId - The task's (new) project
+ * @returns {Promise<{sprint: object}|{error: SprintStateError}>}
+ */
+export async function checkSprintAssignment(db, sprintId, projectId) {
+  const sprint = await db.sprint.findUnique({
+    where: { id: sprintId },
+    select: { id: true, name: true, state: true, projectId: true },
+  });
+
+  if (!sprint) {
+    const error = new SprintStateError("Sprint not found", 404);
+    error.code = ERROR_CODES.SPRINT_NOT_FOUND;
+    return { error };
+  }
+
+  if (sprint.state === SPRINT_STATE.CLOSED) {
+    return { error: new SprintStateError("Cannot add tasks to a closed sprint", 400) };
+  }
+
+  if (projectId && sprint.projectId !== projectId) {
+    return {
+      error: new SprintStateError("Sprint belongs to a different project than the task", 400),
+    };
+  }
+
+  return { sprint };
+}
+
+/**
+ * Start a planned sprint
+ *
+ * The state check and the update run in one transaction, and the update only
+ * matches a sprint that is still planned. A concurrent start of another sprint
+ * in the same project is caught by the partial unique index on active sprints.
+ *
+ * @param {object} prisma - Prisma client
+ * @param {string} sprintId - Sprint to start
+ * @returns {Promise<object>} The started sprint
+ * @throws {SprintStateError} If the sprint is not planned or the project already has an active sprint
+ */
+export async function startSprint(prisma, sprintId) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const sprint = await tx.sprint.findUnique({ where: { id: sprintId } });
+
+      if (!sprint) {
+        const error = new SprintStateError("Sprint not found", 404);
+        error.code = ERROR_CODES.SPRINT_NOT_FOUND;
+        throw error;
+      }
+
+      if (sprint.state !== SPRINT_STATE.PLANNED) {
+        throw new SprintStateError(
+          `Only planned sprints can be started (sprint is ${sprint.state})`
+        );
+      }
+
+      const activeSprint = await tx.sprint.findFirst({
+        where: { projectId: sprint.projectId, state: SPRINT_STATE.ACTIVE },
+        select: { id: true, name: true },
+      });
+
+      if (activeSprint) {
+        const error = new SprintStateError(
+          `Sprint "${activeSprint.name}" is already active in this project`
+        );
+        error.details = { activeSprintId: activeSprint.id };
+        throw error;
+      }
+
+      const { count } = await tx.sprint.updateMany({
+        where: { id: sprint.id, state: SPRINT_STATE.PLANNED },
+        data: { state: SPRINT_STATE.ACTIVE },
+      });
+
+      if (count === 0) {
+        throw new SprintStateError("Sprint was started or closed by someone else");
+      }
+
+      return tx.sprint.findUnique({ where: { id: sprint.id } });
+    });
+  } catch (error) {
+    if (error.code === "P2002") {
+      throw new SprintStateError("Another sprint in this project was just started");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Close a sprint and move its unfinished tasks in one transaction
+ *
+ * @param {object} prisma - Prisma client
+ * @param {string} sprintId - Sprint to close
+ * @param {string} moveTo - "backlog", "next", or a target sprint ID
+ * @param {string|null} [actorId] - User closing the sprint, recorded in the moved tasks' activity
+ * @returns {Promise<{sprint: object, target: object|null, movedCount: number, movedTaskIds: string[], completedCount: number}>}
+ * @throws {SprintStateError} If the sprint or the target cannot take part in the close
+ */
+export async function closeSprint(prisma, sprintId, moveTo = "backlog", actorId = null) {
+  return prisma.$transaction(async (tx) => {
+    const sprint = await tx.sprint.findUnique({ where: { id: sprintId } });
+
+    if (!sprint) {
+      const error = new SprintStateError("Sprint not found", 404);
+      error.code = ERROR_CODES.SPRINT_NOT_FOUND;
+      throw error;
+    }
+
+    if (sprint.state !== SPRINT_STATE.ACTIVE) {
+      throw new SprintStateError(`Only active sprints can be closed (sprint is ${sprint.state})`);
+    }
+
+    // Resolve where unfinished work goes (null = project backlog)
+    let target = null;
+    if (moveTo === "next") {
+      target = await findNextSprint(tx, sprint);
+      if (!target) {
+        throw new SprintStateError("No planned sprint to move unfinished tasks into", 400);
+      }
+    } else if (moveTo !== "backlog") {
+      target = await tx.sprint.findUnique({ where: { id: moveTo } });
+      if (!target || target.id === sprint.id || target.projectId !== sprint.projectId) {
+        throw new SprintStateError("Target sprint must be another sprint in the same project", 400);
+      }
+      if (target.state === SPRINT_STATE.CLOSED) {
+        throw new SprintStateError("Cannot move tasks into a closed sprint", 400);
+      }
+    }
+
+    // Final numbers for burndown/velocity, taken before unfinished work leaves the sprint
+    await recordSprintSnapshot(tx, sprint.id);
+
+    const unfinished = { sprintId: sprint.id, statusCategory: { not: "done" } };
+    const movedTasks = await tx.task.findMany({ where: unfinished, select: { id: true } });
+    const moved = await tx.task.updateMany({
+      where: unfinished,
+      data: { sprintId: target ? target.id : null },
+    });
+    await recordBulkTaskEvents(tx, {
+      taskIds: movedTasks.map((task) => task.id),
+      actorId,
+      field: "sprintId",
+      oldValue: sprint.id,
+      newValue: target ? target.id : null,
+    });
+
+    const completedCount = await tx.task.count({ where: { sprintId: sprint.id } });
+
+    const closed = await tx.sprint.update({
+      where: { id: sprint.id },
+      data: { state: SPRINT_STATE.CLOSED, closedAt: new Date() },
+    });
+
+    return {
+      sprint: closed,
+      target,
+      movedCount: moved.count,
+      movedTaskIds: movedTasks.map((task) => task.id),
+      completedCount,
+    };
+  });
+}
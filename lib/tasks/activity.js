@@ -0,0 +1,222 @@
+/**
+ * Task Activity Helpers
+ *
+ * Every change to a task's fields is recorded as a TaskEvent (field, old
+ * value, new value, actor, time) in the same transaction as the change, so
+ * the log never disagrees with the task. Values are stored as strings:
+ * ids as is, dates as ISO timestamps, numbers in decimal, unset as null.
+ */
+
+/**
+ * Task fields whose changes are recorded
+ */
+export const TASK_EVENT_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "assigneeId",
+  "dueDate",
+  "storyPoints",
+  "projectId",
+  "sprintId",
+  "parentId",
+];
+
+/**
+ * Pseudo-field of the event recorded when a task is created (newValue = title)
+ */
+export const TASK_CREATED_FIELD = "created";
+
+// Fields holding ids, resolved to names for display
+const REFERENCE_FIELDS = {
+  assigneeId: "user",
+  projectId: "project",
+  sprintId: "sprint",
+  parentId: "task",
+};
+
+// How fields are named in activity descriptions
+const FIELD_LABELS = {
+  title: "title",
+  description: "description",
+  status: "status",
+  priority: "priority",
+  assigneeId: "assignee",
+  dueDate: "due date",
+  storyPoints: "story points",
+  projectId: "project",
+  sprintId: "sprint",
+  parentId: "parent task",
+};
+
+export const DEFAULT_ACTIVITY_LIMIT = 50;
+export const MAX_ACTIVITY_LIMIT = 200;
+
+/**
+ * Serialize a field value for storage
+ * @param {*} value
+ * @returns {string|null}
+ */
+export function serializeEventValue(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+/**
+ * List the recorded fields that differ between two versions of a task
+ *
+ * Fields missing from `after` are treated as unchanged.
+ *
+ * @param {object} before - Task before the change
+ * @param {object} after - Task after the change
+ * @returns {Array<{field: string, oldValue: string|null, newValue: string|null}>}
+ */
+export function diffTaskFields(before, after) {
+  return TASK_EVENT_FIELDS.filter((field) => field in after)
+    .map((field) => ({
+      field,
+      oldValue: serializeEventValue(before[field]),
+      newValue: serializeEventValue(after[field]),
+    }))
+    .filter((change) => change.oldValue !== change.newValue);
+}
+
+/**
+ * Write TaskEvent rows for changes to one task
+ *
+ * @param {object} db - Prisma client or transaction client
+ * @param {{taskId: string, actorId: string|null, changes: Array}} entry
+ * @returns {Promise<number>} Number of events written
+ */
+export async function recordTaskEvents(db, { taskId, actorId, changes }) {
+  if (changes.length === 0) return 0;
+
+  const { count } = await db.taskEvent.createMany({
+    data: changes.map((change) => ({ ...change, taskId, actorId: actorId || null })),
+  });
+  return count;
+}
+
+/**
+ * Write the same change for many tasks (e.g. a sprint close moving them all)
+ *
+ * @param {object} db - Prisma client or transaction client
+ * @param {{taskIds: string[], actorId: string|null, field: string, oldValue: *, newValue: *}} entry
+ * @returns {Promise<number>} Number of events written
+ */
+export async function recordBulkTaskEvents(db, { taskIds, actorId, field, oldValue, newValue }) {
+  if (taskIds.length === 0) return 0;
+
+  const { count } = await db.taskEvent.createMany({
+    data: taskIds.map((taskId) => ({
+      taskId,
+      actorId: actorId || null,
+      field,
+      oldValue: serializeEventValue(oldValue),
+      newValue: serializeEventValue(newValue),
+    })),
+  });
+  return count;
+}
+
+/**
+ * Add display names for id-valued events (assignee, project, sprint, parent)
+ *
+ * Ids that no longer resolve get a null name.
+ *
+ * @param {object} db - Prisma client
+ * @param {Array} events - TaskEvent rows
+ * @returns {Promise<Array>} Events with `oldName` / `newName` on reference fields
+ */
+export async function resolveEventNames(db, events) {
+  const ids = { user: new Set(), project: new Set(), sprint: new Set(), task: new Set() };
+  for (const event of events) {
+    const model = REFERENCE_FIELDS[event.field];
+    if (!model) continue;
+    if (event.oldValue) ids[model].add(event.oldValue);
+    if (event.newValue) ids[model].add(event.newValue);
+  }
+
+  const lookup = async (model, nameField) => {
+    if (ids[model].size === 0) return new Map();
+    const rows = await db[model].findMany({
+      where: { id: { in: [...ids[model]] } },
+      select: { id: true, [nameField]: true },
+    });
+    return new Map(rows.map((row) => [row.id, row[nameField]]));
+  };
+
+  const [users, projects, sprints, tasks] = await Promise.all([
+    lookup("user", "name"),
+    lookup("project", "name"),
+    lookup("sprint", "name"),
+    lookup("task", "title"),
+  ]);
+  const names = { user: users, project: projects, sprint: sprints, task: tasks };
+
+  return events.map((event) => {
+    const model = REFERENCE_FIELDS[event.field];
+    if (!model) return event;
+    return {
+      ...event,
+      oldName: event.oldValue ? (names[model].get(event.oldValue) ?? null) : null,
+      newName: event.newValue ? (names[model].get(event.newValue) ?? null) : null,
+    };
+  });
+}
+
+/**
+ * Describe an event for the activity feed, e.g. "changed the status from Todo to Done"
+ *
+ * @param {object} event - TaskEvent, with oldName / newName on reference fields
+ * @param {object} [options]
+ * @param {(key: string) => string} [options.statusName] - Display name of a status key
+ * @returns {string}
+ */
+export function describeTaskEvent(event, { statusName = (key) => key } = {}) {
+  if (event.field === TASK_CREATED_FIELD) return "created the task";
+  if (event.field === "description") {
+    return event.newValue ? "updated the description" : "removed the description";
+  }
+
+  const label = FIELD_LABELS[event.field] || event.field;
+  const format = (value, name) => {
+    if (value === null || value === undefined) return null;
+    if (event.field === "status") return statusName(value);
+    if (event.field === "dueDate") return new Date(value).toLocaleDateString();
+    if (REFERENCE_FIELDS[event.field]) return name || "(deleted)";
+    return value;
+  };
+
+  const from = format(event.oldValue, event.oldName);
+  const to = format(event.newValue, event.newName);
+  if (to === null) return `cleared the ${label} (was ${from})`;
+  if (from === null) return `set the ${label} to ${to}`;
+  return `changed the ${label} from ${from} to ${to}`;
+}
+
+/**
+ * Interleave task events and comments into one feed, newest first
+ *
+ * @param {Array} events - TaskEvent rows (with createdAt)
+ * @param {Array} comments - Comment rows (with createdAt)
+ * @returns {Array<{type: "event"|"comment", id: string, createdAt: *, item: object}>}
+ */
+export function mergeActivity(events = [], comments = []) {
+  return [
+    ...events.map((event) => ({
+      type: "event",
+      id: event.id,
+      createdAt: event.createdAt,
+      item: event,
+    })),
+    ...comments.map((comment) => ({
+      type: "comment",
+      id: comment.id,
+      createdAt: comment.createdAt,
+      item: comment,
+    })),
+  ].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
@@ -0,0 +1,109 @@
+/**
+ * Task Dependency Helpers
+ *
+ * A dependency "blocker -> blocked" means the blocked task cannot move
+ * forward until the blocker reaches a "done" status. Links must never form a cycle,
+ * otherwise the tasks involved could never be started.
+ */
+
+/**
+ * Status categories a blocked task is not allowed to enter while blockers are open
+ */
+export const BLOCKED_CATEGORIES = ["doing", "done"];
+
+/**
+ * Check whether adding "blockerId blocks blockedId" would close a cycle
+ *
+ * A cycle exists if blockedId already (directly or transitively) blocks blockerId.
+ * Walks the graph breadth-first, loading neighbours on demand.
+ *
+ * @param {string} blockerId
+ * @param {string} blockedId
+ * @param {(taskIds: string[]) => Promise<Array<{blockerId: string, blockedId: string}>>} getOutgoing
+ *   Returns the links whose blocker is one of taskIds
+ * @returns {Promise<string[]|null>} The existing path from blockedId back to blockerId, or null
+ */
+export async function findDependencyCycle(blockerId, blockedId, getOutgoing) {
+  if (blockerId === blockedId) return [blockerId];
+
+  const previous = new Map([[blockedId, null]]);
+  let frontier = [blockedId];
+
+  while (frontier.length > 0) {
+    const links = await getOutgoing(frontier);
+    const next = [];
+
+    for (const link of links) {
+      if (previous.has(link.blockedId)) continue;
+      previous.set(link.blockedId, link.blockerId);
+
+      if (link.blockedId === blockerId) {
+        // Rebuild the path blockedId -> ... -> blockerId
+        const path = [];
+        for (let id = blockerId; id !== null; id = previous.get(id)) path.unshift(id);
+        return path;
+      }
+
+      next.push(link.blockedId);
+    }
+
+    frontier = next;
+  }
+
+  return null;
+}
+
+/**
+ * Prisma-backed neighbour loader for findDependencyCycle
+ * @param {object} db - Prisma client
+ */
+export function outgoingLinksLoader(db) {
+  return (taskIds) =>
+    db.taskDependency.findMany({
+      where: { blockerId: { in: taskIds } },
+      select: { blockerId: true, blockedId: true },
+    });
+}
+
+/**
+ * Serialize dependency writes for the rest of a transaction
+ *
+ * Takes a transaction-scoped advisory lock, so a cycle check and the insert
+ * that follows it can't interleave with another link being added. Links can
+ * join tasks from different projects, so one lock covers the whole graph.
+ *
+ * @param {object} tx - Prisma transaction client
+ */
+export async function lockDependencyGraph(tx) {
+  // pg_advisory_xact_lock returns void, which $queryRaw can't deserialize
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext('task_dependencies'))`;
+}
+
+/**
+ * Fetch the unfinished tasks blocking a task
+ * @param {object} db - Prisma client
+ * @param {string} taskId
+ * @returns {Promise<Array<{id: string, title: string, status: string, statusCategory: string}>>}
+ */
+export async function getOpenBlockers(db, taskId) {
+  const links = await db.taskDependency.findMany({
+    where: { blockedId: taskId, blocker: { statusCategory: { not: "done" } } },
+    select: {
+      blocker: { select: { id: true, title: true, status: true, statusCategory: true } },
+    },
+  });
+
+  return links.map((link) => link.blocker);
+}
+
+/**
+ * Summarize blocker links that include the blocker's status
+ * @param {Array<{blocker: {statusCategory: string}}>} blockedBy
+ * @returns {{isBlocked: boolean, openBlockerCount: number}}
+ */
+export function blockingState(blockedBy = []) {
+  const openBlockerCount = blockedBy.filter(
+    (link) => link.blocker.statusCategory !== "done"
+  ).length;
+  return { isBlocked: openBlockerCount > 0, openBlockerCount };
+}
@@ -28,23 +28,41 @@ export async function getTaskUser(userId) {
 
 /**
  * Get task summary/statistics
- * Used by: Tasks Overview Page
+ * Used by: Tasks Overview Page, /api/tasks/summary
+ *
+ * @param {{projectId?: string, sprintId?: string}} filters - Optional scope
  */
-export async function getTaskSummary() {
+export async function getTaskSummary(filters = {}) {
   try {
-    const [total, pending, inProgress, completed] = await Promise.all([
-      prisma.task.count(),
-      prisma.task.count({ where: { status: "pending" } }),
-      prisma.task.count({ where: { status: "in-progress" } }),
-      prisma.task.count({ where: { status: "completed" } }),
-    ]);
+    const where = {};
+    if (filters.projectId) where.projectId = filters.projectId;
+    if (filters.sprintId) where.sprintId = filters.sprintId;
+
+    // Grouped by category so custom workflow statuses roll up into todo/doing/done
+    const groups = await prisma.task.groupBy({
+      by: ["statusCategory"],
+      where,
+      _count: { _all: true },
+      _sum: { storyPoints: true },
+    });
+
+    const countFor = (category) =>
+      groups.find((g) => g.statusCategory === category)?._count._all || 0;
+    const pointsFor = (category) =>
+      groups.find((g) => g.statusCategory === category)?._sum.storyPoints || 0;
+
+    const total = groups.reduce((sum, g) => sum + g._count._all, 0);
+    const totalPoints = groups.reduce((sum, g) => sum + (g._sum.storyPoints || 0), 0);
+    const done = countFor("done");
 
     return {
       total,
-      pending,
-      inProgress,
-      completed,
-      completionRate: total > 0 ? Math.round((completed / total) * 100) : 0,
+      todo: countFor("todo"),
+      inProgress: countFor("doing"),
+      done,
+      totalPoints,
+      completedPoints: pointsFor("done"),
+      completionRate: total > 0 ? Math.round((done / total) * 100) : 0,
     };
   } catch (error) {
     console.error("Error fetching task summary:", error);
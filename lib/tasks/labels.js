@@ -0,0 +1,120 @@
+/**
+ * Label Helpers
+ *
+ * Labels are project-scoped tags with a palette color. A task can only carry
+ * labels from its own project.
+ */
+
+import { ERROR_CODES } from "../errorCodes.js";
+
+export const LABEL_MATCH = {
+  ANY: "any",
+  ALL: "all",
+};
+
+export const MAX_LABEL_FILTER = 20;
+
+/**
+ * Parse the `labels` / `labelMatch` query parameters of GET /api/tasks
+ *
+ * @param {URLSearchParams} searchParams
+ * @returns {{labelIds: string[], labelMatch: string}} Sorted, de-duplicated ids
+ */
+export function parseLabelFilter(searchParams) {
+  const labelIds = [
+    ...new Set(
+      (searchParams.get("labels") || "")
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean)
+    ),
+  ]
+    .sort()
+    .slice(0, MAX_LABEL_FILTER);
+
+  const labelMatch =
+    searchParams.get("labelMatch") === LABEL_MATCH.ALL ? LABEL_MATCH.ALL : LABEL_MATCH.ANY;
+
+  return { labelIds, labelMatch };
+}
+
+/**
+ * Build the Prisma where fragment for a label filter
+ *
+ * - any: the task has at least one of the labels
+ * - all: the task has every label
+ *
+ * @param {string[]} labelIds
+ * @param {string} labelMatch - "any" or "all"
+ * @returns {object|null} Fragment to merge into the task where clause, or null
+ */
+export function buildLabelWhere(labelIds, labelMatch = LABEL_MATCH.ANY) {
+  if (labelIds.length === 0) return null;
+
+  if (labelMatch === LABEL_MATCH.ALL) {
+    return { AND: labelIds.map((id) => ({ labels: { some: { id } } })) };
+  }
+
+  return { labels: { some: { id: { in: labelIds } } } };
+}
+
+/**
+ * Normalize a `labelIds` request field
+ * @param {unknown} value
+ * @returns {string[]|null} De-duplicated ids, or null when the value is not a list of ids
+ */
+export function normalizeLabelIds(value) {
+  if (!Array.isArray(value) || value.some((id) => typeof id !== "string" || !id)) {
+    return null;
+  }
+  return [...new Set(value)];
+}
+
+/**
+ * Check that labels can be put on a task in a project
+ *
+ * @param {object} db - Prisma client
+ * @param {string[]} labelIds
+ * @param {string|null} projectId - The task's (new) project
+ * @returns {Promise<{labels: object[]}|{error: {message: string, code: string, statusCode: number}}>}
+ */
+export async function checkLabelAssignment(db, labelIds, projectId) {
+  if (labelIds.length === 0) return { labels: [] };
+
+  if (!projectId) {
+    return {
+      error: {
+        message: "Only tasks in a project can have labels",
+        code: ERROR_CODES.LABEL_INVALID,
+        statusCode: 400,
+      },
+    };
+  }
+
+  const labels = await db.label.findMany({
+    where: { id: { in: labelIds } },
+    select: { id: true, projectId: true },
+  });
+
+  if (labels.length !== new Set(labelIds).size) {
+    return {
+      error: {
+        message: "Label not found",
+        code: ERROR_CODES.LABEL_NOT_FOUND,
+        statusCode: 404,
+      },
+    };
+  }
+
+  if (labels.some((label) => label.projectId !== projectId)) {
+    return {
+      error: {
+        message: "Labels must belong to the task's project",
+        code: ERROR_CODES.LABEL_INVALID,
+        statusCode: 400,
+      },
+    };
+  }
+
+  return { labels };
+}
@@ -0,0 +1,52 @@
+/**
+ * Task Progress Roll-up
+ *
+ * Computes "3/5 done" style progress from a task's subtasks and checklist items.
+ * Kept separate from lib/tasks/index.js ("use server") so it can run anywhere.
+ */
+
+/**
+ * @param {number} done
+ * @param {number} total
+ * @returns {{done: number, total: number, percent: number}}
+ */
+function toProgress(done, total) {
+  return { done, total, percent: total > 0 ? Math.round((done / total) * 100) : 0 };
+}
+
+/**
+ * Progress of a task's subtasks (a subtask counts once its status is in the "done" category)
+ * @param {Array<{statusCategory: string}>} subtasks
+ */
+export function subtaskProgress(subtasks = []) {
+  return toProgress(subtasks.filter((t) => t.statusCategory === "done").length, subtasks.length);
+}
+
+/**
+ * Progress of a task's checklist
+ * @param {Array<{done: boolean}>} items
+ */
+export function checklistProgress(items = []) {
+  return toProgress(items.filter((item) => item.done).length, items.length);
+}
+
+/**
+ * Combined roll-up for a task
+ *
+ * `overall` weighs every subtask and checklist item equally, which is what
+ * the Kanban card progress bar shows. It is null when there is nothing to track.
+ *
+ * @param {{subtasks?: Array<{statusCategory: string}>, checklistItems?: Array<{done: boolean}>}} task
+ * @returns {{subtasks: object, checklist: object, overall: object|null}}
+ */
+export function taskProgress(task) {
+  const subtasks = subtaskProgress(task.subtasks);
+  const checklist = checklistProgress(task.checklistItems);
+  const total = subtasks.total + checklist.total;
+
+  return {
+    subtasks,
+    checklist,
+    overall: total > 0 ? toProgress(subtasks.done + checklist.done, total) : null,
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Lexicographic Task Ranks
+ *
+ * Manual board order is stored as a base-36 string per task. Sorting ranks as
+ * plain strings gives the column order, and a rank between any two neighbors
+ * can always be generated, so a move only ever updates the moved task.
+ *
+ * Generated ranks never end in "0", which keeps room below every rank.
+ */
+
+export const RANK_DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+export const MAX_RANK_LENGTH = 64;
+
+const BASE = RANK_DIGITS.length;
+const RANK_PATTERN = /^[0-9a-z]+$/;
+
+/**
+ * Check a client-provided rank
+ * @param {unknown} rank
+ * @returns {boolean}
+ */
+export function isValidRank(rank) {
+  return (
+    typeof rank === "string" &&
+    rank.length <= MAX_RANK_LENGTH &&
+    RANK_PATTERN.test(rank) &&
+    !rank.endsWith("0")
+  );
+}
+
+/**
+ * Generate a rank that sorts strictly between two ranks
+ *
+ * An empty or missing bound is open-ended. When the bounds are out of order
+ * (e.g. two tasks share a rank) the upper bound is ignored, so the result
+ * still sorts after `before`.
+ *
+ * @param {string|null} [before] - Rank of the task above ("" or null: top of the column)
+ * @param {string|null} [after] - Rank of the task below ("" or null: bottom of the column)
+ * @returns {string}
+ * @example
+ * rankBetween("", "");       // "i"
+ * rankBetween("i", "");      // "r"
+ * rankBetween("i", "j");     // "ii"
+ */
+export function rankBetween(before, after) {
+  const low = before || "";
+  let high = after || "";
+  if (high && high <= low) high = "";
+
+  let rank = "";
+  let bounded = Boolean(high);
+
+  for (let i = 0; ; i++) {
+    const lo = i < low.length ? RANK_DIGITS.indexOf(low[i]) : 0;
+    const hi = bounded ? RANK_DIGITS.indexOf(high[i]) : BASE;
+
+    if (hi - lo > 1) {
+      return rank + RANK_DIGITS[Math.floor((lo + hi) / 2)];
+    }
+
+    // No digit fits between lo and hi at this position: keep lo and go one digit deeper,
+    // where anything sorts below `high`
+    rank += RANK_DIGITS[lo];
+    if (hi > lo) bounded = false;
+  }
+}
+
+/**
+ * Order tasks by rank (unranked tasks first, ties by creation date)
+ * @param {{rank?: string, createdAt?: string|Date}} a
+ * @param {{rank?: string, createdAt?: string|Date}} b
+ * @returns {number}
+ */
+export function compareByRank(a, b) {
+  const rankA = a.rank || "";
+  const rankB = b.rank || "";
+  if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+  return new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+}
+
+/**
+ * Rank for a task dropped at a position in a column
+ *
+ * @param {Object[]} columnTasks - The column's tasks in display order, without the moved task
+ * @param {number} index - Drop position (0 = top)
+ * @returns {string}
+ */
+export function rankForPosition(columnTasks, index) {
+  const before = index > 0 ? columnTasks[index - 1]?.rank : "";
+  const after = columnTasks[index]?.rank;
+  return rankBetween(before, after);
+}
+
+/**
+ * Rank that puts a task at the bottom of a board column
+ *
+ * @param {object} db - Prisma client
+ * @param {string|null} projectId
+ * @param {string} status - Status key of the column
+ * @returns {Promise<string>}
+ */
+export async function nextRank(db, projectId, status) {
+  const last = await db.task.findFirst({
+    where: { projectId, status },
+    orderBy: { rank: "desc" },
+    select: { rank: true },
+  });
+  return rankBetween(last?.rank, "");
+}
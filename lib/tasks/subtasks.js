@@ -0,0 +1,61 @@
+/**
+ * Subtask Helpers
+ *
+ * Subtasks are regular tasks with a parentId. Nesting is one level deep:
+ * a subtask cannot have subtasks of its own, and a task with subtasks
+ * cannot become a subtask.
+ */
+
+import { ERROR_CODES } from "../errorCodes.js";
+
+const invalidParent = (message) => ({
+  error: { message, code: ERROR_CODES.TASK_INVALID_PARENT, statusCode: 400 },
+});
+
+/**
+ * Check that a task can be placed under a parent task
+ *
+ * @param {object} db - Prisma client
+ * @param {string} parentId - Proposed parent
+ * @param {object} options
+ * @param {string} [options.taskId] - The task being moved (omit when creating)
+ * @param {string|null} [options.projectId] - The task's (new) project
+ * @returns {Promise<{parent: object}|{error: {message: string, code: string, statusCode: number}}>}
+ */
+export async function checkParentAssignment(db, parentId, { taskId, projectId } = {}) {
+  if (taskId && parentId === taskId) {
+    return invalidParent("A task cannot be its own parent");
+  }
+
+  const parent = await db.task.findUnique({
+    where: { id: parentId },
+    select: { id: true, title: true, parentId: true, projectId: true },
+  });
+
+  if (!parent) {
+    return {
+      error: {
+        message: "Parent task not found",
+        code: ERROR_CODES.TASK_NOT_FOUND,
+        statusCode: 404,
+      },
+    };
+  }
+
+  if (parent.parentId) {
+    return invalidParent("Subtasks cannot have subtasks of their own");
+  }
+
+  if (projectId && parent.projectId && parent.projectId !== projectId) {
+    return invalidParent("Parent task belongs to a different project");
+  }
+
+  if (taskId) {
+    const childCount = await db.task.count({ where: { parentId: taskId } });
+    if (childCount > 0) {
+      return invalidParent("A task with subtasks cannot become a subtask");
+    }
+  }
+
+  return { parent };
+}
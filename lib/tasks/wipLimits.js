@@ -0,0 +1,78 @@
+/**
+ * Work-in-Progress Limits
+ *
+ * A workflow status (board column) can cap how many tasks it holds. The
+ * project's mode decides what happens when a move would exceed the cap:
+ * - soft: the move goes through and the API returns a warning
+ * - strict: the move is rejected with 409 WIP_LIMIT_EXCEEDED
+ *
+ * The pure helpers have no server-only imports so the board can use them.
+ */
+
+import { ERROR_CODES } from "../errorCodes.js";
+import { findStatus } from "../workflow.js";
+
+export const WIP_LIMIT_MODE = {
+  SOFT: "soft",
+  STRICT: "strict",
+};
+
+export const WIP_LIMIT_MODES = Object.values(WIP_LIMIT_MODE);
+
+export const MAX_WIP_LIMIT = 999;
+
+/**
+ * Load of a column relative to its WIP limit
+ * @param {number} count - Tasks in the column
+ * @param {number|null|undefined} limit
+ * @returns {"none"|"under"|"at"|"over"} "none" when the column has no limit
+ */
+export function wipLimitState(count, limit) {
+  if (limit == null) return "none";
+  if (count > limit) return "over";
+  return count === limit ? "at" : "under";
+}
+
+/**
+ * Check whether a task may move into a status without breaking its WIP limit
+ *
+ * @param {object} db - Prisma client
+ * @param {Object} move
+ * @param {string} move.taskId - Task being moved (not counted in the column)
+ * @param {string|null} move.projectId - The task's (new) project
+ * @param {string} move.status - Target status key
+ * @param {Array} move.workflow - The project's workflow (see getWorkflow)
+ * @returns {Promise<{}|{warning: object}|{error: {message: string, code: string, statusCode: number, details: object}}>}
+ */
+export async function checkWipLimit(db, { taskId, projectId, status, workflow }) {
+  const column = findStatus(workflow, status);
+  const limit = column?.wipLimit;
+  if (!projectId || limit == null) return {};
+
+  const [count, project] = await Promise.all([
+    db.task.count({ where: { projectId, status, id: { not: taskId } } }),
+    db.project.findUnique({ where: { id: projectId }, select: { wipLimitMode: true } }),
+  ]);
+
+  if (count < limit) return {};
+
+  const details = { status, limit, count };
+  if (project?.wipLimitMode === WIP_LIMIT_MODE.STRICT) {
+    return {
+      error: {
+        message: `${column.name} has reached its WIP limit of ${limit}`,
+        code: ERROR_CODES.WIP_LIMIT_EXCEEDED,
+        statusCode: 409,
+        details,
+      },
+    };
+  }
+
+  return {
+    warning: {
+      code: ERROR_CODES.WIP_LIMIT_EXCEEDED,
+      message: `${column.name} is over its WIP limit of ${limit}`,
+      ...details,
+    },
+  };
+}
@@ -32,13 +32,22 @@ export async function refreshAccessToken() {
     try {
       console.log("[TOKEN REFRESH] Requesting new access token...");
 
-      const response = await fetch("/api/auth/refresh", {
-        method: "POST",
-        credentials: "include", // Include cookies (refresh token)
-        headers: {
-          "Content-Type": "application/json",
-        },
-      });
+      const requestRefresh = () =>
+        fetch("/api/auth/refresh", {
+          method: "POST",
+          credentials: "include", // Include cookies (refresh token)
+          headers: {
+            "Content-Type": "application/json",
+          },
+        });
+
+      let response = await requestRefresh();
+
+      // Another tab refreshed first; its new refresh token cookie is shared, so retry once
+      if (response.status === 409) {
+        console.log("[TOKEN REFRESH] Refreshed concurrently elsewhere, retrying...");
+        response = await requestRefresh();
+      }
 
       if (!response.ok) {
         const error = await response.json();
@@ -0,0 +1,65 @@
+/**
+ * Opaque Token Helpers
+ *
+ * Random tokens sent to users in links (password resets, email
+ * verification). Only their SHA-256 hash is stored, so a leaked database
+ * doesn't contain usable links; lookups hash the presented token.
+ */
+
+import crypto from "crypto";
+
+/**
+ * Generate a URL-safe random token
+ * @param {number} [bytes] - Random bytes (32 = 256 bits)
+ * @returns {string}
+ */
+export const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString("base64url");
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token
+ * @returns {string} Hex SHA-256 digest
+ */
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Absolute link to an app page, for emails
+ * @param {string} path - Path starting with "/"
+ * @param {Record<string, string>} [query]
+ * @param {string} [baseUrl] - Defaults to NEXT_PUBLIC_APP_URL
+ * @returns {string}
+ */
+export function buildAppUrl(
+  path,
+  query = {},
+  baseUrl = process.env.NEXT_PUBLIC_APP_URL || "http://localhost:3000"
+) {
+  const search = new URLSearchParams(query).toString();
+  return `${baseUrl.replace(/\/$/, "")}${path}${search ? `?${search}` : ""}`;
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Seconds until another token email may be sent
+ *
+ * Allows one email per `cooldownSeconds` and at most `maxPerHour`.
+ *
+ * @param {Date[]} sentAt - When the emails of the last hour were sent
+ * @param {{cooldownSeconds: number, maxPerHour: number}} limits
+ * @param {Date} [now]
+ * @returns {number} 0 when sending is allowed
+ */
+export function throttleRetryAfter(sentAt, { cooldownSeconds, maxPerHour }, now = new Date()) {
+  const times = sentAt
+    .map((date) => new Date(date).getTime())
+    .filter((time) => time > now.getTime() - HOUR_MS)
+    .sort((a, b) => a - b);
+  if (times.length === 0) return 0;
+
+  const waits = [times[times.length - 1] + cooldownSeconds * 1000 - now.getTime()];
+  if (times.length >= maxPerHour) {
+    waits.push(times[times.length - maxPerHour] + HOUR_MS - now.getTime());
+  }
+  return Math.max(0, Math.ceil(Math.max(...waits) / 1000));
+}
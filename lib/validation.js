@@ -32,3 +32,11 @@ export const validatePassword = (password) => {
 export const validateName = (name) => {
   return typeof name === "string" && name.trim().length > 0;
 };
+
+/**
+ * Story points validation utility
+ * Returns true for whole numbers between 0 and 100
+ */
+export const isValidStoryPoints = (points) => {
+  return Number.isInteger(points) && points >= 0 && points <= 100;
+};
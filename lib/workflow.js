@@ -0,0 +1,206 @@
+/**
+ * Workflow Helpers
+ *
+ * Each project can define its own task statuses (board columns). A status has
+ * a stable `key` stored on tasks, a display `name`, a `category` (todo, doing,
+ * done) used by progress, reports and dependency checks, a palette `color`, and
+ * an optional list of statuses it may move to (`transitionsTo`, empty = any),
+ * and an optional `wipLimit` (see lib/tasks/wipLimits.js).
+ *
+ * Projects without a configured workflow, and tasks without a project, use
+ * DEFAULT_WORKFLOW. This module has no server-only imports so the board can
+ * share it with the API.
+ */
+
+export const STATUS_CATEGORY = {
+  TODO: "todo",
+  DOING: "doing",
+  DONE: "done",
+};
+
+export const STATUS_CATEGORIES = Object.values(STATUS_CATEGORY);
+
+/**
+ * Palette names a status can use (mapped to Tailwind classes in StatusBadge)
+ */
+export const STATUS_COLORS = ["gray", "blue", "green", "yellow", "orange", "red", "purple", "teal"];
+
+export const MAX_WORKFLOW_STATUSES = 12;
+
+export const DEFAULT_WORKFLOW = [
+  {
+    key: "Todo",
+    name: "Todo",
+    category: STATUS_CATEGORY.TODO,
+    color: "gray",
+    position: 0,
+    transitionsTo: [],
+    wipLimit: null,
+  },
+  {
+    key: "InProgress",
+    name: "In Progress",
+    category: STATUS_CATEGORY.DOING,
+    color: "blue",
+    position: 1,
+    transitionsTo: [],
+    wipLimit: null,
+  },
+  {
+    key: "Done",
+    name: "Done",
+    category: STATUS_CATEGORY.DONE,
+    color: "green",
+    position: 2,
+    transitionsTo: [],
+    wipLimit: null,
+  },
+];
+
+/**
+ * Find a status by key
+ * @param {Array} workflow
+ * @param {string} key
+ * @returns {object|undefined}
+ */
+export function findStatus(workflow, key) {
+  return workflow.find((status) => status.key === key);
+}
+
+/**
+ * @param {Array} workflow
+ * @returns {string[]} Status keys in board order
+ */
+export function statusKeys(workflow) {
+  return workflow.map((status) => status.key);
+}
+
+/**
+ * Category of a status key, or null when the key is not part of the workflow
+ */
+export function categoryOf(workflow, key) {
+  return findStatus(workflow, key)?.category ?? null;
+}
+
+/**
+ * Status new tasks start in: the first status in the todo category
+ */
+export function initialStatus(workflow) {
+  return (workflow.find((status) => status.category === STATUS_CATEGORY.TODO) || workflow[0]).key;
+}
+
+/**
+ * Check an allowed-transition rule
+ *
+ * Staying put is always allowed, as is leaving a status that has no rules
+ * or that is not in the workflow (e.g. after a task changed project).
+ *
+ * @returns {boolean}
+ */
+export function canTransition(workflow, fromKey, toKey) {
+  if (fromKey === toKey) return true;
+
+  const from = findStatus(workflow, fromKey);
+  if (!from || !from.transitionsTo || from.transitionsTo.length === 0) return true;
+
+  return from.transitionsTo.includes(toKey);
+}
+
+/**
+ * Map a status into another workflow
+ *
+ * Keeps the key when it exists there, otherwise picks the first status of the
+ * same category, falling back to the initial status.
+ *
+ * @param {Array} workflow - Target workflow
+ * @param {string} key - Current status key
+ * @param {string|null} category - Current status category
+ * @returns {string} Status key valid in the target workflow
+ */
+export function mapStatus(workflow, key, category) {
+  if (findStatus(workflow, key)) return key;
+
+  const sameCategory = workflow.find((status) => status.category === category);
+  return sameCategory ? sameCategory.key : initialStatus(workflow);
+}
+
+/**
+ * Check a complete workflow definition
+ *
+ * @param {Array<{key: string, category: string, transitionsTo?: string[]}>} statuses
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateWorkflow(statuses) {
+  if (statuses.length === 0) return "A workflow needs at least one status";
+  if (statuses.length > MAX_WORKFLOW_STATUSES) {
+    return `A workflow can have at most ${MAX_WORKFLOW_STATUSES} statuses`;
+  }
+
+  const keys = new Set();
+  for (const status of statuses) {
+    if (keys.has(status.key)) return `Duplicate status key "${status.key}"`;
+    keys.add(status.key);
+  }
+
+  for (const category of [STATUS_CATEGORY.TODO, STATUS_CATEGORY.DONE]) {
+    if (!statuses.some((status) => status.category === category)) {
+      return `A workflow needs at least one "${category}" status`;
+    }
+  }
+
+  for (const status of statuses) {
+    for (const target of status.transitionsTo || []) {
+      if (target === status.key) return `Status "${status.key}" cannot transition to itself`;
+      if (!keys.has(target)) return `Status "${status.key}" transitions to unknown "${target}"`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load a project's workflow (DEFAULT_WORKFLOW when none is configured)
+ *
+ * @param {object} db - Prisma client or transaction client
+ * @param {string|null} projectId
+ * @returns {Promise<Array>} Statuses in board order
+ */
+export async function getWorkflow(db, projectId) {
+  if (!projectId) return DEFAULT_WORKFLOW;
+
+  const statuses = await db.workflowStatus.findMany({
+    where: { projectId },
+    orderBy: { position: "asc" },
+  });
+
+  return statuses.length > 0 ? statuses : DEFAULT_WORKFLOW;
+}
+
+/**
+ * Move tasks whose status is not in a workflow to the closest status there
+ *
+ * Used when tasks change project; statuses that exist in both workflows
+ * only get their category refreshed.
+ *
+ * @param {object} db - Prisma client or transaction client
+ * @param {object} where - Prisma filter selecting the tasks
+ * @param {Array} workflow - Target workflow
+ */
+export async function mapTasksToWorkflow(db, where, workflow) {
+  const groups = await db.task.groupBy({
+    by: ["status", "statusCategory"],
+    where,
+  });
+
+  for (const group of groups) {
+    const status = mapStatus(workflow, group.status, group.statusCategory);
+    const statusCategory = categoryOf(workflow, status);
+
+    if (status !== group.status || statusCategory !== group.statusCategory) {
+      await db.task.updateMany({
+        where: { ...where, status: group.status, statusCategory: group.statusCategory },
+        data: { status, statusCategory },
+      });
+    }
+  }
+}
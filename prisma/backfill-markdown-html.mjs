@@ -0,0 +1,84 @@
+// Load environment variables first
+import dotenv from 'dotenv';
+dotenv.config({ path: '.env.local' });
+
+import { PrismaClient } from '@prisma/client';
+import { PrismaPg } from '@prisma/adapter-pg';
+import pkg from 'pg';
+const { Pool } = pkg;
+import { renderMarkdown } from '../lib/markdown.js';
+
+/**
+ * Data migration for 20261019230000_add_markdown_html
+ *
+ * Fills Task.descriptionHtml and Comment.contentHtml for rows written before
+ * Markdown rendering existed. Their source was never reliably sanitized, so
+ * each one goes through renderMarkdown (which sanitizes) instead of being
+ * copied. Only rows without rendered HTML are touched, so it is safe to re-run.
+ *
+ * Usage: npm run db:backfill-markdown
+ */
+
+const BATCH_SIZE = 200;
+
+// Initialize Prisma with adapter like in lib/db.js
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+const adapter = new PrismaPg(pool);
+const prisma = new PrismaClient({ adapter });
+
+async function backfill(model, where, sourceField, htmlField, fallback) {
+  let updated = 0;
+  let cursor;
+
+  for (;;) {
+    // Keyset pagination: rendered rows drop out of `where`, so a Prisma cursor
+    // (which skips by position) would miss rows; rows that render to the
+    // fallback still match and must not be fetched again
+    const rows = await prisma[model].findMany({
+      where: cursor ? { ...where, id: { gt: cursor } } : where,
+      select: { id: true, [sourceField]: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+    });
+    if (rows.length === 0) break;
+
+    await prisma.$transaction(
+      rows.map((row) =>
+        prisma[model].update({
+          where: { id: row.id },
+          data: { [htmlField]: renderMarkdown(row[sourceField]) ?? fallback },
+        })
+      )
+    );
+    updated += rows.length;
+    cursor = rows[rows.length - 1].id;
+  }
+
+  return updated;
+}
+
+async function main() {
+  console.log('📝 Rendering existing descriptions and comments...\n');
+
+  const tasks = await backfill(
+    'task',
+    { description: { not: null }, descriptionHtml: null },
+    'description',
+    'descriptionHtml',
+    null
+  );
+  console.log(`✅ Task descriptions rendered: ${tasks}`);
+
+  const comments = await backfill('comment', { contentHtml: '' }, 'content', 'contentHtml', '');
+  console.log(`✅ Comments rendered: ${comments}`);
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+    await pool.end();
+  });
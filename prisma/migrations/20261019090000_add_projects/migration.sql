@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "public"."Project" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "description" TEXT,
+    "archived" BOOLEAN NOT NULL DEFAULT false,
+    "ownerId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Project_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN "projectId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Project_key_key" ON "public"."Project"("key" ASC);
+
+-- CreateIndex
+CREATE INDEX "Project_ownerId_idx" ON "public"."Project"("ownerId" ASC);
+
+-- CreateIndex
+CREATE INDEX "Project_archived_idx" ON "public"."Project"("archived" ASC);
+
+-- CreateIndex
+CREATE INDEX "Task_projectId_status_idx" ON "public"."Task"("projectId" ASC, "status" ASC);
+
+-- AddForeignKey
+ALTER TABLE "public"."Project" ADD CONSTRAINT "Project_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Task" ADD CONSTRAINT "Task_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "public"."Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
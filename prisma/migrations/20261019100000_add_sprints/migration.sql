@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "public"."Sprint" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "goal" TEXT,
+    "state" TEXT NOT NULL DEFAULT 'planned',
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3) NOT NULL,
+    "closedAt" TIMESTAMP(3),
+    "projectId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Sprint_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN "sprintId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Sprint_projectId_state_idx" ON "public"."Sprint"("projectId" ASC, "state" ASC);
+
+-- CreateIndex (one active sprint per project; partial indexes are not expressible in schema.prisma)
+CREATE UNIQUE INDEX "Sprint_projectId_active_key" ON "public"."Sprint"("projectId") WHERE "state" = 'active';
+
+-- CreateIndex
+CREATE INDEX "Sprint_projectId_startDate_idx" ON "public"."Sprint"("projectId" ASC, "startDate" ASC);
+
+-- CreateIndex
+CREATE INDEX "Task_sprintId_status_idx" ON "public"."Task"("sprintId" ASC, "status" ASC);
+
+-- AddForeignKey
+ALTER TABLE "public"."Sprint" ADD CONSTRAINT "Sprint_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "public"."Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Task" ADD CONSTRAINT "Task_sprintId_fkey" FOREIGN KEY ("sprintId") REFERENCES "public"."Sprint"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN "storyPoints" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."SprintSnapshot" (
+    "id" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "totalTasks" INTEGER NOT NULL,
+    "remainingTasks" INTEGER NOT NULL,
+    "totalPoints" INTEGER NOT NULL,
+    "remainingPoints" INTEGER NOT NULL,
+    "sprintId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SprintSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SprintSnapshot_sprintId_date_key" ON "public"."SprintSnapshot"("sprintId" ASC, "date" ASC);
+
+-- AddForeignKey
+ALTER TABLE "public"."SprintSnapshot" ADD CONSTRAINT "SprintSnapshot_sprintId_fkey" FOREIGN KEY ("sprintId") REFERENCES "public"."Sprint"("id") ON DELETE CASCADE ON UPDATE CASCADE;
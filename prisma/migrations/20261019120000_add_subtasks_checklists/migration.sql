@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN "parentId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."ChecklistItem" (
+    "id" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "done" BOOLEAN NOT NULL DEFAULT false,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "taskId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ChecklistItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Task_parentId_idx" ON "public"."Task"("parentId" ASC);
+
+-- CreateIndex
+CREATE INDEX "ChecklistItem_taskId_position_idx" ON "public"."ChecklistItem"("taskId" ASC, "position" ASC);
+
+-- AddForeignKey
+ALTER TABLE "public"."Task" ADD CONSTRAINT "Task_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "public"."Task"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ChecklistItem" ADD CONSTRAINT "ChecklistItem_taskId_fkey" FOREIGN KEY ("taskId") REFERENCES "public"."Task"("id") ON DELETE CASCADE ON UPDATE CASCADE;
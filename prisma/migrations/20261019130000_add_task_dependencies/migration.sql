@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "public"."TaskDependency" (
+    "id" TEXT NOT NULL,
+    "blockerId" TEXT NOT NULL,
+    "blockedId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TaskDependency_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TaskDependency_blockerId_blockedId_key" ON "public"."TaskDependency"("blockerId" ASC, "blockedId" ASC);
+
+-- CreateIndex
+CREATE INDEX "TaskDependency_blockedId_idx" ON "public"."TaskDependency"("blockedId" ASC);
+
+-- AddForeignKey
+ALTER TABLE "public"."TaskDependency" ADD CONSTRAINT "TaskDependency_blockerId_fkey" FOREIGN KEY ("blockerId") REFERENCES "public"."Task"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."TaskDependency" ADD CONSTRAINT "TaskDependency_blockedId_fkey" FOREIGN KEY ("blockedId") REFERENCES "public"."Task"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN "statusCategory" TEXT NOT NULL DEFAULT 'todo';
+
+-- Backfill categories for the default workflow
+UPDATE "public"."Task" SET "statusCategory" = 'doing' WHERE "status" = 'InProgress';
+UPDATE "public"."Task" SET "statusCategory" = 'done' WHERE "status" = 'Done';
+
+-- CreateTable
+CREATE TABLE "public"."WorkflowStatus" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "color" TEXT NOT NULL DEFAULT 'gray',
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "transitionsTo" TEXT[],
+    "projectId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WorkflowStatus_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WorkflowStatus_projectId_key_key" ON "public"."WorkflowStatus"("projectId" ASC, "key" ASC);
+
+-- CreateIndex
+CREATE INDEX "WorkflowStatus_projectId_position_idx" ON "public"."WorkflowStatus"("projectId" ASC, "position" ASC);
+
+-- CreateIndex
+CREATE INDEX "Task_projectId_statusCategory_idx" ON "public"."Task"("projectId" ASC, "statusCategory" ASC);
+
+-- AddForeignKey
+ALTER TABLE "public"."WorkflowStatus" ADD CONSTRAINT "WorkflowStatus_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "public"."Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
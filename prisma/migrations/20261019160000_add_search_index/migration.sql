@@ -0,0 +1,16 @@
+-- AlterTable: generated full-text search documents (title ranks above description)
+ALTER TABLE "public"."Task" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("description", '')), 'B')
+) STORED;
+
+-- AlterTable
+ALTER TABLE "public"."Comment" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+    to_tsvector('english', coalesce("content", ''))
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "Task_searchVector_idx" ON "public"."Task" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "Comment_searchVector_idx" ON "public"."Comment" USING GIN ("searchVector");
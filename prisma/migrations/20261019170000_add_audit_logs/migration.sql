@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "public"."AuditLog" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT,
+    "email" TEXT,
+    "role" TEXT NOT NULL,
+    "resource" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "allowed" BOOLEAN NOT NULL,
+    "endpoint" TEXT NOT NULL,
+    "ip" TEXT,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AuditLog_createdAt_idx" ON "public"."AuditLog"("createdAt" ASC);
+
+-- CreateIndex
+CREATE INDEX "AuditLog_userId_createdAt_idx" ON "public"."AuditLog"("userId" ASC, "createdAt" ASC);
+
+-- CreateIndex
+CREATE INDEX "AuditLog_allowed_createdAt_idx" ON "public"."AuditLog"("allowed" ASC, "createdAt" ASC);
+
+-- CreateIndex
+CREATE INDEX "AuditLog_resource_action_idx" ON "public"."AuditLog"("resource" ASC, "action" ASC);
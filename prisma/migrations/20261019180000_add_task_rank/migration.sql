@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN "rank" TEXT NOT NULL DEFAULT '';
+
+-- Backfill: keep the current board order (oldest first) in every column.
+-- The trailing "i" keeps ranks from ending in "0" (see lib/tasks/rank.js).
+UPDATE "public"."Task" AS t
+SET "rank" = ranked."rank"
+FROM (
+    SELECT "id",
+           lpad(row_number() OVER (PARTITION BY "projectId", "status" ORDER BY "createdAt", "id")::text, 6, '0') || 'i' AS "rank"
+    FROM "public"."Task"
+) AS ranked
+WHERE t."id" = ranked."id";
+
+-- CreateIndex
+CREATE INDEX "Task_projectId_status_rank_idx" ON "public"."Task"("projectId" ASC, "status" ASC, "rank" ASC);
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."WorkflowStatus" ADD COLUMN "wipLimit" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."Project" ADD COLUMN "wipLimitMode" TEXT NOT NULL DEFAULT 'soft';
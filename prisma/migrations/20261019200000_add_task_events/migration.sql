@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "public"."TaskEvent" (
+    "id" TEXT NOT NULL,
+    "field" TEXT NOT NULL,
+    "oldValue" TEXT,
+    "newValue" TEXT,
+    "taskId" TEXT NOT NULL,
+    "actorId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TaskEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TaskEvent_taskId_createdAt_idx" ON "public"."TaskEvent"("taskId" ASC, "createdAt" ASC);
+
+-- CreateIndex
+CREATE INDEX "TaskEvent_actorId_idx" ON "public"."TaskEvent"("actorId" ASC);
+
+-- AddForeignKey
+ALTER TABLE "public"."TaskEvent" ADD CONSTRAINT "TaskEvent_taskId_fkey" FOREIGN KEY ("taskId") REFERENCES "public"."Task"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."TaskEvent" ADD CONSTRAINT "TaskEvent_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "public"."Comment" ADD COLUMN "parentId" TEXT,
+ADD COLUMN "deletedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."CommentReaction" (
+    "id" TEXT NOT NULL,
+    "emoji" TEXT NOT NULL,
+    "commentId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CommentReaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Comment_parentId_createdAt_idx" ON "public"."Comment"("parentId" ASC, "createdAt" ASC);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CommentReaction_commentId_userId_emoji_key" ON "public"."CommentReaction"("commentId" ASC, "userId" ASC, "emoji" ASC);
+
+-- CreateIndex
+CREATE INDEX "CommentReaction_userId_idx" ON "public"."CommentReaction"("userId" ASC);
+
+-- AddForeignKey
+ALTER TABLE "public"."Comment" ADD CONSTRAINT "Comment_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "public"."Comment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."CommentReaction" ADD CONSTRAINT "CommentReaction_commentId_fkey" FOREIGN KEY ("commentId") REFERENCES "public"."Comment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."CommentReaction" ADD CONSTRAINT "CommentReaction_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN "descriptionHtml" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."Comment" ADD COLUMN "contentHtml" TEXT NOT NULL DEFAULT '';
+
+-- Existing descriptions and comments are rendered by a data migration, not copied:
+-- run `npm run db:backfill-markdown` (prisma/backfill-markdown-html.mjs) after deploying.
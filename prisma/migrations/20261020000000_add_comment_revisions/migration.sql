@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "public"."Comment" ADD COLUMN "editedAt" TIMESTAMP(3),
+ADD COLUMN "deletedById" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."CommentRevision" (
+    "id" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "contentHtml" TEXT NOT NULL DEFAULT '',
+    "commentId" TEXT NOT NULL,
+    "editorId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CommentRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CommentRevision_commentId_createdAt_idx" ON "public"."CommentRevision"("commentId" ASC, "createdAt" ASC);
+
+-- CreateIndex
+CREATE INDEX "CommentRevision_editorId_idx" ON "public"."CommentRevision"("editorId" ASC);
+
+-- AddForeignKey
+ALTER TABLE "public"."Comment" ADD CONSTRAINT "Comment_deletedById_fkey" FOREIGN KEY ("deletedById") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."CommentRevision" ADD CONSTRAINT "CommentRevision_commentId_fkey" FOREIGN KEY ("commentId") REFERENCES "public"."Comment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."CommentRevision" ADD CONSTRAINT "CommentRevision_editorId_fkey" FOREIGN KEY ("editorId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN "emailVerified" TIMESTAMP(3);
+
+-- Backfill: accounts created before verification existed are treated as verified
+UPDATE "public"."User" SET "emailVerified" = "createdAt";
+
+-- CreateTable
+CREATE TABLE "public"."EmailVerificationToken" (
+    "id" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "EmailVerificationToken_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EmailVerificationToken_tokenHash_key" ON "public"."EmailVerificationToken"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "EmailVerificationToken_userId_createdAt_idx" ON "public"."EmailVerificationToken"("userId" ASC, "createdAt" ASC);
+
+-- AddForeignKey
+ALTER TABLE "public"."EmailVerificationToken" ADD CONSTRAINT "EmailVerificationToken_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
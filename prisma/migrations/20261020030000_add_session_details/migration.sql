@@ -0,0 +1,18 @@
+-- Existing rows hold plain seed tokens rather than refresh token hashes and can't be converted
+DELETE FROM "public"."Session";
+
+-- DropIndex
+DROP INDEX "public"."Session_token_idx";
+
+-- DropIndex
+DROP INDEX "public"."Session_token_key";
+
+-- AlterTable
+ALTER TABLE "public"."Session" DROP COLUMN "token",
+ADD COLUMN "tokenHash" TEXT NOT NULL,
+ADD COLUMN "userAgent" TEXT,
+ADD COLUMN "ipAddress" TEXT,
+ADD COLUMN "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Session_tokenHash_key" ON "public"."Session"("tokenHash");
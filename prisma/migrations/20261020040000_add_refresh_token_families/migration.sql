@@ -0,0 +1,10 @@
+-- Existing refresh tokens carry no family ID and can't be checked for reuse
+DELETE FROM "public"."Session";
+
+-- AlterTable
+ALTER TABLE "public"."Session" ADD COLUMN "familyId" TEXT NOT NULL,
+ADD COLUMN "previousTokenHash" TEXT,
+ADD COLUMN "rotatedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Session_familyId_key" ON "public"."Session"("familyId");
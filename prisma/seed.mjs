@@ -7,6 +7,7 @@ import { PrismaPg } from '@prisma/adapter-pg';
 import pkg from 'pg';
 const { Pool } = pkg;
 import bcrypt from 'bcryptjs';
+import { renderMarkdown } from '../lib/markdown.js';
 
 // Initialize Prisma with adapter like in lib/db.js
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
@@ -20,6 +21,8 @@ async function main() {
   console.log('🧹 Cleaning existing data...');
   await prisma.comment.deleteMany();
   await prisma.task.deleteMany();
+  await prisma.sprint.deleteMany();
+  await prisma.project.deleteMany();
   await prisma.session.deleteMany();
   await prisma.user.deleteMany();
   console.log('✅ Cleaned existing data\n');
@@ -33,6 +36,7 @@ async function main() {
       email: 'mohit@sprintlite.com',
       name: 'Mohit Kumar Samal',
       password: hashedPassword,
+      emailVerified: new Date(),
       role: 'Owner',
       avatar: '#3B82F6', // Blue
     },
@@ -43,6 +47,7 @@ async function main() {
       email: 'sam@sprintlite.com',
       name: 'Sam',
       password: hashedPassword,
+      emailVerified: new Date(),
       role: 'Admin',
       avatar: '#10B981', // Green
     },
@@ -53,6 +58,7 @@ async function main() {
       email: 'vijay@sprintlite.com',
       name: 'Vijay',
       password: hashedPassword,
+      emailVerified: new Date(),
       role: 'Member',
       avatar: '#F59E0B', // Orange
     },
@@ -60,6 +66,54 @@ async function main() {
 
   console.log(`✅ Created 3 users\n`);
 
+  // Create Projects
+  console.log('📁 Creating projects...');
+
+  const project = await prisma.project.create({
+    data: {
+      name: 'SprintLite Platform',
+      key: 'SPR',
+      description: 'Core SprintLite application work.',
+      ownerId: mohit.id,
+    },
+  });
+
+  // Custom workflow: adds a review column between In Progress and Done
+  await prisma.workflowStatus.createMany({
+    data: [
+      { key: 'Todo', name: 'Todo', category: 'todo', color: 'gray', position: 0, transitionsTo: [] },
+      { key: 'InProgress', name: 'In Progress', category: 'doing', color: 'blue', position: 1, transitionsTo: [] },
+      { key: 'InReview', name: 'In Review', category: 'doing', color: 'purple', position: 2, transitionsTo: ['InProgress', 'Done'] },
+      { key: 'Done', name: 'Done', category: 'done', color: 'green', position: 3, transitionsTo: [] },
+    ].map((status) => ({ ...status, projectId: project.id })),
+  });
+
+  const [bugLabel, backendLabel, devopsLabel] = await Promise.all(
+    [
+      { name: 'bug', color: 'red' },
+      { name: 'backend', color: 'teal' },
+      { name: 'devops', color: 'orange' },
+    ].map((label) => prisma.label.create({ data: { ...label, projectId: project.id } }))
+  );
+
+  console.log(`✅ Created 1 project\n`);
+
+  // Create Sprints
+  console.log('🏃 Creating sprints...');
+
+  const sprint = await prisma.sprint.create({
+    data: {
+      name: 'Sprint 1',
+      goal: 'Ship authentication and the development environment.',
+      state: 'active',
+      startDate: new Date('2026-01-05'),
+      endDate: new Date('2026-01-16'),
+      projectId: project.id,
+    },
+  });
+
+  console.log(`✅ Created 1 sprint\n`);
+
   // Create Tasks
   console.log('📋 Creating tasks...');
   
@@ -68,10 +122,15 @@ async function main() {
       title: 'Setup Docker containers for development',
       description: 'Configure Docker Compose with Next.js, PostgreSQL, and Redis containers for local development environment.',
       status: 'Done',
+      statusCategory: 'done',
       priority: 'High',
+      storyPoints: 5,
       dueDate: new Date('2026-01-08'),
       creatorId: mohit.id,
       assigneeId: sam.id,
+      projectId: project.id,
+      sprintId: sprint.id,
+      labels: { connect: [{ id: devopsLabel.id }] },
     },
   });
 
@@ -80,10 +139,15 @@ async function main() {
       title: 'Implement JWT authentication',
       description: 'Add JWT-based authentication with bcrypt password hashing and secure session management.',
       status: 'InProgress',
+      statusCategory: 'doing',
       priority: 'High',
+      storyPoints: 8,
       dueDate: new Date('2026-01-10'),
       creatorId: mohit.id,
       assigneeId: mohit.id,
+      projectId: project.id,
+      sprintId: sprint.id,
+      labels: { connect: [{ id: backendLabel.id }] },
     },
   });
 
@@ -92,10 +156,14 @@ async function main() {
       title: 'Create API documentation',
       description: 'Document all REST API endpoints with request/response examples and error codes.',
       status: 'Todo',
+      statusCategory: 'todo',
       priority: 'Medium',
+      storyPoints: 3,
       dueDate: new Date('2026-01-12'),
       creatorId: sam.id,
       assigneeId: vijay.id,
+      projectId: project.id,
+      sprintId: sprint.id,
     },
   });
 
@@ -103,11 +171,16 @@ async function main() {
     data: {
       title: 'Fix task filtering bug on dashboard',
       description: 'Tasks are not filtering correctly by status. Users report seeing all tasks regardless of selected filter.',
-      status: 'InProgress',
+      status: 'InReview',
+      statusCategory: 'doing',
       priority: 'High',
+      storyPoints: 5,
       dueDate: new Date('2026-01-09'),
       creatorId: vijay.id,
       assigneeId: sam.id,
+      projectId: project.id,
+      sprintId: sprint.id,
+      labels: { connect: [{ id: bugLabel.id }] },
     },
   });
 
@@ -116,10 +189,14 @@ async function main() {
       title: 'Add Redis caching for session data',
       description: 'Implement Redis caching layer to improve session lookup performance and reduce database queries.',
       status: 'Todo',
+      statusCategory: 'todo',
       priority: 'Medium',
+      storyPoints: 3,
       dueDate: new Date('2026-01-15'),
       creatorId: mohit.id,
       assigneeId: sam.id,
+      projectId: project.id,
+      sprintId: sprint.id,
     },
   });
 
@@ -128,10 +205,14 @@ async function main() {
       title: 'Update Prisma schema documentation',
       description: 'Add detailed comments and examples to Prisma schema file for better team understanding.',
       status: 'Done',
+      statusCategory: 'done',
       priority: 'Low',
+      storyPoints: 2,
       dueDate: new Date('2026-01-07'),
       creatorId: vijay.id,
       assigneeId: vijay.id,
+      projectId: project.id,
+      sprintId: sprint.id,
     },
   });
 
@@ -182,26 +263,21 @@ async function main() {
 
   console.log(`✅ Created 5 comments\n`);
 
-  // Create Sessions
-  console.log('🔐 Creating sessions...');
-  
-  await prisma.session.create({
-    data: {
-      token: 'session_token_mohit_' + Date.now(),
-      userId: mohit.id,
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-    },
-  });
-
-  await prisma.session.create({
-    data: {
-      token: 'session_token_sam_' + Date.now(),
-      userId: sam.id,
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-    },
-  });
+  // Descriptions and comments are Markdown; store their rendered HTML like the API does
+  for (const task of await prisma.task.findMany({ select: { id: true, description: true } })) {
+    await prisma.task.update({
+      where: { id: task.id },
+      data: { descriptionHtml: renderMarkdown(task.description) },
+    });
+  }
+  for (const comment of await prisma.comment.findMany({ select: { id: true, content: true } })) {
+    await prisma.comment.update({
+      where: { id: comment.id },
+      data: { contentHtml: renderMarkdown(comment.content) },
+    });
+  }
 
-  console.log(`✅ Created 2 sessions\n`);
+  // Sessions are created by signing in (see lib/sessions.js)
 
   // Print summary
   console.log('\n📊 Seed Summary:');